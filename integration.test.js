@@ -1,4 +1,9 @@
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import worker from './worker.js';
+import { memoryQueue, memoryKV, durableNamespace } from './test/helpers.js';
+import { CircuitBreaker } from './src/circuit.js';
+import { MetricsStore } from './src/metrics.js';
+import { Escalator } from './src/escalation.js';
 
 /**
  * Integration tests for NTFY Worker
@@ -252,4 +257,460 @@ describe('Integration Tests', () => {
       expect(attempts).toBe(2);
     });
   });
+
+  describe('Worker Routing', () => {
+    const env = {
+      OPENROUTER_API_KEY: 'sk-test-key-123',
+      ROUTES: JSON.stringify({
+        ci: { server: 'https://ntfy.example.com', topic: 'ci-builds', token: 'tk_ci' },
+        secured: { topic: 'secured', auth: { type: 'bearer', secret: 'let-me-in' } }
+      })
+    };
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+        calls.push({ url, init });
+        if (url.includes('openrouter.ai')) {
+          return Response.json({
+            choices: [{ message: { content: JSON.stringify({
+              title: 'Build passed', message: 'CI is green', priority: 'default', tags: 'white_check_mark'
+            }) } }]
+          });
+        }
+        return new Response('{}', { status: 200 });
+      }));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    const post = (path, headers = {}) => worker.fetch(new Request(`https://worker.test${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', ...headers },
+      body: 'build 42 passed'
+    }), env);
+
+    it('should publish to the topic and server of the matched route', async () => {
+      const response = await post('/t/ci');
+      const publish = calls.find(c => c.url.startsWith('https://ntfy.example.com'));
+
+      expect(response.status).toBe(200);
+      expect(publish.url).toBe('https://ntfy.example.com/ci-builds');
+      expect(publish.init.headers.Authorization).toBe('Bearer tk_ci');
+      expect(publish.init.headers.Title).toBe('Build passed');
+    });
+
+    it('should reject unknown routes with 404 without calling the model', async () => {
+      const response = await post('/t/unknown');
+
+      expect(response.status).toBe(404);
+      expect(calls).toHaveLength(0);
+    });
+
+    it('should reject unauthenticated requests before calling the model', async () => {
+      const missing = await post('/t/secured');
+      const wrong = await post('/t/secured', { Authorization: 'Bearer nope' });
+
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get('WWW-Authenticate')).toBe('Bearer');
+      expect(wrong.status).toBe(403);
+      expect(calls).toHaveLength(0);
+    });
+
+    it('should publish authenticated requests', async () => {
+      const response = await post('/t/secured', { Authorization: 'Bearer let-me-in' });
+      expect(response.status).toBe(200);
+      expect(calls.at(-1).url).toBe('https://ntfy.sh/secured');
+    });
+
+    it('should format known webhooks without calling the model', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/t/ci', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ msg: 'down', heartbeat: { status: 0, msg: 'timeout' }, monitor: { name: 'API' } })
+      }), { ROUTES: env.ROUTES });
+
+      expect(response.status).toBe(200);
+      expect(calls).toHaveLength(1);
+      expect(calls[0].init.headers.Title).toBe('API is down');
+      expect(calls[0].init.headers.Priority).toBe('high');
+    });
+
+    it('should move on to the next model when output is unsalvageable', async () => {
+      const models = [];
+      vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+        calls.push({ url, init });
+        if (url.includes('openrouter.ai')) {
+          const { model } = JSON.parse(init.body);
+          models.push(model);
+          const content = model === 'z-ai/glm-4.5-air:free'
+            ? JSON.stringify({ title: 'No message here', priority: 'critical' })
+            : JSON.stringify({ title: 'Disk full', message: 'Volume /data is full', priority: 'critical', tags: ['floppy_disk', 'nope'] });
+          return Response.json({ choices: [{ message: { content } }] });
+        }
+        return new Response('{}', { status: 200 });
+      }));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await post('/t/ci');
+      const publish = calls.at(-1);
+
+      expect(models).toEqual(['z-ai/glm-4.5-air:free', 'arcee-ai/trinity-mini:free']);
+      expect(publish.init.headers.Priority).toBe('urgent');
+      expect(publish.init.headers.Tags).toBe('floppy_disk');
+      expect(publish.init.body).toBe('Volume /data is full');
+    });
+
+    it('should answer suppressed and rate-limited requests without calling the model', async () => {
+      const gate = result => ({
+        idFromName: name => name,
+        get: () => ({ fetch: async () => Response.json(result) })
+      });
+      const gatedEnv = reason => ({
+        ...env,
+        DEDUPE_WINDOW: '60',
+        ALERT_GATE: gate({ allowed: false, reason, retryAfter: 30 })
+      });
+      const send = gateEnv => worker.fetch(new Request('https://worker.test/t/ci', {
+        method: 'POST', body: 'flapping'
+      }), gateEnv);
+
+      const duplicate = await send(gatedEnv('duplicate'));
+      const limited = await send(gatedEnv('rate_limited'));
+
+      expect(duplicate.status).toBe(200);
+      expect(await duplicate.text()).toBe('Duplicate suppressed');
+      expect(limited.status).toBe(429);
+      expect(limited.headers.get('Retry-After')).toBe('30');
+      expect(calls).toHaveLength(0);
+    });
+
+    it('should enqueue in async mode and answer 202 with the job id', async () => {
+      const queue = memoryQueue();
+      const response = await worker.fetch(new Request('https://worker.test/t/ci?async=true', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain', Authorization: 'Bearer anything' },
+        body: 'build 42 passed'
+      }), { ...env, NOTIFY_QUEUE: queue });
+
+      const body = await response.json();
+      expect(response.status).toBe(202);
+      expect(body.status).toBe('queued');
+      expect(queue.sent).toHaveLength(1);
+      expect(queue.sent[0]).toMatchObject({ id: body.id, route: 'ci', payload: 'build 42 passed' });
+      expect(queue.sent[0].headers.authorization).toBeUndefined();
+      expect(calls).toHaveLength(0);
+    });
+
+    it('should fail async requests without a queue binding', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const response = await post('/t/ci?async=true');
+      expect(response.status).toBe(500);
+      expect(await response.text()).toContain('NOTIFY_QUEUE');
+    });
+
+    it('should report per-target results for routes with delivery targets', async () => {
+      const fanout = {
+        ...env,
+        ROUTES: JSON.stringify({
+          ops: { topic: 'ops', targets: ['ntfy', { type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/1/a' }] }
+        })
+      };
+      const response = await worker.fetch(new Request('https://worker.test/t/ops', { method: 'POST', body: 'deploy done' }), fanout);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe('sent');
+      expect(body.results).toEqual([
+        { target: 'ntfy', type: 'ntfy', ok: true, retries: 0 },
+        { target: 'discord', type: 'discord', ok: true, retries: 0 }
+      ]);
+      expect(calls.map(c => c.url)).toContain('https://discord.com/api/webhooks/1/a');
+    });
+
+    it('should answer with a JSON report when asked', async () => {
+      const response = await post('/t/ci?format=json');
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        route: 'ci',
+        status: 'sent',
+        notification: { title: 'Build passed', message: 'CI is green', priority: 'default', tags: 'white_check_mark' },
+        formatter: {
+          type: 'model',
+          model: 'z-ai/glm-4.5-air:free',
+          provider: 'openrouter',
+          attempts: [{ model: 'z-ai/glm-4.5-air:free', provider: 'openrouter', retries: 0 }]
+        },
+        messageId: null,
+        results: [{ target: 'ntfy', type: 'ntfy', ok: true, retries: 0 }]
+      });
+      expect(body.id).toEqual(expect.any(String));
+    });
+
+    it('should report the parser and use JSON errors for Accept: application/json', async () => {
+      const known = await worker.fetch(new Request('https://worker.test/t/ci', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ msg: 'down', heartbeat: { status: 0, msg: 'timeout' }, monitor: { name: 'API' } })
+      }), env);
+      const denied = await post('/t/secured?format=json');
+
+      expect((await known.json()).formatter).toEqual({ type: 'parser', parser: 'uptime-kuma' });
+      expect(denied.status).toBe(401);
+      expect(await denied.json()).toEqual({ error: 'Missing bearer token' });
+    });
+
+    it('should format and publish batches with per-item results', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/t/ci/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(['build 1 passed', { build: 2, status: 'passed' }, ''])
+      }), env);
+      const { items } = await response.json();
+
+      expect(response.status).toBe(207);
+      expect(items.map(i => [i.index, i.status])).toEqual([[0, 'sent'], [1, 'sent'], [2, 'error']]);
+      expect(items[2].error).toBe('No data');
+      expect(calls.filter(c => c.url === 'https://ntfy.example.com/ci-builds')).toHaveLength(2);
+    });
+
+    it('should reject batch bodies that are not arrays', async () => {
+      const response = await worker.fetch(new Request('https://worker.test/batch', {
+        method: 'POST', body: JSON.stringify({ message: 'hi' })
+      }), env);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: 'Batch body must be a JSON array' });
+    });
+
+    it('should report fired trim rules in debug mode', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const response = await worker.fetch(new Request('https://worker.test/t/ci?debug=true&trim=ci-logs', {
+        method: 'POST',
+        body: '\x1b[31mbuild 42 failed\x1b[0m on main, see the logs for the failing step'
+      }), env);
+      const body = await response.json();
+
+      expect(body.trim.rules.map(r => r.rule)).toEqual(['ci-logs/ansi']);
+      expect(JSON.parse(calls[0].init.body).messages[1].content).toBe('build 42 failed on main, see the logs for the failing step');
+    });
+
+    it('should reject unknown trim rule sets', async () => {
+      const response = await post('/t/ci?trim=everything');
+      expect(response.status).toBe(400);
+      expect(await response.text()).toContain('Unknown trim rule set "everything"');
+    });
+
+    it('should attach the full payload when the model saw only part of it', async () => {
+      const routes = JSON.stringify({ logs: { topic: 'logs', llm: { maxInputTokens: 200 } } });
+      const payload = Array.from({ length: 300 }, (_, i) => `line ${i}`).join('\n');
+      await worker.fetch(new Request('https://worker.test/t/logs', { method: 'POST', body: payload }), { ...env, ROUTES: routes });
+
+      const publish = calls.at(-1);
+      expect(publish.init.method).toBe('PUT');
+      expect(publish.init.headers.Filename).toBe('payload.txt');
+      expect(publish.init.body).toBe(payload);
+    });
+
+    it('should apply override rules before delivery and drop matching notifications', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const routes = JSON.stringify({
+        ci: { topic: 'ci', rules: [{ name: 'prod', match: { payload: { pattern: 'prod' } }, priority: 'urgent', tags: ['rotating_light'] }] },
+        cron: { topic: 'cron', rules: [{ name: 'nightly', drop: true }] }
+      });
+      const send = (path, body) => worker.fetch(new Request(`https://worker.test${path}`, { method: 'POST', body }), { ...env, ROUTES: routes });
+
+      const forced = await (await send('/t/ci?format=json', 'deploy to prod failed')).json();
+      expect(forced.rules).toEqual(['prod']);
+      expect(calls.at(-1).init.headers).toMatchObject({ Priority: 'urgent', Tags: 'white_check_mark,rotating_light' });
+
+      const before = calls.length;
+      const dropped = await send('/t/cron', 'nightly cleanup done');
+      expect(dropped.status).toBe(200);
+      expect(await dropped.text()).toBe('Dropped by rule');
+      expect(calls.slice(before).map(c => c.url)).not.toContain('https://ntfy.sh/cron');
+    });
+
+    it('should hold digest notifications and publish them from the cron trigger', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const digestEnv = { ...env, DIGESTS: memoryKV(), ROUTES: JSON.stringify({ ci: { topic: 'ci', digest: { below: 'high' } } }) };
+
+      const response = await worker.fetch(new Request('https://worker.test/t/ci?format=json', { method: 'POST', body: 'build 42 passed' }), digestEnv);
+      expect(response.status).toBe(202);
+      expect(await response.json()).toMatchObject({ status: 'held', reason: 'digest', results: [] });
+      expect(calls.map(c => c.url)).not.toContain('https://ntfy.sh/ci');
+
+      await worker.scheduled({ cron: '0 * * * *', scheduledTime: Date.now() }, digestEnv);
+      expect(calls.at(-1).url).toBe('https://ntfy.sh/ci');
+      expect(calls.at(-1).init.headers.Title).toBe('Build passed');
+      expect(digestEnv.DIGESTS.data.size).toBe(0);
+    });
+
+    it('should answer recurring payloads from the LLM cache', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const cacheEnv = { ...env, LLM_CACHE: memoryKV(), LLM_CACHE_TTL: '600' };
+      const send = body => worker.fetch(new Request('https://worker.test/t/ci?format=json', { method: 'POST', body }), cacheEnv);
+
+      const first = await (await send('build 42 passed at 2024-05-01T10:00:00Z')).json();
+      const second = await (await send('build 42 passed at 2024-05-01T10:05:00Z')).json();
+
+      expect(first.formatter.cache).toBe('miss');
+      expect(second.formatter).toMatchObject({ type: 'cache', model: 'z-ai/glm-4.5-air:free' });
+      expect(second.notification).toEqual(first.notification);
+      expect(calls.filter(c => c.url.includes('openrouter.ai'))).toHaveLength(1);
+    });
+
+    it('should skip a rate-limited model and report it on /health', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const breakerEnv = { ...env, CIRCUIT_BREAKER: durableNamespace(CircuitBreaker) };
+      const answer = globalThis.fetch;
+      globalThis.fetch = vi.fn(async (url, init) => {
+        if (url.includes('openrouter.ai') && JSON.parse(init.body).model === 'z-ai/glm-4.5-air:free') {
+          calls.push({ url, init });
+          return new Response('rate limited', { status: 429, headers: { 'Retry-After': '600' } });
+        }
+        return answer(url, init);
+      });
+      const send = () => worker.fetch(new Request('https://worker.test/t/ci?format=json', { method: 'POST', body: 'build 42 passed' }), breakerEnv);
+
+      const first = await (await send()).json();
+      expect(first.formatter.attempts[0]).toMatchObject({ model: 'z-ai/glm-4.5-air:free', retries: 0 });
+
+      const health = await worker.fetch(new Request('https://worker.test/health'), breakerEnv);
+      expect(await health.json()).toMatchObject({
+        status: 'degraded',
+        circuits: expect.arrayContaining([expect.objectContaining({ key: 'model:openrouter/z-ai/glm-4.5-air:free', state: 'open' })])
+      });
+
+      const before = calls.length;
+      const second = await (await send()).json();
+      expect(second.formatter.attempts[0]).toMatchObject({ error: 'Circuit open', skipped: true });
+      expect(second.formatter.model).toBe('arcee-ai/trinity-mini:free');
+      expect(calls.slice(before).filter(c => c.url.includes('openrouter.ai'))).toHaveLength(1);
+    });
+
+    it('should apply sender overrides and refuse invalid ones with a 400', async () => {
+      const response = await post('/t/ci?lock=true', { 'X-Title': 'Deploy 42', 'X-Priority': '4' });
+      const publish = calls.find(c => c.url.startsWith('https://ntfy.example.com'));
+
+      expect(response.status).toBe(200);
+      expect(publish.init.headers).toMatchObject({ Title: 'Deploy 42', Priority: 'high' });
+
+      const invalid = await post('/t/ci?priority=critical&format=json');
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toEqual({ error: 'Invalid priority "critical" (use min, low, default, high, urgent or 1-5)' });
+    });
+
+    it('should tag responses and log lines with the request id', async () => {
+      const logged = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const given = await post('/t/ci', { 'X-Request-Id': 'deploy-7.1' });
+      const generated = await post('/t/unknown', { 'X-Request-Id': 'not an id' });
+
+      expect(given.headers.get('X-Request-Id')).toBe('deploy-7.1');
+      expect(generated.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+      const processed = logged.mock.calls.map(([line]) => JSON.parse(line)).find(l => l.message === 'Job processed');
+      expect(processed).toMatchObject({ requestId: 'deploy-7.1', route: 'ci', status: 'sent' });
+    });
+
+    it('should serve metrics', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const metricsEnv = { ...env, METRICS_STORE: durableNamespace(MetricsStore) };
+      await worker.fetch(new Request('https://worker.test/t/ci', { method: 'POST', body: 'build 42 passed' }), metricsEnv);
+
+      const response = await worker.fetch(new Request('https://worker.test/metrics'), metricsEnv);
+
+      expect(response.status).toBe(200);
+      expect(await response.text()).toContain('ntfy_jobs_total{route="ci",status="sent"} 1');
+    });
+
+    it('should forward uploaded files to ntfy and refuse them where the route takes none', async () => {
+      const upload = () => {
+        const form = new FormData();
+        form.append('status', 'failed');
+        form.append('log', new Blob(['npm ERR! code 1\n'], { type: 'text/plain' }), 'build.log');
+        return form;
+      };
+      const routes = JSON.stringify({ ci: { topic: 'ci' }, text: { topic: 'text', uploads: false } });
+
+      const response = await worker.fetch(new Request('https://worker.test/t/ci', { method: 'POST', body: upload() }), { ...env, ROUTES: routes });
+      const publish = calls.at(-1);
+      const prompt = JSON.parse(calls.find(c => c.url.includes('openrouter.ai')).init.body).messages.at(-1).content;
+
+      expect(response.status).toBe(200);
+      expect(prompt).toContain('--- build.log ---\nnpm ERR! code 1');
+      expect(publish.init.method).toBe('PUT');
+      expect(publish.init.headers.Filename).toBe('build.log');
+
+      const refused = await worker.fetch(new Request('https://worker.test/t/text', { method: 'POST', body: upload() }), { ...env, ROUTES: routes });
+      expect(refused.status).toBe(415);
+      expect(await refused.text()).toContain('This route does not accept file uploads');
+    });
+
+    it('should thread firing and resolved events by the sender correlation id', async () => {
+      const threadEnv = { ...env, THREADS: memoryKV() };
+      const event = (state, extra = {}) => worker.fetch(new Request('https://worker.test/t/ci?format=json', {
+        method: 'POST',
+        headers: { 'X-Correlation-ID': 'deploy-42', 'X-Correlation-State': state, ...extra },
+        body: `deploy 42 ${state}`
+      }), threadEnv);
+
+      const firing = await (await event('firing')).json();
+      const resolved = await (await event('resolved')).json();
+      const publishes = calls.filter(c => c.url.startsWith('https://ntfy.example.com'));
+
+      expect(firing.thread).toMatchObject({ key: 'sender:deploy-42', state: 'firing', sequenceId: firing.id });
+      expect(resolved.thread).toMatchObject({ state: 'resolved', action: 'update', sequenceId: firing.id });
+      expect(publishes.map(c => c.init.headers['X-Sequence-ID'])).toEqual([firing.id, firing.id]);
+      expect(publishes[1].init.body).toMatch(/Resolved after \d+s\.$/);
+      expect((await event('fixed')).status).toBe(400);
+    });
+
+    it('should add an Acknowledge button to urgent notifications and accept the acknowledgement', async () => {
+      const routes = JSON.stringify({ ops: { topic: 'ops', escalation: { after: 60, to: [{ type: 'ntfy', topic: 'oncall' }] } } });
+      const escalationEnv = { ...env, ROUTES: routes, WORKER_URL: 'https://worker.test' };
+      escalationEnv.ESCALATIONS = durableNamespace(Escalator, escalationEnv);
+
+      const response = await worker.fetch(new Request('https://worker.test/t/ops?raw=true&priority=urgent&format=json', {
+        method: 'POST', body: 'db-1 is down'
+      }), escalationEnv);
+      const { id, escalation } = await response.json();
+
+      expect(calls.at(-1).init.headers.Actions).toBe(`http, Acknowledge, https://worker.test/ack/${id}, method=POST, clear=true`);
+      expect(escalation.steps.map(s => s.type)).toEqual(['repeat', 'escalate']);
+
+      const ack = await worker.fetch(new Request(`https://worker.test/ack/${id}`, { method: 'POST' }), escalationEnv);
+      expect(await ack.text()).toBe('Acknowledged');
+      await escalationEnv.ESCALATIONS.instances.get(id).alarm();
+      expect(calls.filter(c => c.url.includes('/oncall'))).toHaveLength(0);
+    });
+
+    it('should serve routes and the model chain saved through the admin API', async () => {
+      const configEnv = { ...env, ADMIN_TOKEN: 'admin-secret', ROUTES_KV: memoryKV() };
+      const save = (doc, body) => worker.fetch(new Request(`https://worker.test/admin/config/${doc}`, {
+        method: 'PUT', headers: { Authorization: 'Bearer admin-secret' }, body: JSON.stringify(body)
+      }), configEnv);
+
+      expect((await save('routes/deploys', { topic: 'deploys', trim: 'logs' })).status).toBe(400);
+      expect((await save('trim-profiles', { logs: ['ci-logs'] })).status).toBe(200);
+      expect((await save('routes/deploys', { topic: 'deploys', trim: 'logs' })).status).toBe(200);
+      expect((await save('models', { models: ['stored/model'] })).status).toBe(200);
+
+      const response = await worker.fetch(new Request('https://worker.test/t/deploys', { method: 'POST', body: 'build 42 passed' }), configEnv);
+
+      expect(response.status).toBe(200);
+      expect(JSON.parse(calls.find(c => c.url.includes('openrouter.ai')).init.body).model).toBe('stored/model');
+      expect(calls.at(-1).url).toBe('https://ntfy.sh/deploys');
+    });
+
+    it('should keep publishing POST / to the default topic', async () => {
+      await post('/');
+      expect(calls.at(-1).url).toBe('https://ntfy.sh/fupvaK-6nytti-hopmyc');
+    });
+  });
 });
@@ -0,0 +1,326 @@
+/**
+ * Admin API under /admin/, authenticated with `Authorization: Bearer <ADMIN_TOKEN>`,
+ * and the dashboard at /admin (see dashboard.js), which signs in at
+ * /admin/login and gets a session cookie instead: `<expiry>.<signature>`, an
+ * HMAC of the expiry keyed with ADMIN_TOKEN, so the token never leaves the
+ * worker and changing it ends every session.
+ * The whole area answers 404 while ADMIN_TOKEN is unset.
+ */
+
+import { authenticate, hmacHex, readCookie, timingSafeEqual } from "./auth.js";
+import { listDeadLetters, getDeadLetter, deleteDeadLetter, replayDeadLetter } from "./queue.js";
+import { loadRoute } from "./routing.js";
+import { createJob, dryRunJob, processJob } from "./pipeline.js";
+import { listHistory, getHistory, resendHistory } from "./history.js";
+import { getDocument, saveDocument, listVersions, rollbackDocument, listRoutes, withStoredConfig } from "./config.js";
+import { parseOverrides } from "./overrides.js";
+import { jobReport } from "./report.js";
+import { loginPage, dashboardPage } from "./dashboard.js";
+import { handleHealth } from "./circuit.js";
+import { log } from "./log.js";
+
+const SESSION_COOKIE = "admin_session";
+const SESSION_TTL = 12 * 3600;
+const ADMIN_AUTH = { auth: { type: "bearer", secretEnv: "ADMIN_TOKEN" } };
+// Stored configuration documents, see config.js
+const DOCUMENT = "(rules|models|trim-profiles|routes/[\\w-]{1,64})";
+
+const json = (body, status = 200) => Response.json(body, { status });
+const notFound = () => new Response("Not found", { status: 404 });
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function requireDeadLetters(env) {
+  return env.DEAD_LETTERS ? null : new Response("No DEAD_LETTERS binding", { status: 501 });
+}
+
+function requireHistory(env) {
+  return env.HISTORY ? null : new Response("No HISTORY binding", { status: 501 });
+}
+
+function requireConfig(env) {
+  return env.ROUTES_KV ? null : new Response("No ROUTES_KV binding", { status: 501 });
+}
+
+async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw httpError("Bad body", 400);
+  }
+}
+
+function sessionCookie(value, maxAge) {
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/admin; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+const sessionSignature = (env, expires) => hmacHex(env.ADMIN_TOKEN, `admin-session:${expires}`);
+
+async function issueSession(env) {
+  const expires = Math.floor(Date.now() / 1000) + SESSION_TTL;
+  return `${expires}.${await sessionSignature(env, expires)}`;
+}
+
+// Whether the request carries an unexpired session cookie signed with the current token
+async function verifySession(request, env) {
+  const value = readCookie(request.headers.get("cookie"), SESSION_COOKIE);
+  const match = value?.match(/^(\d+)\.([0-9a-f]+)$/);
+  if (!match || Number(match[1]) * 1000 <= Date.now()) return false;
+  return timingSafeEqual(match[2], await sessionSignature(env, match[1]));
+}
+
+/**
+ * Format a sample as its route would, without delivering it:
+ * { route?, payload, headers?, notification? }. Stored config applies.
+ */
+async function previewSample(env, sample) {
+  if (!sample || typeof sample !== "object" || sample.payload === undefined) {
+    throw httpError("Body needs a payload", 400);
+  }
+
+  const stored = await withStoredConfig(env);
+  const routeName = sample.route || "default";
+  const route = await loadRoute(routeName, stored);
+  if (!route) throw httpError(`Unknown route "${routeName}"`, 404);
+
+  const text = typeof sample.payload === "string";
+  const job = createJob({
+    routeName,
+    payload: text ? sample.payload : JSON.stringify(sample.payload, null, 2),
+    data: text ? null : sample.payload,
+    headers: sample.headers || {}
+  });
+  return { route: routeName, ...await dryRunJob(job, route, stored, { notification: sample.notification }) };
+}
+
+/**
+ * Deliver a test notification through a route, without a model:
+ * { route?, title?, message?, priority?, tags? }. Resolves to the job's JSON report.
+ */
+async function sendTest(env, { route: routeName = "default", title, message, priority, tags } = {}) {
+  let overrides;
+  try {
+    const params = new URLSearchParams({ raw: "true", title: title || "Test notification", tags: tags || "test_tube" });
+    if (priority) params.set("priority", priority);
+    overrides = parseOverrides({ params });
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+
+  const stored = await withStoredConfig(env);
+  const route = await loadRoute(routeName, stored);
+  if (!route) throw httpError(`Unknown route "${routeName}"`, 404);
+
+  const payload = message || `Sent from the ntfy worker admin at ${new Date().toISOString()}.`;
+  const job = createJob({ routeName, payload: String(payload), overrides });
+  return jobReport(job, await processJob(job, route, stored));
+}
+
+async function dashboard(env, result, form) {
+  const routes = (await listRoutes(env)).map(r => r.name);
+  if (!routes.includes("default")) routes.unshift("default");
+  const history = env.HISTORY ? await listHistory(env, { limit: 20 }) : null;
+  return dashboardPage({ routes, history, result, form });
+}
+
+// Sign-in and sign-out of the dashboard, before any authentication
+async function session(request, env, pathname) {
+  if (request.method !== "POST") return new Response("Only POST", { status: 405, headers: { Allow: "POST" } });
+  const headers = { Location: "/admin" };
+  if (pathname === "/admin/logout") {
+    return new Response(null, { status: 303, headers: { ...headers, "Set-Cookie": sessionCookie("", 0) } });
+  }
+
+  const token = (await request.formData().catch(() => null))?.get("token");
+  if (typeof token !== "string" || !timingSafeEqual(token, env.ADMIN_TOKEN)) {
+    return loginPage({ error: "Wrong admin token", status: 403 });
+  }
+  return new Response(null, { status: 303, headers: { ...headers, "Set-Cookie": sessionCookie(await issueSession(env), SESSION_TTL) } });
+}
+
+// [method, path pattern, handler(request, env, params, url)]
+const routes = [
+  ["GET", /^\/admin\/dead-letters$/, async (request, env, params, url) => {
+    return requireDeadLetters(env) || json(await listDeadLetters(env, {
+      cursor: url.searchParams.get("cursor") || undefined,
+      limit: Math.min(Number(url.searchParams.get("limit")) || 50, 1000)
+    }));
+  }],
+
+  ["GET", /^\/admin\/dead-letters\/([\w-]+)$/, async (request, env, [id]) => {
+    const missing = requireDeadLetters(env);
+    if (missing) return missing;
+    const entry = await getDeadLetter(env, id);
+    return entry ? json({ id, ...entry }) : notFound();
+  }],
+
+  ["POST", /^\/admin\/dead-letters\/([\w-]+)\/replay$/, async (request, env, [id]) => {
+    const missing = requireDeadLetters(env);
+    if (missing) return missing;
+    // Jobs processed inline without a queue use the stored config too
+    const result = await replayDeadLetter(await withStoredConfig(env), id);
+    if (!result) return notFound();
+    return json(result, result.status === "queued" ? 202 : 200);
+  }],
+
+  ["DELETE", /^\/admin\/dead-letters\/([\w-]+)$/, async (request, env, [id]) => {
+    const missing = requireDeadLetters(env);
+    if (missing) return missing;
+    await deleteDeadLetter(env, id);
+    return new Response(null, { status: 204 });
+  }],
+
+  // Newest first; filters: route, status, q (id, title or model), since, until
+  ["GET", /^\/admin\/history$/, async (request, env, params, url) => {
+    const query = name => url.searchParams.get(name) || undefined;
+    return requireHistory(env) || json(await listHistory(env, {
+      cursor: query("cursor"),
+      limit: Math.min(Number(url.searchParams.get("limit")) || 50, 1000),
+      route: query("route"),
+      status: query("status"),
+      q: query("q"),
+      since: query("since"),
+      until: query("until")
+    }));
+  }],
+
+  ["GET", /^\/admin\/history\/([\w-]+)$/, async (request, env, [id]) => {
+    const missing = requireHistory(env);
+    if (missing) return missing;
+    const entry = await getHistory(env, id);
+    return entry ? json(entry) : notFound();
+  }],
+
+  ["POST", /^\/admin\/history\/([\w-]+)\/resend$/, async (request, env, [id]) => {
+    const missing = requireHistory(env);
+    if (missing) return missing;
+    const result = await resendHistory(env, id);
+    if (!result) return notFound();
+    if (result.error) return json(result, 409);
+    return json(result, result.status === "failed" ? 502 : 200);
+  }],
+
+  // Which override rules a sample would match: { route, payload, headers?, notification? }
+  ["POST", /^\/admin\/rules\/dry-run$/, async (request, env) => {
+    return json(await previewSample(env, await readJson(request)));
+  }],
+
+  ["POST", /^\/admin\/test$/, async (request, env) => {
+    const report = await sendTest(env, await readJson(request));
+    return json(report, report.status === "failed" ? 502 : 200);
+  }],
+
+  // /health with the full circuit keys and their last errors
+  ["GET", /^\/admin\/health$/, async (request, env) => handleHealth(env, { details: true })],
+
+  ["GET", /^\/admin\/config\/routes$/, async (request, env) => {
+    return requireConfig(env) || json({ routes: await listRoutes(env) });
+  }],
+
+  ["GET", new RegExp(`^/admin/config/${DOCUMENT}$`), async (request, env, [doc]) => {
+    const missing = requireConfig(env);
+    if (missing) return missing;
+    const entry = await getDocument(env, doc);
+    return entry ? json(entry) : notFound();
+  }],
+
+  // The body is the document; `If-Match: <version>` refuses to overwrite a newer version
+  ["PUT", new RegExp(`^/admin/config/${DOCUMENT}$`), async (request, env, [doc]) => {
+    const missing = requireConfig(env);
+    if (missing) return missing;
+    const ifMatch = request.headers.get("if-match");
+    const expected = ifMatch === null ? undefined : Number(ifMatch.replace(/"/g, ""));
+    if (Number.isNaN(expected)) return json({ error: "If-Match must be a version number" }, 400);
+    const value = await readJson(request);
+    if (value === null) return json({ error: "Use DELETE to remove a document" }, 400);
+    return json(await saveDocument(env, doc, value, { expected }));
+  }],
+
+  ["DELETE", new RegExp(`^/admin/config/${DOCUMENT}$`), async (request, env, [doc]) => {
+    const missing = requireConfig(env);
+    if (missing) return missing;
+    if (!await getDocument(env, doc)) return notFound();
+    return json(await saveDocument(env, doc, null));
+  }],
+
+  ["GET", new RegExp(`^/admin/config/${DOCUMENT}/versions$`), async (request, env, [doc]) => {
+    return requireConfig(env) || json({ doc, versions: await listVersions(env, doc) });
+  }],
+
+  // { version }: save that version again as the newest one
+  ["POST", new RegExp(`^/admin/config/${DOCUMENT}/rollback$`), async (request, env, [doc]) => {
+    const missing = requireConfig(env);
+    if (missing) return missing;
+    const { version } = (await readJson(request)) ?? {};
+    if (!Number.isInteger(version)) return json({ error: "Body needs a version" }, 400);
+    const entry = await rollbackDocument(env, doc, version);
+    return entry ? json(entry) : json({ error: `Document "${doc}" has no version ${version}` }, 404);
+  }],
+
+  ["GET", /^\/admin$/, async (request, env) => dashboard(env)],
+
+  // The dashboard's forms: action=test or action=preview
+  ["POST", /^\/admin$/, async (request, env) => {
+    const form = Object.fromEntries(await request.formData().catch(() => []));
+    try {
+      if (form.action === "test") {
+        return await dashboard(env, { title: "Test notification", body: await sendTest(env, form) }, form);
+      }
+      if (form.action === "preview") {
+        let payload = form.payload ?? "";
+        try {
+          const data = JSON.parse(payload);
+          if (data && typeof data === "object") payload = data;
+        } catch {
+          // Sent as text
+        }
+        return await dashboard(env, { title: "Preview", body: await previewSample(env, { route: form.route, payload }) }, form);
+      }
+      throw httpError(`Unknown action "${form.action}"`, 400);
+    } catch (error) {
+      if (!error.status) log.error("Dashboard action failed", { action: form.action, error });
+      return dashboard(env, { title: "Error", error: error.message }, form);
+    }
+  }]
+];
+
+export async function handleAdmin(request, env) {
+  if (!env.ADMIN_TOKEN) return notFound();
+
+  const url = new URL(request.url);
+  if (url.pathname === "/admin/login" || url.pathname === "/admin/logout") {
+    return session(request, env, url.pathname);
+  }
+
+  const auth = await verifySession(request, env) ? { ok: true } : await authenticate(request, ADMIN_AUTH, env);
+  if (!auth.ok) {
+    if (url.pathname === "/admin" && request.method === "GET") return loginPage({ status: auth.status });
+    return new Response(auth.reason, {
+      status: auth.status,
+      headers: auth.status === 401 ? { "WWW-Authenticate": "Bearer" } : {}
+    });
+  }
+
+  const matching = routes.filter(([, pattern]) => pattern.test(url.pathname));
+  if (matching.length === 0) return notFound();
+
+  const route = matching.find(([method]) => method === request.method);
+  if (!route) {
+    return new Response("Method not allowed", {
+      status: 405,
+      headers: { Allow: matching.map(([method]) => method).join(", ") }
+    });
+  }
+
+  const [, pattern, handler] = route;
+  try {
+    return await handler(request, env, url.pathname.match(pattern).slice(1), url);
+  } catch (error) {
+    // Errors with a status are the caller's (bad bodies, invalid config)
+    if (error.status) return json({ error: error.message }, error.status);
+    log.error("Admin request failed", { error });
+    return json({ error: error.message }, 500);
+  }
+}
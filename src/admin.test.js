@@ -0,0 +1,368 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleAdmin } from './admin.js';
+import { deadLetter } from './queue.js';
+import { recordHistory, resolveHistoryConfig } from './history.js';
+import { createBreaker, CircuitBreaker } from './circuit.js';
+import { httpError } from './retry.js';
+import { hmacHex } from './auth.js';
+import { memoryKV, memoryQueue, durableNamespace } from '../test/helpers.js';
+
+const admin = (path, { method = 'GET', token = 'admin-secret', body, headers = {} } = {}) => new Request(`https://worker.test${path}`, {
+  method,
+  headers: token ? { Authorization: `Bearer ${token}`, ...headers } : headers,
+  body: body === undefined ? undefined : JSON.stringify(body)
+});
+
+// A browser form post, signed in with the session cookie from /admin/login
+let session;
+const page = (path, fields, cookie = session) => new Request(`https://worker.test${path}`, {
+  method: fields ? 'POST' : 'GET',
+  headers: cookie ? { Cookie: cookie } : {},
+  body: fields ? new URLSearchParams(fields) : undefined
+});
+
+describe('Admin API', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { ADMIN_TOKEN: 'admin-secret', DEAD_LETTERS: memoryKV(), NOTIFY_QUEUE: memoryQueue() };
+  });
+
+  it('should be hidden while ADMIN_TOKEN is unset', async () => {
+    const response = await handleAdmin(admin('/admin/dead-letters'), { DEAD_LETTERS: memoryKV() });
+    expect(response.status).toBe(404);
+  });
+
+  it('should require the admin token', async () => {
+    expect((await handleAdmin(admin('/admin/dead-letters', { token: null }), env)).status).toBe(401);
+    expect((await handleAdmin(admin('/admin/dead-letters', { token: 'wrong' }), env)).status).toBe(403);
+  });
+
+  it('should 404 unknown paths and 405 wrong methods', async () => {
+    expect((await handleAdmin(admin('/admin/nope'), env)).status).toBe(404);
+    const response = await handleAdmin(admin('/admin/dead-letters', { method: 'PUT' }), env);
+    expect(response.status).toBe(405);
+    expect(response.headers.get('Allow')).toBe('GET');
+  });
+
+  it('should report the circuits with their last errors', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    env.CIRCUIT_BREAKER = durableNamespace(CircuitBreaker);
+    const failure = httpError('API returned 503', new Response('', { status: 503 }));
+    for (let i = 0; i < 3; i++) await createBreaker(env).record('model:openrouter/m1', failure);
+
+    const response = await handleAdmin(admin('/admin/health'), env);
+    expect(await response.json()).toMatchObject({
+      status: 'degraded',
+      circuits: [{ key: 'model:openrouter/m1', state: 'open', lastError: 'API returned 503' }]
+    });
+    expect((await handleAdmin(admin('/admin/health', { token: null }), env)).status).toBe(401);
+    log.mockRestore();
+  });
+
+  describe('dead letters', () => {
+    const job = { id: 'j1', route: 'ci', payload: 'x', headers: {} };
+
+    beforeEach(async () => {
+      await deadLetter(env, job, new Error('ntfy failed: 503'));
+    });
+
+    it('should list entries', async () => {
+      const response = await handleAdmin(admin('/admin/dead-letters'), env);
+      const body = await response.json();
+      expect(body.items).toMatchObject([{ id: 'j1', route: 'ci', error: 'ntfy failed: 503' }]);
+    });
+
+    it('should show one entry', async () => {
+      const response = await handleAdmin(admin('/admin/dead-letters/j1'), env);
+      expect(await response.json()).toMatchObject({ id: 'j1', job, error: 'ntfy failed: 503' });
+      expect((await handleAdmin(admin('/admin/dead-letters/nope'), env)).status).toBe(404);
+    });
+
+    it('should replay an entry', async () => {
+      const response = await handleAdmin(admin('/admin/dead-letters/j1/replay', { method: 'POST' }), env);
+      expect(response.status).toBe(202);
+      expect(env.NOTIFY_QUEUE.sent).toHaveLength(1);
+    });
+
+    it('should delete an entry', async () => {
+      const response = await handleAdmin(admin('/admin/dead-letters/j1', { method: 'DELETE' }), env);
+      expect(response.status).toBe(204);
+      expect(env.DEAD_LETTERS.data.size).toBe(0);
+    });
+
+    it('should answer 501 without the KV binding', async () => {
+      const response = await handleAdmin(admin('/admin/dead-letters'), { ADMIN_TOKEN: 'admin-secret' });
+      expect(response.status).toBe(501);
+    });
+  });
+
+  describe('history', () => {
+    const entry = (id, route, notification) => recordHistory(env, resolveHistoryConfig({}, env), {
+      id, route, payload: 'x', data: null, headers: {}, receivedAt: '2026-01-01T00:00:00.000Z'
+    }, { status: notification ? 'sent' : 'duplicate', notification, results: [] });
+
+    beforeEach(async () => {
+      env.HISTORY = memoryKV();
+      env.ROUTES = JSON.stringify({ ci: { topic: 'ci-builds' } });
+      vi.stubGlobal('fetch', vi.fn(async () => Response.json({ id: 'msg-2' })));
+      await entry('h1', 'ci', { title: 'Build failed', message: 'CI is red', priority: 'high', tags: 'x' });
+      await entry('h2', 'ops', null);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should list and filter entries', async () => {
+      const all = await (await handleAdmin(admin('/admin/history'), env)).json();
+      expect(all.items.map(i => i.id).sort()).toEqual(['h1', 'h2']);
+
+      const filtered = await (await handleAdmin(admin('/admin/history?route=ci&q=build'), env)).json();
+      expect(filtered).toMatchObject({ items: [{ id: 'h1', route: 'ci', status: 'sent', title: 'Build failed' }], cursor: null });
+    });
+
+    it('should show one entry', async () => {
+      const response = await handleAdmin(admin('/admin/history/h1'), env);
+      expect(await response.json()).toMatchObject({ id: 'h1', route: 'ci', payload: 'x', notification: { title: 'Build failed' } });
+      expect((await handleAdmin(admin('/admin/history/nope'), env)).status).toBe(404);
+    });
+
+    it('should resend an entry to ntfy', async () => {
+      const response = await handleAdmin(admin('/admin/history/h1/resend', { method: 'POST' }), env);
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ id: 'h1', status: 'sent', results: [{ target: 'ntfy', messageId: 'msg-2' }] });
+      expect(fetch).toHaveBeenCalledWith('https://ntfy.sh/ci-builds', expect.anything());
+    });
+
+    it('should answer 409 when there is nothing to resend', async () => {
+      const response = await handleAdmin(admin('/admin/history/h2/resend', { method: 'POST' }), env);
+      expect(response.status).toBe(409);
+      expect(await response.json()).toEqual({ error: 'Entry has no notification to resend' });
+    });
+
+    it('should answer 501 without the KV binding', async () => {
+      const response = await handleAdmin(admin('/admin/history'), { ADMIN_TOKEN: 'admin-secret' });
+      expect(response.status).toBe(501);
+    });
+  });
+
+  describe('rules dry run', () => {
+    const dryRun = body => handleAdmin(admin('/admin/rules/dry-run', { method: 'POST', body }), env);
+
+    beforeEach(() => {
+      env.OPENROUTER_API_KEY = 'k';
+      env.RULES = JSON.stringify([{ name: 'quiet cron', match: { headers: { 'user-agent': { pattern: 'cron' } } }, maxPriority: 'low' }]);
+      env.ROUTES = JSON.stringify({
+        alerts: {
+          topic: 'alerts',
+          rules: [{ name: 'prod', match: { json: { 'alerts.*.labels.env': 'prod' } }, priority: 'urgent', titlePrefix: '[PROD] ' }]
+        }
+      });
+      vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should show which rules match a sample without delivering it', async () => {
+      const response = await dryRun({
+        route: 'alerts',
+        payload: { alerts: [{ labels: { env: 'prod' } }] },
+        notification: { title: 'Disk full', message: 'db-1 is at 99%', priority: 'high' }
+      });
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        route: 'alerts',
+        formatter: { type: 'given' },
+        notification: { title: 'Disk full', priority: 'high' },
+        result: { title: '[PROD] Disk full', priority: 'urgent' },
+        dropped: false,
+        rules: [
+          { rule: 'quiet cron', matched: false, failed: 'headers.user-agent' },
+          { rule: 'prod', matched: true }
+        ]
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should format the sample when no notification is given', async () => {
+      const response = await dryRun({
+        payload: { msg: 'down', heartbeat: { status: 0, msg: 'timeout' }, monitor: { name: 'API' } },
+        headers: { 'User-Agent': 'cron-runner/1.0' }
+      });
+      const body = await response.json();
+
+      expect(body.formatter).toEqual({ type: 'parser', parser: 'uptime-kuma' });
+      expect(body.result.priority).toBe('low');
+      expect(body.rules).toEqual([{ rule: 'quiet cron', matched: true }]);
+    });
+
+    it('should reject bad samples and unknown routes', async () => {
+      expect((await dryRun({ route: 'alerts' })).status).toBe(400);
+      expect((await dryRun({ route: 'nope', payload: 'x' })).status).toBe(404);
+    });
+  });
+
+  describe('configuration', () => {
+    const put = (doc, body, headers) => handleAdmin(admin(`/admin/config/${doc}`, { method: 'PUT', body, headers }), env);
+
+    beforeEach(() => {
+      env.ROUTES_KV = memoryKV();
+      env.OPENROUTER_API_KEY = 'k';
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should save, show and list routes', async () => {
+      const response = await put('routes/ci', { topic: 'ci-builds', response: 'json' });
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ doc: 'routes/ci', version: 1, value: { topic: 'ci-builds' } });
+
+      expect(await (await handleAdmin(admin('/admin/config/routes/ci'), env)).json()).toMatchObject({ version: 1, value: { topic: 'ci-builds' } });
+      expect(await (await handleAdmin(admin('/admin/config/routes'), env)).json()).toEqual({ routes: [{ name: 'ci', source: 'kv' }] });
+      expect((await handleAdmin(admin('/admin/config/routes/nope'), env)).status).toBe(404);
+    });
+
+    it('should answer invalid documents with the reason', async () => {
+      const response = await put('models', { models: ['a'], temperature: 2 });
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: expect.stringContaining('Models has an unknown field "temperature"') });
+      expect((await put('rules', [], { 'If-Match': 'latest' })).status).toBe(400);
+    });
+
+    it('should version, roll back and delete documents', async () => {
+      await put('rules', [{ name: 'cap', match: {}, maxPriority: 'high' }]);
+      expect((await put('rules', [], { 'If-Match': '"1"' })).status).toBe(200);
+      expect((await put('rules', [], { 'If-Match': '1' })).status).toBe(409);
+
+      const versions = await (await handleAdmin(admin('/admin/config/rules/versions'), env)).json();
+      expect(versions.versions.map(v => v.version)).toEqual([2, 1]);
+
+      const rollback = await handleAdmin(admin('/admin/config/rules/rollback', { method: 'POST', body: { version: 1 } }), env);
+      expect(await rollback.json()).toMatchObject({ version: 3, value: [{ name: 'cap' }] });
+      expect((await handleAdmin(admin('/admin/config/rules/rollback', { method: 'POST', body: { version: 7 } }), env)).status).toBe(404);
+
+      const deleted = await handleAdmin(admin('/admin/config/rules', { method: 'DELETE' }), env);
+      expect(await deleted.json()).toMatchObject({ version: 4, value: null });
+      expect((await handleAdmin(admin('/admin/config/rules', { method: 'DELETE' }), env)).status).toBe(404);
+    });
+
+    it('should apply stored rules to the dry run', async () => {
+      await put('routes/alerts', { topic: 'alerts' });
+      await put('rules', [{ name: 'cap', match: {}, maxPriority: 'low' }]);
+
+      const response = await handleAdmin(admin('/admin/rules/dry-run', {
+        method: 'POST',
+        body: { route: 'alerts', payload: 'x', notification: { title: 'Disk full', message: 'db-1', priority: 'urgent' } }
+      }), env);
+      expect((await response.json()).result.priority).toBe('low');
+    });
+
+    it('should answer 501 without the KV binding', async () => {
+      delete env.ROUTES_KV;
+      expect((await put('rules', [])).status).toBe(501);
+    });
+  });
+
+  describe('test notifications and dashboard', () => {
+    beforeEach(async () => {
+      env.HISTORY = memoryKV();
+      env.ROUTES = JSON.stringify({ ci: { topic: 'ci-builds' } });
+      vi.stubGlobal('fetch', vi.fn(async () => Response.json({ id: 'msg-1' })));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const login = await handleAdmin(page('/admin/login', { token: 'admin-secret' }, null), env);
+      session = login.headers.get('Set-Cookie').split(';')[0];
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('should send a test notification without a model', async () => {
+      const response = await handleAdmin(admin('/admin/test', { method: 'POST', body: { route: 'ci', message: 'Hello', priority: 'high' } }), env);
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({
+        route: 'ci',
+        status: 'sent',
+        formatter: { type: 'raw' },
+        notification: { title: 'Test notification', message: 'Hello', priority: 'high', tags: 'test_tube' }
+      });
+      expect(fetch).toHaveBeenCalledWith('https://ntfy.sh/ci-builds', expect.anything());
+      expect((await handleAdmin(admin('/admin/test', { method: 'POST', body: { priority: 'loud' } }), env)).status).toBe(400);
+      expect((await handleAdmin(admin('/admin/test', { method: 'POST', body: { route: 'nope' } }), env)).status).toBe(404);
+    });
+
+    it('should sign in with the admin token and out again', async () => {
+      expect(await (await handleAdmin(page('/admin', null, null), env)).text()).toContain('action="/admin/login"');
+
+      const wrong = await handleAdmin(page('/admin/login', { token: 'guess' }, null), env);
+      expect(wrong.status).toBe(403);
+      expect(wrong.headers.get('Set-Cookie')).toBeNull();
+
+      const login = await handleAdmin(page('/admin/login', { token: 'admin-secret' }, null), env);
+      expect(login.status).toBe(303);
+      expect(login.headers.get('Location')).toBe('/admin');
+      const cookie = login.headers.get('Set-Cookie');
+      expect(cookie).toMatch(/^admin_session=\d+\.[0-9a-f]{64}; Path=\/admin; Max-Age=43200; HttpOnly; Secure; SameSite=Strict$/);
+      expect(cookie).not.toContain('admin-secret');
+
+      // The cookie opens the API to the browser as well
+      expect((await handleAdmin(page('/admin/history', null, cookie.split(';')[0]), env)).status).toBe(200);
+      const logout = await handleAdmin(page('/admin/logout', {}), env);
+      expect(logout.headers.get('Set-Cookie')).toContain('admin_session=; Path=/admin; Max-Age=0');
+    });
+
+    it('should only accept unexpired sessions signed with the current token', async () => {
+      const signed = async (expires, token = 'admin-secret') =>
+        `admin_session=${expires}.${await hmacHex(token, `admin-session:${expires}`)}`;
+      const now = Math.floor(Date.now() / 1000);
+
+      expect((await handleAdmin(page('/admin/history', null, await signed(now + 60)), env)).status).toBe(200);
+      expect((await handleAdmin(page('/admin/history', null, await signed(now - 1)), env)).status).toBe(401);
+      expect((await handleAdmin(page('/admin/history', null, await signed(now + 60, 'old-token')), env)).status).toBe(401);
+      expect((await handleAdmin(page('/admin/history', null, `admin_session=${now + 60}.00`), env)).status).toBe(401);
+      // The token itself is no session
+      expect((await handleAdmin(page('/admin/history', null, 'admin_session=admin-secret'), env)).status).toBe(401);
+      expect(await (await handleAdmin(page('/admin', null, await signed(now - 1)), env)).text()).toContain('action="/admin/login"');
+    });
+
+    it('should list recent deliveries with their titles escaped', async () => {
+      await recordHistory(env, resolveHistoryConfig({}, env), {
+        id: 'h1', route: 'ci', payload: 'x', data: null, headers: {}, receivedAt: '2026-01-01T00:00:00.000Z'
+      }, { status: 'sent', notification: { title: '<b>Build</b> failed', message: 'm', priority: 'high', tags: 'x' }, results: [] });
+
+      const response = await handleAdmin(page('/admin'), env);
+      const body = await response.text();
+
+      expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+      expect(body).toContain('&#60;b&#62;Build&#60;/b&#62; failed');
+      expect(body).not.toContain('<b>Build');
+      expect(body).toContain('<a href="/admin/history/h1">h1</a>');
+      expect(body).toContain('<option selected>default</option><option>ci</option>');
+    });
+
+    it('should send and preview from the page', async () => {
+      const sent = await (await handleAdmin(page('/admin', { action: 'test', route: 'ci', title: 'Ping', priority: 'low', message: '' }), env)).text();
+      expect(sent).toContain('&#34;status&#34;: &#34;sent&#34;');
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      const payload = JSON.stringify({ msg: 'down', heartbeat: { status: 0, msg: 'timeout' }, monitor: { name: 'API' } });
+      const preview = await (await handleAdmin(page('/admin', { action: 'preview', route: 'ci', payload }), env)).text();
+      expect(preview).toContain('&#34;parser&#34;: &#34;uptime-kuma&#34;');
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      const failed = await handleAdmin(page('/admin', { action: 'preview', route: 'nope', payload: 'x' }), env);
+      expect(failed.status).toBe(400);
+      expect(await failed.text()).toContain('Unknown route &#34;nope&#34;');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Inbound authentication for webhook routes.
+ *
+ * A route opts in with an `auth` entry (or a list of entries, any of which may
+ * pass):
+ *   { "type": "bearer", "secret": "..." }            Authorization: Bearer <secret>
+ *   { "type": "query", "secretEnv": "CI_KEY" }       ?key=<secret>
+ *   { "type": "github", "secret": "..." }            X-Hub-Signature-256
+ *   { "type": "stripe", "secret": "whsec_..." }      Stripe-Signature
+ *   { "type": "hmac", "secret": "...", "header": "X-Signature" }
+ *
+ * `secretEnv` names an env var/secret to read instead of inlining `secret`.
+ * Missing credentials yield 401, wrong credentials 403.
+ */
+
+const encoder = new TextEncoder();
+
+// Stripe's recommended replay window
+const STRIPE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Compare two strings without short-circuiting on the first difference.
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i % (b.length || 1));
+  }
+  return diff === 0;
+}
+
+/**
+ * Hex HMAC of a string (as UTF-8) or of raw bytes.
+ */
+export async function hmacHex(secret, data, hash = "SHA-256") {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash },
+    false,
+    ["sign"]
+  );
+  const sig = await crypto.subtle.sign("HMAC", key, typeof data === "string" ? encoder.encode(data) : data);
+  return [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The value of one cookie from a Cookie header, or null.
+ */
+export function readCookie(header, name) {
+  for (const pair of (header || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+const missing = reason => ({ ok: false, status: 401, reason });
+const invalid = reason => ({ ok: false, status: 403, reason });
+const PASS = { ok: true };
+
+export const verifiers = {
+  async bearer({ request, secret }) {
+    const header = request.headers.get("authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return missing("Missing bearer token");
+    return timingSafeEqual(match[1].trim(), secret) ? PASS : invalid("Invalid bearer token");
+  },
+
+  async query({ url, secret }) {
+    const key = url.searchParams.get("key");
+    if (!key) return missing("Missing key parameter");
+    return timingSafeEqual(key, secret) ? PASS : invalid("Invalid key parameter");
+  },
+
+  async github({ request, body, secret }) {
+    const header = request.headers.get("x-hub-signature-256");
+    if (!header) return missing("Missing X-Hub-Signature-256");
+    const expected = `sha256=${await hmacHex(secret, await body())}`;
+    return timingSafeEqual(header.toLowerCase(), expected) ? PASS : invalid("Invalid GitHub signature");
+  },
+
+  async stripe({ request, body, secret, config }) {
+    const header = request.headers.get("stripe-signature");
+    if (!header) return missing("Missing Stripe-Signature");
+
+    const parts = header.split(",").map(p => p.trim().split("="));
+    const timestamp = parts.find(([k]) => k === "t")?.[1];
+    const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+    if (!timestamp || signatures.length === 0) return invalid("Malformed Stripe-Signature");
+
+    const tolerance = config.tolerance ?? STRIPE_TOLERANCE_SECONDS;
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!Number.isFinite(age) || age > tolerance) {
+      return invalid("Stripe signature timestamp outside tolerance");
+    }
+
+    const prefix = encoder.encode(`${timestamp}.`);
+    const raw = new Uint8Array(await body());
+    const payload = new Uint8Array(prefix.length + raw.length);
+    payload.set(prefix);
+    payload.set(raw, prefix.length);
+    const expected = await hmacHex(secret, payload);
+    return signatures.some(sig => timingSafeEqual(sig, expected)) ? PASS : invalid("Invalid Stripe signature");
+  },
+
+  async hmac({ request, body, secret, config }) {
+    const headerName = config.header || "X-Signature";
+    const header = request.headers.get(headerName);
+    if (!header) return missing(`Missing ${headerName}`);
+
+    const hash = config.algorithm || "SHA-256";
+    const expected = await hmacHex(secret, await body(), hash);
+    const provided = header.replace(/^sha\d+=/i, "").trim().toLowerCase();
+    return timingSafeEqual(provided, expected) ? PASS : invalid("Invalid signature");
+  }
+};
+
+function resolveSecret(config, env) {
+  const secret = config.secretEnv ? env[config.secretEnv] : config.secret;
+  if (!secret) {
+    throw new Error(`Auth "${config.type}" has no secret configured`);
+  }
+  return secret;
+}
+
+/**
+ * Check a request against the route's auth config.
+ * Resolves to { ok: true } or { ok: false, status, reason }.
+ * Throws on misconfiguration (unknown type, missing secret).
+ */
+export async function authenticate(request, route, env) {
+  if (!route.auth) return PASS;
+
+  const configs = Array.isArray(route.auth) ? route.auth : [route.auth];
+  const url = new URL(request.url);
+
+  // Signature verifiers need the exact raw bytes, binary uploads too; read them at most once
+  let rawBody;
+  const body = async () => (rawBody ??= await request.clone().arrayBuffer());
+
+  let failure = null;
+  for (const config of configs) {
+    const verify = verifiers[config.type];
+    if (!verify) throw new Error(`Unknown auth type "${config.type}"`);
+
+    const secret = resolveSecret(config, env);
+    const result = await verify({ request, url, body, secret, config });
+    if (result.ok) return PASS;
+
+    // Prefer reporting bad credentials over absent ones
+    if (!failure || result.status === 403) failure = result;
+  }
+
+  return failure;
+}
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import { authenticate, hmacHex, readCookie, timingSafeEqual } from './auth.js';
+
+const body = '{"action":"completed"}';
+
+const request = (headers = {}, url = 'https://worker.test/t/ci') =>
+  new Request(url, { method: 'POST', headers, body });
+
+describe('Inbound Auth', () => {
+  describe('timingSafeEqual', () => {
+    it('should compare strings', () => {
+      expect(timingSafeEqual('abc', 'abc')).toBe(true);
+      expect(timingSafeEqual('abc', 'abd')).toBe(false);
+      expect(timingSafeEqual('abc', 'abcd')).toBe(false);
+      expect(timingSafeEqual('', '')).toBe(true);
+    });
+  });
+
+  it('should pass routes without auth config', async () => {
+    expect(await authenticate(request(), { name: 'open' }, {})).toEqual({ ok: true });
+  });
+
+  describe('bearer', () => {
+    const route = { auth: { type: 'bearer', secret: 's3cret' } };
+
+    it('should accept the shared token', async () => {
+      const result = await authenticate(request({ Authorization: 'Bearer s3cret' }), route, {});
+      expect(result.ok).toBe(true);
+    });
+
+    it('should return 401 when the token is missing', async () => {
+      expect(await authenticate(request(), route, {})).toMatchObject({ ok: false, status: 401 });
+    });
+
+    it('should return 403 when the token is wrong', async () => {
+      const result = await authenticate(request({ Authorization: 'Bearer nope' }), route, {});
+      expect(result).toMatchObject({ ok: false, status: 403 });
+    });
+
+    it('should read the secret from env via secretEnv', async () => {
+      const envRoute = { auth: { type: 'bearer', secretEnv: 'CI_TOKEN' } };
+      const result = await authenticate(request({ Authorization: 'Bearer abc' }), envRoute, { CI_TOKEN: 'abc' });
+      expect(result.ok).toBe(true);
+    });
+  });
+
+  describe('query', () => {
+    const route = { auth: { type: 'query', secret: 'k1' } };
+
+    it('should accept a matching ?key=', async () => {
+      const result = await authenticate(request({}, 'https://worker.test/t/ci?key=k1'), route, {});
+      expect(result.ok).toBe(true);
+    });
+
+    it('should reject a missing or wrong key', async () => {
+      expect((await authenticate(request(), route, {})).status).toBe(401);
+      expect((await authenticate(request({}, 'https://worker.test/t/ci?key=k2'), route, {})).status).toBe(403);
+    });
+  });
+
+  describe('github', () => {
+    const route = { auth: { type: 'github', secret: 'gh-secret' } };
+
+    it('should verify X-Hub-Signature-256', async () => {
+      const sig = `sha256=${await hmacHex('gh-secret', body)}`;
+      const result = await authenticate(request({ 'X-Hub-Signature-256': sig }), route, {});
+      expect(result.ok).toBe(true);
+    });
+
+    it('should reject a signature made with another secret', async () => {
+      const sig = `sha256=${await hmacHex('other', body)}`;
+      const result = await authenticate(request({ 'X-Hub-Signature-256': sig }), route, {});
+      expect(result.status).toBe(403);
+    });
+
+    it('should return 401 without a signature header', async () => {
+      expect((await authenticate(request(), route, {})).status).toBe(401);
+    });
+  });
+
+  describe('stripe', () => {
+    const route = { auth: { type: 'stripe', secret: 'whsec_test' } };
+    const now = () => Math.floor(Date.now() / 1000);
+
+    it('should verify Stripe-Signature', async () => {
+      const t = now();
+      const sig = await hmacHex('whsec_test', `${t}.${body}`);
+      const result = await authenticate(request({ 'Stripe-Signature': `t=${t},v1=bogus,v1=${sig}` }), route, {});
+      expect(result.ok).toBe(true);
+    });
+
+    it('should reject stale timestamps', async () => {
+      const t = now() - 3600;
+      const sig = await hmacHex('whsec_test', `${t}.${body}`);
+      const result = await authenticate(request({ 'Stripe-Signature': `t=${t},v1=${sig}` }), route, {});
+      expect(result).toMatchObject({ status: 403, reason: expect.stringContaining('tolerance') });
+    });
+
+    it('should reject malformed headers', async () => {
+      const result = await authenticate(request({ 'Stripe-Signature': 'garbage' }), route, {});
+      expect(result.status).toBe(403);
+    });
+  });
+
+  describe('hmac', () => {
+    it('should verify the generic X-Signature header', async () => {
+      const route = { auth: { type: 'hmac', secret: 'shh' } };
+      const sig = await hmacHex('shh', body);
+      expect((await authenticate(request({ 'X-Signature': sig }), route, {})).ok).toBe(true);
+      expect((await authenticate(request({ 'X-Signature': `sha256=${sig}` }), route, {})).ok).toBe(true);
+      expect((await authenticate(request({ 'X-Signature': 'deadbeef' }), route, {})).status).toBe(403);
+    });
+
+    it('should support a custom header and algorithm', async () => {
+      const route = { auth: { type: 'hmac', secret: 'shh', header: 'X-Webhook-Sig', algorithm: 'SHA-1' } };
+      const sig = await hmacHex('shh', body, 'SHA-1');
+      expect((await authenticate(request({ 'X-Webhook-Sig': sig }), route, {})).ok).toBe(true);
+    });
+
+    it('should sign the raw bytes of binary uploads', async () => {
+      const route = { auth: { type: 'hmac', secret: 'shh' } };
+      const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0xfe, 0x00, 0x80]);
+      const upload = headers => new Request('https://worker.test/t/ci', {
+        method: 'POST',
+        headers: { 'Content-Type': 'image/png', ...headers },
+        body: png
+      });
+
+      expect((await authenticate(upload({ 'X-Signature': await hmacHex('shh', png) }), route, {})).ok).toBe(true);
+      // A signature over the UTF-8 decoding of the bytes no longer matches
+      const decoded = new TextDecoder().decode(png);
+      expect((await authenticate(upload({ 'X-Signature': await hmacHex('shh', decoded) }), route, {})).status).toBe(403);
+    });
+  });
+
+  describe('readCookie', () => {
+    it('should read the named cookie', () => {
+      expect(readCookie('theme=dark; session=a%20b', 'session')).toBe('a b');
+      expect(readCookie('theme=dark', 'session')).toBeNull();
+      expect(readCookie('session=%E0%A4%A', 'session')).toBeNull();
+      expect(readCookie(null, 'session')).toBeNull();
+    });
+  });
+
+  describe('multiple methods', () => {
+    const route = { auth: [{ type: 'bearer', secret: 'a' }, { type: 'query', secret: 'b' }] };
+
+    it('should pass when any method passes', async () => {
+      const result = await authenticate(request({}, 'https://worker.test/t/ci?key=b'), route, {});
+      expect(result.ok).toBe(true);
+    });
+
+    it('should prefer 403 over 401 when credentials were presented', async () => {
+      const result = await authenticate(request({ Authorization: 'Bearer wrong' }), route, {});
+      expect(result.status).toBe(403);
+    });
+  });
+
+  describe('misconfiguration', () => {
+    it('should throw for unknown types and missing secrets', async () => {
+      await expect(authenticate(request(), { auth: { type: 'magic', secret: 'x' } }, {})).rejects.toThrow('Unknown auth type');
+      await expect(authenticate(request(), { auth: { type: 'bearer', secretEnv: 'NOPE' } }, {})).rejects.toThrow('no secret');
+    });
+  });
+
+  it('should leave the request body readable', async () => {
+    const req = request({ 'X-Signature': await hmacHex('shh', body) });
+    await authenticate(req, { auth: { type: 'hmac', secret: 'shh' } }, {});
+    expect(await req.text()).toBe(body);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Batch submissions: `POST /batch` (default route) or `POST /t/<route>/batch`
+ * with a JSON array of payloads. Strings are treated as text payloads, any
+ * other value as a JSON payload. Sender overrides in the headers and query
+ * apply to every item. Items are formatted and published with bounded
+ * concurrency and answered with one JSON report per item, in input order.
+ *
+ * Limits come from the route's `batch` settings, then env vars:
+ *   { "batch": { "concurrency": 4, "maxItems": 100, "maxInline": 10 } }
+ *   BATCH_CONCURRENCY, BATCH_MAX_ITEMS, BATCH_MAX_INLINE
+ * Each item costs about ten subrequests (dedupe gate, circuit breaker, model,
+ * ntfy, history and metrics), so only `maxInline` items are processed within
+ * the request; larger batches are enqueued, one subrequest per item, and need
+ * the NOTIFY_QUEUE binding.
+ */
+
+import { createJob, prepareJob, processJob } from "./pipeline.js";
+import { resolveTrimConfig } from "./trim.js";
+import { wantsAsync, enqueueJob } from "./queue.js";
+import { jobReport, errorResponse } from "./report.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { parseOverrides } from "./overrides.js";
+import { senderCorrelation } from "./threads.js";
+import { toPositive } from "./routing.js";
+import { log } from "./log.js";
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ITEMS = 100;
+// Keeps an inline batch within the Workers subrequest limit
+const DEFAULT_MAX_INLINE = 10;
+
+// Item statuses that count as handled for the overall response status
+const OK_STATUSES = new Set(["sent", "duplicate", "dropped", "held", "queued"]);
+
+// Item counts are whole numbers; below one the default applies
+const count = (value, fallback) => Math.floor(toPositive(value) ?? 0) || fallback;
+
+export function resolveBatchConfig(route, env) {
+  const settings = route.batch || {};
+  return {
+    concurrency: count(settings.concurrency ?? env.BATCH_CONCURRENCY, DEFAULT_CONCURRENCY),
+    maxItems: count(settings.maxItems ?? env.BATCH_MAX_ITEMS, DEFAULT_MAX_ITEMS),
+    maxInline: count(settings.maxInline ?? env.BATCH_MAX_INLINE, DEFAULT_MAX_INLINE)
+  };
+}
+
+function itemPayload(item) {
+  if (typeof item === "string") return { payload: item, data: null };
+  if (item === null || item === undefined) return { payload: "", data: null };
+  return { payload: JSON.stringify(item, null, 2), data: item };
+}
+
+async function runItem({ request, routeName, route, env, url, overrides, async }, item, index) {
+  const { payload, data } = itemPayload(item);
+  if (!payload) return { index, status: "error", error: "No data" };
+
+  const job = createJob({ request, routeName, payload, data, url, overrides });
+  try {
+    const prepared = prepareJob(job, route, env);
+    if (async) {
+      await enqueueJob(env, job);
+      return { index, id: job.id, route: job.route, status: "queued" };
+    }
+    return { index, ...jobReport(job, await processJob(job, route, env, prepared)) };
+  } catch (error) {
+    log.error("Batch item failed", { index, jobId: job.id, error });
+    return { index, id: job.id, route: job.route, status: "error", error: error.message };
+  }
+}
+
+/**
+ * Handle an authenticated batch request for a resolved route.
+ */
+export async function handleBatch(request, { routeName, route, env, url }) {
+  // 1. Parse the array of payloads
+  let items;
+  try {
+    items = await request.json();
+  } catch {
+    return errorResponse(true, 400, "Bad body");
+  }
+  if (!Array.isArray(items)) {
+    return errorResponse(true, 400, "Batch body must be a JSON array");
+  }
+  if (items.length === 0) return errorResponse(true, 400, "No data");
+
+  const { concurrency, maxItems, maxInline } = resolveBatchConfig(route, env);
+  if (items.length > maxItems) {
+    return errorResponse(true, 413, `Batch too large (max ${maxItems} items)`);
+  }
+  if (items.length > maxInline && !env.NOTIFY_QUEUE) {
+    return errorResponse(true, 413, `Batch too large to process inline (max ${maxInline} items without NOTIFY_QUEUE)`);
+  }
+  const async = items.length > maxInline || wantsAsync(route, url, env);
+
+  // 1a. Sender overrides (and a correlation id) and ?trim= apply to every item, so they are checked once
+  let overrides;
+  try {
+    overrides = parseOverrides({ headers: request.headers, params: url.searchParams }, route);
+    senderCorrelation(request.headers);
+    if (url.searchParams.has("trim")) resolveTrimConfig(route, env, { trim: url.searchParams.get("trim") });
+  } catch (error) {
+    return errorResponse(true, 400, error.message);
+  }
+
+  // 2. Format and deliver (or enqueue) each item
+  const context = { request, routeName, route, env, url, overrides, async };
+  const results = await mapWithConcurrency(items, concurrency, (item, index) => runItem(context, item, index));
+
+  // 3. 200 when every item went through, 207 otherwise
+  const allOk = results.every(r => OK_STATUSES.has(r.status));
+  const status = !allOk ? 207 : context.async ? 202 : 200;
+  return Response.json({ items: results }, { status });
+}
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveBatchConfig, handleBatch } from './batch.js';
+import { memoryQueue } from '../test/helpers.js';
+
+const route = { name: 'ci', server: 'https://ntfy.sh', topic: 'ci', token: null };
+
+describe('Batch Processing', () => {
+  let env;
+  let fetchMock;
+
+  // Raw items skip the model, so every fetch is a publish
+  const batch = (items, query = '?raw=true') => {
+    const url = new URL(`https://worker.test/t/ci/batch${query}`);
+    const request = new Request(url, { method: 'POST', body: JSON.stringify(items) });
+    return handleBatch(request, { routeName: 'ci', route, env, url });
+  };
+
+  beforeEach(() => {
+    env = {};
+    fetchMock = vi.fn(async () => new Response('{}'));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('resolveBatchConfig', () => {
+    it('should prefer route settings, then env, then defaults', () => {
+      expect(resolveBatchConfig({}, {})).toEqual({ concurrency: 4, maxItems: 100, maxInline: 10 });
+      expect(resolveBatchConfig({}, { BATCH_CONCURRENCY: '8', BATCH_MAX_ITEMS: '10', BATCH_MAX_INLINE: '5' }))
+        .toEqual({ concurrency: 8, maxItems: 10, maxInline: 5 });
+      expect(resolveBatchConfig({ batch: { concurrency: 1 } }, { BATCH_CONCURRENCY: '8' }).concurrency).toBe(1);
+      expect(resolveBatchConfig({ batch: { concurrency: 0 } }, {}).concurrency).toBe(4);
+    });
+  });
+
+  describe('handleBatch', () => {
+    it('should answer one report per item in input order', async () => {
+      const response = await batch(['first', { build: 2 }, 'third']);
+      const { items } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(items.map(i => [i.index, i.status, i.notification.message])).toEqual([
+        [0, 'sent', 'first'],
+        [1, 'sent', '{\n  "build": 2\n}'],
+        [2, 'sent', 'third']
+      ]);
+      expect(new Set(items.map(i => i.id)).size).toBe(3);
+    });
+
+    it('should run at most BATCH_CONCURRENCY items at a time', async () => {
+      env.BATCH_CONCURRENCY = '2';
+      let running = 0;
+      let most = 0;
+      fetchMock.mockImplementation(async () => {
+        most = Math.max(most, ++running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return new Response('{}');
+      });
+
+      await batch(['a', 'b', 'c', 'd', 'e']);
+      expect(fetchMock).toHaveBeenCalledTimes(5);
+      expect(most).toBe(2);
+    });
+
+    it('should report a partial failure with 207', async () => {
+      fetchMock.mockImplementation(async (url, init) =>
+        init.body === 'bad' ? new Response('nope', { status: 400 }) : new Response('{}'));
+
+      const response = await batch(['good', 'bad', '']);
+      const { items } = await response.json();
+
+      expect(response.status).toBe(207);
+      expect(items.map(i => i.status)).toEqual(['sent', 'failed', 'error']);
+      expect(items[1].results[0]).toMatchObject({ target: 'ntfy', ok: false });
+      expect(items[2].error).toBe('No data');
+    });
+
+    it('should check ?trim= once for the whole batch', async () => {
+      const response = await batch(['a', 'b'], '?trim=nope');
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: expect.stringContaining('Unknown trim rule set "nope"') });
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should enqueue batches over the inline limit, or refuse them without a queue', async () => {
+      const items = Array.from({ length: 11 }, (_, i) => `item ${i}`);
+      expect((await batch(items)).status).toBe(413);
+
+      env.NOTIFY_QUEUE = memoryQueue();
+      const response = await batch(items);
+      expect(response.status).toBe(202);
+      expect(env.NOTIFY_QUEUE.sent).toHaveLength(11);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+});
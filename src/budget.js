@@ -0,0 +1,102 @@
+/**
+ * Size-aware helpers for fitting large payloads into a model's context.
+ *
+ * Token counts are estimated at ~4 characters per token, which is close
+ * enough for English text, logs and JSON to pick a strategy.
+ */
+
+export const CHARS_PER_TOKEN = 4;
+
+// Lines worth keeping from the middle of a log that has to be cut
+const ERROR_LINE = /\b(?:error|fail(?:ed|ure|ing)?|fatal|exception|panic|traceback|denied|refused|timed? ?out|abort(?:ed)?|critical|segfault)\b|\berr!|✗|✖|❌/i;
+
+const HEAD_SHARE = 0.25;
+const TAIL_SHARE = 0.5;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+const omitted = count => `[... ${count} line${count === 1 ? "" : "s"} omitted ...]`;
+
+// Whole lines from the start (or end) of `lines` within `budget` characters
+function takeLines(lines, budget, fromEnd = false) {
+  const taken = [];
+  let used = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[fromEnd ? lines.length - 1 - i : i];
+    if (used + line.length + 1 > budget) break;
+    taken.push(line);
+    used += line.length + 1;
+  }
+  return fromEnd ? taken.reverse() : taken;
+}
+
+/**
+ * Cut text down to `maxChars`, keeping the head, the tail (where logs usually
+ * say what went wrong) and error lines from the middle.
+ */
+export function condense(text, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const lines = text.split("\n");
+  const reserve = 80; // room for the omission markers
+  const budget = Math.max(maxChars - reserve, 0);
+  const head = takeLines(lines, budget * HEAD_SHARE);
+  const tail = takeLines(lines.slice(head.length), budget * TAIL_SHARE, true);
+
+  // Too few line breaks to cut on (minified JSON, one huge line): cut characters
+  if (head.length + tail.length === 0) {
+    const headChars = Math.floor(budget * (1 - TAIL_SHARE));
+    return `${text.slice(0, headChars)}\n[...]\n${text.slice(text.length - (budget - headChars))}`;
+  }
+
+  const middle = lines.slice(head.length, lines.length - tail.length);
+  const errorBudget = budget - [...head, ...tail].reduce((sum, line) => sum + line.length + 1, 0);
+  const errors = takeLines(middle.filter(line => ERROR_LINE.test(line)), errorBudget);
+
+  const parts = [...head];
+  if (errors.length > 0) {
+    // Keep the error lines in place, marking the gaps between them
+    let last = -1;
+    let next = 0;
+    middle.forEach((line, i) => {
+      if (line !== errors[next]) return;
+      if (i - last > 1) parts.push(omitted(i - last - 1));
+      parts.push(line);
+      last = i;
+      next++;
+    });
+    if (middle.length - 1 - last > 0) parts.push(omitted(middle.length - 1 - last));
+  } else if (middle.length > 0) {
+    parts.push(omitted(middle.length));
+  }
+  parts.push(...tail);
+
+  return parts.join("\n");
+}
+
+/**
+ * Split text into chunks of at most `maxChars`, on line breaks where possible.
+ */
+export function splitChunks(text, maxChars) {
+  const chunks = [];
+  let current = "";
+
+  for (let line of text.split("\n")) {
+    while (line.length > maxChars) {
+      if (current) chunks.push(current);
+      current = "";
+      chunks.push(line.slice(0, maxChars));
+      line = line.slice(maxChars);
+    }
+    if (current && current.length + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = line;
+    } else {
+      current = current ? `${current}\n${line}` : line;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
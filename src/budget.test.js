@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTokens, condense, splitChunks } from './budget.js';
+
+const log = Array.from({ length: 400 }, (_, i) => `step ${i}: ok`);
+
+describe('Input Budget', () => {
+  it('should estimate about four characters per token', () => {
+    expect(estimateTokens('a'.repeat(400))).toBe(100);
+  });
+
+  describe('condense', () => {
+    it('should leave short text alone', () => {
+      expect(condense('short', 100)).toBe('short');
+    });
+
+    it('should keep the head, the tail and error lines from the middle', () => {
+      const lines = [...log];
+      lines[200] = 'npm ERR! missing script: build';
+      const out = condense(lines.join('\n'), 1000);
+
+      expect(out.length).toBeLessThanOrEqual(1000);
+      expect(out.startsWith('step 0: ok')).toBe(true);
+      expect(out.endsWith('step 399: ok')).toBe(true);
+      expect(out).toContain('npm ERR! missing script: build');
+      expect(out).toMatch(/\[\.\.\. \d+ lines omitted \.\.\.\]\nnpm ERR!/);
+    });
+
+    it('should cut characters when there are no lines to cut on', () => {
+      const out = condense(`start${'x'.repeat(5000)}end`, 500);
+      expect(out.length).toBeLessThanOrEqual(500);
+      expect(out.startsWith('start')).toBe(true);
+      expect(out.endsWith('end')).toBe(true);
+    });
+  });
+
+  describe('splitChunks', () => {
+    it('should split on line breaks within the size limit', () => {
+      const chunks = splitChunks(log.join('\n'), 500);
+      expect(chunks.every(c => c.length <= 500)).toBe(true);
+      expect(chunks.join('\n')).toBe(log.join('\n'));
+    });
+
+    it('should hard-split lines longer than a chunk', () => {
+      expect(splitChunks('abcdefgh', 3)).toEqual(['abc', 'def', 'gh']);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Cache of model-formatted notifications, so recurring alerts that differ only
+ * in timestamps or ids don't cost a model call each.
+ *
+ * The key is a hash of the trimmed payload after normalization, together with
+ * the model chain and system prompt. Entries live in the LLM_CACHE KV
+ * namespace when bound, otherwise in the Cache API (per data center).
+ * A route opts in with its `llm.cache` settings, or every route with LLM_CACHE_TTL:
+ *   "llm": { "cache": { "ttl": 3600, "normalize": ["timestamps", "uuids", "numbers"] } }
+ * `"cache": true` uses the defaults and `"cache": false` turns it off.
+ * Only model output is cached, never the static fallback.
+ */
+
+import { fingerprint } from "./dedupe.js";
+import { normalizeNotification } from "./notification.js";
+import { log } from "./log.js";
+
+const DEFAULT_TTL = 3600;
+export const MIN_KV_TTL = 60; // KV rejects shorter expirations
+const KEY_PREFIX = "llm:";
+const CACHE_URL = "https://llm-cache.internal/";
+
+const MONTHS = "Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec";
+
+// Volatile parts of a payload, replaced by a placeholder before hashing
+export const NORMALIZERS = {
+  timestamps: [
+    // ISO 8601 dates and date-times
+    [/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/g, "<time>"],
+    // RFC 2822 (email and HTTP dates)
+    [new RegExp(`\\b(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), )?\\d{1,2} (?:${MONTHS}) \\d{4} \\d{2}:\\d{2}(?::\\d{2})?(?: (?:[+-]\\d{4}|GMT|UTC))?`, "g"), "<time>"],
+    // Times of day and Unix epochs in seconds or milliseconds
+    [/\b\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\b/g, "<time>"],
+    [/\b1\d{9}(?:\d{3})?\b/g, "<time>"]
+  ],
+  uuids: [[/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<uuid>"]],
+  // Commit SHAs, request and trace ids
+  hex: [[/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{12,}\b/gi, "<hex>"]],
+  numbers: [[/\d+(?:\.\d+)?/g, "<n>"]]
+};
+
+const DEFAULT_NORMALIZE = ["timestamps", "uuids", "hex"];
+
+function parseNormalizers(value) {
+  const names = Array.isArray(value) ? value : String(value).split(",").map(n => n.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!Object.hasOwn(NORMALIZERS, name)) {
+      throw new Error(`Unknown cache normalizer "${name}" (use ${Object.keys(NORMALIZERS).join(", ")})`);
+    }
+  }
+  return names;
+}
+
+function cacheStore(env) {
+  if (env.LLM_CACHE) return "kv";
+  if (globalThis.caches?.default) return "cache-api";
+  return null;
+}
+
+/**
+ * The cache settings for a route's formatter, or null when caching is off
+ * (or there is nowhere to cache). Throws on unknown normalizers.
+ */
+export function resolveCacheConfig(route = {}, env = {}, llm) {
+  const setting = route.llm?.cache;
+  if (setting === false || (!setting && !env.LLM_CACHE_TTL)) return null;
+
+  const settings = typeof setting === "object" && setting ? setting : {};
+  const normalize = parseNormalizers(settings.normalize ?? env.LLM_CACHE_NORMALIZE ?? DEFAULT_NORMALIZE);
+  const store = cacheStore(env);
+  if (!store) return null;
+
+  const ttl = Number(settings.ttl ?? env.LLM_CACHE_TTL);
+  return {
+    store,
+    ttl: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL,
+    normalize,
+    // Output depends on the models and the prompt as much as on the payload
+    scope: JSON.stringify([llm?.models?.map(m => m.model) ?? [], llm?.systemPrompt ?? ""])
+  };
+}
+
+/**
+ * The payload with its volatile parts replaced by placeholders.
+ */
+export function normalizeForCache(text, normalize = DEFAULT_NORMALIZE) {
+  let result = text;
+  for (const name of normalize) {
+    for (const [pattern, placeholder] of NORMALIZERS[name]) result = result.replace(pattern, placeholder);
+  }
+  return result;
+}
+
+async function readEntry(env, config, key) {
+  if (config.store === "kv") return env.LLM_CACHE.get(`${KEY_PREFIX}${key}`, "json");
+  const response = await caches.default.match(new Request(`${CACHE_URL}${key}`));
+  return response ? response.json() : null;
+}
+
+async function writeEntry(env, config, key, entry) {
+  if (config.store === "kv") {
+    await env.LLM_CACHE.put(`${KEY_PREFIX}${key}`, JSON.stringify(entry), {
+      expirationTtl: Math.max(config.ttl, MIN_KV_TTL)
+    });
+    return;
+  }
+  await caches.default.put(new Request(`${CACHE_URL}${key}`), Response.json(entry, {
+    headers: { "Cache-Control": `max-age=${config.ttl}` }
+  }));
+}
+
+/**
+ * Format `text` through the cache: a hit skips `format` entirely, a miss calls
+ * it and stores model output. Resolves to `format`'s { notification, formatter, input };
+ * hits report `formatter.type` "cache" with the model that produced the entry.
+ * Cache errors never fail the job, they only cost the model call.
+ */
+export async function formatWithCache(env, config, text, format, { allowedUrls } = {}) {
+  if (!config) return format();
+
+  let key;
+  try {
+    key = await fingerprint(`${config.scope}\n${normalizeForCache(text, config.normalize)}`);
+    const entry = await readEntry(env, config, key);
+    if (entry) {
+      log.info("LLM cache hit", { key: key.slice(0, 12), model: entry.model });
+      return {
+        // Links must still come from this payload, not the one that filled the cache
+        notification: normalizeNotification(entry.notification, { allowedUrls }),
+        formatter: { type: "cache", model: entry.model, provider: entry.provider, cachedAt: entry.cachedAt },
+        input: entry.input ?? null
+      };
+    }
+  } catch (error) {
+    log.error("LLM cache read failed", { error });
+  }
+
+  const result = await format();
+  if (key && result.formatter.type === "model") {
+    result.formatter = { ...result.formatter, cache: "miss" };
+    const { model, provider } = result.formatter;
+    try {
+      await writeEntry(env, config, key, {
+        notification: result.notification,
+        model,
+        provider,
+        input: result.input,
+        cachedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      log.error("LLM cache write failed", { error });
+    }
+  }
+  return result;
+}
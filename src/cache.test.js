@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveCacheConfig, normalizeForCache, formatWithCache } from './cache.js';
+import { memoryKV } from '../test/helpers.js';
+
+const llm = { models: [{ model: 'm1' }, { model: 'm2' }], systemPrompt: 'format this' };
+
+const modelResult = (notification = {}) => ({
+  notification: { title: 'Disk full', message: 'db-1 is at 97%', priority: 'high', tags: 'warning', ...notification },
+  formatter: { type: 'model', model: 'm1', provider: 'openrouter', attempts: [] },
+  input: { strategy: 'full', truncated: false }
+});
+
+describe('LLM Cache', () => {
+  let env;
+
+  beforeEach(() => {
+    env = { LLM_CACHE: memoryKV() };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('normalizeForCache', () => {
+    it('should replace timestamps, uuids and hex ids by default', () => {
+      const text = 'At 2024-05-01T10:00:00.123Z (Wed, 1 May 2024 10:00:00 +0000, 1714557600) job 3f2b9c1e-8a7d-4e6f-9b0a-1c2d3e4f5a6b on abc123def4567890 failed after 12:03:44';
+      expect(normalizeForCache(text)).toBe('At <time> (<time>, <time>) job <uuid> on <hex> failed after <time>');
+    });
+
+    it('should only replace numbers when asked', () => {
+      expect(normalizeForCache('CPU at 97.5% on web-12')).toBe('CPU at 97.5% on web-12');
+      expect(normalizeForCache('CPU at 97.5% on web-12', ['numbers'])).toBe('CPU at <n>% on web-<n>');
+    });
+  });
+
+  describe('resolveCacheConfig', () => {
+    it('should be off unless the route or LLM_CACHE_TTL enables it', () => {
+      expect(resolveCacheConfig({}, env, llm)).toBeNull();
+      expect(resolveCacheConfig({ llm: { cache: false } }, { ...env, LLM_CACHE_TTL: '600' }, llm)).toBeNull();
+      expect(resolveCacheConfig({}, { ...env, LLM_CACHE_TTL: '600' }, llm)).toMatchObject({ store: 'kv', ttl: 600 });
+      expect(resolveCacheConfig({ llm: { cache: { normalize: ['numbers'] } } }, env, llm)).toMatchObject({
+        ttl: 3600,
+        normalize: ['numbers'],
+        scope: '[["m1","m2"],"format this"]'
+      });
+    });
+
+    it('should fall back to the Cache API and give up without either', () => {
+      expect(resolveCacheConfig({ llm: { cache: true } }, {}, llm)).toBeNull();
+      vi.stubGlobal('caches', { default: {} });
+      expect(resolveCacheConfig({ llm: { cache: true } }, {}, llm).store).toBe('cache-api');
+    });
+
+    it('should reject unknown normalizers', () => {
+      expect(() => resolveCacheConfig({ llm: { cache: { normalize: ['dates'] } } }, env, llm)).toThrow('Unknown cache normalizer "dates"');
+    });
+  });
+
+  describe('formatWithCache', () => {
+    const config = () => resolveCacheConfig({ llm: { cache: true } }, env, llm);
+
+    it('should call the model once for payloads that differ only in timestamps', async () => {
+      const format = vi.fn(async () => modelResult());
+
+      const first = await formatWithCache(env, config(), 'db-1 disk full at 2024-05-01T10:00:00Z', format);
+      const second = await formatWithCache(env, config(), 'db-1 disk full at 2024-05-02T11:30:00Z', format);
+
+      expect(format).toHaveBeenCalledTimes(1);
+      expect(first.formatter).toMatchObject({ type: 'model', cache: 'miss' });
+      expect(second.formatter).toEqual({ type: 'cache', model: 'm1', provider: 'openrouter', cachedAt: expect.any(String) });
+      expect(second.notification).toEqual(first.notification);
+      expect(second.input).toEqual(first.input);
+      expect([...env.LLM_CACHE.data.values()][0].options.expirationTtl).toBe(3600);
+    });
+
+    it('should keep entries apart for different models or prompts', async () => {
+      const format = vi.fn(async () => modelResult());
+      await formatWithCache(env, config(), 'disk full', format);
+      await formatWithCache(env, resolveCacheConfig({ llm: { cache: true } }, env, { ...llm, systemPrompt: 'other' }), 'disk full', format);
+      expect(format).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop cached links that are not in the new payload', async () => {
+      const format = async () => modelResult({ click: 'https://ci.test/runs/1' });
+      await formatWithCache(env, config(), 'build failed', format, { allowedUrls: new Set(['https://ci.test/runs/1']) });
+      const hit = await formatWithCache(env, config(), 'build failed', format, { allowedUrls: new Set() });
+
+      expect(hit.formatter.type).toBe('cache');
+      expect(hit.notification).not.toHaveProperty('click');
+    });
+
+    it('should not cache the fallback', async () => {
+      const format = vi.fn(async () => ({ ...modelResult(), formatter: { type: 'fallback', attempts: [] } }));
+      await formatWithCache(env, config(), 'x', format);
+      await formatWithCache(env, config(), 'x', format);
+
+      expect(format).toHaveBeenCalledTimes(2);
+      expect(env.LLM_CACHE.data.size).toBe(0);
+    });
+
+    it('should use the Cache API without a KV binding', async () => {
+      const stored = new Map();
+      vi.stubGlobal('caches', {
+        default: {
+          match: async (request) => stored.get(request.url)?.clone(),
+          put: async (request, response) => { stored.set(request.url, response); }
+        }
+      });
+      const cacheEnv = {};
+      const cacheConfig = resolveCacheConfig({ llm: { cache: { ttl: 30 } } }, cacheEnv, llm);
+      const format = vi.fn(async () => modelResult());
+
+      await formatWithCache(cacheEnv, cacheConfig, 'disk full', format);
+      const hit = await formatWithCache(cacheEnv, cacheConfig, 'disk full', format);
+
+      expect(format).toHaveBeenCalledTimes(1);
+      expect(hit.formatter.type).toBe('cache');
+      expect([...stored.values()][0].headers.get('Cache-Control')).toBe('max-age=30');
+    });
+
+    it('should format normally when the cache fails', async () => {
+      env.LLM_CACHE.get = async () => { throw new Error('KV down'); };
+      const result = await formatWithCache(env, config(), 'x', async () => modelResult());
+      expect(result.notification.title).toBe('Disk full');
+    });
+  });
+});
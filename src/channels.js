@@ -0,0 +1,193 @@
+/**
+ * Delivery adapters: fan a formatted notification out to every target of a route.
+ *
+ * A route without `targets` publishes to its own ntfy topic. Otherwise each
+ * entry names an adapter and its settings; any `<field>Env` key reads that
+ * field from an env var/secret instead:
+ *   { "type": "ntfy" }                                   the route's topic (server/topic/token overridable)
+ *   { "type": "discord", "webhookUrlEnv": "DISCORD_WEBHOOK" }
+ *   { "type": "slack", "webhookUrl": "https://hooks.slack.com/..." }
+ *   { "type": "telegram", "botTokenEnv": "TG_TOKEN", "chatId": "-100123" }
+ *   { "type": "email", "apiKeyEnv": "RESEND_KEY", "from": "alerts@x.dev", "to": ["me@x.dev"] }
+ *
+ * Each target is retried with backoff on its own, so one failing channel does
+ * not stop the others. ntfy servers whose circuit is open are not tried.
+ */
+
+import { publishToNtfy, clearFromNtfy } from "./ntfy.js";
+import { escapeHtml } from "./notification.js";
+import { retryWithBackoff, httpError } from "./retry.js";
+import { createBreaker, ntfyCircuit } from "./circuit.js";
+import { log } from "./log.js";
+
+const EMAIL_API_URL = "https://api.resend.com/emails";
+const TELEGRAM_API_URL = "https://api.telegram.org";
+
+// Embed/attachment colors by ntfy priority
+export const PRIORITY_COLORS = {
+  urgent: 0xd32f2f,
+  high: 0xf57c00,
+  default: 0x1e88e5,
+  low: 0x78909c,
+  min: 0xb0bec5
+};
+
+function setting(target, field, env) {
+  const envName = target[`${field}Env`];
+  const value = envName ? env[envName] : target[field];
+  if (!value) throw new Error(`Target "${target.name}" has no ${field}`);
+  return value;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw httpError(`${response.status} - ${await response.text()}`, response);
+  }
+  return response;
+}
+
+const hexColor = priority => `#${(PRIORITY_COLORS[priority] ?? PRIORITY_COLORS.default).toString(16).padStart(6, "0")}`;
+
+export const adapters = {
+  async ntfy(target, notification, { route, env, fallbackText, attachment, sequence }) {
+    const destination = {
+      server: (target.server || route.server).replace(/\/+$/, ""),
+      topic: target.topic || route.topic,
+      token: target.tokenEnv ? setting(target, "token", env) : target.token || route.token,
+      icon: target.icon || route.icon
+    };
+    // A resolved thread clears or deletes the firing notification; "delete" publishes nothing
+    if (sequence?.action === "clear" || sequence?.action === "delete") {
+      await clearFromNtfy(destination, sequence.id, sequence.action);
+      if (sequence.action === "delete") return {};
+    }
+    const sequenceId = sequence?.action === "update" ? sequence.id : undefined;
+    const response = await publishToNtfy(destination, notification, fallbackText, { attachment, sequenceId });
+    // ntfy answers with the published message, including its id
+    const message = await response.json().catch(() => null);
+    return { messageId: message?.id };
+  },
+
+  async discord(target, notification, { env }) {
+    await postJson(setting(target, "webhookUrl", env), {
+      username: target.username || "ntfy-worker",
+      embeds: [{
+        title: notification.title,
+        url: notification.click,
+        description: notification.message,
+        color: PRIORITY_COLORS[notification.priority] ?? PRIORITY_COLORS.default,
+        footer: { text: `Priority: ${notification.priority}` },
+        timestamp: new Date().toISOString()
+      }]
+    });
+  },
+
+  async slack(target, notification, { env }) {
+    const tag = notification.tags?.split(",")[0];
+    const title = notification.click ? `<${notification.click}|${notification.title}>` : notification.title;
+    await postJson(setting(target, "webhookUrl", env), {
+      text: `${tag ? `:${tag}: ` : ""}*${title}*`,
+      attachments: [{
+        color: hexColor(notification.priority),
+        text: notification.message,
+        footer: `Priority: ${notification.priority}`
+      }]
+    });
+  },
+
+  async telegram(target, notification, { env }) {
+    const token = setting(target, "botToken", env);
+    await postJson(`${TELEGRAM_API_URL}/bot${token}/sendMessage`, {
+      chat_id: setting(target, "chatId", env),
+      text: [
+        `<b>${escapeHtml(notification.title)}</b>`,
+        escapeHtml(notification.message),
+        notification.click && escapeHtml(notification.click)
+      ].filter(Boolean).join("\n"),
+      parse_mode: "HTML",
+      // Quiet delivery for background notifications
+      disable_notification: notification.priority === "low" || notification.priority === "min"
+    });
+  },
+
+  async email(target, notification, { env }) {
+    const prefix = notification.priority === "urgent" || notification.priority === "high"
+      ? `[${notification.priority.toUpperCase()}] `
+      : "";
+    await postJson(target.url || EMAIL_API_URL, {
+      from: setting(target, "from", env),
+      to: [].concat(setting(target, "to", env)),
+      subject: `${prefix}${notification.title}`,
+      text: notification.message
+    }, { Authorization: `Bearer ${setting(target, "apiKey", env)}` });
+  }
+};
+
+/**
+ * The route's delivery targets, each with a unique `name` ("discord", "discord-2", ...).
+ */
+export function resolveTargets(route) {
+  const list = Array.isArray(route.targets) && route.targets.length > 0
+    ? route.targets
+    : [{ type: "ntfy" }];
+
+  const seen = {};
+  return list.map(entry => {
+    const target = typeof entry === "string" ? { type: entry } : { ...entry };
+    if (!adapters[target.type]) {
+      throw new Error(`Unknown target type "${target.type}"`);
+    }
+    if (!target.name) {
+      seen[target.type] = (seen[target.type] || 0) + 1;
+      target.name = seen[target.type] === 1 ? target.type : `${target.type}-${seen[target.type]}`;
+    }
+    return target;
+  });
+}
+
+/**
+ * Send to every target (or only the named ones) in parallel.
+ * Resolves to [{ target, type, ok, retries, messageId?, error? }]; never throws
+ * for delivery errors. `messageId` is set for ntfy targets.
+ * An `attachment` ({ filename, content }) is uploaded with ntfy messages, and
+ * a `sequence` ({ id, action: "update" | "clear" | "delete" }) threads them
+ * (see threads.js).
+ */
+export async function deliver(route, notification, env, { fallbackText = "", only, attachment, sequence } = {}) {
+  const targets = resolveTargets(route).filter(t => !only || only.includes(t.name));
+  const context = { route, env, fallbackText, attachment, sequence };
+  const breaker = createBreaker(env);
+
+  return Promise.all(targets.map(async target => {
+    const circuit = target.type === "ntfy" ? ntfyCircuit((target.server || route.server).replace(/\/+$/, "")) : null;
+    if (circuit && await breaker.isOpen(circuit)) {
+      return { target: target.name, type: target.type, ok: false, retries: 0, skipped: true, error: `Circuit open for ${circuit}` };
+    }
+
+    let calls = 0;
+    const attempt = () => {
+      calls++;
+      return adapters[target.type](target, notification, context);
+    };
+    try {
+      const sent = await retryWithBackoff(attempt);
+      if (circuit) await breaker.record(circuit);
+      return {
+        target: target.name,
+        type: target.type,
+        ok: true,
+        retries: calls - 1,
+        ...(sent?.messageId ? { messageId: sent.messageId } : {})
+      };
+    } catch (error) {
+      if (circuit) await breaker.record(circuit, error);
+      log.error("Delivery failed after retries", { target: target.name, retries: calls - 1, error });
+      return { target: target.name, type: target.type, ok: false, retries: calls - 1, error: error.message };
+    }
+  }));
+}
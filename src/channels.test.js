@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { deliver, resolveTargets, PRIORITY_COLORS } from './channels.js';
+
+const notification = { title: 'Disk <full>', message: 'Volume /data & /logs at 99%', priority: 'high', tags: 'warning' };
+const route = { name: 'ops', server: 'https://ntfy.sh', topic: 'ops', token: null };
+
+describe('Delivery Channels', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => new Response('{}'));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  const sentTo = (prefix) => {
+    const call = fetchMock.mock.calls.find(([url]) => url.startsWith(prefix));
+    return call && { url: call[0], init: call[1], body: call[1].body.startsWith?.('{') ? JSON.parse(call[1].body) : call[1].body };
+  };
+
+  describe('resolveTargets', () => {
+    it('should default to the route ntfy topic', () => {
+      expect(resolveTargets(route)).toEqual([{ type: 'ntfy', name: 'ntfy' }]);
+    });
+
+    it('should name targets uniquely', () => {
+      const targets = resolveTargets({ targets: ['ntfy', { type: 'discord' }, { type: 'discord' }, { type: 'slack', name: 'team' }] });
+      expect(targets.map(t => t.name)).toEqual(['ntfy', 'discord', 'discord-2', 'team']);
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => resolveTargets({ targets: [{ type: 'pager' }] })).toThrow('Unknown target type');
+    });
+  });
+
+  it('should publish to the route topic by default', async () => {
+    const results = await deliver(route, notification, {});
+
+    expect(results).toEqual([{ target: 'ntfy', type: 'ntfy', ok: true, retries: 0 }]);
+    expect(sentTo('https://ntfy.sh/ops').init.headers.Priority).toBe('high');
+  });
+
+  it('should let an ntfy target override the topic and token', async () => {
+    await deliver({ ...route, targets: [{ type: 'ntfy', topic: 'other', tokenEnv: 'NTFY_OTHER' }] }, notification, { NTFY_OTHER: 'tk' });
+    expect(sentTo('https://ntfy.sh/other').init.headers.Authorization).toBe('Bearer tk');
+  });
+
+  it('should send Discord embeds colored by priority', async () => {
+    await deliver({ ...route, targets: [{ type: 'discord', webhookUrlEnv: 'DISCORD' }] }, notification, {
+      DISCORD: 'https://discord.com/api/webhooks/1/abc'
+    });
+
+    const { body } = sentTo('https://discord.com');
+    expect(body.embeds[0]).toMatchObject({
+      title: 'Disk <full>',
+      description: 'Volume /data & /logs at 99%',
+      color: PRIORITY_COLORS.high
+    });
+  });
+
+  it('should send Slack messages with a colored attachment', async () => {
+    await deliver({ ...route, targets: [{ type: 'slack', webhookUrl: 'https://hooks.slack.com/services/x' }] }, notification, {});
+
+    const { body } = sentTo('https://hooks.slack.com');
+    expect(body.text).toBe(':warning: *Disk <full>*');
+    expect(body.attachments[0]).toMatchObject({ color: '#f57c00', text: 'Volume /data & /logs at 99%' });
+  });
+
+  it('should link titles to the click URL', async () => {
+    const linked = { ...notification, click: 'https://status.test/disk' };
+    await deliver({ ...route, targets: [{ type: 'slack', webhookUrl: 'https://hooks.slack.com/x' }, { type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/1/abc' }] }, linked, {});
+
+    expect(sentTo('https://hooks.slack.com').body.text).toBe(':warning: *<https://status.test/disk|Disk <full>>*');
+    expect(sentTo('https://discord.com').body.embeds[0].url).toBe('https://status.test/disk');
+  });
+
+  it('should send Telegram messages with escaped HTML', async () => {
+    await deliver({ ...route, targets: [{ type: 'telegram', botTokenEnv: 'TG', chatId: '-100' }] }, notification, { TG: '123:abc' });
+
+    const { url, body } = sentTo('https://api.telegram.org');
+    expect(url).toBe('https://api.telegram.org/bot123:abc/sendMessage');
+    expect(body).toEqual({
+      chat_id: '-100',
+      text: '<b>Disk &#60;full&#62;</b>\nVolume /data &#38; /logs at 99%',
+      parse_mode: 'HTML',
+      disable_notification: false
+    });
+  });
+
+  it('should send email through the HTTP API', async () => {
+    await deliver({ ...route, targets: [{ type: 'email', apiKeyEnv: 'RESEND', from: 'alerts@x.dev', to: 'me@x.dev' }] }, notification, { RESEND: 're_1' });
+
+    const { init, body } = sentTo('https://api.resend.com/emails');
+    expect(init.headers.Authorization).toBe('Bearer re_1');
+    expect(body).toEqual({ from: 'alerts@x.dev', to: ['me@x.dev'], subject: '[HIGH] Disk <full>', text: 'Volume /data & /logs at 99%' });
+  });
+
+  it('should report partial failures per target', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    fetchMock.mockImplementation(async (url) =>
+      url.startsWith('https://hooks.slack.com') ? new Response('invalid_token', { status: 403 }) : new Response('{}'));
+
+    const pending = deliver({ ...route, targets: ['ntfy', { type: 'slack', webhookUrl: 'https://hooks.slack.com/x' }, { type: 'discord' }] }, notification, {});
+    await vi.runAllTimersAsync();
+
+    expect(await pending).toEqual([
+      { target: 'ntfy', type: 'ntfy', ok: true, retries: 0 },
+      { target: 'slack', type: 'slack', ok: false, retries: 0, error: '403 - invalid_token' },
+      { target: 'discord', type: 'discord', ok: false, retries: 2, error: 'Target "discord" has no webhookUrl' }
+    ]);
+  });
+
+  it('should report the ntfy message id', async () => {
+    fetchMock.mockImplementation(async () => Response.json({ id: 'sPs71M8A2T', event: 'message' }));
+    const [result] = await deliver(route, notification, {});
+    expect(result.messageId).toBe('sPs71M8A2T');
+  });
+
+  it('should count retries per target', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    fetchMock
+      .mockResolvedValueOnce(new Response('busy', { status: 503 }))
+      .mockResolvedValueOnce(Response.json({ id: 'abc' }));
+
+    const pending = deliver(route, notification, {});
+    await vi.runAllTimersAsync();
+    expect(await pending).toEqual([{ target: 'ntfy', type: 'ntfy', ok: true, retries: 1, messageId: 'abc' }]);
+  });
+
+  it('should only deliver to the named targets', async () => {
+    const results = await deliver({ ...route, targets: ['ntfy', { type: 'slack', webhookUrl: 'https://hooks.slack.com/x' }] }, notification, {}, { only: ['slack'] });
+    expect(results.map(r => r.target)).toEqual(['slack']);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
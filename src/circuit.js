@@ -0,0 +1,207 @@
+/**
+ * Circuit breakers for model endpoints and ntfy servers.
+ *
+ * Every call outcome is recorded in the CircuitBreaker Durable Object (one
+ * instance for the whole worker), per circuit: `model:<provider>/<model>` or
+ * `ntfy:<server>`. A circuit opens when at least CIRCUIT_MIN_CALLS calls in
+ * the last CIRCUIT_WINDOW seconds failed at a rate of CIRCUIT_FAILURE_RATE or
+ * more, or at once when the endpoint answered with a Retry-After. While open
+ * (CIRCUIT_COOLDOWN seconds, or longer for a Retry-After) the endpoint is
+ * skipped; afterwards it is half-open and the next call decides whether it
+ * closes again.
+ *
+ * Only failures that say something about the endpoint count: network errors,
+ * timeouts, 408, 429 and 5xx. Without the CIRCUIT_BREAKER binding nothing is
+ * tracked and every endpoint is always tried.
+ */
+
+import { isRetryable } from "./retry.js";
+import { toPositive } from "./routing.js";
+import { log } from "./log.js";
+
+const DEFAULT_FAILURE_RATE = 0.5;
+const DEFAULT_MIN_CALLS = 3;
+const DEFAULT_WINDOW_SECONDS = 300;
+const DEFAULT_COOLDOWN_SECONDS = 60;
+const ERROR_MAX = 200;
+const PREFIX = "circuit:";
+
+export const modelCircuit = (provider, model) => `model:${provider}/${model}`;
+export const ntfyCircuit = server => `ntfy:${server}`;
+
+/**
+ * Breaker settings from env, or null without the binding.
+ */
+export function resolveBreakerConfig(env) {
+  if (!env.CIRCUIT_BREAKER) return null;
+  const rate = Number(env.CIRCUIT_FAILURE_RATE);
+  return {
+    failureRate: rate > 0 && rate <= 1 ? rate : DEFAULT_FAILURE_RATE,
+    minCalls: toPositive(env.CIRCUIT_MIN_CALLS) ?? DEFAULT_MIN_CALLS,
+    window: toPositive(env.CIRCUIT_WINDOW) ?? DEFAULT_WINDOW_SECONDS,
+    cooldown: toPositive(env.CIRCUIT_COOLDOWN) ?? DEFAULT_COOLDOWN_SECONDS
+  };
+}
+
+function breakerStub(env) {
+  return env.CIRCUIT_BREAKER.get(env.CIRCUIT_BREAKER.idFromName("circuits"));
+}
+
+/**
+ * A breaker for one request: `isOpen(circuit)` and `record(circuit, error?)`.
+ * States are read once per breaker. Breaker errors never block a call.
+ */
+export function createBreaker(env) {
+  const config = resolveBreakerConfig(env);
+  if (!config) {
+    return { async isOpen() { return false; }, async record() {} };
+  }
+
+  const stub = breakerStub(env);
+  let states;
+  return {
+    async isOpen(circuit) {
+      try {
+        states ??= stub.fetch("https://circuit-breaker/state").then(r => r.json());
+        return (await states).circuits.some(c => c.key === circuit && c.state === "open");
+      } catch (error) {
+        log.error("Circuit breaker unavailable", { error });
+        return false;
+      }
+    },
+
+    async record(circuit, error) {
+      // A 400 or 401 is about this request, not the endpoint's health
+      if (error && !isRetryable(error)) return;
+      try {
+        await stub.fetch("https://circuit-breaker/record", {
+          method: "POST",
+          body: JSON.stringify({
+            key: circuit,
+            ok: !error,
+            error: error?.message?.slice(0, ERROR_MAX),
+            retryAfter: error?.retryAfter,
+            ...config
+          })
+        });
+      } catch (e) {
+        log.error("Circuit breaker unavailable", { error: e });
+      }
+    }
+  };
+}
+
+/**
+ * Current state of every circuit, or null without the binding.
+ */
+export async function circuitStates(env) {
+  if (!env.CIRCUIT_BREAKER) return null;
+  const response = await breakerStub(env).fetch("https://circuit-breaker/state");
+  return (await response.json()).circuits;
+}
+
+/**
+ * GET /health: circuit states; "degraded" while any circuit is open.
+ * The public route leaves out error messages and shows ntfy servers only as a
+ * short hash (`ntfy:#3f2a9c1b`), since both can name internal hosts; `details`
+ * (for the admin API) puts them back in.
+ */
+export async function handleHealth(env, { details = false } = {}) {
+  let circuits;
+  try {
+    circuits = await circuitStates(env);
+  } catch (error) {
+    log.error("Health check failed", { error });
+    return Response.json({ status: "error", error: "Circuit breaker unavailable" }, { status: 503 });
+  }
+  const open = (circuits || []).filter(c => c.state === "open");
+  return Response.json({
+    status: open.length > 0 ? "degraded" : "ok",
+    breaker: circuits !== null,
+    circuits: details ? circuits || [] : await Promise.all((circuits || []).map(publicView))
+  });
+}
+
+async function publicView({ lastError: _lastError, ...circuit }) {
+  if (!circuit.key.startsWith("ntfy:")) return circuit;
+  const server = new TextEncoder().encode(circuit.key.slice("ntfy:".length));
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", server));
+  const hash = [...digest.slice(0, 4)].map(b => b.toString(16).padStart(2, "0")).join("");
+  return { ...circuit, key: `ntfy:#${hash}` };
+}
+
+// Open circuits turn half-open once their cooldown is over
+function stateAt(circuit, now) {
+  if (circuit.state === "open" && now >= circuit.openUntil) return "half-open";
+  return circuit.state;
+}
+
+function view(circuit, now) {
+  return {
+    key: circuit.key,
+    state: stateAt(circuit, now),
+    calls: circuit.calls,
+    failures: circuit.failures,
+    openUntil: circuit.state === "open" ? new Date(circuit.openUntil).toISOString() : null,
+    lastError: circuit.lastError ?? null,
+    lastFailureAt: circuit.lastFailureAt ?? null
+  };
+}
+
+/**
+ * Durable Object holding the failure counts and state of every circuit.
+ */
+export class CircuitBreaker {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === "POST" && url.pathname === "/record") {
+      return Response.json(await this.record(await request.json()));
+    }
+    return Response.json({ circuits: await this.circuits() });
+  }
+
+  async circuits() {
+    const now = Date.now();
+    const entries = await this.state.storage.list({ prefix: PREFIX });
+    return [...entries.values()].map(circuit => view(circuit, now));
+  }
+
+  async record({ key, ok, error, retryAfter, failureRate, minCalls, window, cooldown }) {
+    const now = Date.now();
+    const storage = this.state.storage;
+    const circuit = await storage.get(`${PREFIX}${key}`) || { key, state: "closed", calls: 0, failures: 0, windowStart: now };
+    const current = stateAt(circuit, now);
+    const reset = () => Object.assign(circuit, { calls: 0, failures: 0, windowStart: now });
+
+    if (now - circuit.windowStart >= window * 1000) reset();
+    circuit.calls++;
+
+    if (ok) {
+      if (current === "half-open") {
+        reset();
+        circuit.state = "closed";
+      }
+    } else {
+      circuit.failures++;
+      circuit.lastError = error;
+      circuit.lastFailureAt = new Date(now).toISOString();
+
+      const tripped = current === "half-open"
+        || retryAfter !== undefined
+        || (circuit.calls >= minCalls && circuit.failures / circuit.calls >= failureRate);
+      if (tripped) {
+        reset();
+        circuit.state = "open";
+        circuit.openUntil = now + Math.max(cooldown, retryAfter ?? 0) * 1000;
+      }
+    }
+
+    await storage.put(`${PREFIX}${key}`, circuit);
+    return view(circuit, now);
+  }
+}
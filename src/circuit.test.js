@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createBreaker, resolveBreakerConfig, handleHealth, CircuitBreaker, modelCircuit, ntfyCircuit } from './circuit.js';
+import { retryWithBackoff, httpError, parseRetryAfter } from './retry.js';
+import { formatNotification } from './llm.js';
+import { deliver } from './channels.js';
+import { durableNamespace } from '../test/helpers.js';
+
+const failure = (status, retryAfter) => httpError(`${status}`, new Response('', {
+  status,
+  headers: retryAfter === undefined ? {} : { 'Retry-After': String(retryAfter) }
+}));
+
+describe('Circuit Breaker', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    env = { CIRCUIT_BREAKER: durableNamespace(CircuitBreaker) };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const states = async () => (await (await handleHealth(env, { details: true })).json()).circuits;
+
+  describe('retries', () => {
+    it('should parse Retry-After seconds and dates', () => {
+      expect(parseRetryAfter('120')).toBe(120);
+      expect(parseRetryAfter('Thu, 01 Jan 2026 00:01:00 GMT', Date.parse('2026-01-01T00:00:00Z'))).toBe(60);
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+
+    it('should not retry client errors', async () => {
+      const fn = vi.fn(async () => { throw failure(400); });
+      await expect(retryWithBackoff(fn, 3, 1)).rejects.toThrow('400');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry 429 and 5xx, waiting for Retry-After', async () => {
+      vi.useRealTimers();
+      vi.useFakeTimers();
+      const fn = vi.fn()
+        .mockRejectedValueOnce(failure(429, 3))
+        .mockRejectedValueOnce(failure(503))
+        .mockResolvedValue('ok');
+
+      const pending = retryWithBackoff(fn, 3, 100);
+      await vi.advanceTimersByTimeAsync(2999);
+      expect(fn).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fn).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(200);
+      expect(await pending).toBe('ok');
+    });
+
+    it('should give up at once when Retry-After is too long to wait', async () => {
+      const fn = vi.fn(async () => { throw failure(429, 3600); });
+      await expect(retryWithBackoff(fn, 3, 1)).rejects.toThrow('429');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('circuit states', () => {
+    it('should be inert without the binding', async () => {
+      const breaker = createBreaker({});
+      await breaker.record('model:x/y', new Error('down'));
+      expect(await breaker.isOpen('model:x/y')).toBe(false);
+      expect(resolveBreakerConfig({})).toBeNull();
+      expect(await (await handleHealth({})).json()).toEqual({ status: 'ok', breaker: false, circuits: [] });
+    });
+
+    it('should open at the failure rate and half-open after the cooldown', async () => {
+      const key = modelCircuit('openrouter', 'm1');
+      await createBreaker(env).record(key);
+      await createBreaker(env).record(key, new Error('timed out'));
+      expect(await createBreaker(env).isOpen(key)).toBe(false);
+
+      await createBreaker(env).record(key, failure(502));
+      expect(await createBreaker(env).isOpen(key)).toBe(true);
+      expect(await states()).toEqual([{
+        key, state: 'open', calls: 0, failures: 0,
+        openUntil: '2026-01-01T00:01:00.000Z', lastError: '502', lastFailureAt: '2026-01-01T00:00:00.000Z'
+      }]);
+
+      vi.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+      expect((await states())[0].state).toBe('half-open');
+      await createBreaker(env).record(key);
+      expect((await states())[0].state).toBe('closed');
+    });
+
+    it('should reopen when the half-open trial fails', async () => {
+      const key = ntfyCircuit('https://ntfy.sh');
+      await createBreaker({ ...env, CIRCUIT_MIN_CALLS: '1' }).record(key, failure(500));
+      vi.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+      await createBreaker(env).record(key, failure(500));
+      expect((await states())[0]).toMatchObject({ state: 'open', openUntil: '2026-01-01T00:02:00.000Z' });
+    });
+
+    it('should open for as long as Retry-After asks', async () => {
+      await createBreaker(env).record('model:openrouter/m1', failure(429, 3600));
+      expect((await states())[0]).toMatchObject({ state: 'open', openUntil: '2026-01-01T01:00:00.000Z' });
+      expect((await (await handleHealth(env)).json()).status).toBe('degraded');
+    });
+
+    it('should keep error messages and ntfy servers off the public health report', async () => {
+      await createBreaker(env).record('ntfy:https://ntfy.internal', new Error('connect ECONNREFUSED 10.0.0.5:443'));
+      await createBreaker(env).record('ntfy:https://ntfy.internal', failure(503));
+      await createBreaker(env).record('ntfy:https://ntfy.internal', failure(503));
+
+      const [circuit] = (await (await handleHealth(env)).json()).circuits;
+      expect(circuit).toMatchObject({ key: expect.stringMatching(/^ntfy:#[0-9a-f]{8}$/), state: 'open' });
+      expect(circuit).not.toHaveProperty('lastError');
+      expect(JSON.stringify(circuit)).not.toContain('ntfy.internal');
+      expect((await (await handleHealth(env)).json()).circuits[0].key).toBe(circuit.key);
+      expect((await (await handleHealth(env, { details: true })).json()).circuits[0])
+        .toMatchObject({ key: 'ntfy:https://ntfy.internal', lastError: '503' });
+
+      env.CIRCUIT_BREAKER.get = () => ({ fetch: async () => { throw new Error('storage at 10.0.0.9 down'); } });
+      const failed = await handleHealth(env);
+      expect(failed.status).toBe(503);
+      expect(await failed.json()).toEqual({ status: 'error', error: 'Circuit breaker unavailable' });
+    });
+
+    it('should ignore client errors', async () => {
+      const breaker = createBreaker({ ...env, CIRCUIT_MIN_CALLS: '1' });
+      await breaker.record('ntfy:https://ntfy.sh', failure(400));
+      expect(await states()).toEqual([]);
+    });
+
+    it('should count failures only within the window', async () => {
+      const key = 'model:openrouter/m1';
+      await createBreaker(env).record(key, failure(500));
+      await createBreaker(env).record(key, failure(500));
+      vi.setSystemTime(new Date('2026-01-01T00:10:00Z'));
+      await createBreaker(env).record(key, failure(500));
+      expect((await states())[0]).toMatchObject({ state: 'closed', calls: 1, failures: 1 });
+    });
+  });
+
+  describe('callers', () => {
+    const notification = { title: 'Disk full', message: 'db-1 at 99%', priority: 'high', tags: 'warning' };
+
+    it('should skip models with an open circuit', async () => {
+      await createBreaker(env).record(modelCircuit('mock', 'a'), failure(429, 600));
+      const provider = {
+        name: 'mock',
+        complete: vi.fn(async () => JSON.stringify(notification))
+      };
+      const config = {
+        models: [{ model: 'a', provider }, { model: 'b', provider }],
+        systemPrompt: 'x',
+        retries: 3,
+        retryDelay: 1,
+        breaker: createBreaker(env)
+      };
+
+      const { formatter } = await formatNotification('disk full', config);
+
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(formatter.attempts).toEqual([
+        { model: 'a', provider: 'mock', retries: 0, error: 'Circuit open', skipped: true },
+        { model: 'b', provider: 'mock', retries: 0 }
+      ]);
+      expect((await states()).find(c => c.key === 'model:mock/b')).toMatchObject({ state: 'closed', calls: 1 });
+    });
+
+    it('should skip ntfy servers with an open circuit and record deliveries', async () => {
+      const fetchMock = vi.fn(async () => new Response('down', { status: 503, headers: { 'Retry-After': '120' } }));
+      vi.stubGlobal('fetch', fetchMock);
+      const route = { name: 'r', server: 'https://ntfy.example.com', topic: 't', token: null };
+
+      const [first] = await deliver(route, notification, env);
+      const [second] = await deliver(route, notification, env);
+
+      expect(first).toMatchObject({ ok: false, error: 'ntfy failed: 503 - down' });
+      expect(second).toEqual({
+        target: 'ntfy', type: 'ntfy', ok: false, retries: 0, skipped: true,
+        error: 'Circuit open for ntfy:https://ntfy.example.com'
+      });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+/**
+ * Bounded concurrency for fan-out work (batch items, chunk summaries).
+ */
+
+/**
+ * Map over items running at most `limit` calls at a time. Results keep input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { mapWithConcurrency } from './concurrency.js';
+
+describe('Concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    it('should keep input order and never exceed the limit', async () => {
+      let running = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (ms, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(peak).toBe(2);
+    });
+  });
+});
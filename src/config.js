@@ -0,0 +1,279 @@
+/**
+ * Configuration stored in KV and managed through the admin API, so changes
+ * don't need a redeploy.
+ *
+ * Documents live in the ROUTES_KV namespace:
+ *   routes/<name>   a route, under `route:<name>` where routing.js reads it
+ *   rules           the global override rules, in place of RULES
+ *   models          { "models": [...], "systemPrompt": "..." }, in place of LLM_MODELS and LLM_SYSTEM_PROMPT
+ *   trim-profiles   { "<name>": trim settings }, in place of TRIM_PROFILES; a route
+ *                   picks one with `"trim": "<name>"`
+ *
+ * A document is validated as the worker would read it before it is saved.
+ * Every save (a deletion too) is kept as a numbered version under
+ * `config-version:<document>:<n>`, the last CONFIG_VERSIONS (default 20) of
+ * them, and rolling back saves an earlier version as a new one.
+ */
+
+import { normalizeRoute, toPositive } from "./routing.js";
+import { verifiers } from "./auth.js";
+import { createJob, prepareJob } from "./pipeline.js";
+import { resolveUploadConfig } from "./uploads.js";
+import { compileRules } from "./rules.js";
+import { resolveLlmConfig } from "./llm.js";
+import { resolveTrimConfig } from "./trim.js";
+import { log } from "./log.js";
+
+const VERSION_PREFIX = "config-version:";
+const DEFAULT_VERSIONS = 20;
+const GLOBAL_DOCUMENTS = ["rules", "models", "trim-profiles"];
+const PROFILE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// The accepted types of each route field; the stages' own resolvers check the values
+const ROUTE_FIELDS = {
+  server: ["string"],
+  topic: ["string"],
+  token: ["string", "null"],
+  auth: ["object", "array"],
+  targets: ["array"],
+  parsers: ["array", "boolean"],
+  llm: ["object"],
+  trim: ["object", "array", "string", "boolean"],
+  redact: ["object", "boolean"],
+  rules: ["array"],
+  overrides: ["object", "boolean"],
+  dedupe: ["object", "boolean"],
+  history: ["object", "boolean"],
+  uploads: ["object", "boolean"],
+  thread: ["object", "boolean"],
+  escalation: ["object", "boolean"],
+  quietHours: ["object"],
+  digest: ["object", "boolean"],
+  batch: ["object"],
+  email: ["object"],
+  response: ["string"],
+  async: ["boolean"],
+  icon: ["string"],
+  attachPayload: ["boolean"]
+};
+
+const MODELS_FIELDS = { models: ["array"], systemPrompt: ["string"] };
+
+function typeOf(value) {
+  if (value === null) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function invalid(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function checkFields(value, fields, where) {
+  if (typeOf(value) !== "object") throw invalid(`${where} must be an object`);
+  for (const [field, fieldValue] of Object.entries(value)) {
+    const types = fields[field];
+    if (!types) throw invalid(`${where} has an unknown field "${field}" (known: ${Object.keys(fields).join(", ")})`);
+    if (!types.includes(typeOf(fieldValue))) throw invalid(`${where} ${field} must be ${types.join(" or ")}`);
+  }
+}
+
+// Run a resolver, reporting what it throws as a 400
+function check(resolve) {
+  try {
+    return resolve();
+  } catch (error) {
+    throw error.status ? error : invalid(error.message);
+  }
+}
+
+function documentKey(doc) {
+  return doc.startsWith("routes/") ? `route:${doc.slice("routes/".length)}` : `config:${doc}`;
+}
+
+function versionKey(doc, version) {
+  return `${VERSION_PREFIX}${doc}:${String(version).padStart(6, "0")}`;
+}
+
+function validateRoute(name, value, env) {
+  const where = `Route "${name}"`;
+  checkFields(value, ROUTE_FIELDS, where);
+  const route = check(() => normalizeRoute(name, value));
+
+  for (const auth of [route.auth ?? []].flat()) {
+    if (!verifiers[auth?.type]) throw invalid(`${where} has an unknown auth type "${auth?.type}"`);
+  }
+  // The settings an empty text payload would need, from targets and parsers to the model chain
+  check(() => prepareJob(createJob({ routeName: name, payload: "", data: null }), route, env));
+  check(() => resolveUploadConfig(route, env));
+}
+
+function validateModels(value, env) {
+  checkFields(value, MODELS_FIELDS, "Models");
+  if (!value.models?.length) throw invalid("Models need at least one model");
+  value.models.forEach((entry, i) => {
+    const model = typeof entry === "string" ? entry : entry?.model;
+    if (typeof model !== "string" || !model.trim()) throw invalid(`Model ${i} has no name`);
+  });
+  check(() => resolveLlmConfig(env, {}));
+}
+
+async function validateProfiles(value, env) {
+  if (typeOf(value) !== "object") throw invalid("Trim profiles must be an object");
+  for (const [name, profile] of Object.entries(value)) {
+    if (!PROFILE_NAME.test(name)) throw invalid(`Invalid trim profile name "${name}"`);
+    if (!["object", "array"].includes(typeOf(profile))) throw invalid(`Trim profile "${name}" must be an object or array`);
+    check(() => resolveTrimConfig({ trim: profile }, env));
+  }
+
+  // Routes must not lose the profile they use
+  for (const { name, route } of await readRoutes(env)) {
+    if (typeof route?.trim === "string" && !Object.hasOwn(value, route.trim)) {
+      throw invalid(`Trim profile "${route.trim}" is used by route "${name}"`, 409);
+    }
+  }
+}
+
+// Throws errors with a `status`: 400, or 409 for conflicts with other documents
+async function validateDocument(doc, value, env) {
+  if (doc.startsWith("routes/")) return validateRoute(doc.slice("routes/".length), value, env);
+  if (doc === "rules") {
+    if (!Array.isArray(value)) throw invalid("Rules must be an array");
+    check(() => compileRules({}, env));
+    return;
+  }
+  if (doc === "models") return validateModels(value, env);
+  return validateProfiles(value, env);
+}
+
+async function listVersionKeys(env, doc) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.ROUTES_KV.list({ prefix: `${VERSION_PREFIX}${doc}:`, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+function versionNumber(key) {
+  return Number(key.name.slice(key.name.lastIndexOf(":") + 1));
+}
+
+/**
+ * A document as stored: { doc, value, version, savedAt }, or null when it is
+ * not stored. `version` is null for documents written to KV directly.
+ */
+export async function getDocument(env, doc) {
+  const value = await env.ROUTES_KV.get(documentKey(doc), "json");
+  if (value === null) return null;
+  const latest = (await listVersionKeys(env, doc)).at(-1);
+  return { doc, value, version: latest ? versionNumber(latest) : null, savedAt: latest?.metadata?.savedAt ?? null };
+}
+
+/**
+ * The saved versions of a document, newest first: [{ version, savedAt, deleted }].
+ */
+export async function listVersions(env, doc) {
+  const keys = await listVersionKeys(env, doc);
+  return keys.reverse().map(key => ({ version: versionNumber(key), savedAt: key.metadata?.savedAt ?? null, deleted: Boolean(key.metadata?.deleted) }));
+}
+
+/**
+ * Validate and store a document, or delete it when `value` is null, as a new
+ * version. `expected` is the version the caller last read; a document saved
+ * since is a 409. Resolves to { doc, value, version, savedAt }.
+ */
+export async function saveDocument(env, doc, value, { expected } = {}) {
+  const keys = await listVersionKeys(env, doc);
+  const current = keys.length > 0 ? versionNumber(keys.at(-1)) : null;
+  if (expected !== undefined && expected !== current) {
+    throw invalid(`Document "${doc}" is at version ${current ?? "none"}, not ${expected}`, 409);
+  }
+
+  // Validated against the deployment's env with the other stored documents in place
+  const stored = await withStoredConfig(env);
+  if (value !== null) await validateDocument(doc, value, { ...stored, ...storedEnv(doc, value) });
+  else if (doc === "trim-profiles") await validateProfiles({}, stored);
+
+  const version = (current ?? 0) + 1;
+  const savedAt = new Date().toISOString();
+  if (value === null) await env.ROUTES_KV.delete(documentKey(doc));
+  else await env.ROUTES_KV.put(documentKey(doc), JSON.stringify(value));
+  await env.ROUTES_KV.put(versionKey(doc, version), JSON.stringify({ version, savedAt, value }), {
+    metadata: { savedAt, deleted: value === null }
+  });
+
+  const keep = toPositive(env.CONFIG_VERSIONS) ?? DEFAULT_VERSIONS;
+  for (const key of keys.slice(0, Math.max(keys.length + 1 - keep, 0))) {
+    await env.ROUTES_KV.delete(key.name);
+  }
+  log.info("Config saved", { doc, version, deleted: value === null });
+  return { doc, value, version, savedAt };
+}
+
+/**
+ * Save an earlier version of a document again. Resolves to null for unknown versions.
+ */
+export async function rollbackDocument(env, doc, version) {
+  const entry = await env.ROUTES_KV.get(versionKey(doc, version), "json");
+  if (!entry) return null;
+  return saveDocument(env, doc, entry.value);
+}
+
+async function readRoutes(env) {
+  const routes = [];
+  let cursor;
+  while (env.ROUTES_KV) {
+    const page = await env.ROUTES_KV.list({ prefix: "route:", cursor });
+    for (const { name } of page.keys) {
+      routes.push({ name: name.slice("route:".length), route: await env.ROUTES_KV.get(name, "json"), source: "kv" });
+    }
+    if (page.list_complete) break;
+    cursor = page.cursor;
+  }
+
+  let table = {};
+  try {
+    table = typeof env.ROUTES === "string" ? JSON.parse(env.ROUTES) : env.ROUTES || {};
+  } catch {
+    // loadRoute reports an invalid ROUTES var
+  }
+  for (const [name, route] of Object.entries(table)) {
+    if (!routes.some(r => r.name === name)) routes.push({ name, route, source: "env" });
+  }
+  return routes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * The configured routes by name: [{ name, source: "kv" | "env" }].
+ */
+export async function listRoutes(env) {
+  return (await readRoutes(env)).map(({ name, source }) => ({ name, source }));
+}
+
+// The env vars a global document stands in for
+function storedEnv(doc, value) {
+  if (value === null) return {};
+  if (doc === "rules") return { RULES: value };
+  if (doc === "models") return { LLM_MODELS: value.models, ...(value.systemPrompt ? { LLM_SYSTEM_PROMPT: value.systemPrompt } : {}) };
+  if (doc === "trim-profiles") return { TRIM_PROFILES: value };
+  return {};
+}
+
+/**
+ * The env with the stored global documents in place of their env vars.
+ * KV errors are logged and leave the env as it is.
+ */
+export async function withStoredConfig(env) {
+  if (!env.ROUTES_KV) return env;
+  let values;
+  try {
+    values = await Promise.all(GLOBAL_DOCUMENTS.map(doc => env.ROUTES_KV.get(documentKey(doc), "json")));
+  } catch (error) {
+    log.error("Stored config not read", { error });
+    return env;
+  }
+  if (values.every(value => value === null)) return env;
+  return Object.assign({ ...env }, ...GLOBAL_DOCUMENTS.map((doc, i) => storedEnv(doc, values[i])));
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getDocument, saveDocument, listVersions, rollbackDocument, listRoutes, withStoredConfig } from './config.js';
+import { loadRoute } from './routing.js';
+import { resolveTrimConfig } from './trim.js';
+import { compileRules } from './rules.js';
+import { resolveLlmConfig } from './llm.js';
+import { memoryKV } from '../test/helpers.js';
+
+describe('Stored Configuration', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    env = { OPENROUTER_API_KEY: 'k', ROUTES_KV: memoryKV(), ROUTES: JSON.stringify({ legacy: { topic: 'old' } }) };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('versions', () => {
+    it('should store routes where routing reads them and keep every version', async () => {
+      await saveDocument(env, 'routes/ci', { topic: 'ci-builds' });
+      vi.setSystemTime(new Date('2026-01-02T00:00:00Z'));
+      const saved = await saveDocument(env, 'routes/ci', { topic: 'ci-nightly', response: 'json' });
+
+      expect(saved).toEqual({ doc: 'routes/ci', value: { topic: 'ci-nightly', response: 'json' }, version: 2, savedAt: '2026-01-02T00:00:00.000Z' });
+      expect(await getDocument(env, 'routes/ci')).toEqual(saved);
+      expect((await loadRoute('ci', env)).topic).toBe('ci-nightly');
+      expect(await listVersions(env, 'routes/ci')).toEqual([
+        { version: 2, savedAt: '2026-01-02T00:00:00.000Z', deleted: false },
+        { version: 1, savedAt: '2026-01-01T00:00:00.000Z', deleted: false }
+      ]);
+      expect(await listRoutes(env)).toEqual([{ name: 'ci', source: 'kv' }, { name: 'legacy', source: 'env' }]);
+    });
+
+    it('should roll back to an earlier version, deletions included', async () => {
+      await saveDocument(env, 'routes/ci', { topic: 'ci-builds' });
+      await saveDocument(env, 'routes/ci', null);
+      expect(await loadRoute('ci', env)).toBeNull();
+
+      const restored = await rollbackDocument(env, 'routes/ci', 1);
+      expect(restored).toMatchObject({ version: 3, value: { topic: 'ci-builds' } });
+      expect((await listVersions(env, 'routes/ci')).map(v => v.deleted)).toEqual([false, true, false]);
+      expect(await rollbackDocument(env, 'routes/ci', 9)).toBeNull();
+    });
+
+    it('should refuse to overwrite a version the caller has not seen', async () => {
+      await saveDocument(env, 'rules', []);
+      await expect(saveDocument(env, 'rules', [], { expected: null })).rejects.toMatchObject({ status: 409 });
+      expect((await saveDocument(env, 'rules', [], { expected: 1 })).version).toBe(2);
+    });
+
+    it('should keep the last CONFIG_VERSIONS versions', async () => {
+      env.CONFIG_VERSIONS = '2';
+      for (const topic of ['a', 'b', 'c']) await saveDocument(env, 'routes/ci', { topic });
+      expect((await listVersions(env, 'routes/ci')).map(v => v.version)).toEqual([3, 2]);
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['routes/ci', { topic: 'ci', colour: 'red' }, 'Route "ci" has an unknown field "colour"'],
+      ['routes/ci', { topic: 'ci', targets: 'ntfy' }, 'Route "ci" targets must be array'],
+      ['routes/ci', { server: 'https://ntfy.sh' }, 'Route "ci" has no topic'],
+      ['routes/ci', { topic: 'ci', trim: { rules: ['emails'] } }, 'Unknown trim rule set "emails"'],
+      ['routes/ci', { topic: 'ci', targets: [{ type: 'pager' }] }, 'Unknown target type "pager"'],
+      ['routes/ci', { topic: 'ci', auth: { type: 'basic' } }, 'unknown auth type "basic"'],
+      ['routes/ci', { topic: 'ci', trim: 'ci-logs' }, 'Unknown trim profile "ci-logs"'],
+      ['rules', [{ name: 'x', match: {}, priority: 'loud' }], 'priority'],
+      ['models', { models: [] }, 'Models need at least one model'],
+      ['models', { models: [{ timeout: 5000 }] }, 'Model 0 has no name'],
+      ['models', { models: ['a'], prompt: 'x' }, 'Models has an unknown field "prompt"'],
+      ['trim-profiles', { logs: { custom: [{ pattern: '(' }] } }, 'Custom trim rule "0"']
+    ])('should reject %s %j', async (doc, value, error) => {
+      await expect(saveDocument(env, doc, value)).rejects.toMatchObject({ status: 400, message: expect.stringContaining(error) });
+      expect(env.ROUTES_KV.data.size).toBe(0);
+    });
+
+    it('should check that the model chain has a provider', async () => {
+      delete env.OPENROUTER_API_KEY;
+      await expect(saveDocument(env, 'models', { models: ['a/b'] })).rejects.toThrow('Missing OPENROUTER_API_KEY env');
+    });
+
+    it('should not drop a trim profile a route uses', async () => {
+      await saveDocument(env, 'trim-profiles', { logs: ['ci-logs', 'ids'] });
+      await saveDocument(env, 'routes/ci', { topic: 'ci', trim: 'logs' });
+
+      await expect(saveDocument(env, 'trim-profiles', { other: ['ids'] }))
+        .rejects.toMatchObject({ status: 409, message: 'Trim profile "logs" is used by route "ci"' });
+      await expect(saveDocument(env, 'trim-profiles', null)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('withStoredConfig', () => {
+    it('should put the stored rules, models and trim profiles in place of the env vars', async () => {
+      env.LLM_SYSTEM_PROMPT = 'Be brief.';
+      await saveDocument(env, 'rules', [{ name: 'cap', match: {}, maxPriority: 'high' }]);
+      await saveDocument(env, 'models', { models: ['a/b', { model: 'c/d', timeout: 5000 }] });
+      await saveDocument(env, 'trim-profiles', { logs: { rules: ['ci-logs'], stackFrames: 3 } });
+
+      const stored = await withStoredConfig(env);
+
+      expect(compileRules({}, stored).map(rule => rule.name)).toEqual(['cap']);
+      const llm = resolveLlmConfig(stored, {});
+      expect(llm.models.map(m => [m.model, m.timeout])).toEqual([['a/b', undefined], ['c/d', 5000]]);
+      expect(llm.systemPrompt).toBe('Be brief.');
+      expect(resolveTrimConfig({ trim: 'logs' }, stored)).toMatchObject({ ruleSets: ['ci-logs'], stackFrames: 3 });
+    });
+
+    it('should leave the env alone without stored documents or when KV fails', async () => {
+      expect(await withStoredConfig(env)).toBe(env);
+      env.ROUTES_KV.get = async () => { throw new Error('KV down'); };
+      expect(await withStoredConfig(env)).toBe(env);
+      expect(await withStoredConfig({ RULES: '[]' })).toEqual({ RULES: '[]' });
+    });
+  });
+});
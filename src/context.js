@@ -0,0 +1,55 @@
+/**
+ * Per-invocation context: the correlation id and log fields of the request,
+ * queue message, email or cron run being handled, carried across awaits with
+ * AsyncLocalStorage (the `nodejs_als` compatibility flag), plus the runtime's
+ * `waitUntil` for work that may finish after the response.
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const storage = new AsyncLocalStorage();
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Run `fn` with `fields` added to the current context.
+ * `options.waitUntil` and `options.logLevel` apply to everything inside.
+ */
+export function withContext(fields, fn, options = {}) {
+  const outer = storage.getStore();
+  return storage.run({
+    fields: { ...outer?.fields, ...fields },
+    waitUntil: options.waitUntil ?? outer?.waitUntil,
+    logLevel: options.logLevel ?? outer?.logLevel
+  }, fn);
+}
+
+export function contextFields() {
+  return storage.getStore()?.fields ?? {};
+}
+
+export function contextLogLevel() {
+  return storage.getStore()?.logLevel;
+}
+
+/**
+ * The correlation id for a request: the sender's X-Request-Id when it looks
+ * like one, otherwise a new id.
+ */
+export function requestIdFor(request) {
+  const given = request?.headers.get("x-request-id");
+  return given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+}
+
+/**
+ * Let `promise` finish in the background when the runtime allows it,
+ * otherwise wait for it. Never rejects.
+ */
+export async function defer(promise) {
+  const settled = Promise.resolve(promise).catch(() => {});
+  const waitUntil = storage.getStore()?.waitUntil;
+  if (waitUntil) {
+    waitUntil(settled);
+    return;
+  }
+  await settled;
+}
@@ -0,0 +1,109 @@
+/**
+ * The admin dashboard at /admin: one page rendered on the worker, without
+ * scripts, showing the recent deliveries from the history with forms to send
+ * a test notification and to preview how a pasted payload would be formatted.
+ *
+ * Browsers can't send the bearer token with a page load, so the page signs in
+ * with ADMIN_TOKEN once and gets a signed, expiring session in an HttpOnly,
+ * SameSite=Strict cookie scoped to /admin (see admin.js).
+ */
+
+import { PRIORITIES, escapeHtml } from "./notification.js";
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #222; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; } th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #ddd; }
+form { display: grid; gap: .5rem; max-width: 40rem; } textarea { min-height: 8rem; font-family: monospace; }
+pre { background: #f4f4f4; padding: .75rem; overflow: auto; } .error { color: #b00020; }
+header { display: flex; justify-content: space-between; align-items: center; } header form { display: block; }
+`;
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title><style>${STYLE}</style></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+const html = (body, status = 200) =>
+  new Response(body, { status, headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" } });
+
+/**
+ * The sign-in page, with the reason the last attempt failed, if any.
+ */
+export function loginPage({ error, status = 200 } = {}) {
+  return html(page("Sign in - ntfy worker", `<h1>ntfy worker admin</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+<form method="post" action="/admin/login">
+  <label>Admin token <input type="password" name="token" autocomplete="current-password" required></label>
+  <button>Sign in</button>
+</form>`), status);
+}
+
+function options(values, selected) {
+  return values.map(value => `<option${value === selected ? " selected" : ""}>${escapeHtml(value)}</option>`).join("");
+}
+
+function historyTable(history) {
+  if (!history) return "<p>No HISTORY binding, so deliveries are not recorded.</p>";
+  if (history.items.length === 0) return "<p>Nothing delivered yet.</p>";
+  const rows = history.items.map(item => `<tr>
+  <td>${escapeHtml(item.processedAt)}</td>
+  <td>${escapeHtml(item.route)}</td>
+  <td>${escapeHtml(item.status)}</td>
+  <td>${escapeHtml(item.title ?? "")}</td>
+  <td>${escapeHtml(item.formatter ?? "")}</td>
+  <td><a href="/admin/history/${encodeURIComponent(item.id)}">${escapeHtml(item.id)}</a></td>
+</tr>`).join("\n");
+  return `<table>
+<thead><tr><th>Processed</th><th>Route</th><th>Status</th><th>Title</th><th>Formatter</th><th>Id</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+}
+
+function resultBlock(result) {
+  if (!result) return "";
+  return `<section>
+<h2>${escapeHtml(result.title)}</h2>
+${result.error ? `<p class="error">${escapeHtml(result.error)}</p>` : `<pre>${escapeHtml(JSON.stringify(result.body, null, 2))}</pre>`}
+</section>`;
+}
+
+/**
+ * The dashboard. `history` is a page from listHistory (null without the
+ * binding), `routes` the route names, `result` the outcome of the last form
+ * ({ title, body } or { title, error }) and `form` its submitted fields.
+ */
+export function dashboardPage({ routes, history, result = null, form = {} }) {
+  const route = form.route || "default";
+  return html(page("ntfy worker admin", `<header>
+<h1>ntfy worker admin</h1>
+<form method="post" action="/admin/logout"><button>Sign out</button></form>
+</header>
+${resultBlock(result)}
+<h2>Recent deliveries</h2>
+${historyTable(history)}
+<h2>Send a test notification</h2>
+<form method="post" action="/admin">
+  <input type="hidden" name="action" value="test">
+  <label>Route <select name="route">${options(routes, route)}</select></label>
+  <label>Title <input name="title" value="${escapeHtml(form.title ?? "Test notification")}"></label>
+  <label>Priority <select name="priority">${options(PRIORITIES, form.priority || "default")}</select></label>
+  <label>Message <textarea name="message" placeholder="Defaults to a message with the current time">${escapeHtml(form.message ?? "")}</textarea></label>
+  <button>Send</button>
+</form>
+<h2>Preview a payload</h2>
+<p>Formats the payload as the route would, with its parsers, model and override rules, without publishing it.</p>
+<form method="post" action="/admin">
+  <input type="hidden" name="action" value="preview">
+  <label>Route <select name="route">${options(routes, route)}</select></label>
+  <label>Payload (text or JSON) <textarea name="payload" required>${escapeHtml(form.payload ?? "")}</textarea></label>
+  <button>Preview</button>
+</form>`), result?.error ? 400 : 200);
+}
@@ -0,0 +1,191 @@
+/**
+ * Deduplication and rate limiting in front of the formatter.
+ *
+ * State lives in the AlertGate Durable Object, one instance per route, so
+ * counts are consistent across isolates. A route opts in with:
+ *   "dedupe": { "window": 300, "rateLimit": { "limit": 20, "period": 60 }, "summary": true }
+ * or globally with the DEDUPE_WINDOW / RATE_LIMIT / RATE_LIMIT_PERIOD env vars.
+ *
+ * Duplicates (same fingerprint of the trimmed payload) inside the window are
+ * dropped; with `summary` on, one "N similar alerts suppressed" notification
+ * is published when the window closes. A payload no target could be reached
+ * with is released again, so the sender's retry is not taken for a duplicate.
+ */
+
+import { ntfyTarget, toPositive } from "./routing.js";
+import { log } from "./log.js";
+
+const DEFAULT_WINDOW_SECONDS = 300;
+const DEFAULT_RATE_PERIOD_SECONDS = 60;
+const LABEL_MAX = 200;
+
+/**
+ * Stable fingerprint of a payload, ignoring whitespace differences.
+ */
+export async function fingerprint(text) {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(normalized));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Route settings merged with env defaults, or null when the gate is off.
+ */
+export function resolveDedupeConfig(route, env) {
+  if (!env.ALERT_GATE || route.dedupe === false) return null;
+
+  const settings = typeof route.dedupe === "object" && route.dedupe ? route.dedupe : {};
+  const enabled = route.dedupe || env.DEDUPE_WINDOW || env.RATE_LIMIT;
+  if (!enabled) return null;
+
+  const window = toPositive(settings.window ?? env.DEDUPE_WINDOW) ?? DEFAULT_WINDOW_SECONDS;
+  const limit = toPositive(settings.rateLimit?.limit ?? env.RATE_LIMIT);
+  const period = toPositive(settings.rateLimit?.period ?? env.RATE_LIMIT_PERIOD) ?? DEFAULT_RATE_PERIOD_SECONDS;
+
+  return {
+    window,
+    rateLimit: limit ? { limit, period } : null,
+    summary: settings.summary ?? env.DEDUPE_SUMMARY === "true"
+  };
+}
+
+/**
+ * Ask the route's AlertGate whether this payload may go through.
+ * Resolves to { allowed: true } or { allowed: false, reason, retryAfter? }.
+ */
+export async function checkGate(env, route, text) {
+  const config = resolveDedupeConfig(route, env);
+  if (!config) return { allowed: true };
+
+  const stub = env.ALERT_GATE.get(env.ALERT_GATE.idFromName(route.name));
+  const response = await stub.fetch("https://alert-gate/check", {
+    method: "POST",
+    body: JSON.stringify({
+      fingerprint: await fingerprint(text),
+      label: text.split("\n").find(line => /\w/.test(line))?.trim().slice(0, LABEL_MAX) || "",
+      target: ntfyTarget(route),
+      ...config
+    })
+  });
+  return response.json();
+}
+
+/**
+ * Forget a payload the gate let through but that was never delivered.
+ */
+export async function releaseGate(env, route, text) {
+  if (!resolveDedupeConfig(route, env)) return;
+  try {
+    const stub = env.ALERT_GATE.get(env.ALERT_GATE.idFromName(route.name));
+    await stub.fetch("https://alert-gate/release", {
+      method: "POST",
+      body: JSON.stringify({ fingerprint: await fingerprint(text) })
+    });
+  } catch (error) {
+    log.error("Dedupe release failed", { error });
+  }
+}
+
+/**
+ * Durable Object holding dedupe windows and rate-limit counters for one route.
+ */
+export class AlertGate {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    if (new URL(request.url).pathname === "/release") {
+      await this.state.storage.delete(`fp:${(await request.json()).fingerprint}`);
+      return new Response(null, { status: 204 });
+    }
+    return Response.json(await this.check(await request.json()));
+  }
+
+  async check({ fingerprint, label, target, window, rateLimit, summary }) {
+    const now = Date.now();
+    const storage = this.state.storage;
+
+    const key = `fp:${fingerprint}`;
+    const seen = await storage.get(key);
+    if (seen && seen.expires > now) {
+      seen.suppressed++;
+      await storage.put(key, seen);
+      return { allowed: false, reason: "duplicate", suppressed: seen.suppressed };
+    }
+    if (seen) {
+      // Window closed but the alarm has not run yet; it must not summarize it again
+      await storage.delete(key);
+      if (seen.summary && seen.suppressed > 0) await this.publishSummary(seen);
+    }
+
+    if (rateLimit) {
+      let rate = await storage.get("rate");
+      if (!rate || now - rate.start >= rateLimit.period * 1000) {
+        rate = { start: now, count: 0 };
+      }
+      if (rate.count >= rateLimit.limit) {
+        const retryAfter = Math.ceil((rate.start + rateLimit.period * 1000 - now) / 1000);
+        return { allowed: false, reason: "rate_limited", retryAfter };
+      }
+      rate.count++;
+      await storage.put("rate", rate);
+    }
+
+    const expires = now + window * 1000;
+    await storage.put(key, { expires, suppressed: 0, label, target, summary });
+    await this.scheduleAlarm(expires);
+    return { allowed: true };
+  }
+
+  async scheduleAlarm(at) {
+    const current = await this.state.storage.getAlarm();
+    if (!current || current > at) {
+      await this.state.storage.setAlarm(at);
+    }
+  }
+
+  async alarm() {
+    const now = Date.now();
+    const storage = this.state.storage;
+    const entries = await storage.list({ prefix: "fp:" });
+
+    let next = null;
+    for (const [key, entry] of entries) {
+      if (entry.expires > now) {
+        next = next === null ? entry.expires : Math.min(next, entry.expires);
+        continue;
+      }
+
+      await storage.delete(key);
+      if (entry.summary && entry.suppressed > 0) {
+        await this.publishSummary(entry);
+      }
+    }
+
+    if (next !== null) await storage.setAlarm(next);
+  }
+
+  async publishSummary({ suppressed, label, target }) {
+    const plural = suppressed === 1 ? "alert" : "alerts";
+    try {
+      const response = await fetch(target.url, {
+        method: "POST",
+        headers: {
+          ...target.headers,
+          "Content-Type": "text/plain",
+          "Title": `${suppressed} similar ${plural} suppressed`,
+          "Priority": "low",
+          "Tags": "zzz"
+        },
+        body: label ? `Repeats of: ${label}` : `${suppressed} duplicate ${plural} were not delivered.`
+      });
+      if (!response.ok) {
+        throw new Error(`ntfy failed: ${response.status} - ${await response.text()}`);
+      }
+    } catch (e) {
+      log.error("Suppression summary failed", { error: e });
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AlertGate, checkGate, fingerprint, resolveDedupeConfig } from './dedupe.js';
+import { createJob, processJob } from './pipeline.js';
+import { memoryStorage } from '../test/helpers.js';
+
+// Minimal Durable Object namespace: one AlertGate instance per name
+function gateNamespace() {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: name => name,
+    get: id => {
+      if (!instances.has(id)) instances.set(id, new AlertGate({ storage: memoryStorage() }, {}));
+      const gate = instances.get(id);
+      return { fetch: (url, init) => gate.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+const route = (dedupe) => ({ name: 'monitoring', server: 'https://ntfy.sh', topic: 'alerts', token: null, dedupe });
+
+describe('Dedupe and Rate Limiting', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    env = { ALERT_GATE: gateNamespace() };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  describe('fingerprint', () => {
+    it('should ignore whitespace differences', async () => {
+      expect(await fingerprint('disk  full\n on web-1')).toBe(await fingerprint('disk full on web-1'));
+      expect(await fingerprint('disk full on web-1')).not.toBe(await fingerprint('disk full on web-2'));
+    });
+  });
+
+  describe('resolveDedupeConfig', () => {
+    it('should be off without the binding or config', () => {
+      expect(resolveDedupeConfig(route({ window: 60 }), {})).toBeNull();
+      expect(resolveDedupeConfig(route(undefined), env)).toBeNull();
+      expect(resolveDedupeConfig(route(false), { ...env, DEDUPE_WINDOW: '60' })).toBeNull();
+    });
+
+    it('should merge route settings with env defaults', () => {
+      expect(resolveDedupeConfig(route(true), env)).toEqual({ window: 300, rateLimit: null, summary: false });
+      expect(resolveDedupeConfig(route({ rateLimit: { limit: 5 } }), { ...env, DEDUPE_WINDOW: '120', DEDUPE_SUMMARY: 'true' }))
+        .toEqual({ window: 120, rateLimit: { limit: 5, period: 60 }, summary: true });
+    });
+  });
+
+  describe('checkGate', () => {
+    it('should allow everything when disabled', async () => {
+      expect(await checkGate({}, route(true), 'x')).toEqual({ allowed: true });
+    });
+
+    it('should suppress duplicates inside the window', async () => {
+      const r = route({ window: 60 });
+
+      expect(await checkGate(env, r, 'CPU high')).toEqual({ allowed: true });
+      expect(await checkGate(env, r, 'CPU  high')).toMatchObject({ allowed: false, reason: 'duplicate', suppressed: 1 });
+      expect(await checkGate(env, r, 'Disk full')).toEqual({ allowed: true });
+
+      vi.setSystemTime(Date.now() + 61_000);
+      expect(await checkGate(env, r, 'CPU high')).toEqual({ allowed: true });
+    });
+
+    it('should keep routes independent', async () => {
+      await checkGate(env, route(true), 'same');
+      expect(await checkGate(env, { ...route(true), name: 'ci' }, 'same')).toEqual({ allowed: true });
+    });
+
+    it('should rate limit per route', async () => {
+      const r = route({ rateLimit: { limit: 2, period: 60 } });
+
+      expect((await checkGate(env, r, 'a')).allowed).toBe(true);
+      expect((await checkGate(env, r, 'b')).allowed).toBe(true);
+      expect(await checkGate(env, r, 'c')).toEqual({ allowed: false, reason: 'rate_limited', retryAfter: 60 });
+
+      vi.setSystemTime(Date.now() + 60_000);
+      expect((await checkGate(env, r, 'd')).allowed).toBe(true);
+    });
+  });
+
+  describe('failed deliveries', () => {
+    it('should let the sender retry a payload no target received', async () => {
+      vi.useRealTimers();
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date', 'setTimeout'] });
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      let ntfyUp = false;
+      vi.stubGlobal('fetch', vi.fn(async () => ntfyUp ? new Response('{}') : new Response('down', { status: 503 })));
+      const r = route({ window: 300 });
+      // Runs the delivery retries' backoff timers until the job is done
+      const send = async () => {
+        let status;
+        processJob(createJob({ routeName: r.name, payload: 'disk full on db-1', data: null, overrides: { raw: true } }), r, env)
+          .then(result => { status = result.status; });
+        while (status === undefined) {
+          await new Promise(resolve => setImmediate(resolve));
+          await vi.advanceTimersByTimeAsync(1000);
+        }
+        return status;
+      };
+
+      expect(await send()).toBe('failed');
+      ntfyUp = true;
+      expect(await send()).toBe('sent');
+      expect(await send()).toBe('duplicate');
+      vi.restoreAllMocks();
+    });
+  });
+
+  describe('suppression summary', () => {
+    it('should publish one summary when the window closes', async () => {
+      const fetchMock = vi.fn(async () => new Response('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+      const r = route({ window: 60, summary: true });
+
+      await checkGate(env, r, '{\n  "alert": "CPU high on web-1"\n}');
+      await checkGate(env, r, '{\n  "alert": "CPU high on web-1"\n}');
+      await checkGate(env, r, '{\n  "alert": "CPU high on web-1"\n}');
+
+      const gate = env.ALERT_GATE.instances.get('monitoring');
+      expect(await gate.state.storage.getAlarm()).toBe(Date.now() + 60_000);
+
+      vi.setSystemTime(Date.now() + 60_000);
+      await gate.alarm();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://ntfy.sh/alerts');
+      expect(init.headers.Title).toBe('2 similar alerts suppressed');
+      expect(init.body).toBe('Repeats of: "alert": "CPU high on web-1"');
+      expect(gate.state.storage.data.size).toBe(0);
+    });
+
+    it('should publish the summary of a closed window once when the repeat is rate limited', async () => {
+      const fetchMock = vi.fn(async () => new Response('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+      const r = route({ window: 60, summary: true, rateLimit: { limit: 1, period: 3600 } });
+
+      await checkGate(env, r, 'disk full');
+      await checkGate(env, r, 'disk full');
+      vi.setSystemTime(Date.now() + 60_000);
+
+      expect((await checkGate(env, r, 'disk full')).reason).toBe('rate_limited');
+      expect((await checkGate(env, r, 'disk full')).reason).toBe('rate_limited');
+      await env.ALERT_GATE.instances.get('monitoring').alarm();
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][1].headers.Title).toBe('1 similar alert suppressed');
+    });
+
+    it('should not publish when nothing was suppressed or summaries are off', async () => {
+      const fetchMock = vi.fn(async () => new Response('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      await checkGate(env, route({ window: 60, summary: true }), 'once');
+      await checkGate(env, route({ window: 60 }), 'twice');
+      await checkGate(env, route({ window: 60 }), 'twice');
+
+      vi.setSystemTime(Date.now() + 60_000);
+      await env.ALERT_GATE.instances.get('monitoring').alarm();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+});
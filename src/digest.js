@@ -0,0 +1,238 @@
+/**
+ * Quiet hours and digests.
+ *
+ * During a route's quiet hours, notifications below `below` are held instead of
+ * published. In digest mode, notifications below the digest's `below` are held
+ * at any time. "urgent" is never held. Held notifications are stored in the
+ * DIGESTS KV namespace and published as one summarized notification per route
+ * by the Cron Trigger (`scheduled()`), once the route is out of quiet hours:
+ *
+ *   {
+ *     "quietHours": { "start": "22:00", "end": "07:00", "timezone": "Europe/Berlin", "below": "high" },
+ *     "digest": { "below": "default", "cron": "0 8 * * *", "maxItems": 50 }
+ *   }
+ *
+ * `quietHours.below` defaults to "urgent" (hold everything else) and
+ * `digest.below` to "default" (hold low and min); `"digest": true` uses the
+ * defaults. With `cron`, a route's digest is only published by that trigger.
+ * The timezone defaults to TIMEZONE, then UTC.
+ */
+
+import { PRIORITIES, MESSAGE_MAX, normalizeNotification } from "./notification.js";
+import { resolveLlmConfig, formatNotification, DIGEST_PROMPT } from "./llm.js";
+import { loadRoute } from "./routing.js";
+import { deliver } from "./channels.js";
+import { condense } from "./budget.js";
+import { resolveRedactConfig, redactText, restoreNotification, redactedLlm } from "./redact.js";
+import { log } from "./log.js";
+
+const DIGEST_PREFIX = "digest:";
+const DEFAULT_MAX_ITEMS = 50;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function priorityLevel(value, fallback, where) {
+  const name = value ?? fallback;
+  if (!PRIORITIES.includes(name)) {
+    throw new Error(`${where}: unknown priority "${name}" (use ${PRIORITIES.join(", ")})`);
+  }
+  return PRIORITIES.indexOf(name);
+}
+
+function parseTime(value, where) {
+  const match = TIME.exec(String(value ?? ""));
+  if (!match) throw new Error(`${where} must be HH:MM, got "${value}"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function checkTimezone(timeZone, where) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new Error(`${where}: unknown timezone "${timeZone}"`);
+  }
+  return timeZone;
+}
+
+/**
+ * The route's quiet hours and digest settings, or null when it has neither.
+ * Throws on invalid settings or a missing DIGESTS binding.
+ */
+export function resolveHoldConfig(route = {}, env = {}) {
+  const { quietHours, digest } = route;
+  if (!quietHours && !digest) return null;
+  const where = `Route "${route.name}"`;
+
+  let quiet = null;
+  if (quietHours) {
+    quiet = {
+      start: parseTime(quietHours.start, `${where} quietHours.start`),
+      end: parseTime(quietHours.end, `${where} quietHours.end`),
+      timezone: checkTimezone(quietHours.timezone || env.TIMEZONE || "UTC", `${where} quietHours`),
+      below: priorityLevel(quietHours.below, "urgent", `${where} quietHours.below`)
+    };
+  }
+
+  let digestConfig = null;
+  if (digest) {
+    const settings = digest === true ? {} : digest;
+    const maxItems = Number(settings.maxItems);
+    digestConfig = {
+      below: priorityLevel(settings.below, "default", `${where} digest.below`),
+      cron: settings.cron || null,
+      maxItems: Number.isInteger(maxItems) && maxItems > 0 ? maxItems : DEFAULT_MAX_ITEMS
+    };
+  }
+
+  if (!env.DIGESTS) {
+    throw new Error("Quiet hours and digests need the DIGESTS binding");
+  }
+  return { quiet, digest: digestConfig };
+}
+
+// Minutes since midnight in `timeZone`
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }).formatToParts(date);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+/**
+ * Whether `date` falls in the quiet hours; windows may span midnight.
+ */
+export function inQuietHours(quiet, date = new Date()) {
+  if (!quiet || quiet.start === quiet.end) return false;
+  const now = localMinutes(date, quiet.timezone);
+  return quiet.start < quiet.end
+    ? now >= quiet.start && now < quiet.end
+    : now >= quiet.start || now < quiet.end;
+}
+
+/**
+ * Why a notification should be held ("quiet-hours" or "digest"), or null to publish it now.
+ */
+export function holdReason(hold, priority, date = new Date()) {
+  if (!hold || priority === "urgent") return null;
+  const level = PRIORITIES.indexOf(priority);
+  if (hold.quiet && level < hold.quiet.below && inQuietHours(hold.quiet, date)) return "quiet-hours";
+  if (hold.digest && level < hold.digest.below) return "digest";
+  return null;
+}
+
+/**
+ * Store a notification for the route's next digest.
+ */
+export async function holdNotification(env, job, notification, reason) {
+  const heldAt = new Date().toISOString();
+  await env.DIGESTS.put(
+    `${DIGEST_PREFIX}${job.route}:${heldAt}:${job.id}`,
+    JSON.stringify({ id: job.id, route: job.route, notification, reason, receivedAt: job.receivedAt, heldAt })
+  );
+}
+
+async function listHeld(env) {
+  const byRoute = new Map();
+  let cursor;
+  do {
+    const page = await env.DIGESTS.list({ prefix: DIGEST_PREFIX, cursor });
+    for (const { name } of page.keys) {
+      const route = name.slice(DIGEST_PREFIX.length).split(":")[0];
+      if (!byRoute.has(route)) byRoute.set(route, []);
+      byRoute.get(route).push(name);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return byRoute;
+}
+
+/**
+ * The text the model summarizes: one line per held notification.
+ */
+export function digestText(items, timeZone = "UTC") {
+  const time = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+  return [
+    `${items.length} held notifications:`,
+    ...items.map(({ notification: n, receivedAt }) =>
+      `- ${time.format(new Date(receivedAt))} [${n.priority}] ${n.title}: ${n.message.replace(/\s+/g, " ")}`)
+  ].join("\n");
+}
+
+/**
+ * One notification for a list of held items: the item itself when there is
+ * only one, otherwise a model summary at the highest held priority.
+ */
+export async function buildDigest(items, route, env, timeZone) {
+  if (items.length === 1) return { notification: items[0].notification, text: items[0].notification.message };
+
+  const text = digestText(items, timeZone);
+  const priority = PRIORITIES[Math.max(...items.map(i => PRIORITIES.indexOf(i.notification.priority)))];
+  let notification = null;
+  try {
+    const llm = resolveLlmConfig(env, route);
+    // Parsed notifications never went through a model, so they may still hold secrets
+    const redact = resolveRedactConfig(route, env);
+    const redacted = redactText(text, redact);
+    const result = await formatNotification(redacted.text, redactedLlm({ ...llm, systemPrompt: DIGEST_PROMPT }, redacted));
+    if (result.formatter.type === "model") notification = restoreNotification(result.notification, redacted, redact);
+  } catch (error) {
+    log.error("Digest formatting failed", { error });
+  }
+
+  notification ??= normalizeNotification({
+    title: `${items.length} held notifications`,
+    message: condense(text.split("\n").slice(1).join("\n"), MESSAGE_MAX),
+    tags: "inbox_tray"
+  });
+  return { notification: { ...notification, priority }, text };
+}
+
+async function publishRoute(env, routeName, keys, { cron, now }) {
+  const route = await loadRoute(routeName, env);
+  if (!route) {
+    log.error("Dropping held notifications for an unknown route", { route: routeName, count: keys.length });
+    await Promise.all(keys.map(key => env.DIGESTS.delete(key)));
+    return { route: routeName, status: "dropped", count: keys.length };
+  }
+
+  const hold = resolveHoldConfig(route, env);
+  if (hold?.digest?.cron && hold.digest.cron !== cron) return null;
+  if (inQuietHours(hold?.quiet, now)) return { route: routeName, status: "quiet", count: keys.length };
+
+  // Keys sort by hold time; older items go first, the rest wait for the next run
+  const batch = keys.slice(0, hold?.digest?.maxItems ?? DEFAULT_MAX_ITEMS);
+  const items = (await Promise.all(batch.map(key => env.DIGESTS.get(key, "json")))).filter(Boolean);
+  if (items.length === 0) return null;
+
+  const { notification, text } = await buildDigest(items, route, env, hold?.quiet?.timezone || env.TIMEZONE || "UTC");
+  const results = await deliver(route, notification, env, { fallbackText: text });
+  const delivered = results.filter(r => r.ok).length;
+
+  // Nothing went out: keep the items for the next run
+  if (delivered === 0) {
+    return { route: routeName, status: "failed", count: items.length, results };
+  }
+  await Promise.all(batch.map(key => env.DIGESTS.delete(key)));
+  return { route: routeName, status: delivered === results.length ? "sent" : "partial", count: items.length, notification, results };
+}
+
+/**
+ * Cron Trigger handler: publish a digest for every route with held notifications.
+ * Resolves to one summary per route that was looked at.
+ */
+export async function publishDigests(env, { cron, now = new Date() } = {}) {
+  if (!env.DIGESTS) return [];
+
+  const summaries = [];
+  for (const [routeName, keys] of await listHeld(env)) {
+    try {
+      const summary = await publishRoute(env, routeName, keys, { cron, now });
+      if (summary) {
+        log.info("Digest published", { route: routeName, status: summary.status, count: summary.count });
+        summaries.push(summary);
+      }
+    } catch (error) {
+      log.error("Digest failed", { route: routeName, error });
+      summaries.push({ route: routeName, status: "error", count: keys.length, error: error.message });
+    }
+  }
+  return summaries;
+}
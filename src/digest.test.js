@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveHoldConfig, inQuietHours, holdReason, holdNotification, publishDigests, digestText } from './digest.js';
+import { processJob } from './pipeline.js';
+import { memoryKV } from '../test/helpers.js';
+
+const note = (title, priority = 'low') => ({ title, message: `${title} happened`, priority, tags: 'bell' });
+
+const modelReply = (notification) => Response.json({
+  choices: [{ message: { content: JSON.stringify(notification) } }]
+});
+
+describe('Quiet Hours and Digests', () => {
+  let env;
+  let fetchMock;
+
+  const published = () => fetchMock.mock.calls.filter(([url]) => url.startsWith('https://ntfy.sh/'));
+
+  beforeEach(() => {
+    env = {
+      OPENROUTER_API_KEY: 'k',
+      DIGESTS: memoryKV(),
+      ROUTES: JSON.stringify({
+        night: { topic: 'night', quietHours: { start: '22:00', end: '07:00', timezone: 'Europe/Berlin' } },
+        cron: { topic: 'cron', digest: { cron: '0 8 * * *' } }
+      })
+    };
+    fetchMock = vi.fn(async (url) => url.includes('openrouter')
+      ? modelReply({ title: '2 updates: backups', message: 'Both backups finished', priority: 'urgent', tags: 'floppy_disk' })
+      : new Response('{}'));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('resolveHoldConfig', () => {
+    it('should fill in defaults', () => {
+      const config = resolveHoldConfig({ quietHours: { start: '22:00', end: '07:00' }, digest: true }, env);
+      expect(config).toEqual({
+        quiet: { start: 1320, end: 420, timezone: 'UTC', below: 4 },
+        digest: { below: 2, cron: null, maxItems: 50 }
+      });
+      expect(resolveHoldConfig({}, env)).toBeNull();
+    });
+
+    it('should reject invalid settings', () => {
+      const route = quietHours => ({ name: 'r', quietHours: { start: '22:00', end: '07:00', ...quietHours } });
+      expect(() => resolveHoldConfig(route({ start: '25:00' }), env)).toThrow('Route "r" quietHours.start must be HH:MM');
+      expect(() => resolveHoldConfig(route({ timezone: 'Mars/Olympus' }), env)).toThrow('unknown timezone "Mars/Olympus"');
+      expect(() => resolveHoldConfig(route({ below: 'loud' }), env)).toThrow('unknown priority "loud"');
+      expect(() => resolveHoldConfig(route(), {})).toThrow('need the DIGESTS binding');
+    });
+  });
+
+  describe('holding', () => {
+    const quiet = { start: 22 * 60, end: 7 * 60, timezone: 'Europe/Berlin', below: 3 };
+
+    it('should apply quiet hours in the route timezone, across midnight', () => {
+      expect(inQuietHours(quiet, new Date('2024-01-15T21:30:00Z'))).toBe(true); // 22:30 in Berlin
+      expect(inQuietHours(quiet, new Date('2024-01-16T05:59:00Z'))).toBe(true); // 06:59
+      expect(inQuietHours(quiet, new Date('2024-01-16T06:00:00Z'))).toBe(false); // 07:00
+      expect(inQuietHours(quiet, new Date('2024-01-15T20:30:00Z'))).toBe(false); // 21:30
+      expect(inQuietHours({ ...quiet, start: 9 * 60, end: 17 * 60 }, new Date('2024-07-01T10:00:00Z'))).toBe(true);
+    });
+
+    it('should hold below the threshold and never hold urgent', () => {
+      const night = new Date('2024-01-15T23:00:00Z');
+      const day = new Date('2024-01-15T12:00:00Z');
+
+      expect(holdReason({ quiet }, 'default', night)).toBe('quiet-hours');
+      expect(holdReason({ quiet }, 'high', night)).toBeNull();
+      expect(holdReason({ quiet }, 'default', day)).toBeNull();
+      expect(holdReason({ quiet: { ...quiet, below: 5 } }, 'urgent', night)).toBeNull();
+      expect(holdReason({ digest: { below: 2 } }, 'low', day)).toBe('digest');
+      expect(holdReason({ digest: { below: 2 } }, 'default', day)).toBeNull();
+    });
+
+    it('should hold notifications in the pipeline instead of publishing them', async () => {
+      fetchMock.mockImplementation(async (url) => url.includes('openrouter') ? modelReply(note('Backup done')) : new Response('{}'));
+      const route = { name: 'cron', topic: 'cron', server: 'https://ntfy.sh', digest: true };
+      const job = { id: 'j1', route: 'cron', payload: 'backup done', data: null, headers: {}, receivedAt: '2024-01-15T12:00:00.000Z' };
+
+      const result = await processJob(job, route, env);
+
+      expect(result).toMatchObject({ status: 'held', reason: 'digest', results: [] });
+      expect(published()).toHaveLength(0);
+      const [stored] = [...env.DIGESTS.data.values()].map(e => JSON.parse(e.value));
+      expect(stored).toMatchObject({ id: 'j1', route: 'cron', notification: { title: 'Backup done' }, reason: 'digest' });
+    });
+  });
+
+  describe('publishDigests', () => {
+    const hold = async (route, notification, receivedAt = '2024-01-15T23:10:00.000Z') => {
+      const id = crypto.randomUUID();
+      await holdNotification(env, { id, route, receivedAt }, notification, 'digest');
+    };
+
+    it('should list held items for the model', () => {
+      const text = digestText([{ notification: note('Backup done'), receivedAt: '2024-01-15T23:10:00.000Z' }], 'Europe/Berlin');
+      expect(text).toBe('1 held notifications:\n- 00:10 [low] Backup done: Backup done happened');
+    });
+
+    it('should publish one summary per route at the highest held priority', async () => {
+      await hold('cron', note('Backup 1 done', 'min'));
+      await hold('cron', note('Backup 2 done', 'low'));
+
+      const [summary] = await publishDigests(env, { cron: '0 8 * * *' });
+
+      expect(summary).toMatchObject({ route: 'cron', status: 'sent', count: 2 });
+      const [[url, init]] = published();
+      expect(url).toBe('https://ntfy.sh/cron');
+      expect(init.headers).toMatchObject({ Title: '2 updates: backups', Priority: 'low' });
+      const prompt = JSON.parse(fetchMock.mock.calls[0][1].body).messages;
+      expect(prompt[0].content).toContain('digest notification');
+      expect(prompt[1].content).toContain('[min] Backup 1 done');
+      expect(env.DIGESTS.data.size).toBe(0);
+    });
+
+    it('should publish a single held item as it is', async () => {
+      await hold('cron', note('Backup done'));
+      await publishDigests(env, { cron: '0 8 * * *' });
+
+      expect(fetchMock.mock.calls.some(([url]) => url.includes('openrouter'))).toBe(false);
+      expect(published()[0][1].headers.Title).toBe('Backup done');
+    });
+
+    it('should wait for the route cron and the end of quiet hours', async () => {
+      await hold('cron', note('Backup done'));
+      await hold('night', note('Disk 80%'));
+
+      const summaries = await publishDigests(env, { cron: '0 * * * *', now: new Date('2024-01-15T23:00:00Z') });
+
+      expect(summaries).toEqual([{ route: 'night', status: 'quiet', count: 1 }]);
+      expect(published()).toHaveLength(0);
+
+      await publishDigests(env, { cron: '0 * * * *', now: new Date('2024-01-16T07:00:00Z') });
+      expect(published().map(([url]) => url)).toEqual(['https://ntfy.sh/night']);
+      expect(env.DIGESTS.data.size).toBe(1);
+    });
+
+    it('should fall back to a plain list when the model fails', async () => {
+      fetchMock.mockImplementation(async (url) => url.includes('openrouter') ? new Response('bad', { status: 400 }) : new Response('{}'));
+      await hold('cron', note('Backup 1 done'));
+      await hold('cron', note('Backup 2 done'));
+
+      vi.useFakeTimers();
+      const done = publishDigests(env, { cron: '0 8 * * *' });
+      await vi.runAllTimersAsync();
+      await done;
+
+      const [, init] = published()[0];
+      expect(init.headers.Title).toBe('2 held notifications');
+      expect(init.body).toContain('[low] Backup 2 done');
+    });
+
+    it('should keep items when nothing could be delivered', async () => {
+      fetchMock.mockImplementation(async () => new Response('bad', { status: 400 }));
+      await hold('cron', note('Backup done'));
+
+      vi.useFakeTimers();
+      const done = publishDigests(env, { cron: '0 8 * * *' });
+      await vi.runAllTimersAsync();
+      const [summary] = await done;
+
+      expect(summary.status).toBe('failed');
+      expect(env.DIGESTS.data.size).toBe(1);
+    });
+
+    it('should drop items of routes that no longer exist', async () => {
+      await hold('gone', note('Old'));
+      expect(await publishDigests(env)).toEqual([{ route: 'gone', status: 'dropped', count: 1 }]);
+      expect(env.DIGESTS.data.size).toBe(0);
+    });
+  });
+});
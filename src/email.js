@@ -0,0 +1,130 @@
+/**
+ * Inbound email through Cloudflare Email Routing.
+ *
+ * The worker's `email()` handler parses the MIME message and feeds sender,
+ * subject and body into the same pipeline as webhooks. The route is picked
+ * from the recipient: `ntfy+ci@example.com` uses route `ci` (and is rejected
+ * when there is no such route), plain `ntfy@example.com` uses EMAIL_ROUTE or
+ * `default`.
+ *
+ * Only allow-listed senders are accepted; everyone else is rejected, which
+ * bounces the message. A route lists senders in `email.allow`, with `*`
+ * wildcards, or EMAIL_ALLOWED_SENDERS (comma-separated) applies:
+ *   { "email": { "allow": ["*@github.com", "alerts@example.com"] } }
+ * The envelope sender is checked, as the From header is up to whoever wrote
+ * the message (it is used when the envelope has no sender). `["*"]` accepts
+ * any sender.
+ */
+
+import { loadRoute } from "./routing.js";
+import { parseEmail, addressOf } from "./mime.js";
+import { createJob, prepareJob, processJob } from "./pipeline.js";
+import { wantsAsync, enqueueJob, deadLetter, deadLetterFailures } from "./queue.js";
+import { log } from "./log.js";
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+function globToRegExp(glob) {
+  const escaped = glob.trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+function allowList(route, env) {
+  const list = route.email?.allow ?? env.EMAIL_ALLOWED_SENDERS;
+  if (!list) return [];
+  return (Array.isArray(list) ? list : String(list).split(",")).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Whether `address` matches the route's sender allow-list. No list means no one.
+ */
+export function senderAllowed(address, route, env) {
+  if (!address) return false;
+  return allowList(route, env).some(entry => globToRegExp(entry).test(address.toLowerCase()));
+}
+
+/**
+ * The route for a recipient address, or null when none exists.
+ */
+export async function resolveEmailRoute(to, env) {
+  const local = String(to || "").split("@")[0].toLowerCase();
+  const detail = local.includes("+") ? local.slice(local.indexOf("+") + 1) : null;
+
+  const name = detail || env.EMAIL_ROUTE || "default";
+  const route = await loadRoute(name, env);
+  return route ? { name, route } : null;
+}
+
+/**
+ * The text the formatter reads: the main headers, then the body.
+ */
+export function emailPayload(email) {
+  const lines = [
+    `From: ${email.from || "unknown"}`,
+    email.to && `To: ${email.to}`,
+    email.date && `Date: ${email.date}`,
+    `Subject: ${email.subject || "(no subject)"}`,
+    email.attachments.length > 0 && `Attachments: ${email.attachments.map(a => a.filename || a.contentType).join(", ")}`
+  ].filter(Boolean);
+  return `${lines.join("\n")}\n\n${email.text}`;
+}
+
+/**
+ * Email Worker handler: `message` is a ForwardableEmailMessage.
+ */
+export async function handleEmail(message, env) {
+  // 1. Size limit before reading the message
+  const maxBytes = Number(env.EMAIL_MAX_BYTES) || DEFAULT_MAX_BYTES;
+  if (message.rawSize > maxBytes) {
+    message.setReject("Message too large");
+    return;
+  }
+
+  // 2. Resolve route
+  let resolved;
+  try {
+    resolved = await resolveEmailRoute(message.to, env);
+  } catch (error) {
+    log.error("Route config error", { error });
+    message.setReject("Temporary configuration error");
+    return;
+  }
+  if (!resolved) {
+    message.setReject("Unknown route");
+    return;
+  }
+  const { name: routeName, route } = resolved;
+
+  // 3. Parse MIME and check the sender
+  const email = parseEmail(await new Response(message.raw).arrayBuffer());
+  const sender = addressOf(message.from) || addressOf(email.from);
+  if (!senderAllowed(sender, route, env)) {
+    log.info("Rejected email", { sender, route: routeName });
+    message.setReject("Sender not allowed");
+    return;
+  }
+
+  // 4. Format and deliver like any other payload (the HTML body is not kept)
+  const { html: _html, ...data } = email;
+  const job = createJob({
+    routeName,
+    payload: emailPayload(email),
+    data,
+    headers: { "content-type": "message/rfc822" }
+  });
+
+  try {
+    const prepared = prepareJob(job, route, env);
+    if (wantsAsync(route, null, env)) {
+      await enqueueJob(env, job);
+      return;
+    }
+    const result = await processJob(job, route, env, prepared);
+    log.info("Email processed", { jobId: job.id, sender, status: result.status });
+    // Mail can't be answered with an error once accepted; keep it for replay
+    await deadLetterFailures(env, job, result);
+  } catch (error) {
+    log.error("Email failed", { jobId: job.id, error });
+    await deadLetter(env, job, error);
+  }
+}
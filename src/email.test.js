@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { handleEmail, senderAllowed, resolveEmailRoute } from './email.js';
+import { memoryKV, memoryQueue, emailMessage } from '../test/helpers.js';
+
+const fixture = name => readFileSync(new URL(`../test/fixtures/${name}`, import.meta.url));
+
+const modelReply = () => Response.json({
+  choices: [{ message: { content: JSON.stringify({ title: 'Backup failed', message: 'db-1 backup hit the disk quota', priority: 'high', tags: 'floppy_disk' }) } }]
+});
+
+describe('Email Ingestion', () => {
+  let env;
+  let fetchMock;
+
+  const published = () => fetchMock.mock.calls.filter(([url]) => url.startsWith('https://ntfy.sh/'));
+  const modelInput = () => {
+    const call = fetchMock.mock.calls.find(([url]) => url.includes('openrouter'));
+    return JSON.parse(call[1].body).messages.at(-1).content;
+  };
+
+  beforeEach(() => {
+    env = {
+      OPENROUTER_API_KEY: 'k',
+      ROUTES: JSON.stringify({
+        default: { topic: 'inbox' },
+        backups: { topic: 'backups', email: { allow: ['*@ops.example.com'] } }
+      }),
+      EMAIL_ALLOWED_SENDERS: 'billing@shop.example.com, *@builds.example.com',
+      DEAD_LETTERS: memoryKV()
+    };
+    fetchMock = vi.fn(async (url) => url.includes('openrouter') ? modelReply() : new Response('{}'));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('senderAllowed', () => {
+    it('should match exact addresses and wildcards case-insensitively', () => {
+      const route = { email: { allow: ['alerts@example.com', '*@GitHub.com'] } };
+      expect(senderAllowed('alerts@example.com', route, {})).toBe(true);
+      expect(senderAllowed('noreply@github.com', route, {})).toBe(true);
+      expect(senderAllowed('noreply@github.com.evil.test', route, {})).toBe(false);
+      expect(senderAllowed('x@example.com', { email: { allow: ['*'] } }, {})).toBe(true);
+    });
+
+    it('should reject everyone without an allow-list', () => {
+      expect(senderAllowed('alerts@example.com', {}, {})).toBe(false);
+      expect(senderAllowed(null, { email: { allow: ['*'] } }, {})).toBe(false);
+    });
+  });
+
+  describe('resolveEmailRoute', () => {
+    it('should use the plus detail, then EMAIL_ROUTE, then default', async () => {
+      expect((await resolveEmailRoute('ntfy+Backups@alerts.example.com', env)).name).toBe('backups');
+      expect((await resolveEmailRoute('ntfy@alerts.example.com', { ...env, EMAIL_ROUTE: 'backups' })).name).toBe('backups');
+      expect((await resolveEmailRoute('ntfy@alerts.example.com', env)).name).toBe('default');
+      expect(await resolveEmailRoute('ntfy+nope@alerts.example.com', env)).toBeNull();
+    });
+  });
+
+  describe('handleEmail', () => {
+    it('should format and publish an allowed message', async () => {
+      const message = emailMessage(fixture('plain.eml'), { from: 'backup@ops.example.com', to: 'ntfy+backups@alerts.example.com' });
+      await handleEmail(message, env);
+
+      expect(message.rejected).toBeNull();
+      expect(modelInput()).toContain('From: "Backup Bot" <backup@ops.example.com>');
+      expect(modelInput()).toContain('Subject: Nightly backup failed');
+      expect(modelInput()).toContain('Error: disk quota exceeded on /backups');
+
+      const [[url, init]] = published();
+      expect(url).toBe('https://ntfy.sh/backups');
+      expect(init.headers.Title).toBe('Backup failed');
+    });
+
+    it('should pass HTML bodies to the formatter as text', async () => {
+      await handleEmail(emailMessage(fixture('html-base64.eml'), { from: 'billing@shop.example.com' }), env);
+
+      expect(modelInput()).toContain('Invoice #1042 paid');
+      expect(modelInput()).not.toContain('<h1>');
+      expect(published()[0][0]).toBe('https://ntfy.sh/inbox');
+    });
+
+    it('should mention attachments in the payload', async () => {
+      await handleEmail(emailMessage(fixture('mixed-attachment.eml'), { from: 'ci@builds.example.com' }), env);
+      expect(modelInput()).toContain('Attachments: build.log, résumé.pdf');
+    });
+
+    it('should reject senders outside the allow-list', async () => {
+      // The route's own list replaces EMAIL_ALLOWED_SENDERS
+      const message = emailMessage(fixture('html-base64.eml'), { from: 'billing@shop.example.com', to: 'ntfy+backups@alerts.example.com' });
+      await handleEmail(message, env);
+
+      expect(message.rejected).toBe('Sender not allowed');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should check the envelope sender, not the From header', async () => {
+      const raw = 'From: billing@shop.example.com\nSubject: ping\n\nhello';
+      const allowed = emailMessage('Subject: ping\n\nhello', { from: 'billing@shop.example.com' });
+      const denied = emailMessage(raw, { from: 'someone@else.test' });
+      await handleEmail(allowed, env);
+      await handleEmail(denied, env);
+
+      expect(allowed.rejected).toBeNull();
+      expect(denied.rejected).toBe('Sender not allowed');
+    });
+
+    it('should reject messages over EMAIL_MAX_BYTES', async () => {
+      const message = emailMessage(fixture('plain.eml'));
+      await handleEmail(message, { ...env, EMAIL_MAX_BYTES: '100' });
+
+      expect(message.rejected).toBe('Message too large');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should reject mail for unknown routes', async () => {
+      const message = emailMessage(fixture('plain.eml'), { to: 'ntfy+nope@alerts.example.com' });
+      await handleEmail(message, env);
+      expect(message.rejected).toBe('Unknown route');
+    });
+
+    it('should enqueue in async mode', async () => {
+      const queue = memoryQueue();
+      await handleEmail(emailMessage(fixture('mixed-attachment.eml'), { from: 'ci@builds.example.com' }), { ...env, ASYNC_MODE: 'true', NOTIFY_QUEUE: queue });
+
+      expect(fetchMock).not.toHaveBeenCalled();
+      expect(queue.sent[0]).toMatchObject({
+        route: 'default',
+        headers: { 'content-type': 'message/rfc822' },
+        data: { subject: 'Build #981 failed', text: 'Build #981 on main failed in the test stage.' }
+      });
+      expect(queue.sent[0].data).not.toHaveProperty('html');
+    });
+
+    it('should dead-letter messages that could not be delivered', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockImplementation(async (url) => url.includes('openrouter') ? modelReply() : new Response('down', { status: 503 }));
+      const done = handleEmail(emailMessage(fixture('plain.eml'), { from: 'backup@ops.example.com', to: 'ntfy+backups@alerts.example.com' }), env);
+      await vi.runAllTimersAsync();
+      await done;
+
+      const [entry] = [...env.DEAD_LETTERS.data.values()].map(e => JSON.parse(e.value));
+      expect(entry.job.payload).toContain('Subject: Nightly backup failed');
+      expect(entry.job.only).toEqual(['ntfy']);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Escalation of unacknowledged notifications.
+ *
+ * On a route with an escalation policy, notifications at or above its
+ * priority get an "Acknowledge" button: an ntfy http action that POSTs to
+ * `/ack/<job id>` on the worker (served under WORKER_URL). Until someone
+ * presses it, an Escalator Durable Object (ESCALATIONS, one object per
+ * notification) wakes up with alarms and:
+ *   1. re-sends the notification to the route's targets, one priority level
+ *      higher each time (`repeat` times, every `after` seconds)
+ *   2. then sends it to the escalation targets in `to` (same format as `targets`)
+ *
+ *   "escalation": { "priority": "urgent", "after": 300, "repeat": 1, "to": [{ "type": "ntfy", "topic": "oncall-backup" }] }
+ *
+ * `priority` defaults to "urgent", `after` to ESCALATION_AFTER (default 300 seconds)
+ * and `repeat` to 1. An acknowledged or finished escalation is forgotten a day later.
+ */
+
+import { PRIORITIES, ACTIONS_MAX, TITLE_MAX, MESSAGE_MAX, clamp, clampBytes } from "./notification.js";
+import { deliver, resolveTargets } from "./channels.js";
+import { loadRoute, toPositive } from "./routing.js";
+import { formatDuration } from "./threads.js";
+import { log } from "./log.js";
+
+const DEFAULT_AFTER = 300;
+const RETAIN_MS = 24 * 3600 * 1000;
+const ESCALATION_KEY = "escalation";
+// Job ids are UUIDs; anything else is answered without creating an object
+const ACK_PATH = /^\/ack\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/?$/;
+
+/**
+ * The escalation policy of a route with its steps, or null without one.
+ * Throws on invalid settings or missing bindings.
+ */
+export function resolveEscalationConfig(route = {}, env = {}) {
+  if (!route.escalation) return null;
+  const settings = typeof route.escalation === "object" ? route.escalation : {};
+  const where = `Route "${route.name}" escalation`;
+  if (!env.ESCALATIONS) throw new Error(`${where} needs the ESCALATIONS Durable Object binding`);
+  if (!env.WORKER_URL) throw new Error(`${where} needs WORKER_URL, the address the worker is served under`);
+
+  const priority = settings.priority ?? "urgent";
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`${where}: unknown priority "${priority}" (use ${PRIORITIES.join(", ")})`);
+  }
+  const repeat = settings.repeat ?? 1;
+  if (!Number.isInteger(repeat) || repeat < 0) throw new Error(`${where}: repeat must be a whole number`);
+  const to = settings.to ?? [];
+  if (to.length > 0) resolveTargets({ targets: to }); // throws on unknown target types
+  if (repeat === 0 && to.length === 0) throw new Error(`${where} has nothing to do (set repeat or to)`);
+
+  const after = toPositive(settings.after ?? env.ESCALATION_AFTER) ?? DEFAULT_AFTER;
+  const steps = Array.from({ length: repeat }, (_, i) => ({ type: "repeat", after: after * (i + 1), level: i + 1 }));
+  if (to.length > 0) steps.push({ type: "escalate", after: after * (repeat + 1), targets: to });
+
+  return { priority, steps, url: env.WORKER_URL.replace(/\/+$/, "") };
+}
+
+/**
+ * Whether a notification is escalated under the policy.
+ */
+export function escalates(config, notification) {
+  return Boolean(config) && PRIORITIES.indexOf(notification.priority) >= PRIORITIES.indexOf(config.priority);
+}
+
+export function ackUrl(config, id) {
+  return `${config.url}/ack/${encodeURIComponent(id)}`;
+}
+
+/**
+ * The notification with the Acknowledge button first among its actions.
+ */
+export function withAckAction(notification, config, id) {
+  const ack = { action: "http", label: "Acknowledge", url: ackUrl(config, id), method: "POST", clear: true };
+  return { ...notification, actions: [ack, ...(notification.actions || [])].slice(0, ACTIONS_MAX) };
+}
+
+function escalationStub(env, id) {
+  return env.ESCALATIONS.get(env.ESCALATIONS.idFromName(id));
+}
+
+/**
+ * Start escalating a delivered notification. Resolves to
+ * { id, ackUrl, steps: [{ type, at }] }, or null when it could not be started
+ * (logged, never thrown: the notification itself went out).
+ */
+export async function startEscalation(env, config, job, notification) {
+  const startedAt = new Date();
+  try {
+    await escalationStub(env, job.id).fetch("https://escalation/start", {
+      method: "POST",
+      body: JSON.stringify({ id: job.id, route: job.route, notification, steps: config.steps, startedAt: startedAt.toISOString() })
+    });
+  } catch (error) {
+    log.error("Escalation not started", { error });
+    return null;
+  }
+  return {
+    id: job.id,
+    ackUrl: ackUrl(config, job.id),
+    steps: config.steps.map(step => ({ type: step.type, at: new Date(startedAt.getTime() + step.after * 1000).toISOString() }))
+  };
+}
+
+/**
+ * POST /ack/<id>: acknowledge a notification and stop its escalation.
+ * The id, only known to the topic's subscribers, is the credential.
+ */
+export async function handleAck(request, env) {
+  const id = new URL(request.url).pathname.match(ACK_PATH)?.[1];
+  if (!id) return new Response("Not found", { status: 404 });
+  if (request.method !== "POST") return new Response("Only POST", { status: 405, headers: { Allow: "POST" } });
+  if (!env.ESCALATIONS) return new Response("No ESCALATIONS binding", { status: 501 });
+
+  let result;
+  try {
+    result = await (await escalationStub(env, id).fetch("https://escalation/ack", { method: "POST" })).json();
+  } catch (error) {
+    log.error("Acknowledgement failed", { escalation: id, error });
+    return new Response("Escalation unavailable", { status: 503 });
+  }
+  if (result.status === "unknown") return new Response("Unknown or expired notification", { status: 404 });
+  return new Response(result.status === "acknowledged" ? "Acknowledged" : "Already acknowledged", { status: 200 });
+}
+
+// The notification as sent by an escalation step
+function stepNotification(notification, step, elapsed) {
+  const reminder = `${notification.message}\n\nNot acknowledged after ${formatDuration(elapsed)}.`;
+  if (step.type === "repeat") {
+    const level = Math.min(PRIORITIES.indexOf(notification.priority) + step.level, PRIORITIES.length - 1);
+    return {
+      ...notification,
+      title: clamp(`Unacknowledged: ${notification.title}`, TITLE_MAX),
+      message: clampBytes(reminder, MESSAGE_MAX),
+      priority: PRIORITIES[level]
+    };
+  }
+  return {
+    ...notification,
+    title: clamp(`Escalated: ${notification.title}`, TITLE_MAX),
+    message: clampBytes(reminder, MESSAGE_MAX),
+    priority: "urgent"
+  };
+}
+
+/**
+ * Durable Object escalating one notification: an alarm per step until it is acknowledged.
+ */
+export class Escalator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === "POST" && url.pathname === "/start") {
+      await this.start(await request.json());
+      return new Response(null, { status: 204 });
+    }
+    if (request.method === "POST" && url.pathname === "/ack") {
+      return Response.json(await this.ack());
+    }
+    return Response.json((await this.state.storage.get(ESCALATION_KEY)) ?? null);
+  }
+
+  async start({ id, route, notification, steps, startedAt }) {
+    // A replayed job starts over
+    const escalation = { id, route, notification, steps, next: 0, startedAt, acknowledgedAt: null, expiresAt: null };
+    await this.state.storage.put(ESCALATION_KEY, escalation);
+    await this.state.storage.setAlarm(Date.parse(startedAt) + steps[0].after * 1000);
+  }
+
+  async ack() {
+    const escalation = await this.state.storage.get(ESCALATION_KEY);
+    if (!escalation) return { status: "unknown" };
+    if (escalation.acknowledgedAt) return { status: "already_acknowledged", acknowledgedAt: escalation.acknowledgedAt };
+
+    escalation.acknowledgedAt = new Date().toISOString();
+    log.info("Notification acknowledged", { escalation: escalation.id, route: escalation.route, steps: escalation.next });
+    await this.finish(escalation);
+    return { status: "acknowledged", steps: escalation.next };
+  }
+
+  async finish(escalation) {
+    escalation.expiresAt = Date.now() + RETAIN_MS;
+    await this.state.storage.put(ESCALATION_KEY, escalation);
+    await this.state.storage.setAlarm(escalation.expiresAt);
+  }
+
+  async alarm() {
+    const storage = this.state.storage;
+    const escalation = await storage.get(ESCALATION_KEY);
+    if (!escalation) return;
+    if (escalation.expiresAt) {
+      await storage.deleteAll();
+      return;
+    }
+
+    const step = escalation.steps[escalation.next];
+    await this.runStep(escalation, step);
+    escalation.next++;
+    if (escalation.next >= escalation.steps.length) {
+      await this.finish(escalation);
+      return;
+    }
+    await storage.put(ESCALATION_KEY, escalation);
+    await storage.setAlarm(Date.parse(escalation.startedAt) + escalation.steps[escalation.next].after * 1000);
+  }
+
+  async runStep(escalation, step) {
+    const fields = { escalation: escalation.id, route: escalation.route, step: step.type };
+    try {
+      const route = await loadRoute(escalation.route, this.env);
+      if (!route) throw new Error(`Route "${escalation.route}" no longer exists`);
+      const elapsed = Math.round((Date.now() - Date.parse(escalation.startedAt)) / 1000);
+      const notification = stepNotification(escalation.notification, step, elapsed);
+      const results = await deliver(step.type === "escalate" ? { ...route, targets: step.targets } : route, notification, this.env);
+      log.info("Escalation step sent", { ...fields, results: results.map(r => ({ target: r.target, ok: r.ok })) });
+    } catch (error) {
+      log.error("Escalation step failed", { ...fields, error });
+    }
+  }
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveEscalationConfig, withAckAction, handleAck, Escalator } from './escalation.js';
+import { createJob, processJob } from './pipeline.js';
+import { durableNamespace } from '../test/helpers.js';
+
+const alert = severity => ({
+  status: 'firing',
+  commonLabels: { alertname: 'DiskFull', severity },
+  alerts: [{ status: 'firing', labels: { alertname: 'DiskFull' }, annotations: { summary: 'db-1 disk at 99%' } }]
+});
+
+describe('Escalation', () => {
+  describe('resolveEscalationConfig', () => {
+    const env = { ESCALATIONS: {}, WORKER_URL: 'https://worker.test/' };
+    const resolve = (escalation, e = env) => resolveEscalationConfig({ name: 'ops', escalation }, e);
+
+    it('should build the steps from the policy', () => {
+      expect(resolve({ after: 120, repeat: 2, to: [{ type: 'ntfy', topic: 'oncall' }] })).toEqual({
+        priority: 'urgent',
+        url: 'https://worker.test',
+        steps: [
+          { type: 'repeat', after: 120, level: 1 },
+          { type: 'repeat', after: 240, level: 2 },
+          { type: 'escalate', after: 360, targets: [{ type: 'ntfy', topic: 'oncall' }] }
+        ]
+      });
+      expect(resolve(true, { ...env, ESCALATION_AFTER: '60' }).steps).toEqual([{ type: 'repeat', after: 60, level: 1 }]);
+      expect(resolve(undefined)).toBeNull();
+    });
+
+    it.each([
+      [true, { WORKER_URL: 'https://worker.test' }, 'Route "ops" escalation needs the ESCALATIONS Durable Object binding'],
+      [true, { ESCALATIONS: {} }, 'Route "ops" escalation needs WORKER_URL'],
+      [{ priority: 'critical' }, env, 'unknown priority "critical"'],
+      [{ repeat: 0 }, env, 'has nothing to do'],
+      [{ to: [{ type: 'pager' }] }, env, 'Unknown target type "pager"']
+    ])('should reject %j', (escalation, e, error) => {
+      expect(() => resolve(escalation, e)).toThrow(error);
+    });
+
+    it('should put the Acknowledge button first', () => {
+      const config = resolve(true);
+      const actions = [1, 2, 3].map(n => ({ action: 'view', label: `Link ${n}`, url: `https://x.test/${n}` }));
+      expect(withAckAction({ title: 't', actions }, config, 'job-1').actions).toEqual([
+        { action: 'http', label: 'Acknowledge', url: 'https://worker.test/ack/job-1', method: 'POST', clear: true },
+        actions[0],
+        actions[1]
+      ]);
+    });
+  });
+
+  describe('lifecycle', () => {
+    let env;
+    let fetchMock;
+    const route = {
+      server: 'https://ntfy.sh',
+      topic: 'ops',
+      escalation: { priority: 'high', after: 300, to: [{ type: 'ntfy', topic: 'oncall' }] }
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+      env = { WORKER_URL: 'https://worker.test', ROUTES: JSON.stringify({ ops: route }) };
+      env.ESCALATIONS = durableNamespace(Escalator, env);
+      fetchMock = vi.fn(async () => Response.json({ id: 'msg-1' }));
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    const send = async severity => {
+      const data = alert(severity);
+      const job = createJob({ routeName: 'ops', payload: JSON.stringify(data), data });
+      return { job, result: await processJob(job, { name: 'ops', ...route }, env) };
+    };
+    const publishes = () => fetchMock.mock.calls.map(([url, init]) => ({ url, ...init.headers }));
+    const escalator = id => env.ESCALATIONS.instances.get(id);
+    const ack = (id, method = 'POST') => handleAck(new Request(`https://worker.test/ack/${id}`, { method }), env);
+
+    it('should re-send with a higher priority, then escalate to the secondary topic', async () => {
+      const { job, result } = await send('warning');
+
+      expect(publishes()[0].Actions).toBe(`http, Acknowledge, https://worker.test/ack/${job.id}, method=POST, clear=true`);
+      expect(result.escalation).toEqual({
+        id: job.id,
+        ackUrl: `https://worker.test/ack/${job.id}`,
+        steps: [{ type: 'repeat', at: '2026-01-01T00:05:00.000Z' }, { type: 'escalate', at: '2026-01-01T00:10:00.000Z' }]
+      });
+      expect(await escalator(job.id).state.storage.getAlarm()).toBe(Date.parse('2026-01-01T00:05:00Z'));
+
+      vi.setSystemTime(new Date('2026-01-01T00:05:00Z'));
+      await escalator(job.id).alarm();
+      vi.setSystemTime(new Date('2026-01-01T00:10:00Z'));
+      await escalator(job.id).alarm();
+
+      expect(publishes().slice(1)).toMatchObject([
+        { url: 'https://ntfy.sh/ops', Title: 'Unacknowledged: [FIRING:1] DiskFull', Priority: 'urgent' },
+        { url: 'https://ntfy.sh/oncall', Title: 'Escalated: [FIRING:1] DiskFull', Priority: 'urgent' }
+      ]);
+      expect(fetchMock.mock.calls[2][1].body).toBe('db-1 disk at 99%\n\nNot acknowledged after 10m.');
+
+      // Finished escalations are forgotten a day later
+      await escalator(job.id).alarm();
+      expect(escalator(job.id).state.storage.data.size).toBe(0);
+    });
+
+    it('should stop escalating once acknowledged', async () => {
+      const { job } = await send('critical');
+
+      const response = await ack(job.id);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe('Acknowledged');
+      expect(await (await ack(job.id)).text()).toBe('Already acknowledged');
+
+      await escalator(job.id).alarm();
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(escalator(job.id).state.storage.data.size).toBe(0);
+    });
+
+    it('should leave lower priorities alone and answer unknown acknowledgements', async () => {
+      const { result } = await send('info');
+
+      expect(result.escalation).toBeNull();
+      expect(publishes()[0].Actions).toBeUndefined();
+      expect((await ack('no-such-job')).status).toBe(404);
+      expect((await ack('no-such-job', 'GET')).status).toBe(404);
+      expect(env.ESCALATIONS.instances.size).toBe(0);
+
+      const unknown = crypto.randomUUID();
+      expect((await ack(unknown)).status).toBe(404);
+      expect((await ack(unknown, 'GET')).status).toBe(405);
+    });
+  });
+});
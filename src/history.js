@@ -0,0 +1,247 @@
+/**
+ * Delivery history: one entry per processed job in the HISTORY KV namespace,
+ * with what came in, what the formatter made of it and what each target said.
+ *
+ * Entries live under `history:<job id>`; a time-ordered index under
+ * `history-at:<inverted time>:<job id>` lists the newest first and carries a
+ * summary in its metadata, so the admin API can search without reading entries.
+ * A replayed job keeps its id: the entry shows the latest attempt and the
+ * index one line per attempt.
+ *
+ * Entries expire after HISTORY_TTL seconds (default 30 days). A route can opt
+ * out with `"history": false` or set its own retention and redactions:
+ *   "history": { "ttl": 604800, "redact": ["headers.x-api-key", "data.user.email", "payload"] }
+ * `redact` (and the comma-separated HISTORY_REDACT) names what never reaches
+ * the store: a whole field (`payload`, `trimmed`, `headers`, `notification`),
+ * a request header (`headers.<name>`) or a JSON path in the payload
+ * (`data.<path>`, `*` matching any key or index). Values redacted by path are
+ * also blanked out of the trimmed payload and the notification text.
+ *
+ * Secrets that the redaction stage detects (tokens, keys, passwords; see
+ * redact.js) are replaced with placeholders in the stored payload and trimmed
+ * text. `"history": { "secrets": false }` stores them verbatim.
+ */
+
+import { loadRoute } from "./routing.js";
+import { SECRET_DETECTORS, redactText } from "./redact.js";
+import { deliver, resolveTargets } from "./channels.js";
+import { MIN_KV_TTL } from "./cache.js";
+import { log } from "./log.js";
+
+const ENTRY_PREFIX = "history:";
+const INDEX_PREFIX = "history-at:";
+const DEFAULT_TTL = 30 * 24 * 3600;
+const MAX_TIME = 9999999999999;
+const REDACTED = "[redacted]";
+const FIELDS = ["payload", "trimmed", "headers", "notification"];
+const METADATA_TEXT_MAX = 100;
+const SECRETS = { detectors: Object.entries(SECRET_DETECTORS), restore: new Set() };
+
+function parseRedaction(item) {
+  const name = String(item).trim();
+  if (FIELDS.includes(name)) return { field: name };
+  if (name.startsWith("headers.") && name.length > 8) return { header: name.slice(8).toLowerCase() };
+  if (name.startsWith("data.") && name.length > 5) return { path: name.slice(5).split(".") };
+  throw new Error(`Unknown history redaction "${name}" (use ${FIELDS.join(", ")}, headers.<name> or data.<path>)`);
+}
+
+/**
+ * The history settings for a route, or null when nothing is recorded.
+ * Throws on invalid redactions.
+ */
+export function resolveHistoryConfig(route = {}, env = {}) {
+  if (!env.HISTORY || route.history === false) return null;
+
+  const settings = typeof route.history === "object" && route.history ? route.history : {};
+  const global = env.HISTORY_REDACT ? String(env.HISTORY_REDACT).split(",").filter(s => s.trim()) : [];
+  const ttl = Number(settings.ttl ?? env.HISTORY_TTL);
+  return {
+    ttl: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL,
+    redact: [...global, ...(settings.redact || [])].map(parseRedaction),
+    secrets: settings.secrets !== false
+  };
+}
+
+// Replace the values at `path` in place, collecting the originals
+function redactPath(value, path, found) {
+  if (value === null || typeof value !== "object" || path.length === 0) return;
+  const [segment, ...rest] = path;
+  const keys = segment === "*" ? Object.keys(value) : Object.hasOwn(value, segment) ? [segment] : [];
+  for (const key of keys) {
+    if (rest.length > 0) {
+      redactPath(value[key], rest, found);
+    } else {
+      found.push(value[key]);
+      value[key] = REDACTED;
+    }
+  }
+}
+
+// Blank out redacted values wherever they were copied into other text
+function scrub(text, values) {
+  if (typeof text !== "string") return text;
+  return values.reduce((result, value) => result.split(value).join(REDACTED), text);
+}
+
+/**
+ * Apply the configured redactions to an entry before it is stored, and
+ * replace detected secrets in its payload and trimmed text unless `secrets`
+ * is false.
+ */
+export function redactEntry(entry, data, redact, secrets = true) {
+  const found = [];
+  let payloadData = null;
+
+  for (const rule of redact) {
+    if (rule.header && entry.headers && typeof entry.headers === "object" && Object.hasOwn(entry.headers, rule.header)) {
+      entry.headers[rule.header] = REDACTED;
+    }
+    if (rule.path && data && typeof data === "object") {
+      payloadData ??= structuredClone(data);
+      redactPath(payloadData, rule.path, found);
+    }
+  }
+
+  if (payloadData) {
+    entry.payload = JSON.stringify(payloadData, null, 2);
+    // Short values like "ok" or 1 would blank out half the text
+    const values = found
+      .filter(v => typeof v === "string" || typeof v === "number")
+      .map(String)
+      .filter(v => v.length >= 4);
+    entry.trimmed = scrub(entry.trimmed, values);
+    if (entry.notification) {
+      entry.notification = Object.fromEntries(Object.entries(entry.notification).map(([k, v]) => [k, scrub(v, values)]));
+    }
+  }
+
+  if (secrets) {
+    for (const field of ["payload", "trimmed"]) {
+      if (typeof entry[field] === "string") entry[field] = redactText(entry[field], SECRETS).text;
+    }
+  }
+
+  for (const rule of redact) {
+    if (rule.field && entry[rule.field] != null) entry[rule.field] = REDACTED;
+  }
+  return entry;
+}
+
+function indexKey(processedAt, id) {
+  return `${INDEX_PREFIX}${String(MAX_TIME - processedAt).padStart(13, "0")}:${id}`;
+}
+
+function summary(entry) {
+  const formatter = entry.formatter;
+  return {
+    route: entry.route,
+    status: entry.status,
+    receivedAt: entry.receivedAt,
+    processedAt: entry.processedAt,
+    title: typeof entry.notification?.title === "string" ? entry.notification.title.slice(0, METADATA_TEXT_MAX) : null,
+    formatter: (formatter?.model || formatter?.parser || formatter?.type || null)?.slice(0, METADATA_TEXT_MAX) ?? null
+  };
+}
+
+/**
+ * Store the outcome of a processed job: `result` from processJob, or
+ * { status: "error", error } when it threw. `trimmed` is the text the
+ * formatter saw. History errors are logged, never thrown.
+ */
+export async function recordHistory(env, config, job, result, { trimmed = null } = {}) {
+  if (!config) return;
+
+  const now = Date.now();
+  try {
+    const entry = redactEntry({
+      id: job.id,
+      route: job.route,
+      status: result.status,
+      ...(result.reason ? { reason: result.reason } : {}),
+      ...(result.retryAfter !== undefined ? { retryAfter: result.retryAfter } : {}),
+      ...(result.error ? { error: result.error } : {}),
+      receivedAt: job.receivedAt,
+      processedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.ttl * 1000).toISOString(),
+      headers: { ...job.headers },
+      payload: job.payload,
+      // File contents stay out of the store, links to the bucket don't
+      files: (job.files || []).map(({ base64, ...file }) => file),
+      trimmed: trimmed !== null && trimmed !== job.payload ? trimmed : null,
+      formatter: result.formatter ?? null,
+      input: result.input ?? null,
+      notification: result.notification ? { ...result.notification } : null,
+      rules: result.rules ?? [],
+      thread: result.thread ?? null,
+      escalation: result.escalation ?? null,
+      results: result.results ?? []
+    }, job.data, config.redact, config.secrets);
+
+    const options = { expirationTtl: Math.max(Math.ceil(config.ttl), MIN_KV_TTL) };
+    await env.HISTORY.put(`${ENTRY_PREFIX}${job.id}`, JSON.stringify(entry), options);
+    await env.HISTORY.put(indexKey(now, job.id), "", { ...options, metadata: summary(entry) });
+  } catch (error) {
+    log.error("History not recorded", { jobId: job.id, error });
+  }
+}
+
+function matches(item, { route, status, q, until }) {
+  if (route && item.route !== route) return false;
+  if (status && item.status !== status) return false;
+  if (until && item.processedAt > until) return false;
+  if (q) {
+    const needle = q.toLowerCase();
+    return [item.id, item.title, item.formatter].some(v => v?.toLowerCase().includes(needle));
+  }
+  return true;
+}
+
+/**
+ * One page of the index, newest first, filtered by `route`, `status`, `q`
+ * (id, title or formatter) and `since`/`until` (ISO times). Filters apply
+ * within the page, so a page can hold fewer than `limit` items; follow
+ * `cursor` until it is null.
+ */
+export async function listHistory(env, { cursor, limit = 50, since, ...filters } = {}) {
+  const page = await env.HISTORY.list({ prefix: INDEX_PREFIX, cursor, limit });
+  const items = [];
+  for (const { name, metadata } of page.keys) {
+    const item = { id: name.slice(name.lastIndexOf(":") + 1), ...metadata };
+    // The index is sorted newest first, everything after this is older still
+    if (since && item.processedAt < since) return { items, cursor: null };
+    if (matches(item, filters)) items.push(item);
+  }
+  return { items, cursor: page.list_complete ? null : page.cursor };
+}
+
+export async function getHistory(env, id) {
+  return env.HISTORY.get(`${ENTRY_PREFIX}${id}`, "json");
+}
+
+/**
+ * Deliver an entry's notification to the route's ntfy targets again and add
+ * the outcome to the entry's `resends`. Resolves to null for unknown entries,
+ * { error } when there is nothing to resend, otherwise { id, status, results }.
+ */
+export async function resendHistory(env, id) {
+  const entry = await getHistory(env, id);
+  if (!entry) return null;
+  if (!entry.notification || typeof entry.notification !== "object") {
+    return { error: "Entry has no notification to resend" };
+  }
+
+  const route = await loadRoute(entry.route, env);
+  if (!route) return { error: `Unknown route "${entry.route}"` };
+  const only = resolveTargets(route).filter(t => t.type === "ntfy").map(t => t.name);
+  if (only.length === 0) return { error: `Route "${entry.route}" has no ntfy target` };
+
+  const results = await deliver(route, entry.notification, env, { only });
+  const delivered = results.filter(r => r.ok).length;
+  const status = delivered === results.length ? "sent" : delivered > 0 ? "partial" : "failed";
+
+  entry.resends = [...(entry.resends || []), { at: new Date().toISOString(), status, results }];
+  // Resending doesn't extend the entry's retention
+  const expiration = Math.max(Math.floor(Date.parse(entry.expiresAt) / 1000), Math.ceil(Date.now() / 1000) + MIN_KV_TTL);
+  await env.HISTORY.put(`${ENTRY_PREFIX}${id}`, JSON.stringify(entry), Number.isFinite(expiration) ? { expiration } : {});
+  return { id, status, results };
+}
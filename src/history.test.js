@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { resolveHistoryConfig, redactEntry, recordHistory, listHistory, getHistory, resendHistory } from './history.js';
+import { createJob, processJob } from './pipeline.js';
+import { memoryKV } from '../test/helpers.js';
+
+const modelReply = () => Response.json({
+  choices: [{ message: { content: JSON.stringify({ title: 'Card declined', message: 'Payment failed for alice@example.com', priority: 'high', tags: 'x' }) } }]
+});
+
+describe('Delivery History', () => {
+  let env;
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    env = {
+      OPENROUTER_API_KEY: 'k',
+      ROUTES: JSON.stringify({ billing: { topic: 'billing' } }),
+      HISTORY: memoryKV()
+    };
+    fetchMock = vi.fn(async url => url.includes('openrouter') ? modelReply() : Response.json({ id: 'msg-1' }));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const job = (overrides = {}) => ({
+    id: 'job-1',
+    route: 'billing',
+    payload: 'card declined',
+    data: null,
+    headers: { 'content-type': 'text/plain' },
+    receivedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  });
+
+  describe('resolveHistoryConfig', () => {
+    it('should be off without the binding or for opted-out routes', () => {
+      expect(resolveHistoryConfig({}, {})).toBeNull();
+      expect(resolveHistoryConfig({ history: false }, env)).toBeNull();
+    });
+
+    it('should merge global and route redactions', () => {
+      const config = resolveHistoryConfig({ history: { ttl: 600, redact: ['data.user.email'] } }, { ...env, HISTORY_REDACT: 'payload, headers.X-Api-Key' });
+      expect(config).toEqual({
+        ttl: 600,
+        redact: [{ field: 'payload' }, { header: 'x-api-key' }, { path: ['user', 'email'] }],
+        secrets: true
+      });
+      expect(resolveHistoryConfig({ history: { secrets: false } }, env).secrets).toBe(false);
+      expect(resolveHistoryConfig({}, { ...env, HISTORY_TTL: 'soon' }).ttl).toBe(30 * 24 * 3600);
+    });
+
+    it('should reject unknown redactions', () => {
+      expect(() => resolveHistoryConfig({ history: { redact: ['body'] } }, env)).toThrow('Unknown history redaction "body"');
+    });
+  });
+
+  describe('redactEntry', () => {
+    it('should redact JSON paths and blank the values out of derived text', () => {
+      const data = { user: { email: 'alice@example.com' }, cards: [{ last4: '4242' }, { last4: '1881' }], ok: 1 };
+      const entry = redactEntry({
+        payload: JSON.stringify(data),
+        trimmed: 'user alice@example.com card 4242',
+        headers: { 'x-api-key': 'secret', 'content-type': 'application/json' },
+        notification: { title: 'Declined', message: 'Payment failed for alice@example.com', priority: 'high' }
+      }, data, [{ path: ['user', 'email'] }, { path: ['cards', '*', 'last4'] }, { path: ['ok'] }, { header: 'x-api-key' }]);
+
+      expect(JSON.parse(entry.payload)).toEqual({
+        user: { email: '[redacted]' }, cards: [{ last4: '[redacted]' }, { last4: '[redacted]' }], ok: '[redacted]'
+      });
+      expect(entry.trimmed).toBe('user [redacted] card [redacted]');
+      expect(entry.notification.message).toBe('Payment failed for [redacted]');
+      expect(entry.headers).toEqual({ 'x-api-key': '[redacted]', 'content-type': 'application/json' });
+      expect(data.user.email).toBe('alice@example.com');
+    });
+
+    it('should replace whole fields', () => {
+      const entry = redactEntry({ payload: 'secret', trimmed: null, notification: { title: 't' } }, null, [{ field: 'payload' }, { field: 'trimmed' }]);
+      expect(entry).toEqual({ payload: '[redacted]', trimmed: null, notification: { title: 't' } });
+    });
+
+    it('should replace secrets in the payload and trimmed text unless told not to', () => {
+      const payload = 'deploy failed, token ghp_' + 'a'.repeat(36) + ' password=hunter22';
+      const entry = () => ({ payload, trimmed: 'failed: ghp_' + 'a'.repeat(36), notification: { title: 't' } });
+
+      expect(redactEntry(entry(), null, [])).toEqual({
+        payload: 'deploy failed, token [GITHUB_TOKEN_1] password=[CREDENTIAL_1]',
+        trimmed: 'failed: [GITHUB_TOKEN_1]',
+        notification: { title: 't' }
+      });
+      expect(redactEntry(entry(), null, [], false).payload).toBe(payload);
+    });
+  });
+
+  describe('recording', () => {
+    it('should record processed jobs with the formatter and target results', async () => {
+      const route = { name: 'billing', server: 'https://ntfy.sh', topic: 'billing', history: { redact: ['data.email'] } };
+      const data = { event: 'card declined', email: 'alice@example.com' };
+      const input = createJob({ routeName: 'billing', payload: JSON.stringify(data, null, 2), data, headers: { 'Content-Type': 'application/json' } });
+
+      await processJob(input, route, env);
+
+      const entry = await getHistory(env, input.id);
+      expect(entry).toMatchObject({
+        id: input.id,
+        route: 'billing',
+        status: 'sent',
+        processedAt: '2026-01-01T00:00:00.000Z',
+        expiresAt: '2026-01-31T00:00:00.000Z',
+        headers: { 'content-type': 'application/json' },
+        formatter: { type: 'model', model: 'z-ai/glm-4.5-air:free' },
+        notification: { title: 'Card declined', message: 'Payment failed for [redacted]' },
+        results: [{ target: 'ntfy', ok: true, messageId: 'msg-1' }]
+      });
+      expect(JSON.parse(entry.payload)).toEqual({ event: 'card declined', email: '[redacted]' });
+      expect(env.HISTORY.data.get(`history:${input.id}`).options.expirationTtl).toBe(30 * 24 * 3600);
+    });
+
+    it('should record jobs that threw', async () => {
+      env.ALERT_GATE = { idFromName: () => { throw new Error('Durable Object unavailable'); } };
+      const route = { name: 'billing', topic: 'billing', dedupe: true };
+      await expect(processJob(job(), route, env)).rejects.toThrow('Durable Object unavailable');
+
+      expect(await getHistory(env, 'job-1')).toMatchObject({ status: 'error', error: 'Durable Object unavailable', notification: null });
+    });
+
+    it('should never fail the job when the store does', async () => {
+      env.HISTORY.put = vi.fn(async () => { throw new Error('KV down'); });
+      await recordHistory(env, resolveHistoryConfig({}, env), job(), { status: 'sent', results: [] });
+      expect(JSON.parse(console.error.mock.calls[0][0])).toMatchObject({
+        level: 'error', message: 'History not recorded', jobId: 'job-1', error: { name: 'Error', message: 'KV down' }
+      });
+    });
+  });
+
+  describe('listing', () => {
+    beforeEach(async () => {
+      const config = resolveHistoryConfig({}, env);
+      const record = async (id, route, status, title, at) => {
+        vi.setSystemTime(new Date(at));
+        await recordHistory(env, config, job({ id, route }), {
+          status, formatter: { type: 'model', model: 'm1' }, notification: { title }, results: []
+        });
+      };
+      await record('a', 'billing', 'sent', 'Card declined', '2026-01-01T00:00:00Z');
+      await record('b', 'ci', 'failed', 'Build failed', '2026-01-02T00:00:00Z');
+      await record('c', 'billing', 'duplicate', null, '2026-01-03T00:00:00Z');
+    });
+
+    it('should list newest first with summaries', async () => {
+      const { items, cursor } = await listHistory(env);
+      expect(items.map(i => i.id)).toEqual(['c', 'b', 'a']);
+      expect(items[1]).toEqual({
+        id: 'b', route: 'ci', status: 'failed', title: 'Build failed', formatter: 'm1',
+        receivedAt: '2026-01-01T00:00:00.000Z', processedAt: '2026-01-02T00:00:00.000Z'
+      });
+      expect(cursor).toBeNull();
+    });
+
+    it('should filter by route, status, text and time', async () => {
+      const ids = async filters => (await listHistory(env, filters)).items.map(i => i.id);
+      expect(await ids({ route: 'billing' })).toEqual(['c', 'a']);
+      expect(await ids({ status: 'failed' })).toEqual(['b']);
+      expect(await ids({ q: 'declined' })).toEqual(['a']);
+      expect(await ids({ since: '2026-01-02T00:00:00.000Z' })).toEqual(['c', 'b']);
+      expect(await ids({ until: '2026-01-02T00:00:00.000Z' })).toEqual(['b', 'a']);
+    });
+
+    it('should page with a cursor', async () => {
+      const first = await listHistory(env, { limit: 2 });
+      const second = await listHistory(env, { limit: 2, cursor: first.cursor });
+      expect(first.items.map(i => i.id)).toEqual(['c', 'b']);
+      expect(second).toMatchObject({ items: [{ id: 'a' }], cursor: null });
+    });
+  });
+
+  describe('resending', () => {
+    const config = () => resolveHistoryConfig({}, env);
+
+    it('should deliver the stored notification to ntfy and log the resend', async () => {
+      env.ROUTES = JSON.stringify({ billing: { topic: 'billing', targets: ['ntfy', { type: 'slack', webhookUrl: 'https://hooks.slack.test/x' }] } });
+      await recordHistory(env, config(), job(), {
+        status: 'partial', notification: { title: 'Card declined', message: 'm', priority: 'high', tags: 'x' }, results: []
+      });
+
+      const result = await resendHistory(env, 'job-1');
+
+      expect(result).toEqual({ id: 'job-1', status: 'sent', results: [{ target: 'ntfy', type: 'ntfy', ok: true, retries: 0, messageId: 'msg-1' }] });
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://ntfy.sh/billing');
+      expect((await getHistory(env, 'job-1')).resends).toEqual([{ at: '2026-01-01T00:00:00.000Z', status: 'sent', results: result.results }]);
+      expect(env.HISTORY.data.get('history:job-1').options).toEqual({ expiration: Date.parse('2026-01-31T00:00:00Z') / 1000 });
+    });
+
+    it('should refuse entries without a notification', async () => {
+      await recordHistory(env, config(), job(), { status: 'duplicate', retryAfter: 10 });
+      expect(await resendHistory(env, 'job-1')).toEqual({ error: 'Entry has no notification to resend' });
+      expect(await resendHistory(env, 'nope')).toBeNull();
+    });
+  });
+});
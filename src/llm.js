@@ -0,0 +1,303 @@
+/**
+ * LLM formatting of arbitrary payloads into ntfy notifications.
+ *
+ * The model chain, timeouts, temperature, system prompt and provider come from
+ * the route's `llm` settings, then LLM_* env vars, then the defaults below.
+ *
+ * Inputs over `maxInputTokens` are condensed to their head, tail and error
+ * lines; inputs over `mapReduceTokens` are split into at most `maxChunks`
+ * chunks that are summarized one by one before the final formatting call.
+ */
+
+import { createProvider } from "./providers.js";
+import { retryWithBackoff } from "./retry.js";
+import { normalizeNotification, extractLinks, MESSAGE_MAX } from "./notification.js";
+import { estimateTokens, condense, splitChunks, CHARS_PER_TOKEN } from "./budget.js";
+import { mapWithConcurrency } from "./concurrency.js";
+import { createBreaker, modelCircuit } from "./circuit.js";
+import { log } from "./log.js";
+
+export const DEFAULT_MODELS = [
+  "z-ai/glm-4.5-air:free",
+  "arcee-ai/trinity-mini:free",
+];
+
+export const SYSTEM_PROMPT = `You are a notification formatter for ntfy. Create concise, readable notifications from any input.
+
+Rules:
+1. **title**: Short event summary (max 60 chars). No emoji here.
+2. **message**: 1-3 sentences max. What happened? Skip technical jargon.
+3. **priority**: One of: "urgent" (critical errors/outages), "high" (warnings/failures), "default" (info), "low" (minor events), "min" (background).
+4. **tags**: One ntfy tag shortcode (e.g. "rotating_light" for errors, "white_check_mark" for success, "warning" for warnings, "information_source" for info, "bell" for general).
+
+Optional fields, only when the input contains a fitting link. Copy URLs exactly from the input, never invent them:
+5. **click**: URL to open when the notification is tapped (e.g. the CI run, pull request or dashboard).
+6. **actions**: Up to 3 buttons, e.g. [{"action": "view", "label": "Open PR", "url": "https://..."}]. Use "http" instead of "view" (with "method") only for links meant to be called, like a rerun or acknowledge URL.
+7. **attach**: URL of an image or file worth attaching (e.g. a screenshot or graph).
+8. **markdown**: true if the message uses Markdown formatting.
+
+Output ONLY this JSON:
+{
+  "title": "Event Name",
+  "message": "Brief explanation",
+  "priority": "default",
+  "tags": "bell"
+}`;
+
+export const SUMMARY_PROMPT = `You summarize one part of a larger payload (a log, email or alert) so a notification can be written from the summaries of all parts.
+
+Reply with plain text, at most 5 short lines. Keep what happened, error messages, names, numbers and URLs exactly as written. No preamble.`;
+
+export const VISION_PROMPT = `You describe an image sent along with an alert (a screenshot, graph or photo) so a notification can be written about it.
+
+Reply with plain text, at most 3 short sentences. Say what it shows and quote error messages, names and numbers exactly as written. No preamble.`;
+
+export const DIGEST_PROMPT = `You write one ntfy digest notification from a list of notifications that were held back (quiet hours or low priority).
+
+Rules:
+1. **title**: What the batch is about, with the count (max 60 chars), e.g. "7 updates: 4 builds, 3 backups". No emoji here.
+2. **message**: Up to 6 short lines. Group related items, most important first, keep names and numbers. Mention failures explicitly.
+3. **priority**: The highest priority among the items.
+4. **tags**: One ntfy tag shortcode fitting the batch (e.g. "inbox_tray", "warning" if something failed).
+
+Output ONLY this JSON:
+{
+  "title": "Digest",
+  "message": "Summary of the held notifications",
+  "priority": "low",
+  "tags": "inbox_tray"
+}`;
+
+const DEFAULT_MAX_INPUT_TOKENS = 6000;
+const DEFAULT_MAX_CHUNKS = 6;
+// Chunk summaries run a few at a time to stay within subrequest limits
+const SUMMARY_CONCURRENCY = 3;
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Accepts an array, a JSON array string or a comma-separated list of models.
+ * Entries are model names or { model, timeout, provider } objects.
+ */
+export function parseModels(value) {
+  if (!value) return null;
+
+  let list = value;
+  if (typeof value === "string") {
+    list = value.trim().startsWith("[")
+      ? JSON.parse(value)
+      : value.split(",").map(m => m.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(list) || list.length === 0) return null;
+
+  return list.map(entry => typeof entry === "string" ? { model: entry } : { ...entry });
+}
+
+function providerFromEnv(env) {
+  if (!env.LLM_PROVIDER && !env.LLM_BASE_URL) return "openrouter";
+  return {
+    type: env.LLM_PROVIDER || "openai",
+    url: env.LLM_BASE_URL,
+    apiKeyEnv: env.LLM_API_KEY ? "LLM_API_KEY" : undefined
+  };
+}
+
+/**
+ * Resolve the formatter config for a route.
+ * Throws when the provider is misconfigured (e.g. missing API key).
+ */
+export function resolveLlmConfig(env, route = {}) {
+  const settings = route.llm || {};
+  const timeout = toNumber(settings.timeout ?? env.LLM_TIMEOUT_MS);
+
+  let defaultProvider;
+  const getDefaultProvider = () =>
+    (defaultProvider ??= createProvider(settings.provider || providerFromEnv(env), env));
+
+  const models = (parseModels(settings.models ?? env.LLM_MODELS) || parseModels(DEFAULT_MODELS)).map(entry => ({
+    model: entry.model,
+    timeout: toNumber(entry.timeout) ?? timeout,
+    provider: entry.provider ? createProvider(entry.provider, env) : getDefaultProvider()
+  }));
+
+  const maxInputTokens = toNumber(settings.maxInputTokens ?? env.LLM_MAX_INPUT_TOKENS) ?? DEFAULT_MAX_INPUT_TOKENS;
+
+  return {
+    models,
+    temperature: toNumber(settings.temperature ?? env.LLM_TEMPERATURE),
+    systemPrompt: settings.systemPrompt || env.LLM_SYSTEM_PROMPT || SYSTEM_PROMPT,
+    retries: toNumber(settings.retries) ?? 3,
+    retryDelay: toNumber(settings.retryDelay) ?? 1000,
+    maxInputTokens,
+    mapReduceTokens: toNumber(settings.mapReduceTokens ?? env.LLM_MAP_REDUCE_TOKENS) ?? maxInputTokens * 4,
+    maxChunks: toNumber(settings.maxChunks ?? env.LLM_MAX_CHUNKS) ?? DEFAULT_MAX_CHUNKS,
+    breaker: createBreaker(env)
+  };
+}
+
+/**
+ * Ask the models in turn until one returns content that `accept` takes
+ * (it throws to reject it). Models whose circuit is open are skipped.
+ * `json` asks the providers for a JSON object instead of free text.
+ * Resolves to { result, model, provider, attempts }, with `result` null when
+ * every model failed.
+ */
+async function completeWithChain(messages, config, accept, { json = false } = {}) {
+  const attempts = [];
+
+  for (const { model, timeout, provider } of config.models) {
+    const attempt = { model, provider: provider.name, retries: 0 };
+    attempts.push(attempt);
+    const circuit = modelCircuit(provider.name, model);
+    if (await config.breaker?.isOpen(circuit)) {
+      attempt.error = "Circuit open";
+      attempt.skipped = true;
+      continue;
+    }
+
+    let calls = 0;
+    try {
+      let content;
+      try {
+        content = await retryWithBackoff(
+          () => {
+            attempt.retries = calls++;
+            return provider.complete({ model, messages, temperature: config.temperature, timeout, json });
+          },
+          config.retries,
+          config.retryDelay
+        );
+      } catch (e) {
+        await config.breaker?.record(circuit, e);
+        throw e;
+      }
+      await config.breaker?.record(circuit);
+      content = content?.trim();
+
+      if (content) {
+        return { result: accept(content), model, provider: provider.name, attempts };
+      }
+      attempt.error = "Empty response";
+    } catch (e) {
+      log.warn("Model failed", { model, provider: provider.name, error: e });
+      attempt.error = e.message;
+      continue;
+    }
+  }
+  return { result: null, attempts };
+}
+
+/**
+ * Summarize each chunk of a very large input, then join the summaries.
+ * A chunk no model could summarize is condensed instead.
+ */
+async function mapReduce(text, config, maxChars) {
+  const chunkChars = Math.ceil(text.length / config.maxChunks);
+  const chunks = splitChunks(text, Math.max(chunkChars, 1)).slice(0, config.maxChunks);
+  const share = Math.floor(maxChars / chunks.length);
+
+  const summaries = await mapWithConcurrency(chunks, SUMMARY_CONCURRENCY, async (chunk, i) => {
+    const { result } = await completeWithChain([
+      { role: "system", content: SUMMARY_PROMPT },
+      { role: "user", content: `Part ${i + 1} of ${chunks.length}:\n${chunk}` }
+    ], config, content => content);
+    return result ? { text: condense(result, share), summarized: true } : { text: condense(chunk, share), summarized: false };
+  });
+
+  return {
+    text: [
+      `Summaries of the ${chunks.length} parts of a large payload:`,
+      ...summaries.map((summary, i) => `Part ${i + 1}:\n${summary.text}`)
+    ].join("\n\n"),
+    chunks: chunks.length,
+    summarized: summaries.filter(summary => summary.summarized).length
+  };
+}
+
+/**
+ * Fit an input into the model's token budget.
+ * Resolves to { text, strategy: "full" | "condensed" | "map-reduce", tokens, truncated }.
+ */
+export async function fitInput(text, config) {
+  const tokens = estimateTokens(text);
+  const maxTokens = config.maxInputTokens ?? DEFAULT_MAX_INPUT_TOKENS;
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+  if (tokens <= maxTokens) {
+    return { text, strategy: "full", tokens, truncated: false };
+  }
+  if (tokens <= (config.mapReduceTokens ?? maxTokens * 4)) {
+    return { text: condense(text, maxChars), strategy: "condensed", tokens, truncated: true };
+  }
+
+  // Inputs too big even for the chunks are condensed first
+  const chunkable = condense(text, maxChars * (config.maxChunks ?? DEFAULT_MAX_CHUNKS));
+  const reduced = await mapReduce(chunkable, { maxChunks: DEFAULT_MAX_CHUNKS, ...config }, maxChars);
+  return { text: reduced.text, strategy: "map-reduce", tokens, truncated: true, chunks: reduced.chunks, summarized: reduced.summarized };
+}
+
+/**
+ * Format text with the first model in the chain that returns a usable
+ * notification, falling back to a static notification.
+ * Links in the result must come from `allowedUrls` (by default, those in `text`).
+ *
+ * Resolves to { notification, formatter, input } where `formatter` names the
+ * model that produced it (or "fallback") and lists each model tried with its
+ * retries, and `input` describes how the text was fitted into the budget.
+ */
+export async function formatNotification(text, config, { allowedUrls = extractLinks(text) } = {}) {
+  const input = await fitInput(text, config);
+  const messages = [
+    { role: "system", content: config.systemPrompt },
+    { role: "user", content: input.text }
+  ];
+
+  const { result, model, provider, attempts } = await completeWithChain(messages, config, content => {
+    // cleanup markdown blocks if LLM adds them despite instructions
+    content = content.replace(/^```json/i, '').replace(/^```/, '').replace(/```$/, '');
+    // Throws on unsalvageable output, which moves on to the next model
+    return normalizeNotification(JSON.parse(content), { allowedUrls });
+  }, { json: true });
+  if (result) {
+    return { notification: result, formatter: { type: "model", model, provider, attempts }, input };
+  }
+
+  // Fallback structure: the raw text, keeping the tail where logs say what failed
+  const message = condense(text, MESSAGE_MAX);
+  const fallback = normalizeNotification({ title: "Notification", message, priority: "default", tags: "bell" });
+  return {
+    notification: fallback,
+    formatter: { type: "fallback", attempts },
+    input: { ...input, truncated: fallback.message !== text }
+  };
+}
+
+/**
+ * Like `formatNotification`, resolving to the notification only.
+ */
+export async function getNtfyNotification(text, config, options) {
+  return (await formatNotification(text, config, options)).notification;
+}
+
+/**
+ * Describe an image ({ type, base64 }) in plain text with the first model in
+ * the chain that answers; the models have to accept images. Resolves to
+ * { description, model, attempts } with `description` null when every model failed.
+ */
+export async function describeImage(image, config) {
+  const { result, model, attempts } = await completeWithChain([
+    { role: "system", content: VISION_PROMPT },
+    {
+      role: "user",
+      content: [
+        { type: "text", text: "Describe this image." },
+        { type: "image_url", image_url: { url: `data:${image.type};base64,${image.base64}` } }
+      ]
+    }
+  ], config, content => content);
+  return { description: result, model: model ?? null, attempts };
+}
@@ -0,0 +1,254 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { resolveLlmConfig, getNtfyNotification, formatNotification, fitInput, parseModels, SYSTEM_PROMPT, SUMMARY_PROMPT, DEFAULT_MODELS } from './llm.js';
+
+// Local mock provider: answers per model from a table, throws for unknown models
+function mockProvider(answers) {
+  return {
+    name: 'mock',
+    complete: vi.fn(async ({ model }) => {
+      const answer = answers[model];
+      if (answer instanceof Error) throw answer;
+      return typeof answer === 'string' ? answer : JSON.stringify(answer);
+    })
+  };
+}
+
+const config = (provider, models) => ({
+  models: models.map(model => ({ model, provider })),
+  systemPrompt: 'prompt',
+  temperature: 0.2,
+  retries: 1,
+  retryDelay: 0
+});
+
+describe('LLM Formatting', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseModels', () => {
+    it('should accept comma lists, JSON arrays and arrays', () => {
+      expect(parseModels('a, b')).toEqual([{ model: 'a' }, { model: 'b' }]);
+      expect(parseModels('[{"model":"a","timeout":500},"b"]')).toEqual([{ model: 'a', timeout: 500 }, { model: 'b' }]);
+      expect(parseModels(['x'])).toEqual([{ model: 'x' }]);
+      expect(parseModels('')).toBeNull();
+    });
+  });
+
+  describe('resolveLlmConfig', () => {
+    it('should default to the OpenRouter free models', () => {
+      const llm = resolveLlmConfig({ OPENROUTER_API_KEY: 'k' });
+
+      expect(llm.models.map(m => m.model)).toEqual(DEFAULT_MODELS);
+      expect(llm.models[0].provider.name).toBe('openrouter');
+      expect(llm.systemPrompt).toBe(SYSTEM_PROMPT);
+      expect(llm.temperature).toBeUndefined();
+    });
+
+    it('should throw when the OpenRouter key is missing', () => {
+      expect(() => resolveLlmConfig({})).toThrow('Missing OPENROUTER_API_KEY env');
+    });
+
+    it('should read the chain and tuning from env vars', () => {
+      const llm = resolveLlmConfig({
+        LLM_PROVIDER: 'openai',
+        LLM_BASE_URL: 'http://localhost:11434/v1/chat/completions',
+        LLM_MODELS: 'llama3.2,qwen2.5',
+        LLM_TIMEOUT_MS: '5000',
+        LLM_TEMPERATURE: '0.1',
+        LLM_SYSTEM_PROMPT: 'Be brief.'
+      });
+
+      expect(llm.models).toMatchObject([
+        { model: 'llama3.2', timeout: 5000 },
+        { model: 'qwen2.5', timeout: 5000 }
+      ]);
+      expect(llm.models[0].provider.name).toBe('openai');
+      expect(llm.temperature).toBe(0.1);
+      expect(llm.systemPrompt).toBe('Be brief.');
+    });
+
+    it('should let route settings override env', () => {
+      const route = {
+        llm: {
+          models: [{ model: 'fast', timeout: 1000 }, { model: '@cf/meta/llama-3.1-8b-instruct', provider: 'workers-ai' }],
+          temperature: 0,
+          systemPrompt: 'Route prompt'
+        }
+      };
+      const llm = resolveLlmConfig({ OPENROUTER_API_KEY: 'k', LLM_MODELS: 'ignored', AI: { run: vi.fn() } }, route);
+
+      expect(llm.models.map(m => [m.model, m.provider.name, m.timeout])).toEqual([
+        ['fast', 'openrouter', 1000],
+        ['@cf/meta/llama-3.1-8b-instruct', 'workers-ai', undefined]
+      ]);
+      expect(llm.temperature).toBe(0);
+      expect(llm.systemPrompt).toBe('Route prompt');
+    });
+
+    it('should not require an OpenRouter key when every model has its own provider', () => {
+      const route = { llm: { models: [{ model: 'm', provider: { type: 'openai', url: 'http://vllm:8000/v1/chat/completions' } }] } };
+      expect(() => resolveLlmConfig({}, route)).not.toThrow();
+    });
+  });
+
+  describe('getNtfyNotification', () => {
+    it('should return the first model\'s normalized notification', async () => {
+      const provider = mockProvider({ a: { title: 'Hi', message: 'There', priority: 4, tags: 'bell' } });
+      const result = await getNtfyNotification('input', config(provider, ['a', 'b']));
+
+      expect(result).toEqual({ title: 'Hi', message: 'There', priority: 'high', tags: 'bell' });
+      expect(provider.complete).toHaveBeenCalledTimes(1);
+      expect(provider.complete).toHaveBeenCalledWith({
+        model: 'a',
+        messages: [{ role: 'system', content: 'prompt' }, { role: 'user', content: 'input' }],
+        temperature: 0.2,
+        timeout: undefined,
+        json: true
+      });
+    });
+
+    it('should strip markdown code fences', async () => {
+      const provider = mockProvider({ a: '```json\n{"title":"T","message":"M"}\n```' });
+      const result = await getNtfyNotification('input', config(provider, ['a']));
+      expect(result.message).toBe('M');
+    });
+
+    it('should fall through failing models to the next one', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const provider = mockProvider({ a: new Error('down'), b: 'not json', c: { message: 'from c' } });
+      const result = await getNtfyNotification('input', config(provider, ['a', 'b', 'c']));
+
+      expect(result.message).toBe('from c');
+      expect(provider.complete.mock.calls.map(([args]) => args.model)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should return the static fallback when every model fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const provider = mockProvider({});
+      const result = await getNtfyNotification('raw text', config(provider, ['a']));
+      expect(result).toEqual({ title: 'Notification', message: 'raw text', priority: 'default', tags: 'bell' });
+    });
+
+    it('should retry a model before moving on', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const provider = { name: 'flaky', complete: vi.fn() };
+      provider.complete
+        .mockRejectedValueOnce(new Error('503'))
+        .mockResolvedValueOnce('{"message":"ok"}');
+
+      const result = await getNtfyNotification('x', { ...config(provider, ['a']), retries: 3 });
+      expect(result.message).toBe('ok');
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report which model produced the notification and its retries', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const provider = mockProvider({ a: new Error('down'), b: { message: 'from b' } });
+      const { notification, formatter } = await formatNotification('input', { ...config(provider, ['a', 'b']), retries: 2 });
+
+      expect(notification.message).toBe('from b');
+      expect(formatter).toEqual({
+        type: 'model',
+        model: 'b',
+        provider: 'mock',
+        attempts: [
+          { model: 'a', provider: 'mock', retries: 1, error: 'down' },
+          { model: 'b', provider: 'mock', retries: 0 }
+        ]
+      });
+    });
+
+    it('should report the fallback when every model fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { formatter } = await formatNotification('x', config(mockProvider({ a: '' }), ['a']));
+      expect(formatter).toEqual({ type: 'fallback', attempts: [{ model: 'a', provider: 'mock', retries: 0, error: 'Empty response' }] });
+    });
+
+    it('should drop links the model did not take from the input', async () => {
+      const provider = mockProvider({
+        a: {
+          message: 'Build failed',
+          click: 'https://ci.test/run/9',
+          actions: [{ action: 'view', label: 'Logs', url: 'https://ci.test/run/9/logs' }]
+        }
+      });
+      const result = await getNtfyNotification('build failed: https://ci.test/run/9', config(provider, ['a']));
+
+      expect(result.click).toBe('https://ci.test/run/9');
+      expect(result.actions).toBeUndefined();
+    });
+
+    it('should check links against allowedUrls when given', async () => {
+      const provider = mockProvider({ a: { message: 'm', click: 'https://ci.test/run/9' } });
+      const result = await getNtfyNotification('trimmed', config(provider, ['a']), {
+        allowedUrls: new Set(['https://ci.test/run/9'])
+      });
+      expect(result.click).toBe('https://ci.test/run/9');
+    });
+  });
+
+  describe('input budget', () => {
+    const bigLog = lines => Array.from({ length: lines }, (_, i) => `line ${i} of the build output`).join('\n');
+
+    it('should send small inputs whole', async () => {
+      expect(await fitInput('small', { maxInputTokens: 100 })).toEqual({ text: 'small', strategy: 'full', tokens: 2, truncated: false });
+    });
+
+    it('should condense inputs over the budget to head, tail and errors', async () => {
+      const text = `${bigLog(200)}\nFATAL: out of memory\n${bigLog(200)}`;
+      const input = await fitInput(text, { maxInputTokens: 500, mapReduceTokens: 10000 });
+
+      expect(input.strategy).toBe('condensed');
+      expect(input.truncated).toBe(true);
+      expect(input.text.length).toBeLessThanOrEqual(2000);
+      expect(input.text).toContain('FATAL: out of memory');
+    });
+
+    it('should summarize chunks of very large inputs before formatting', async () => {
+      const provider = {
+        name: 'mock',
+        complete: vi.fn(async ({ messages }) => messages[0].content === SUMMARY_PROMPT
+          ? `summary of ${messages[1].content.split('\n')[0]}`
+          : JSON.stringify({ title: 'Build failed', message: 'Out of memory' }))
+      };
+      const llm = { ...config(provider, ['a']), maxInputTokens: 300, mapReduceTokens: 600, maxChunks: 3 };
+      const { notification, input } = await formatNotification(bigLog(400), llm);
+
+      expect(notification.message).toBe('Out of memory');
+      expect(input).toMatchObject({ strategy: 'map-reduce', chunks: 3, summarized: 3, truncated: true });
+      const final = provider.complete.mock.calls.at(-1)[0].messages[1].content;
+      expect(final).toContain('Summaries of the 3 parts of a large payload');
+      expect(final).toContain('summary of Part 3 of 3:');
+    });
+
+    it('should only ask for JSON output when formatting', async () => {
+      const provider = {
+        name: 'mock',
+        complete: vi.fn(async ({ messages }) => messages[0].content === SUMMARY_PROMPT
+          ? 'summary'
+          : JSON.stringify({ title: 'Build failed', message: 'Out of memory' }))
+      };
+      const llm = { ...config(provider, ['a']), maxInputTokens: 300, mapReduceTokens: 600, maxChunks: 3 };
+      await formatNotification(bigLog(400), llm);
+
+      const calls = provider.complete.mock.calls.map(([request]) => [request.messages[0].content, request.json]);
+      expect(calls).toEqual([
+        [SUMMARY_PROMPT, false],
+        [SUMMARY_PROMPT, false],
+        [SUMMARY_PROMPT, false],
+        ['prompt', true]
+      ]);
+    });
+
+    it('should keep the tail of the text in the static fallback', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const text = `${bigLog(400)}\nError: tests failed`;
+      const { notification, input } = await formatNotification(text, config(mockProvider({}), ['a']));
+
+      expect(notification.message.endsWith('Error: tests failed')).toBe(true);
+      expect(input.truncated).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Structured logs: one JSON object per line with `time`, `level`, `message`,
+ * the context fields (requestId, route, jobId, ...) and the call's own fields.
+ * Errors are logged as { name, message, status? }. Lines below LOG_LEVEL
+ * (default "info") are skipped.
+ */
+
+import { contextFields, contextLogLevel } from "./context.js";
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status !== undefined ? { status: value.status } : {})
+    };
+  }
+  return value;
+}
+
+function write(level, message, fields = {}) {
+  const threshold = LEVELS.indexOf(contextLogLevel());
+  if (LEVELS.indexOf(level) < (threshold === -1 ? 1 : threshold)) return;
+
+  const entry = { time: new Date().toISOString(), level, message, ...contextFields() };
+  for (const [key, value] of Object.entries(fields)) entry[key] = serialize(value);
+  const line = JSON.stringify(entry);
+  if (level === "error" || level === "warn") console.error(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields)
+};
+
+/**
+ * Milliseconds since the call, each time the returned function is called.
+ */
+export function timer() {
+  const start = Date.now();
+  return () => Date.now() - start;
+}
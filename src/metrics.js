@@ -0,0 +1,198 @@
+/**
+ * Metrics about the notifier itself.
+ *
+ * Every processed job writes one data point to the METRICS Analytics Engine
+ * dataset (index: route):
+ *   blobs    route, status, formatter type, model, failed targets (comma-separated)
+ *   doubles  total, trim, format and deliver ms, model failures, targets ok, targets failed
+ * and adds to the counters of the MetricsStore Durable Object (METRICS_STORE),
+ * which `GET /metrics` serves in the Prometheus text format together with the
+ * circuit breaker states. With METRICS_TOKEN set, /metrics needs it as a bearer token.
+ */
+
+import { authenticate } from "./auth.js";
+import { circuitStates } from "./circuit.js";
+import { defer } from "./context.js";
+import { log } from "./log.js";
+
+const METRICS_AUTH = { auth: { type: "bearer", secretEnv: "METRICS_TOKEN" } };
+const PREFIX = "series:";
+
+// name → [type, help]; the duration summary is kept as _sum and _count series
+export const METRICS = {
+  ntfy_jobs_total: ["counter", "Processed jobs by route and status"],
+  ntfy_formatter_total: ["counter", "Notifications by route and what formatted them (parser, model, cache, fallback)"],
+  ntfy_model_attempts_total: ["counter", "Model calls by model and outcome (success, failure, skipped)"],
+  ntfy_deliveries_total: ["counter", "Deliveries by route, target type and outcome (ok, failed, skipped)"],
+  ntfy_stage_duration_seconds: ["summary", "Time spent per pipeline stage"],
+  ntfy_circuit_open: ["gauge", "1 while the circuit of a model or ntfy server is open"]
+};
+
+function escapeLabel(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+export function seriesKey(name, labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `${name}{${pairs.join(",")}}` : name;
+}
+
+/**
+ * The counter increments for one processed job, keyed by Prometheus series.
+ */
+export function jobCounters(job, result, timings = {}) {
+  const counters = {};
+  const add = (name, labels, value = 1) => {
+    const key = seriesKey(name, labels);
+    counters[key] = (counters[key] || 0) + value;
+  };
+
+  add("ntfy_jobs_total", { route: job.route, status: result.status });
+  if (result.formatter) add("ntfy_formatter_total", { route: job.route, type: result.formatter.type });
+  for (const attempt of result.formatter?.attempts || []) {
+    const outcome = attempt.skipped ? "skipped" : attempt.error ? "failure" : "success";
+    add("ntfy_model_attempts_total", { model: attempt.model, outcome });
+  }
+  for (const delivery of result.results || []) {
+    const outcome = delivery.skipped ? "skipped" : delivery.ok ? "ok" : "failed";
+    add("ntfy_deliveries_total", { route: job.route, target: delivery.type, outcome });
+  }
+  for (const [stage, ms] of Object.entries(timings)) {
+    add("ntfy_stage_duration_seconds_sum", { stage }, ms / 1000);
+    add("ntfy_stage_duration_seconds_count", { stage });
+  }
+  return counters;
+}
+
+function dataPoint(job, result, timings) {
+  const results = result.results || [];
+  const failed = results.filter(r => !r.ok);
+  const attempts = result.formatter?.attempts || [];
+  return {
+    indexes: [job.route],
+    blobs: [
+      job.route,
+      result.status,
+      result.formatter?.type ?? "",
+      result.formatter?.model ?? result.formatter?.parser ?? "",
+      failed.map(r => r.target).join(",")
+    ],
+    doubles: [
+      timings.total ?? 0,
+      timings.trim ?? 0,
+      timings.format ?? 0,
+      timings.deliver ?? 0,
+      attempts.filter(a => a.error && !a.skipped).length,
+      results.length - failed.length,
+      failed.length
+    ]
+  };
+}
+
+function storeStub(env) {
+  return env.METRICS_STORE.get(env.METRICS_STORE.idFromName("metrics"));
+}
+
+/**
+ * Write a job's data point and counters. Metrics errors are logged, never thrown.
+ */
+export async function recordMetrics(env, job, result, timings = {}) {
+  try {
+    env.METRICS?.writeDataPoint(dataPoint(job, result, timings));
+  } catch (error) {
+    log.error("Analytics Engine write failed", { error });
+  }
+
+  if (!env.METRICS_STORE) return;
+  const body = JSON.stringify({ counters: jobCounters(job, result, timings) });
+  // The counters don't need to hold up the response
+  await defer((async () => {
+    try {
+      await storeStub(env).fetch("https://metrics/add", { method: "POST", body });
+    } catch (error) {
+      log.error("Metrics store unavailable", { error });
+    }
+  })());
+}
+
+function exposition(series, extra = []) {
+  const byName = new Map();
+  for (const [key, value] of [...series, ...extra]) {
+    const name = key.split("{")[0].replace(/_(sum|count)$/, "");
+    const family = Object.hasOwn(METRICS, name) ? name : key.split("{")[0];
+    if (!byName.has(family)) byName.set(family, []);
+    byName.get(family).push(`${key} ${value}`);
+  }
+
+  const lines = [];
+  for (const [name, samples] of [...byName].sort(([a], [b]) => a.localeCompare(b))) {
+    const [type, help] = METRICS[name] || ["untyped", ""];
+    if (help) lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`, ...samples.sort());
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * GET /metrics: the counters in Prometheus text format.
+ */
+export async function handleMetrics(request, env) {
+  if (env.METRICS_TOKEN) {
+    const auth = await authenticate(request, METRICS_AUTH, env);
+    if (!auth.ok) {
+      return new Response(auth.reason, {
+        status: auth.status,
+        headers: auth.status === 401 ? { "WWW-Authenticate": "Bearer" } : {}
+      });
+    }
+  }
+  if (!env.METRICS_STORE) return new Response("No METRICS_STORE binding", { status: 501 });
+
+  let series;
+  let circuits;
+  try {
+    series = Object.entries(await (await storeStub(env).fetch("https://metrics/series")).json());
+    circuits = await circuitStates(env);
+  } catch (error) {
+    log.error("Metrics unavailable", { error });
+    return new Response("Metrics unavailable", { status: 503 });
+  }
+
+  const open = (circuits || []).map(c => [seriesKey("ntfy_circuit_open", { circuit: c.key }), c.state === "open" ? 1 : 0]);
+  return new Response(exposition(series, open), {
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" }
+  });
+}
+
+/**
+ * Durable Object holding the counters, one storage key per series.
+ */
+export class MetricsStore {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === "POST" && url.pathname === "/add") {
+      const { counters } = await request.json();
+      await this.add(counters);
+      return new Response(null, { status: 204 });
+    }
+    return Response.json(await this.series());
+  }
+
+  async add(counters) {
+    const storage = this.state.storage;
+    for (const [key, increment] of Object.entries(counters || {})) {
+      if (!Number.isFinite(increment)) continue;
+      await storage.put(`${PREFIX}${key}`, ((await storage.get(`${PREFIX}${key}`)) || 0) + increment);
+    }
+  }
+
+  async series() {
+    const entries = await this.state.storage.list({ prefix: PREFIX });
+    return Object.fromEntries([...entries].map(([key, value]) => [key.slice(PREFIX.length), value]));
+  }
+}
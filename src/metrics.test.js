@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { jobCounters, recordMetrics, handleMetrics, seriesKey, MetricsStore } from './metrics.js';
+import { CircuitBreaker, createBreaker } from './circuit.js';
+import { createJob, processJob } from './pipeline.js';
+import { withContext } from './context.js';
+import { log } from './log.js';
+import { durableNamespace } from '../test/helpers.js';
+
+const modelReply = () => Response.json({
+  choices: [{ message: { content: JSON.stringify({ title: 'Build failed', message: 'main is red', priority: 'high', tags: 'x' }) } }]
+});
+
+describe('Observability', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z'), toFake: ['Date'] });
+    env = { OPENROUTER_API_KEY: 'k', METRICS_STORE: durableNamespace(MetricsStore) };
+    vi.stubGlobal('fetch', vi.fn(async url => url.includes('openrouter') ? modelReply() : Response.json({ id: 'msg-1' })));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const lines = stream => stream.mock.calls.map(([line]) => JSON.parse(line));
+  const scrape = async (request = new Request('https://worker.test/metrics')) => handleMetrics(request, env);
+
+  describe('logs', () => {
+    it('should write JSON lines with the context fields', async () => {
+      await withContext({ requestId: 'req-1' }, () => withContext({ route: 'ci' }, () => {
+        log.info('Hello', { count: 2 });
+        log.warn('Careful', { error: Object.assign(new Error('boom'), { status: 503 }) });
+      }));
+
+      expect(lines(console.log)).toEqual([
+        { time: '2026-01-01T00:00:00.000Z', level: 'info', message: 'Hello', requestId: 'req-1', route: 'ci', count: 2 }
+      ]);
+      expect(lines(console.error)[0]).toMatchObject({
+        level: 'warn', requestId: 'req-1', error: { name: 'Error', message: 'boom', status: 503 }
+      });
+    });
+
+    it('should skip lines below LOG_LEVEL', async () => {
+      log.debug('hidden');
+      await withContext({}, () => {
+        log.debug('shown');
+        log.info('shown too');
+      }, { logLevel: 'debug' });
+      await withContext({}, () => log.info('hidden'), { logLevel: 'error' });
+
+      expect(lines(console.log).map(l => l.message)).toEqual(['shown', 'shown too']);
+    });
+  });
+
+  describe('counters', () => {
+    it('should count the job, formatter, model attempts, deliveries and stage timings', () => {
+      const counters = jobCounters({ route: 'ci' }, {
+        status: 'partial',
+        formatter: { type: 'model', attempts: [{ model: 'a', error: '429' }, { model: 'b', error: 'Circuit open', skipped: true }, { model: 'c' }] },
+        results: [{ type: 'ntfy', ok: true }, { type: 'slack', ok: false }]
+      }, { format: 1500, deliver: 250 });
+
+      expect(counters).toEqual({
+        'ntfy_jobs_total{route="ci",status="partial"}': 1,
+        'ntfy_formatter_total{route="ci",type="model"}': 1,
+        'ntfy_model_attempts_total{model="a",outcome="failure"}': 1,
+        'ntfy_model_attempts_total{model="b",outcome="skipped"}': 1,
+        'ntfy_model_attempts_total{model="c",outcome="success"}': 1,
+        'ntfy_deliveries_total{route="ci",target="ntfy",outcome="ok"}': 1,
+        'ntfy_deliveries_total{route="ci",target="slack",outcome="failed"}': 1,
+        'ntfy_stage_duration_seconds_sum{stage="format"}': 1.5,
+        'ntfy_stage_duration_seconds_count{stage="format"}': 1,
+        'ntfy_stage_duration_seconds_sum{stage="deliver"}': 0.25,
+        'ntfy_stage_duration_seconds_count{stage="deliver"}': 1
+      });
+    });
+
+    it('should escape label values', () => {
+      expect(seriesKey('x', { route: 'a"b\\c' })).toBe('x{route="a\\"b\\\\c"}');
+    });
+
+    it('should write one Analytics Engine data point per job', async () => {
+      env.METRICS = { writeDataPoint: vi.fn() };
+      const route = { name: 'ci', server: 'https://ntfy.sh', topic: 'ci' };
+      const job = createJob({ routeName: 'ci', payload: 'build 42 failed' });
+
+      const result = await processJob(job, route, env);
+
+      expect(result.timings).toEqual({ trim: 0, gate: 0, format: 0, deliver: 0, total: 0 });
+      expect(env.METRICS.writeDataPoint).toHaveBeenCalledWith({
+        indexes: ['ci'],
+        blobs: ['ci', 'sent', 'model', 'z-ai/glm-4.5-air:free', ''],
+        doubles: [0, 0, 0, 0, 0, 1, 0]
+      });
+      expect(lines(console.log).at(-1)).toMatchObject({
+        message: 'Job processed', jobId: job.id, route: 'ci', status: 'sent', formatter: 'z-ai/glm-4.5-air:free'
+      });
+    });
+
+    it('should never fail the job when the metrics do', async () => {
+      env.METRICS = { writeDataPoint: () => { throw new Error('dataset missing'); } };
+      env.METRICS_STORE = { idFromName: () => { throw new Error('Durable Object unavailable'); } };
+
+      await recordMetrics(env, { route: 'ci' }, { status: 'sent' });
+
+      expect(lines(console.error).map(l => l.message)).toEqual(['Analytics Engine write failed', 'Metrics store unavailable']);
+    });
+
+    it('should finish the store write in the background when the runtime allows it', async () => {
+      const waitUntil = vi.fn();
+      await withContext({}, () => recordMetrics(env, { route: 'ci' }, { status: 'sent' }), { waitUntil });
+      expect(waitUntil).toHaveBeenCalledWith(expect.any(Promise));
+      await waitUntil.mock.calls[0][0];
+      expect(await (await scrape()).text()).toContain('ntfy_jobs_total{route="ci",status="sent"} 1');
+    });
+  });
+
+  describe('/metrics', () => {
+    it('should serve the aggregates and circuit states in the Prometheus format', async () => {
+      env.CIRCUIT_BREAKER = durableNamespace(CircuitBreaker);
+      await createBreaker(env).record('ntfy:https://ntfy.sh', Object.assign(new Error('429'), { status: 429, retryAfter: 60 }));
+      await recordMetrics(env, { route: 'ci' }, { status: 'sent' }, { deliver: 500 });
+      await recordMetrics(env, { route: 'ci' }, { status: 'sent' }, { deliver: 1500 });
+
+      const response = await scrape();
+
+      expect(response.headers.get('Content-Type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+      expect(await response.text()).toBe([
+        '# HELP ntfy_circuit_open 1 while the circuit of a model or ntfy server is open',
+        '# TYPE ntfy_circuit_open gauge',
+        'ntfy_circuit_open{circuit="ntfy:https://ntfy.sh"} 1',
+        '# HELP ntfy_jobs_total Processed jobs by route and status',
+        '# TYPE ntfy_jobs_total counter',
+        'ntfy_jobs_total{route="ci",status="sent"} 2',
+        '# HELP ntfy_stage_duration_seconds Time spent per pipeline stage',
+        '# TYPE ntfy_stage_duration_seconds summary',
+        'ntfy_stage_duration_seconds_count{stage="deliver"} 2',
+        'ntfy_stage_duration_seconds_sum{stage="deliver"} 2',
+        ''
+      ].join('\n'));
+    });
+
+    it('should need METRICS_TOKEN when it is set', async () => {
+      env.METRICS_TOKEN = 'scrape-me';
+      expect((await scrape()).status).toBe(401);
+      const authorized = new Request('https://worker.test/metrics', { headers: { Authorization: 'Bearer scrape-me' } });
+      expect((await scrape(authorized)).status).toBe(200);
+    });
+
+    it('should answer 501 without the store', async () => {
+      delete env.METRICS_STORE;
+      expect((await scrape()).status).toBe(501);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * A small MIME parser for inbound email: headers (with RFC 2047 encoded
+ * words), multipart bodies, quoted-printable and base64 transfer encodings,
+ * and charsets. It extracts what a notification needs, not a full message
+ * model: sender, recipients, subject, date, the text body (HTML converted to
+ * text when there is no plain part) and attachment names and sizes.
+ */
+
+import { htmlToText } from "./trim.js";
+
+// Parsing works on a "binary string" (one char per byte) so bodies can be
+// decoded with their own charset once their transfer encoding is undone.
+function bytesToBinary(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return binary;
+}
+
+function binaryToBytes(binary) {
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(bytes);
+  } catch {
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+function decodeBase64(text) {
+  try {
+    return binaryToBytes(atob(text.replace(/[^A-Za-z0-9+/=]/g, "")));
+  } catch {
+    return new Uint8Array();
+  }
+}
+
+export function decodeQuotedPrintable(text) {
+  return binaryToBytes(
+    text
+      .replace(/=\r?\n/g, "") // soft line breaks
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+  );
+}
+
+/**
+ * Decode RFC 2047 encoded words, e.g. `=?UTF-8?B?4pyFIERvbmU=?=`.
+ */
+export function decodeWords(value) {
+  return value
+    // Whitespace between adjacent encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, "$1")
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === "B"
+        ? decodeBase64(text)
+        : decodeQuotedPrintable(text.replace(/_/g, " "));
+      return decodeCharset(bytes, charset.replace(/\*.*$/, ""));
+    });
+}
+
+function parseHeaders(block) {
+  const headers = new Map();
+  for (const line of block.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // Keep the first occurrence; later ones are usually relays' Received lines
+    if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+/**
+ * Split `type/subtype; name="value"; ...` into its value and parameters.
+ */
+export function parseHeaderValue(value = "") {
+  const [main, ...rest] = value.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    let name = part.slice(0, eq).trim().toLowerCase();
+    let param = part.slice(eq + 1).trim().replace(/^"(.*)"$/, "$1");
+    // RFC 2231: filename*=UTF-8''report%20q1.pdf
+    if (name.endsWith("*")) {
+      name = name.slice(0, -1);
+      const [, charset, encoded] = param.match(/^([^']*)'[^']*'(.*)$/) || [null, "utf-8", param];
+      const binary = encoded.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      param = decodeCharset(binaryToBytes(binary), charset);
+    }
+    params[name] = param;
+  }
+  return { value: main.trim().toLowerCase(), params };
+}
+
+function splitMessage(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return { headers: parseHeaders(raw), body: "" };
+  return {
+    headers: parseHeaders(raw.slice(0, match.index)),
+    body: raw.slice(match.index + match[0].length)
+  };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const segments = body.split(delimiter);
+  // segments[0] is the preamble; a segment starting with "--" is the epilogue
+  for (const segment of segments.slice(1)) {
+    if (segment.startsWith("--")) break;
+    parts.push(segment.replace(/^[ \t]*\r?\n/, "").replace(/\r?\n$/, ""));
+  }
+  return parts;
+}
+
+// Walk a part and its children, collecting text, HTML and attachments
+function collect(raw, result, depth = 0) {
+  const { headers, body } = splitMessage(raw);
+  const type = parseHeaderValue(headers.get("content-type") || "text/plain");
+  const disposition = parseHeaderValue(headers.get("content-disposition") || "");
+
+  if (type.value.startsWith("multipart/") && type.params.boundary && depth < 10) {
+    for (const part of splitMultipart(body, type.params.boundary)) collect(part, result, depth + 1);
+    return;
+  }
+
+  const encoding = (headers.get("content-transfer-encoding") || "7bit").toLowerCase();
+  const bytes = encoding === "base64" ? decodeBase64(body)
+    : encoding === "quoted-printable" ? decodeQuotedPrintable(body)
+    : binaryToBytes(body);
+
+  const filename = disposition.params.filename || type.params.name;
+  const isAttachment = disposition.value === "attachment" || !type.value.startsWith("text/");
+  if (isAttachment) {
+    result.attachments.push({
+      filename: filename ? decodeWords(filename) : null,
+      contentType: type.value,
+      size: bytes.length
+    });
+    return;
+  }
+
+  const text = decodeCharset(bytes, type.params.charset).replace(/\r\n/g, "\n");
+  if (type.value === "text/html") result.html ??= text;
+  else result.text ??= text;
+}
+
+/**
+ * Parse a raw RFC 822 message (string of bytes, Uint8Array or ArrayBuffer).
+ */
+export function parseEmail(raw) {
+  const binary = typeof raw === "string" ? raw : bytesToBinary(new Uint8Array(raw));
+  const { headers } = splitMessage(binary);
+  const header = name => {
+    const value = headers.get(name);
+    // Headers may carry raw UTF-8 besides encoded words
+    return value === undefined ? null : decodeWords(decodeCharset(binaryToBytes(value), "utf-8"));
+  };
+
+  const result = { text: null, html: null, attachments: [] };
+  collect(binary, result);
+
+  const body = result.text ?? (result.html !== null ? htmlToText(result.html) : "");
+
+  return {
+    from: header("from"),
+    to: header("to"),
+    cc: header("cc"),
+    subject: header("subject"),
+    date: header("date"),
+    messageId: header("message-id"),
+    text: body.replace(/\n{3,}/g, "\n\n").trim(),
+    html: result.html,
+    attachments: result.attachments
+  };
+}
+
+/**
+ * The bare address from a header like `"Jane" <jane@x.dev>`, lower-cased.
+ */
+export function addressOf(value) {
+  if (!value) return null;
+  const match = value.match(/<([^>]+)>/) || value.match(/([^\s,;]+@[^\s,;]+)/);
+  return match ? match[1].trim().toLowerCase() : null;
+}
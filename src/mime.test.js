@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { parseEmail, decodeWords, parseHeaderValue, addressOf } from './mime.js';
+
+const fixture = name => readFileSync(new URL(`../test/fixtures/${name}`, import.meta.url));
+
+describe('MIME Parsing', () => {
+  describe('headers', () => {
+    it('should decode RFC 2047 encoded words', () => {
+      expect(decodeWords('=?UTF-8?B?4pyFIERlcGxveSBmaW5pc2hlZA==?= =?UTF-8?Q?_on_prod?=')).toBe('✅ Deploy finished on prod');
+      expect(decodeWords('=?ISO-8859-1?Q?caf=E9?= ok')).toBe('café ok');
+      expect(decodeWords('plain subject')).toBe('plain subject');
+    });
+
+    it('should split header values into value and parameters', () => {
+      expect(parseHeaderValue('Multipart/Mixed; boundary="a;b"; charset=utf-8')).toEqual({
+        value: 'multipart/mixed',
+        params: { boundary: 'a;b', charset: 'utf-8' }
+      });
+      expect(parseHeaderValue("attachment; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf").params.filename).toBe('résumé.pdf');
+    });
+
+    it('should extract bare addresses', () => {
+      expect(addressOf('"Backup Bot" <Backup@Ops.example.com>')).toBe('backup@ops.example.com');
+      expect(addressOf('billing@shop.example.com')).toBe('billing@shop.example.com');
+      expect(addressOf('undisclosed-recipients:;')).toBeNull();
+    });
+  });
+
+  describe('parseEmail', () => {
+    it('should parse a plain text message', () => {
+      const email = parseEmail(fixture('plain.eml'));
+
+      expect(email).toMatchObject({
+        from: '"Backup Bot" <backup@ops.example.com>',
+        to: 'ntfy+backups@alerts.example.com',
+        subject: 'Nightly backup failed',
+        date: 'Mon, 14 Oct 2024 03:12:00 +0000',
+        messageId: '<backup-1@ops.example.com>',
+        attachments: []
+      });
+      expect(email.text).toBe('The nightly backup of db-1 failed after 42 minutes.\n\nError: disk quota exceeded on /backups');
+    });
+
+    it('should handle CRLF line endings', () => {
+      const raw = fixture('plain.eml').toString().replace(/\n/g, '\r\n');
+      const email = parseEmail(raw);
+
+      expect(email.subject).toBe('Nightly backup failed');
+      expect(email.text).toContain('db-1 failed after 42 minutes.\n\nError');
+    });
+
+    it('should prefer the plain part and decode quoted-printable UTF-8', () => {
+      const email = parseEmail(fixture('alternative-qp.eml'));
+
+      expect(email.from).toBe('Renée Monitor <monitor@status.example.com>');
+      expect(email.subject).toBe('✅ Deploy finished on prod');
+      expect(email.text).toBe('Déploiement terminé in 3m 12s. All health checks passed, see the report for details.');
+      expect(email.html).toBe('<p>Déploiement terminé</p>');
+    });
+
+    it('should convert an HTML-only body to text', () => {
+      const email = parseEmail(fixture('html-base64.eml'));
+
+      expect(email.text).toContain('Invoice #1042 paid');
+      expect(email.text).toContain('View invoice (https://shop.example.com/i/1042)');
+      expect(email.text).not.toContain('<');
+    });
+
+    it('should list attachments without treating them as the body', () => {
+      const email = parseEmail(fixture('mixed-attachment.eml'));
+
+      expect(email.text).toBe('Build #981 on main failed in the test stage.');
+      expect(email.attachments).toEqual([
+        { filename: 'build.log', contentType: 'text/plain', size: 21 },
+        { filename: 'résumé.pdf', contentType: 'application/pdf', size: 9 }
+      ]);
+    });
+
+    it('should cope with a message without a body', () => {
+      expect(parseEmail('Subject: empty')).toMatchObject({ subject: 'empty', text: '', from: null });
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Validation and normalization of notifications before they reach ntfy.
+ *
+ * Model output is untrusted: priorities like "critical", tag arrays, very long
+ * titles or emoji in header fields all have to be coerced into something ntfy
+ * accepts. A notification without a usable message cannot be salvaged and
+ * throws, so the caller can try the next model.
+ *
+ * Besides title/message/priority/tags a notification may carry ntfy's rich
+ * fields: click, actions, attach, icon, markdown and delay. Links the model
+ * proposes are only kept if they appear in the original payload.
+ */
+
+export const TITLE_MAX = 60;
+export const MESSAGE_MAX = 4096; // bytes, ntfy's message size limit
+export const TAGS_MAX = 5;
+export const ACTIONS_MAX = 3; // ntfy's limit
+const ACTION_LABEL_MAX = 40;
+const DELAY_MAX = 64;
+
+export const PRIORITIES = ["min", "low", "default", "high", "urgent"];
+
+const PRIORITY_ALIASES = {
+  max: "urgent",
+  critical: "urgent",
+  emergency: "urgent",
+  fatal: "urgent",
+  error: "high",
+  warning: "high",
+  warn: "high",
+  normal: "default",
+  medium: "default",
+  info: "default",
+  debug: "min",
+  lowest: "min"
+};
+
+/**
+ * ntfy emoji shortcodes the formatter is allowed to use. A subset of the full
+ * ntfy list, covering what makes sense for notifications.
+ */
+export const EMOJI_TAGS = new Set([
+  // status
+  "white_check_mark", "heavy_check_mark", "ballot_box_with_check", "x", "negative_squared_cross_mark",
+  "warning", "rotating_light", "no_entry", "no_entry_sign", "stop_sign", "exclamation", "question",
+  "bangbang", "information_source", "bell", "no_bell", "loudspeaker", "mega", "sos", "fire",
+  "boom", "skull", "ambulance", "construction", "sparkles", "tada", "partying_face", "trophy",
+  "green_circle", "red_circle", "yellow_circle", "orange_circle", "blue_circle", "white_circle",
+  "black_circle", "large_blue_circle", "hourglass", "hourglass_flowing_sand", "stopwatch",
+  "alarm_clock", "timer_clock", "clock", "calendar", "date", "repeat", "arrows_counterclockwise",
+  "fast_forward", "rewind", "pause_button", "play_button", "stop_button", "recycle",
+  "heavy_plus_sign", "heavy_minus_sign", "+1", "-1", "thumbsup", "thumbsdown", "ok_hand", "wave",
+  "eyes", "zzz", "100", "star", "star2", "dizzy", "zap", "bulb", "pushpin", "round_pushpin",
+  "triangular_flag_on_post", "checkered_flag", "dart", "chart_with_upwards_trend",
+  "chart_with_downwards_trend", "bar_chart", "arrow_up", "arrow_down", "arrow_right", "arrow_left",
+  "arrow_heading_up", "arrow_heading_down", "twisted_rightwards_arrows", "link", "lock", "unlock",
+  "key", "closed_lock_with_key", "shield", "detective", "mag", "mag_right",
+  // things
+  "computer", "desktop_computer", "keyboard", "floppy_disk", "cd", "dvd", "iphone", "phone",
+  "telephone_receiver", "email", "envelope", "incoming_envelope", "e-mail", "inbox_tray",
+  "outbox_tray", "package", "memo", "pencil", "pencil2", "page_facing_up", "clipboard",
+  "file_folder", "open_file_folder", "card_index", "books", "book", "bookmark", "label",
+  "moneybag", "dollar", "euro", "credit_card", "money_with_wings", "gem", "shopping_cart",
+  "gift", "wrench", "hammer", "hammer_and_wrench", "gear", "nut_and_bolt", "toolbox", "electric_plug",
+  "battery", "satellite", "satellite_antenna", "globe_with_meridians", "earth_americas",
+  "cloud", "cloud_with_lightning", "sunny", "umbrella", "snowflake", "thermometer", "droplet",
+  "ocean", "house", "office", "factory", "hospital", "bank", "rocket", "airplane", "car",
+  "truck", "bike", "ship", "train", "robot", "alien", "ghost", "bug", "beetle", "lady_beetle",
+  "octopus", "whale", "cat", "dog", "penguin", "tv", "camera", "video_camera", "movie_camera",
+  "film_strip", "headphones", "musical_note", "microphone", "speaker", "mute", "sound",
+  "test_tube", "microscope", "pill", "syringe", "dna", "broom", "wastebasket", "ticket",
+  "tickets", "coffee", "beer", "pizza", "cake", "birthday", "heart", "broken_heart", "handshake",
+  "bust_in_silhouette", "busts_in_silhouette", "man_technologist", "woman_technologist",
+  "cop", "ninja", "crossed_fingers", "pray", "muscle", "skull_and_crossbones", "biohazard",
+  "radioactive", "fire_engine", "police_car", "traffic_light", "vertical_traffic_light"
+]);
+
+// HTTP header values must be Latin-1; anything else breaks the ntfy request
+export function toHeaderSafe(text) {
+  return text.replace(/\s+/g, " ").replace(/[^\x20-\x7e\xa0-\xff]/g, "").replace(/ {2,}/g, " ").trim();
+}
+
+// Tags as ntfy accepts them in the X-Tags header, for senders and rules alike
+export const TAG = /^[A-Za-z0-9_+-]{1,64}$/;
+
+// For notification text in HTML: Telegram messages and the admin dashboard
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Plain dots rather than an ellipsis character, which is not header-safe
+export function clamp(text, max) {
+  return text.length > max ? `${text.slice(0, max - 3).trimEnd()}...` : text;
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Like clamp, but measured in UTF-8 bytes as ntfy counts them.
+ */
+export function clampBytes(text, max) {
+  if (encoder.encode(text).length <= max) return text;
+  const { read } = encoder.encodeInto(text, new Uint8Array(max - 3));
+  return `${text.slice(0, read).trimEnd()}...`;
+}
+
+function asText(value) {
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return "";
+}
+
+/**
+ * Coerce a priority name, alias or 1-5 number to one of ntfy's five levels.
+ */
+export function normalizePriority(value) {
+  if (typeof value === "number" || /^\s*[1-5]\s*$/.test(asText(value))) {
+    const n = Number(value);
+    if (Number.isInteger(n) && n >= 1 && n <= 5) return PRIORITIES[n - 1];
+    return "default";
+  }
+  const name = asText(value).trim().toLowerCase();
+  if (PRIORITIES.includes(name)) return name;
+  return PRIORITY_ALIASES[name] || "default";
+}
+
+/**
+ * Turn a tag string or array into a comma-separated list of known emoji shortcodes.
+ */
+export function normalizeTags(value, fallback = "bell") {
+  const list = Array.isArray(value) ? value : asText(value).split(",");
+  const tags = [...new Set(
+    list
+      .map(tag => asText(tag).trim().toLowerCase().replace(/^:|:$/g, "").replace(/\s+/g, "_"))
+      .filter(tag => EMOJI_TAGS.has(tag))
+  )].slice(0, TAGS_MAX);
+
+  return tags.length > 0 ? tags.join(",") : fallback;
+}
+
+/**
+ * All http(s) links in a text, as normalized hrefs.
+ */
+export function extractLinks(text) {
+  const links = new Set();
+  for (const match of String(text ?? "").matchAll(/https?:\/\/[^\s"'<>\\`]+/g)) {
+    const candidate = match[0].replace(/[.,;:!?)\]}]+$/, "");
+    try {
+      links.add(new URL(candidate).href);
+    } catch {
+      // not a URL after all
+    }
+  }
+  return links;
+}
+
+/**
+ * A header-safe http(s) URL, or null. With `allowedUrls`, only URLs from that set pass.
+ */
+function normalizeUrl(value, allowedUrls) {
+  if (typeof value !== "string") return null;
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+  if (allowedUrls && !allowedUrls.has(url.href)) return null;
+  return url.href;
+}
+
+function normalizeAction(raw, allowedUrls) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const action = asText(raw.action || "view").toLowerCase();
+  const label = clamp(toHeaderSafe(asText(raw.label)), ACTION_LABEL_MAX);
+  const url = normalizeUrl(raw.url, allowedUrls);
+  if ((action !== "view" && action !== "http") || !label || !url) return null;
+
+  const result = { action, label, url };
+  if (action === "http") {
+    const method = asText(raw.method).toUpperCase();
+    if (["GET", "POST", "PUT", "DELETE", "PATCH"].includes(method)) result.method = method;
+    if (raw.body !== undefined) result.body = toHeaderSafe(asText(raw.body));
+    if (raw.headers && typeof raw.headers === "object") {
+      result.headers = Object.fromEntries(
+        Object.entries(raw.headers).map(([k, v]) => [toHeaderSafe(k), toHeaderSafe(asText(v))])
+      );
+    }
+  }
+  if (raw.clear === true) result.clear = true;
+  return result;
+}
+
+/**
+ * Normalize the optional rich ntfy fields, dropping anything invalid.
+ */
+function normalizeRichFields(raw, allowedUrls) {
+  const rich = {};
+
+  const click = normalizeUrl(raw.click, allowedUrls);
+  if (click) rich.click = click;
+
+  const attach = normalizeUrl(raw.attach, allowedUrls);
+  if (attach) rich.attach = attach;
+
+  const icon = normalizeUrl(raw.icon, allowedUrls);
+  if (icon) rich.icon = icon;
+
+  if (Array.isArray(raw.actions)) {
+    const actions = raw.actions.map(a => normalizeAction(a, allowedUrls)).filter(Boolean).slice(0, ACTIONS_MAX);
+    if (actions.length > 0) rich.actions = actions;
+  }
+
+  if (raw.markdown === true || raw.markdown === "yes" || raw.markdown === "true") rich.markdown = true;
+
+  const delay = toHeaderSafe(asText(raw.delay));
+  if (delay && delay.length <= DELAY_MAX) rich.delay = delay;
+
+  return rich;
+}
+
+/**
+ * Validate and normalize a notification object.
+ * `allowedUrls` restricts links to those found in the payload (used for model output).
+ * Throws when there is no usable message.
+ */
+export function normalizeNotification(raw, { allowedUrls } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Invalid notification: not an object");
+  }
+
+  const message = asText(raw.message).trim();
+  if (!message) {
+    throw new Error("Invalid notification: missing message");
+  }
+
+  const title = toHeaderSafe(asText(raw.title));
+
+  return {
+    title: clamp(title || "Notification", TITLE_MAX),
+    message: clampBytes(message, MESSAGE_MAX),
+    priority: normalizePriority(raw.priority),
+    tags: normalizeTags(raw.tags),
+    ...normalizeRichFields(raw, allowedUrls)
+  };
+}
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeNotification, normalizePriority, normalizeTags, extractLinks } from './notification.js';
+
+describe('Notification Normalization', () => {
+  describe('normalizePriority', () => {
+    it('should keep valid ntfy priorities', () => {
+      ['min', 'low', 'default', 'high', 'urgent'].forEach(p => {
+        expect(normalizePriority(p)).toBe(p);
+      });
+      expect(normalizePriority('HIGH')).toBe('high');
+    });
+
+    it('should map 1-5 numbers and numeric strings', () => {
+      expect(normalizePriority(5)).toBe('urgent');
+      expect(normalizePriority('1')).toBe('min');
+      expect(normalizePriority(3)).toBe('default');
+    });
+
+    it('should map common aliases', () => {
+      expect(normalizePriority('critical')).toBe('urgent');
+      expect(normalizePriority('warning')).toBe('high');
+      expect(normalizePriority('info')).toBe('default');
+    });
+
+    it('should default anything else', () => {
+      expect(normalizePriority('whenever')).toBe('default');
+      expect(normalizePriority(9)).toBe('default');
+      expect(normalizePriority(undefined)).toBe('default');
+      expect(normalizePriority({})).toBe('default');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should join tag arrays', () => {
+      expect(normalizeTags(['warning', 'computer'])).toBe('warning,computer');
+    });
+
+    it('should strip colons, whitespace and duplicates', () => {
+      expect(normalizeTags(' :warning: , warning,Fire ')).toBe('warning,fire');
+    });
+
+    it('should drop tags that are not ntfy emoji shortcodes', () => {
+      expect(normalizeTags('warning,not-an-emoji,🔥')).toBe('warning');
+    });
+
+    it('should fall back to bell when nothing is left', () => {
+      expect(normalizeTags('nonsense')).toBe('bell');
+      expect(normalizeTags(null)).toBe('bell');
+    });
+
+    it('should keep at most five tags', () => {
+      const tags = normalizeTags(['x', 'bell', 'fire', 'bug', 'rocket', 'tada']);
+      expect(tags.split(',')).toHaveLength(5);
+    });
+  });
+
+  describe('normalizeNotification', () => {
+    it('should pass through a valid notification', () => {
+      const n = { title: 'Deploy done', message: 'Prod is live', priority: 'default', tags: 'rocket' };
+      expect(normalizeNotification(n)).toEqual(n);
+    });
+
+    it('should coerce an invalid model response', () => {
+      const result = normalizeNotification({
+        title: '🚨 Server down\nnow',
+        message: 'The API is unreachable',
+        priority: 'critical',
+        tags: ['rotating_light', 'server']
+      });
+
+      expect(result).toEqual({
+        title: 'Server down now',
+        message: 'The API is unreachable',
+        priority: 'urgent',
+        tags: 'rotating_light'
+      });
+    });
+
+    it('should clamp long titles and messages', () => {
+      const result = normalizeNotification({ title: 't'.repeat(300), message: 'm'.repeat(5000) });
+      expect(result.title).toHaveLength(60);
+      expect(result.title.endsWith('...')).toBe(true);
+      expect(result.message).toHaveLength(4096);
+    });
+
+    it('should clamp messages to ntfy\'s limit in bytes', () => {
+      const message = normalizeNotification({ message: '✅'.repeat(2000) }).message;
+      expect(new TextEncoder().encode(message).length).toBeLessThanOrEqual(4096);
+      expect(message.endsWith('✅...')).toBe(true);
+    });
+
+    it('should keep non-Latin1 characters in the message body', () => {
+      expect(normalizeNotification({ message: 'Build ✅' }).message).toBe('Build ✅');
+    });
+
+    it('should default a missing title', () => {
+      expect(normalizeNotification({ message: 'hi' }).title).toBe('Notification');
+      expect(normalizeNotification({ title: '🔥🔥', message: 'hi' }).title).toBe('Notification');
+    });
+
+    it('should throw when the message is missing', () => {
+      expect(() => normalizeNotification({ title: 'x' })).toThrow('missing message');
+      expect(() => normalizeNotification({ message: '   ' })).toThrow('missing message');
+      expect(() => normalizeNotification({ message: { nested: true } })).toThrow('missing message');
+    });
+
+    it('should throw for non-objects', () => {
+      expect(() => normalizeNotification(null)).toThrow('not an object');
+      expect(() => normalizeNotification(['a'])).toThrow('not an object');
+      expect(() => normalizeNotification('text')).toThrow('not an object');
+    });
+  });
+
+  describe('extractLinks', () => {
+    it('should find http(s) links and drop trailing punctuation', () => {
+      const links = extractLinks('See https://ci.test/run/1. Logs: (http://logs.test/a?b=1) "https://x.test/y"');
+      expect([...links]).toEqual(['https://ci.test/run/1', 'http://logs.test/a?b=1', 'https://x.test/y']);
+    });
+  });
+
+  describe('rich fields', () => {
+    const base = { title: 'Deploy', message: 'Done' };
+
+    it('should keep valid click, attach, icon, markdown and delay', () => {
+      expect(normalizeNotification({
+        ...base,
+        click: 'https://ci.test/run/1',
+        attach: 'https://ci.test/graph.png',
+        icon: 'https://ci.test/icon.png',
+        markdown: 'yes',
+        delay: '30m'
+      })).toMatchObject({
+        click: 'https://ci.test/run/1',
+        attach: 'https://ci.test/graph.png',
+        icon: 'https://ci.test/icon.png',
+        markdown: true,
+        delay: '30m'
+      });
+    });
+
+    it('should drop non-http links and invalid values', () => {
+      const result = normalizeNotification({ ...base, click: 'javascript:alert(1)', attach: 'not a url', markdown: 'maybe', delay: {} });
+      expect(result).toEqual({ title: 'Deploy', message: 'Done', priority: 'default', tags: 'bell' });
+    });
+
+    it('should normalize actions and keep at most three', () => {
+      const actions = [
+        { action: 'view', label: 'Open', url: 'https://a.test/' },
+        { action: 'HTTP', label: 'Rerun', url: 'https://a.test/rerun', method: 'post', headers: { Authorization: 'Bearer x' }, clear: true },
+        { action: 'broadcast', label: 'Nope', url: 'https://a.test/' },
+        { label: 'Missing url' },
+        { label: 'Third', url: 'https://a.test/3' },
+        { label: 'Fourth', url: 'https://a.test/4' }
+      ];
+      expect(normalizeNotification({ ...base, actions }).actions).toEqual([
+        { action: 'view', label: 'Open', url: 'https://a.test/' },
+        { action: 'http', label: 'Rerun', url: 'https://a.test/rerun', method: 'POST', headers: { Authorization: 'Bearer x' }, clear: true },
+        { action: 'view', label: 'Third', url: 'https://a.test/3' }
+      ]);
+    });
+
+    it('should only keep links from allowedUrls', () => {
+      const allowedUrls = extractLinks('run at https://ci.test/run/1');
+      const result = normalizeNotification({
+        ...base,
+        click: 'https://ci.test/run/1',
+        attach: 'https://evil.test/x.png',
+        actions: [{ label: 'Phish', url: 'https://evil.test/login' }, { label: 'Run', url: 'https://ci.test/run/1' }]
+      }, { allowedUrls });
+
+      expect(result.click).toBe('https://ci.test/run/1');
+      expect(result.attach).toBeUndefined();
+      expect(result.actions).toEqual([{ action: 'view', label: 'Run', url: 'https://ci.test/run/1' }]);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Publishing formatted notifications to ntfy.
+ */
+
+import { ntfyTarget } from "./routing.js";
+import { httpError } from "./retry.js";
+import { log } from "./log.js";
+
+// Quote values that would otherwise break ntfy's "a, b, c; d, e" action syntax
+function actionValue(value) {
+  const text = String(value);
+  return /[,;"'=]/.test(text) ? `"${text.replace(/"/g, "'")}"` : text;
+}
+
+/**
+ * Serialize actions to the ntfy `Actions` header format, e.g.
+ * `view, Open PR, https://...; http, Rerun, https://..., method=POST, clear=true`
+ */
+export function formatActions(actions) {
+  return actions.map(a => {
+    const parts = [a.action, actionValue(a.label), a.url];
+    if (a.method) parts.push(`method=${a.method}`);
+    for (const [name, value] of Object.entries(a.headers || {})) {
+      parts.push(`headers.${name}=${actionValue(value)}`);
+    }
+    if (a.body !== undefined) parts.push(`body=${actionValue(a.body)}`);
+    if (a.clear) parts.push("clear=true");
+    return parts.join(", ");
+  }).join("; ");
+}
+
+/**
+ * ntfy headers for the optional rich fields of a notification.
+ */
+export function richHeaders(notification, defaults = {}) {
+  const headers = {};
+  if (notification.click) headers["Click"] = notification.click;
+  if (notification.actions?.length) headers["Actions"] = formatActions(notification.actions);
+  if (notification.attach) headers["Attach"] = notification.attach;
+  if (notification.icon || defaults.icon) headers["Icon"] = notification.icon || defaults.icon;
+  if (notification.markdown) headers["Markdown"] = "yes";
+  if (notification.delay) headers["Delay"] = notification.delay;
+  return headers;
+}
+
+// RFC 2047 encoded-word, which ntfy decodes; lets any text travel in a header
+export function encodeHeader(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `=?UTF-8?B?${btoa(binary)}?=`;
+}
+
+async function failure(response, notification) {
+  const txt = await response.text();
+  log.debug("ntfy payload", { notification }); // Debugging help
+  return httpError(`ntfy failed: ${response.status} - ${txt}`, response);
+}
+
+/**
+ * Publish a notification to an ntfy topic ({ server, topic, token, icon }) once.
+ * With an `attachment` ({ filename, content }) the content is uploaded as a
+ * file and the message travels in a header; servers that refuse attachments
+ * get the plain message instead. With a `sequenceId` the message replaces any
+ * earlier one with the same id on the topic.
+ * Resolves to the ntfy response; throws on failure. Retries are up to the caller.
+ */
+export async function publishToNtfy(destination, notification, fallbackText = "", { attachment, sequenceId } = {}) {
+  const target = ntfyTarget(destination);
+  const message = notification.message || fallbackText.substring(0, 4096);
+  const headers = {
+    ...target.headers,
+    "Title": notification.title || "Notification",
+    "Priority": notification.priority || "default",
+    "Tags": notification.tags || "bell",
+    ...richHeaders(notification, destination),
+    ...(sequenceId ? { "X-Sequence-ID": sequenceId } : {})
+  };
+
+  // ntfy takes one attachment per message, so an Attach URL wins
+  if (attachment && !notification.attach) {
+    const response = await fetch(target.url, {
+      method: "PUT",
+      headers: { ...headers, "Filename": attachment.filename, "Message": encodeHeader(message) },
+      body: attachment.content
+    });
+    if (response.ok) return response;
+    // 400/413: attachments disabled or too large on this server
+    if (response.status !== 400 && response.status !== 413) throw await failure(response, notification);
+    log.warn("ntfy refused the attachment, sending the message alone", { status: response.status });
+  }
+
+  const response = await fetch(target.url, {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "text/plain" },
+    body: message
+  });
+
+  if (!response.ok) throw await failure(response, notification);
+
+  return response;
+}
+
+/**
+ * Dismiss ("clear") or delete ("delete") the messages published with a sequence id.
+ * Messages ntfy no longer knows are fine; throws on other failures.
+ */
+export async function clearFromNtfy(destination, sequenceId, mode = "clear") {
+  const target = ntfyTarget(destination);
+  const url = `${target.url}/${encodeURIComponent(sequenceId)}`;
+  const response = await fetch(mode === "delete" ? url : `${url}/clear`, {
+    method: mode === "delete" ? "DELETE" : "PUT",
+    headers: target.headers
+  });
+  if (!response.ok && response.status !== 404) {
+    throw httpError(`ntfy ${mode} failed: ${response.status} - ${await response.text()}`, response);
+  }
+  return response;
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { formatActions, richHeaders, publishToNtfy, encodeHeader } from './ntfy.js';
+
+describe('ntfy Publishing', () => {
+  describe('formatActions', () => {
+    it('should serialize view and http actions', () => {
+      expect(formatActions([
+        { action: 'view', label: 'Open PR', url: 'https://x.test/pr/1' },
+        { action: 'http', label: 'Rerun', url: 'https://x.test/rerun', method: 'POST', headers: { Authorization: 'Bearer t' }, clear: true }
+      ])).toBe('view, Open PR, https://x.test/pr/1; http, Rerun, https://x.test/rerun, method=POST, headers.Authorization=Bearer t, clear=true');
+    });
+
+    it('should quote labels that contain separators', () => {
+      expect(formatActions([{ action: 'view', label: 'Logs, full', url: 'https://x.test/' }]))
+        .toBe('view, "Logs, full", https://x.test/');
+    });
+  });
+
+  describe('encodeHeader', () => {
+    it('should produce an RFC 2047 encoded-word', () => {
+      expect(encodeHeader('Build ✅')).toBe('=?UTF-8?B?QnVpbGQg4pyF?=');
+    });
+  });
+
+  describe('richHeaders', () => {
+    it('should map rich fields to ntfy headers', () => {
+      expect(richHeaders({ click: 'https://x.test/', attach: 'https://x.test/a.png', markdown: true, delay: '10m' })).toEqual({
+        Click: 'https://x.test/',
+        Attach: 'https://x.test/a.png',
+        Markdown: 'yes',
+        Delay: '10m'
+      });
+    });
+
+    it('should fall back to the destination icon', () => {
+      expect(richHeaders({}, { icon: 'https://x.test/route.png' })).toEqual({ Icon: 'https://x.test/route.png' });
+      expect(richHeaders({ icon: 'https://x.test/own.png' }, { icon: 'https://x.test/route.png' }).Icon).toBe('https://x.test/own.png');
+    });
+  });
+
+  describe('publishToNtfy', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+      fetchMock = vi.fn(async () => new Response('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('should send rich headers alongside the basics', async () => {
+      await publishToNtfy(
+        { server: 'https://ntfy.sh', topic: 'ops', icon: 'https://x.test/i.png' },
+        { title: 'T', message: 'M', priority: 'high', tags: 'x', click: 'https://x.test/run' }
+      );
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://ntfy.sh/ops');
+      expect(init.headers).toMatchObject({ Title: 'T', Priority: 'high', Click: 'https://x.test/run', Icon: 'https://x.test/i.png' });
+      expect(init.body).toBe('M');
+    });
+
+    it('should upload an attachment with the message in an encoded header', async () => {
+      await publishToNtfy(
+        { server: 'https://ntfy.sh', topic: 'ops' },
+        { title: 'T', message: 'Build ✅\ndone', priority: 'default', tags: 'bell' },
+        '',
+        { attachment: { filename: 'payload.txt', content: 'full log' } }
+      );
+
+      const [, init] = fetchMock.mock.calls[0];
+      expect(init.method).toBe('PUT');
+      expect(init.body).toBe('full log');
+      expect(init.headers.Filename).toBe('payload.txt');
+      expect(init.headers.Message).toBe(encodeHeader('Build ✅\ndone'));
+    });
+
+    it('should send the message alone when the server refuses attachments', async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      fetchMock.mockResolvedValueOnce(new Response('attachments not allowed', { status: 400 }));
+
+      await publishToNtfy({ server: 'https://ntfy.sh', topic: 'ops' }, { message: 'M' }, '', {
+        attachment: { filename: 'payload.txt', content: 'full log' }
+      });
+
+      expect(fetchMock.mock.calls.map(([, init]) => init.method)).toEqual(['PUT', 'POST']);
+      expect(fetchMock.mock.calls[1][1].body).toBe('M');
+    });
+  });
+});
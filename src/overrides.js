@@ -0,0 +1,138 @@
+/**
+ * Sender overrides: ntfy-style hints a caller passes with a request.
+ *
+ *   X-Title    / ?title=      the title
+ *   X-Priority / ?priority=   min, low, default, high, urgent (or max), or 1-5
+ *   X-Tags     / ?tags=       comma-separated tags
+ *   X-Lock     / ?lock=       hints that are final: comma-separated fields, or `true` for all
+ *                ?topic=      another ntfy topic the route allows
+ *                ?raw=true    skip the model: the payload is the message
+ * A query parameter wins over the header of the same name.
+ *
+ * Hints pre-fill by default: the model gets them as the sender's suggestion
+ * and may still choose otherwise, and the static fallback uses them as they
+ * are. Locked hints replace what the model or parser chose. Override rules
+ * run last, so the operator can still cap or drop what a sender asks for:
+ *   model or parser output < locked hints < override rules
+ *
+ * A route decides what senders may do:
+ *   "overrides": { "topics": ["ci-nightly"], "raw": false }
+ * `topics` are the topics `?topic=` may pick besides the route's own, `"raw": false`
+ * refuses `?raw=true` and `"overrides": false` ignores every hint.
+ */
+
+import { PRIORITIES, TAG, TAGS_MAX, TITLE_MAX, clamp, normalizeNotification, toHeaderSafe } from "./notification.js";
+
+export const HINT_FIELDS = ["title", "priority", "tags"];
+
+const TOPIC = /^[-_A-Za-z0-9]{1,64}$/;
+
+function parsePriority(value) {
+  const name = value.trim().toLowerCase();
+  if (PRIORITIES.includes(name)) return name;
+  if (name === "max") return "urgent";
+  if (/^[1-5]$/.test(name)) return PRIORITIES[Number(name) - 1];
+  throw new Error(`Invalid priority "${value}" (use ${PRIORITIES.join(", ")} or 1-5)`);
+}
+
+function parseTags(value) {
+  const tags = [...new Set(value.split(",").map(tag => tag.trim()).filter(Boolean))];
+  const invalid = tags.find(tag => !TAG.test(tag));
+  if (invalid) throw new Error(`Invalid tag "${invalid}" (letters, digits, _, + and - only)`);
+  if (tags.length > TAGS_MAX) throw new Error(`Too many tags (max ${TAGS_MAX})`);
+  return tags.length > 0 ? tags.join(",") : undefined;
+}
+
+function parseFlag(value, name) {
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  throw new Error(`Invalid ${name} "${value}" (use true or false)`);
+}
+
+/**
+ * The sender's hints from a request's headers and query parameters, or null
+ * when there are none (or the route ignores them). Throws on invalid hints.
+ */
+export function parseOverrides({ headers = new Headers(), params = new URLSearchParams() }, route = {}) {
+  if (route.overrides === false) return null;
+  const settings = typeof route.overrides === "object" && route.overrides ? route.overrides : {};
+  const read = name => params.get(name) ?? headers.get(`x-${name}`);
+
+  const overrides = {};
+  const title = read("title");
+  if (title !== null && toHeaderSafe(title)) overrides.title = clamp(toHeaderSafe(title), TITLE_MAX);
+  const priority = read("priority");
+  if (priority !== null && priority.trim()) overrides.priority = parsePriority(priority);
+  const tagList = read("tags");
+  const tags = tagList === null ? undefined : parseTags(tagList);
+  if (tags) overrides.tags = tags;
+
+  const topic = params.get("topic");
+  if (topic !== null && topic !== route.topic) {
+    if (!TOPIC.test(topic)) throw new Error(`Invalid topic "${topic}"`);
+    if (!(settings.topics || []).includes(topic)) throw new Error(`Topic "${topic}" is not allowed for route "${route.name}"`);
+    overrides.topic = topic;
+  }
+
+  const raw = params.get("raw");
+  if (raw !== null && parseFlag(raw, "raw")) {
+    if (settings.raw === false) throw new Error(`Route "${route.name}" does not accept raw payloads`);
+    overrides.raw = true;
+  }
+
+  const lock = read("lock");
+  if (lock !== null && lock.trim()) {
+    const fields = lock.trim() === "true" ? HINT_FIELDS.filter(f => overrides[f] !== undefined) : lock.split(",").map(f => f.trim()).filter(Boolean);
+    for (const field of fields) {
+      if (!HINT_FIELDS.includes(field)) throw new Error(`Cannot lock "${field}" (use ${HINT_FIELDS.join(", ")})`);
+      if (overrides[field] === undefined) throw new Error(`Cannot lock "${field}" without a ${field} hint`);
+    }
+    if (fields.length > 0) overrides.lock = fields;
+  }
+
+  return Object.keys(overrides).length > 0 ? overrides : null;
+}
+
+/**
+ * The model settings with the sender's hints added to the prompt.
+ */
+export function hintedLlm(llm, overrides) {
+  const hints = HINT_FIELDS.filter(field => overrides?.[field] !== undefined);
+  if (!llm || hints.length === 0) return llm;
+  const lines = hints.map(field => `- ${field}: ${JSON.stringify(overrides[field])}${overrides.lock?.includes(field) ? " (fixed)" : ""}`);
+  return {
+    ...llm,
+    systemPrompt: `${llm.systemPrompt}
+
+The sender suggests these values. Use them unless the input clearly calls for something else; fixed values will be used whatever you choose:
+${lines.join("\n")}`
+  };
+}
+
+/**
+ * Put the sender's hints into a formatted notification: the locked ones, or
+ * all of them when no model chose (the static fallback or a raw payload).
+ */
+export function applyOverrides(notification, overrides, formatter) {
+  if (!overrides) return notification;
+  const fields = formatter?.type === "fallback" || formatter?.type === "raw" ? HINT_FIELDS : overrides.lock || [];
+  const result = { ...notification };
+  for (const field of fields) {
+    if (overrides[field] !== undefined) result[field] = overrides[field];
+  }
+  return result;
+}
+
+/**
+ * The notification for `?raw=true`: the payload as the message, the hints for the rest.
+ */
+export function rawNotification(payload, overrides) {
+  return applyOverrides(normalizeNotification({ message: payload }), overrides, { type: "raw" });
+}
+
+/**
+ * The route with the sender's topic, if one was picked.
+ */
+export function routeWithTopic(route, overrides) {
+  return overrides?.topic ? { ...route, topic: overrides.topic } : route;
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { parseOverrides, hintedLlm, applyOverrides, rawNotification } from './overrides.js';
+import { createJob, processJob } from './pipeline.js';
+
+const modelReply = () => Response.json({
+  choices: [{ message: { content: JSON.stringify({ title: 'Disk almost full', message: 'db-1 is at 91%', priority: 'default', tags: 'warning' }) } }]
+});
+
+describe('Sender Overrides', () => {
+  const route = { name: 'ops', server: 'https://ntfy.sh', topic: 'ops', overrides: { topics: ['ops-night'] } };
+  const parse = (query = '', headers = {}, r = route) => parseOverrides({
+    headers: new Headers(headers),
+    params: new URLSearchParams(query)
+  }, r);
+
+  describe('parseOverrides', () => {
+    it('should read headers and let query parameters win', () => {
+      expect(parse('priority=5&tags=fire,%2B1', { 'X-Title': 'Backup done', 'X-Priority': 'low', 'X-Tags': 'x' })).toEqual({
+        title: 'Backup done', priority: 'urgent', tags: 'fire,+1'
+      });
+      expect(parse('', { 'X-Priority': 'MAX' })).toEqual({ priority: 'urgent' });
+      expect(parse('')).toBeNull();
+    });
+
+    it('should clean and clamp titles', () => {
+      expect(parse(`title=${'a'.repeat(80)}`).title).toHaveLength(60);
+      expect(parse('title=%F0%9F%94%A5')).toBeNull();
+    });
+
+    it('should lock named hints or all of them', () => {
+      expect(parse('priority=high&title=T&lock=priority').lock).toEqual(['priority']);
+      expect(parse('priority=high&title=T', { 'X-Lock': 'true' }).lock).toEqual(['title', 'priority']);
+    });
+
+    it('should accept the route topic and the allowed ones', () => {
+      expect(parse('topic=ops')).toBeNull();
+      expect(parse('topic=ops-night')).toEqual({ topic: 'ops-night' });
+      expect(parse('raw=true')).toEqual({ raw: true });
+    });
+
+    it.each([
+      ['priority=critical', 'Invalid priority "critical"'],
+      ['tags=a b', 'Invalid tag "a b"'],
+      ['tags=a,b,c,d,e,f', 'Too many tags (max 5)'],
+      ['topic=other', 'Topic "other" is not allowed for route "ops"'],
+      ['topic=../x', 'Invalid topic "../x"'],
+      ['raw=yes', 'Invalid raw "yes"'],
+      ['lock=message', 'Cannot lock "message"'],
+      ['lock=title', 'Cannot lock "title" without a title hint']
+    ])('should reject %s', (query, error) => {
+      expect(() => parse(query)).toThrow(error);
+    });
+
+    it('should follow the route settings', () => {
+      expect(() => parse('raw=true', {}, { ...route, overrides: { raw: false } })).toThrow('Route "ops" does not accept raw payloads');
+      expect(parse('priority=urgent&topic=anything', {}, { ...route, overrides: false })).toBeNull();
+    });
+  });
+
+  describe('applying', () => {
+    const notification = { title: 'Model title', message: 'm', priority: 'default', tags: 'bell' };
+
+    it('should only apply locked hints to model and parser output', () => {
+      const overrides = { title: 'Mine', priority: 'high', lock: ['priority'] };
+      expect(applyOverrides(notification, overrides, { type: 'model' })).toEqual({ ...notification, priority: 'high' });
+      expect(applyOverrides(notification, overrides, { type: 'fallback' })).toEqual({ ...notification, title: 'Mine', priority: 'high' });
+    });
+
+    it('should tell the model about the hints', () => {
+      const llm = hintedLlm({ systemPrompt: 'Format.' }, { priority: 'high', tags: 'fire', lock: ['tags'] });
+      expect(llm.systemPrompt).toContain('- priority: "high"\n- tags: "fire" (fixed)');
+      expect(hintedLlm({ systemPrompt: 'Format.' }, { topic: 'x' }).systemPrompt).toBe('Format.');
+    });
+
+    it('should build raw notifications from the payload', () => {
+      expect(rawNotification('  backup finished  ', { title: 'Backup', tags: 'floppy_disk,nightly' })).toEqual({
+        title: 'Backup', message: 'backup finished', priority: 'default', tags: 'floppy_disk,nightly'
+      });
+    });
+  });
+
+  describe('pipeline', () => {
+    let fetchMock;
+    const env = { OPENROUTER_API_KEY: 'k' };
+
+    beforeEach(() => {
+      fetchMock = vi.fn(async url => url.includes('openrouter') ? modelReply() : Response.json({ id: 'msg-1' }));
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    const job = (overrides, payload = 'disk usage on db-1 at 91%') => createJob({ routeName: 'ops', payload, overrides });
+    const publish = () => fetchMock.mock.calls.find(([url]) => url.startsWith('https://ntfy.sh'));
+
+    it('should put locked hints over the model and rules over both', async () => {
+      const rules = [{ name: 'cap', maxPriority: 'high' }];
+      const result = await processJob(job({ priority: 'urgent', tags: 'nightly', lock: ['priority'] }), { ...route, rules }, env);
+
+      expect(result.notification).toMatchObject({ title: 'Disk almost full', priority: 'high', tags: 'warning' });
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body).messages[0].content).toContain('- priority: "urgent" (fixed)');
+    });
+
+    it('should skip the model for raw payloads and publish to the chosen topic', async () => {
+      const result = await processJob(job({ raw: true, title: 'Backup', topic: 'ops-night' }, 'backup finished'), route, env);
+
+      expect(result.formatter).toEqual({ type: 'raw' });
+      expect(result.notification).toMatchObject({ title: 'Backup', message: 'backup finished' });
+      expect(fetchMock.mock.calls.some(([url]) => url.includes('openrouter'))).toBe(false);
+      expect(publish()[0]).toBe('https://ntfy.sh/ops-night');
+    });
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Deterministic formatters for well-known webhook payloads.
+ *
+ * Each parser has a `detect` check (headers, User-Agent or payload shape) and
+ * a `parse` that returns { title, message, priority, tags }, or null when it
+ * recognises the source but not the event, in which case the LLM handles it.
+ * Where the payload links to the event, `click` and view `actions` are set too.
+ * Alert sources also have a `thread` that returns the event's correlation
+ * { key, state: "firing" | "resolved", startedAt? }, or null, so a resolved
+ * event can update the notification of the firing one (see threads.js).
+ *
+ * Routes can restrict parsers with `"parsers": ["github", ...]` or turn them
+ * off with `"parsers": false`.
+ */
+
+import { TITLE_MAX, clamp, normalizeNotification } from "./notification.js";
+import { log } from "./log.js";
+
+function truncate(text, max) {
+  return clamp(String(text ?? "").trim(), max);
+}
+
+function sentence(...parts) {
+  return parts.filter(Boolean).join(" ");
+}
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Click target plus view buttons for the links that are present
+function links(click, ...buttons) {
+  const actions = buttons
+    .filter(([, url]) => url)
+    .map(([label, url]) => ({ action: "view", label, url }));
+  return {
+    ...(click ? { click } : {}),
+    ...(actions.length ? { actions } : {})
+  };
+}
+
+// --- GitHub ---------------------------------------------------------------
+
+const GITHUB_CONCLUSIONS = {
+  success: { priority: "default", tags: "white_check_mark", label: "succeeded" },
+  failure: { priority: "high", tags: "x", label: "failed" },
+  timed_out: { priority: "high", tags: "hourglass", label: "timed out" },
+  cancelled: { priority: "low", tags: "no_entry_sign", label: "was cancelled" },
+  skipped: { priority: "min", tags: "fast_forward", label: "was skipped" },
+  action_required: { priority: "default", tags: "warning", label: "needs action" }
+};
+
+function githubRun(data, kind) {
+  const run = data[kind];
+  if (!run || data.action !== "completed") return null;
+
+  const outcome = GITHUB_CONCLUSIONS[run.conclusion] || {
+    priority: "default", tags: "information_source", label: run.conclusion || "completed"
+  };
+  const repo = data.repository?.name;
+  const name = kind === "workflow_job" ? `${run.workflow_name || "Workflow"} / ${run.name}` : run.name;
+  const sha = run.head_sha?.slice(0, 7);
+
+  return {
+    title: truncate(`${repo ? `${repo}: ` : ""}${name} ${outcome.label}`, TITLE_MAX),
+    message: sentence(
+      `${name} ${outcome.label} on ${run.head_branch || "unknown branch"}${sha ? ` (${sha})` : ""}.`,
+      data.sender?.login && `Triggered by ${data.sender.login}.`,
+      run.html_url
+    ),
+    priority: outcome.priority,
+    tags: outcome.tags,
+    ...links(run.html_url, ["Open run", run.html_url], ["Repository", data.repository?.html_url])
+  };
+}
+
+const GITHUB_EVENTS = {
+  ping: data => ({
+    title: "GitHub webhook connected",
+    message: sentence(data.zen, data.repository?.full_name && `Repository: ${data.repository.full_name}.`),
+    priority: "min",
+    tags: "wave"
+  }),
+
+  workflow_run: data => githubRun(data, "workflow_run"),
+  workflow_job: data => githubRun(data, "workflow_job"),
+
+  push: data => {
+    const branch = data.ref?.replace(/^refs\/heads\//, "");
+    const count = data.commits?.length ?? 0;
+    if (!branch || count === 0) return null;
+    const head = data.head_commit?.message?.split("\n")[0];
+    return {
+      title: truncate(`${data.repository?.name}: ${count} commit${count === 1 ? "" : "s"} to ${branch}`, TITLE_MAX),
+      message: sentence(`${data.pusher?.name || data.sender?.login || "Someone"} pushed to ${branch}.`, head && `Latest: ${head}`, data.compare),
+      priority: "low",
+      tags: "arrow_up",
+      ...links(data.compare, ["Compare", data.compare])
+    };
+  },
+
+  pull_request: data => {
+    const pr = data.pull_request;
+    if (!pr) return null;
+    const action = pr.merged ? "merged" : data.action;
+    return {
+      title: truncate(`PR #${pr.number} ${action}: ${pr.title}`, TITLE_MAX),
+      message: sentence(`${data.repository?.full_name} pull request by ${pr.user?.login} was ${action}.`, pr.html_url),
+      priority: action === "merged" ? "default" : "low",
+      tags: action === "merged" ? "tada" : "twisted_rightwards_arrows",
+      ...links(pr.html_url, ["Open PR", pr.html_url], ["Files", pr.html_url && `${pr.html_url}/files`])
+    };
+  },
+
+  release: data => {
+    if (data.action !== "published" || !data.release) return null;
+    return {
+      title: truncate(`${data.repository?.name} ${data.release.tag_name} released`, TITLE_MAX),
+      message: sentence(data.release.name && `${data.release.name}.`, data.release.html_url),
+      priority: "default",
+      tags: "tada",
+      ...links(data.release.html_url, ["Open release", data.release.html_url])
+    };
+  },
+
+  issues: data => {
+    const issue = data.issue;
+    if (!issue) return null;
+    return {
+      title: truncate(`Issue #${issue.number} ${data.action}: ${issue.title}`, TITLE_MAX),
+      message: sentence(`${data.repository?.full_name} issue ${data.action} by ${data.sender?.login}.`, issue.html_url),
+      priority: "low",
+      tags: "memo",
+      ...links(issue.html_url, ["Open issue", issue.html_url])
+    };
+  }
+};
+
+const github = {
+  name: "github",
+  detect: ({ headers, data }) => isObject(data) && headers.has("x-github-event"),
+  parse: ({ headers, data }) => GITHUB_EVENTS[headers.get("x-github-event")]?.(data) ?? null
+};
+
+// --- Grafana / Alertmanager -----------------------------------------------
+
+const SEVERITY_PRIORITY = {
+  critical: "urgent",
+  page: "urgent",
+  error: "high",
+  warning: "high",
+  info: "default",
+  none: "low"
+};
+
+const alertmanager = {
+  name: "alertmanager",
+  detect: ({ data }) => isObject(data) && Array.isArray(data.alerts) && typeof data.status === "string",
+  parse: ({ headers, data }) => {
+    const resolved = data.status === "resolved";
+    const firing = data.alerts.filter(a => a.status !== "resolved");
+    const shown = resolved ? data.alerts : firing;
+    const labels = data.commonLabels || shown[0]?.labels || {};
+    const alertName = labels.alertname || "Alert";
+    const isGrafana = /grafana/i.test(headers.get("user-agent") || "") || "orgId" in data;
+
+    const title = isGrafana && data.title
+      ? data.title
+      : `[${resolved ? "RESOLVED" : `FIRING:${firing.length}`}] ${alertName}`;
+
+    const lines = shown.slice(0, 3).map(a =>
+      a.annotations?.summary || a.annotations?.description || a.labels?.instance || a.labels?.alertname
+    ).filter(Boolean);
+    const more = shown.length > 3 ? `and ${shown.length - 3} more.` : "";
+    const first = shown[0] || {};
+
+    return {
+      title: truncate(title, TITLE_MAX),
+      message: sentence(...lines, more) || data.message || `${alertName} is ${data.status}.`,
+      priority: resolved ? "default" : SEVERITY_PRIORITY[String(labels.severity).toLowerCase()] || "high",
+      tags: resolved ? "white_check_mark" : "rotating_light",
+      ...links(
+        first.panelURL || first.dashboardURL || first.generatorURL || data.externalURL,
+        ["Dashboard", first.dashboardURL || first.panelURL],
+        ["Source", first.generatorURL],
+        ["Silence", !resolved && first.silenceURL]
+      )
+    };
+  },
+  // One thread per alert group; the group key stays the same from firing to resolved
+  thread: ({ data }) => {
+    const labels = data.commonLabels || data.alerts[0]?.labels || {};
+    const key = data.groupKey || JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    const starts = data.alerts.map(a => Date.parse(a.startsAt)).filter(Number.isFinite);
+    return {
+      key: `alertmanager:${key}`,
+      state: data.status === "resolved" ? "resolved" : "firing",
+      ...(starts.length > 0 ? { startedAt: new Date(Math.min(...starts)).toISOString() } : {})
+    };
+  }
+};
+
+// --- Uptime Kuma ----------------------------------------------------------
+
+const uptimeKuma = {
+  name: "uptime-kuma",
+  detect: ({ data }) => isObject(data) && typeof data.msg === "string" && "heartbeat" in data && "monitor" in data,
+  parse: ({ data }) => {
+    const { heartbeat, monitor } = data;
+
+    // Test notifications from the Kuma UI carry no heartbeat
+    if (!heartbeat || !monitor) {
+      return { title: "Uptime Kuma", message: data.msg, priority: "low", tags: "information_source" };
+    }
+
+    const up = heartbeat.status === 1;
+    const url = monitor.url && monitor.url !== "https://" ? monitor.url : "";
+    return {
+      title: truncate(`${monitor.name} is ${up ? "up" : "down"}`, TITLE_MAX),
+      message: sentence(heartbeat.msg || data.msg, url),
+      priority: up ? "default" : "high",
+      tags: up ? "green_circle" : "red_circle",
+      ...links(url, ["Open site", url])
+    };
+  },
+  // Down opens a thread per monitor, up resolves it; pending and maintenance beats don't count
+  thread: ({ data }) => {
+    const { heartbeat, monitor } = data;
+    if (!heartbeat || !monitor || (heartbeat.status !== 0 && heartbeat.status !== 1)) return null;
+    return { key: `uptime-kuma:${monitor.id ?? monitor.name}`, state: heartbeat.status === 1 ? "resolved" : "firing" };
+  }
+};
+
+// --- Sentry ---------------------------------------------------------------
+
+const SENTRY_LEVEL_PRIORITY = {
+  fatal: "urgent",
+  error: "high",
+  warning: "default",
+  info: "low",
+  debug: "min"
+};
+
+const sentry = {
+  name: "sentry",
+  detect: ({ headers, data }) => isObject(data) && (
+    headers.has("sentry-hook-resource") ||
+    /sentry/i.test(headers.get("user-agent") || "") ||
+    ("project_name" in data && "culprit" in data)
+  ),
+  parse: ({ data }) => {
+    // Integration platform webhooks nest the issue or event under `data`
+    const item = data.data?.issue || data.data?.event || data;
+    const project = item.project?.name || item.project?.slug || data.project_name || data.project;
+    const title = item.title || data.message || item.message;
+    if (!title) return null;
+
+    const level = String(item.level || data.level || "error").toLowerCase();
+    const link = item.web_url || item.permalink || data.url;
+    const rule = data.data?.triggered_rule;
+    const resolved = data.action === "resolved";
+
+    return {
+      title: truncate(`${resolved ? "Resolved: " : ""}${project ? `${project}: ` : ""}${title}`, TITLE_MAX),
+      message: sentence(
+        resolved && "The issue was resolved.",
+        item.culprit && `In ${item.culprit}.`,
+        rule && `Alert rule: ${rule}.`,
+        `Level: ${level}.`,
+        link
+      ),
+      priority: resolved ? "default" : SENTRY_LEVEL_PRIORITY[level] || "high",
+      tags: resolved ? "white_check_mark" : "bug",
+      ...links(link, ["Open in Sentry", link])
+    };
+  },
+  // One thread per issue: new events keep it open, resolving the issue closes it
+  thread: ({ data }) => {
+    const id = data.data?.issue?.id ?? data.data?.event?.issue_id ?? data.id;
+    if (!id) return null;
+    if (data.action === "resolved") return { key: `sentry:${id}`, state: "resolved" };
+    if (!data.action || ["created", "unresolved", "triggered"].includes(data.action)) return { key: `sentry:${id}`, state: "firing" };
+    return null;
+  }
+};
+
+export const parsers = [github, alertmanager, uptimeKuma, sentry];
+
+/**
+ * Run the parser registry against a request.
+ * Returns { parser, notification, thread? } for the first match, or null to fall back to the LLM.
+ */
+export function parseKnownFormat(input, route = {}) {
+  if (route.parsers === false) return null;
+  const allowed = Array.isArray(route.parsers) ? route.parsers : null;
+
+  for (const parser of parsers) {
+    if (allowed && !allowed.includes(parser.name)) continue;
+    try {
+      if (!parser.detect(input)) continue;
+      const notification = parser.parse(input);
+      if (!notification) continue;
+      const thread = parser.thread?.(input);
+      return { parser: parser.name, notification: normalizeNotification(notification), ...(thread ? { thread } : {}) };
+    } catch (e) {
+      log.error("Parser failed", { parser: parser.name, error: e });
+    }
+  }
+  return null;
+}
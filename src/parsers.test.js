@@ -0,0 +1,211 @@
+import { describe, it, expect } from 'vitest';
+import { parseKnownFormat } from './parsers.js';
+
+const input = (data, headers = {}) => ({
+  headers: new Headers(headers),
+  data,
+  text: JSON.stringify(data, null, 2)
+});
+
+describe('Webhook Parsers', () => {
+  describe('GitHub', () => {
+    const workflowRun = (conclusion) => ({
+      action: 'completed',
+      workflow_run: {
+        name: 'CI',
+        conclusion,
+        head_branch: 'main',
+        head_sha: 'abc1234def5678',
+        html_url: 'https://github.com/acme/api/actions/runs/1'
+      },
+      repository: { name: 'api', full_name: 'acme/api' },
+      sender: { login: 'octocat' }
+    });
+
+    it('should format a failed workflow run as high priority', () => {
+      const result = parseKnownFormat(input(workflowRun('failure'), { 'X-GitHub-Event': 'workflow_run' }));
+
+      expect(result.parser).toBe('github');
+      expect(result.notification).toEqual({
+        title: 'api: CI failed',
+        message: 'CI failed on main (abc1234). Triggered by octocat. https://github.com/acme/api/actions/runs/1',
+        priority: 'high',
+        tags: 'x',
+        click: 'https://github.com/acme/api/actions/runs/1',
+        actions: [{ action: 'view', label: 'Open run', url: 'https://github.com/acme/api/actions/runs/1' }]
+      });
+    });
+
+    it('should format a successful workflow run as default priority', () => {
+      const { notification } = parseKnownFormat(input(workflowRun('success'), { 'X-GitHub-Event': 'workflow_run' }));
+      expect(notification.priority).toBe('default');
+      expect(notification.tags).toBe('white_check_mark');
+    });
+
+    it('should format merged pull requests', () => {
+      const data = {
+        action: 'closed',
+        pull_request: { number: 7, title: 'Add routing', merged: true, user: { login: 'dev' }, html_url: 'https://x/pr/7' },
+        repository: { full_name: 'acme/api' }
+      };
+      const { notification } = parseKnownFormat(input(data, { 'X-GitHub-Event': 'pull_request' }));
+      expect(notification.title).toBe('PR #7 merged: Add routing');
+      expect(notification.tags).toBe('tada');
+      expect(notification.click).toBe('https://x/pr/7');
+      expect(notification.actions.map(a => a.label)).toEqual(['Open PR', 'Files']);
+    });
+
+    it('should fall back to the LLM for unhandled events', () => {
+      expect(parseKnownFormat(input({ action: 'created' }, { 'X-GitHub-Event': 'star' }))).toBeNull();
+      expect(parseKnownFormat(input({ action: 'in_progress', workflow_run: {} }, { 'X-GitHub-Event': 'workflow_run' }))).toBeNull();
+    });
+  });
+
+  describe('Alertmanager / Grafana', () => {
+    const firing = {
+      status: 'firing',
+      receiver: 'ntfy',
+      commonLabels: { alertname: 'HighCPU', severity: 'critical' },
+      alerts: [
+        { status: 'firing', labels: { alertname: 'HighCPU', instance: 'web-1' }, annotations: { summary: 'CPU above 95% on web-1' } },
+        { status: 'firing', labels: { alertname: 'HighCPU', instance: 'web-2' }, annotations: {} }
+      ]
+    };
+
+    it('should map firing critical alerts to urgent', () => {
+      const result = parseKnownFormat(input(firing));
+      expect(result.parser).toBe('alertmanager');
+      expect(result.notification).toEqual({
+        title: '[FIRING:2] HighCPU',
+        message: 'CPU above 95% on web-1 web-2',
+        priority: 'urgent',
+        tags: 'rotating_light'
+      });
+    });
+
+    it('should format resolved alerts', () => {
+      const resolved = { ...firing, status: 'resolved', alerts: firing.alerts.map(a => ({ ...a, status: 'resolved' })) };
+      const { notification } = parseKnownFormat(input(resolved));
+      expect(notification.title).toBe('[RESOLVED] HighCPU');
+      expect(notification.priority).toBe('default');
+      expect(notification.tags).toBe('white_check_mark');
+    });
+
+    it('should use the Grafana title when present', () => {
+      const grafana = { ...firing, orgId: 1, title: '[FIRING:2] HighCPU (prod)' };
+      const { notification } = parseKnownFormat(input(grafana, { 'User-Agent': 'Grafana' }));
+      expect(notification.title).toBe('[FIRING:2] HighCPU (prod)');
+    });
+
+    it('should link to the dashboard, source and silence URLs', () => {
+      const alerts = [{
+        ...firing.alerts[0],
+        dashboardURL: 'https://grafana.test/d/abc',
+        generatorURL: 'https://grafana.test/alerting/1/view',
+        silenceURL: 'https://grafana.test/alerting/silence/new'
+      }];
+      const { notification } = parseKnownFormat(input({ ...firing, alerts }));
+      expect(notification.click).toBe('https://grafana.test/d/abc');
+      expect(notification.actions.map(a => [a.label, a.url])).toEqual([
+        ['Dashboard', 'https://grafana.test/d/abc'],
+        ['Source', 'https://grafana.test/alerting/1/view'],
+        ['Silence', 'https://grafana.test/alerting/silence/new']
+      ]);
+    });
+  });
+
+  describe('Uptime Kuma', () => {
+    it('should format down heartbeats', () => {
+      const data = {
+        msg: '[Website] [🔴 Down] timeout',
+        heartbeat: { status: 0, msg: 'timeout of 48000ms exceeded' },
+        monitor: { name: 'Website', url: 'https://example.com' }
+      };
+      const result = parseKnownFormat(input(data));
+      expect(result.parser).toBe('uptime-kuma');
+      expect(result.notification).toEqual({
+        title: 'Website is down',
+        message: 'timeout of 48000ms exceeded https://example.com',
+        priority: 'high',
+        tags: 'red_circle',
+        click: 'https://example.com/',
+        actions: [{ action: 'view', label: 'Open site', url: 'https://example.com/' }]
+      });
+    });
+
+    it('should thread down and up heartbeats per monitor', () => {
+      const beat = status => input({ msg: 'm', heartbeat: { status }, monitor: { id: 4, name: 'Website' } });
+      expect(parseKnownFormat(beat(0)).thread).toEqual({ key: 'uptime-kuma:4', state: 'firing' });
+      expect(parseKnownFormat(beat(1)).thread).toEqual({ key: 'uptime-kuma:4', state: 'resolved' });
+      expect(parseKnownFormat(beat(2)).thread).toBeUndefined();
+    });
+
+    it('should handle test notifications without a heartbeat', () => {
+      const { notification } = parseKnownFormat(input({ msg: 'Uptime Kuma Testing', heartbeat: null, monitor: null }));
+      expect(notification.message).toBe('Uptime Kuma Testing');
+      expect(notification.priority).toBe('low');
+    });
+  });
+
+  describe('Sentry', () => {
+    it('should format legacy webhook payloads', () => {
+      const data = {
+        project_name: 'backend',
+        message: 'TypeError: x is undefined',
+        culprit: 'app/handlers.js in handle',
+        level: 'error',
+        url: 'https://sentry.io/issues/1'
+      };
+      const result = parseKnownFormat(input(data));
+      expect(result.parser).toBe('sentry');
+      expect(result.notification).toMatchObject({
+        title: 'backend: TypeError: x is undefined',
+        priority: 'high',
+        tags: 'bug'
+      });
+      expect(result.notification.message).toContain('https://sentry.io/issues/1');
+    });
+
+    it('should format integration platform issue webhooks', () => {
+      const data = {
+        action: 'created',
+        data: { issue: { title: 'ZeroDivisionError', level: 'fatal', project: { slug: 'billing' }, web_url: 'https://sentry.io/i/2' } }
+      };
+      const { notification } = parseKnownFormat(input(data, { 'Sentry-Hook-Resource': 'issue' }));
+      expect(notification.title).toBe('billing: ZeroDivisionError');
+      expect(notification.priority).toBe('urgent');
+    });
+
+    it('should thread issues and format resolved ones', () => {
+      const issue = action => input({
+        action,
+        data: { issue: { id: '42', title: 'ZeroDivisionError', level: 'fatal', project: { slug: 'billing' } } }
+      }, { 'Sentry-Hook-Resource': 'issue' });
+
+      expect(parseKnownFormat(issue('created')).thread).toEqual({ key: 'sentry:42', state: 'firing' });
+      const resolved = parseKnownFormat(issue('resolved'));
+      expect(resolved.thread).toEqual({ key: 'sentry:42', state: 'resolved' });
+      expect(resolved.notification).toMatchObject({ title: 'Resolved: billing: ZeroDivisionError', priority: 'default', tags: 'white_check_mark' });
+      expect(parseKnownFormat(issue('assigned')).thread).toBeUndefined();
+    });
+  });
+
+  describe('Registry', () => {
+    it('should return null for unknown payloads', () => {
+      expect(parseKnownFormat(input({ message: 'hello' }))).toBeNull();
+      expect(parseKnownFormat({ headers: new Headers(), data: null, text: 'plain text' })).toBeNull();
+    });
+
+    it('should honor per-route parser settings', () => {
+      const data = input({ msg: 'x', heartbeat: null, monitor: null });
+      expect(parseKnownFormat(data, { parsers: false })).toBeNull();
+      expect(parseKnownFormat(data, { parsers: ['github'] })).toBeNull();
+      expect(parseKnownFormat(data, { parsers: ['uptime-kuma'] }).parser).toBe('uptime-kuma');
+    });
+
+    it('should truncate long titles to 60 characters', () => {
+      const data = { project_name: 'p', culprit: 'c', message: 'x'.repeat(100), level: 'error' };
+      expect(parseKnownFormat(input(data)).notification.title).toHaveLength(60);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * The notification pipeline, shared by the fetch handler and the queue consumer.
+ *
+ * A job is the validated, serializable form of an inbound request:
+ *   { id, route, payload, data, files, headers, verbose, trim, debug, overrides, receivedAt, requestId, only? }
+ * so it can be processed inline, sent through a queue or stored for replay.
+ * `requestId` is the correlation id of the request that created it, so the
+ * queue consumer's log lines can be matched with the request's.
+ * `only` limits delivery to the named targets (set when replaying a partial failure),
+ * `replay` skips the dedupe gate, which already saw the first attempt (see queue.js),
+ * `trim` is the `?trim=` rule set override, `debug` asks for the trim report and
+ * `overrides` holds the sender's hints (see overrides.js). `files` are uploaded
+ * files (see uploads.js), with their contents in base64 or a link to the bucket.
+ */
+
+import { parseKnownFormat } from "./parsers.js";
+import { resolveLlmConfig, formatNotification } from "./llm.js";
+import { resolveTrimConfig, trimPayload } from "./trim.js";
+import { checkGate, releaseGate } from "./dedupe.js";
+import { deliver, resolveTargets } from "./channels.js";
+import { extractLinks, normalizeNotification } from "./notification.js";
+import { compileRules, applyRules } from "./rules.js";
+import { resolveHoldConfig, holdReason, holdNotification } from "./digest.js";
+import { resolveCacheConfig, formatWithCache } from "./cache.js";
+import { resolveHistoryConfig, recordHistory } from "./history.js";
+import { resolveRedactConfig, redactText, restoreNotification, redactedLlm } from "./redact.js";
+import { recordMetrics } from "./metrics.js";
+import { withContext, contextFields } from "./context.js";
+import { hintedLlm, applyOverrides, rawNotification, routeWithTopic } from "./overrides.js";
+import { resolveUploadConfig, resolveVisionConfig, describeImages, attachFiles } from "./uploads.js";
+import { resolveThreadConfig, correlate, openThread, threadNotification, recordThread, threadReport } from "./threads.js";
+import { resolveEscalationConfig, escalates, withAckAction, startEscalation } from "./escalation.js";
+import { log, timer } from "./log.js";
+
+// Credentials and signatures are not needed after auth and must not be stored
+const PRIVATE_HEADERS = new Set([
+  "authorization",
+  "cookie",
+  "x-hub-signature",
+  "x-hub-signature-256",
+  "stripe-signature",
+  "x-signature"
+]);
+
+/**
+ * Build a job from an HTTP request, or from `headers` alone for other
+ * sources (e.g. email) that have no request or query string.
+ */
+export function createJob({ request, routeName, payload, data, files = [], url, headers: given = {}, overrides = null }) {
+  const headers = {};
+  for (const [name, value] of new Headers(request?.headers ?? given)) {
+    if (!PRIVATE_HEADERS.has(name)) headers[name] = value;
+  }
+  const params = url?.searchParams ?? new URLSearchParams();
+
+  return {
+    id: crypto.randomUUID(),
+    route: routeName,
+    payload,
+    data,
+    files,
+    headers,
+    verbose: params.get("verbose") === "true",
+    trim: params.get("trim"),
+    debug: params.get("debug") === "true",
+    overrides,
+    receivedAt: new Date().toISOString(),
+    requestId: contextFields().requestId ?? null
+  };
+}
+
+function payloadFilename(job) {
+  if (job.headers["content-type"] === "message/rfc822") return "email.txt";
+  return job.data ? "payload.json" : "payload.txt";
+}
+
+/**
+ * Resolve everything a job needs before any network call.
+ * Throws on configuration errors (e.g. missing AI key, bad trim or override
+ * rules) so they can be reported to the sender instead of failing later in
+ * the background.
+ */
+export function prepareJob(job, route, env) {
+  // Raw payloads are the message as they are, whatever their format
+  const raw = Boolean(job.overrides?.raw);
+  const known = raw ? null : parseKnownFormat({ headers: new Headers(job.headers), data: job.data, text: job.payload }, route);
+  resolveTargets(route); // throws on unknown target types
+
+  // The AI provider, its cache, trimming and redaction are only needed for unknown formats
+  const formatted = known || raw;
+  const llm = formatted ? null : hintedLlm(resolveLlmConfig(env, route), job.overrides);
+  return {
+    known,
+    llm,
+    cache: formatted ? null : resolveCacheConfig(route, env, llm),
+    trim: formatted ? null : resolveTrimConfig(route, env, job),
+    redact: formatted ? null : resolveRedactConfig(route, env),
+    rules: compileRules(route, env),
+    hold: resolveHoldConfig(route, env),
+    history: resolveHistoryConfig(route, env),
+    thread: resolveThreadConfig(route, env),
+    escalation: resolveEscalationConfig(route, env),
+    // Image descriptions are only needed when a model formats the notification
+    vision: formatted || !job.files?.length ? null : resolveVisionConfig(env, route, resolveUploadConfig(route, env))
+  };
+}
+
+/**
+ * Format and deliver a job, and record the outcome in the delivery history.
+ * Resolves to { status: "sent" | "partial" | "failed" | "dropped" | "held", notification, formatter, input, results, rules, trim, redacted, images, thread, escalation, timings }
+ * or { status: "duplicate" | "rate_limited", retryAfter, trim, timings }.
+ * `formatter` says what produced the notification: a parser, a model, the cache or the fallback;
+ * `input` how a large payload was fitted into the model's budget; `rules` the
+ * override rules that matched; `redacted` how many values of each kind were
+ * hidden from the model; `images` what the vision model saw in uploaded
+ * images (null without vision); `thread` the incident the notification belongs
+ * to (null when not threaded, see threads.js); `escalation` the acknowledgement
+ * link and escalation schedule (null when not escalated, see escalation.js);
+ * `timings` the milliseconds spent per stage. Held notifications wait for the
+ * route's digest.
+ * The outcome is also logged and counted in the metrics.
+ */
+export async function processJob(job, route, env, prepared = prepareJob(job, route, env)) {
+  const context = { jobId: job.id, route: job.route, ...(job.requestId ? { requestId: job.requestId } : {}) };
+  return withContext(context, async () => {
+    const seen = { trimmed: null, timings: {} };
+    const elapsed = timer();
+    let result;
+    try {
+      result = await runJob(job, route, env, prepared, seen);
+    } catch (error) {
+      seen.timings.total = elapsed();
+      log.error("Job failed", { error, timings: seen.timings });
+      await recordHistory(env, prepared.history, job, { status: "error", error: error.message }, seen);
+      await recordMetrics(env, job, { status: "error" }, seen.timings);
+      throw error;
+    }
+    seen.timings.total = elapsed();
+    log.info("Job processed", {
+      status: result.status,
+      formatter: result.formatter?.model ?? result.formatter?.parser ?? result.formatter?.type ?? null,
+      timings: seen.timings
+    });
+    await recordHistory(env, prepared.history, job, result, seen);
+    await recordMetrics(env, job, result, seen.timings);
+    return { ...result, timings: seen.timings };
+  });
+}
+
+// `seen.trimmed` is set to the text the formatter gets, for the history, and
+// `seen.timings` to the time spent per stage
+async function runJob(job, route, env, prepared, seen) {
+  const { known, llm, cache, trim: trimConfig, redact, rules, hold, vision, thread: threadConfig, escalation: escalationConfig } = prepared;
+  let notification;
+  let formatter;
+  let input = null;
+  let trim = null;
+  let redacted = null;
+  let images = null;
+  let processedPayload = job.payload;
+
+  // 1. Known webhook formats are formatted deterministically, without the LLM
+  if (known) {
+    log.info("Parsed known format, skipping LLM", { parser: known.parser });
+    notification = known.notification;
+    formatter = { type: "parser", parser: known.parser };
+  } else if (job.overrides?.raw) {
+    // ?raw=true: the sender wrote the message
+    notification = rawNotification(job.payload, job.overrides);
+    formatter = { type: "raw" };
+    input = { strategy: "raw", truncated: notification.message !== job.payload.trim() };
+  } else if (trimConfig) {
+    // 1a. Smart payload trimming - Remove verbose technical details
+    const elapsed = timer();
+    ({ text: processedPayload, report: trim } = trimPayload(job.payload, trimConfig, { data: job.data }));
+    seen.timings.trim = elapsed();
+  }
+  seen.trimmed = processedPayload;
+
+  // 2. Drop duplicates and enforce rate limits before spending a model call
+  const gateElapsed = timer();
+  const gate = job.replay ? { allowed: true } : await checkGate(env, route, processedPayload);
+  seen.timings.gate = gateElapsed();
+  if (!gate.allowed) {
+    return { status: gate.reason, retryAfter: gate.retryAfter, trim };
+  }
+
+  // 3. Process Message (LLM formatting for ntfy notification, unless a recent payload like this one was cached)
+  if (!notification) {
+    // Links are checked against the untrimmed payload, where they are intact
+    const allowedUrls = extractLinks(job.payload);
+    // Secrets (and PII if the route asks) never reach the model or the cache
+    const elapsed = timer();
+    // Images are described by a vision model, the formatter reads the descriptions
+    let text = processedPayload;
+    if (vision) {
+      images = await describeImages(env, job.files, vision);
+      const lines = images.filter(i => i.description).map(i => `Image ${i.filename}: ${i.description}`);
+      if (lines.length > 0) text = `${text}\n\n${lines.join("\n")}`;
+    }
+    redacted = redactText(text, redact);
+    ({ notification, formatter, input } = await formatWithCache(env, cache, redacted.text,
+      () => formatNotification(redacted.text, redactedLlm(llm, redacted), { allowedUrls }), { allowedUrls }));
+    notification = restoreNotification(notification, redacted, redact);
+    seen.timings.format = elapsed();
+  }
+
+  // 3a. Locked sender hints replace the formatter's choice (the rules below still have the last word)
+  notification = applyOverrides(notification, job.overrides, formatter);
+
+  // 3b. Override rules have the last word on priority and tags, or drop the notification
+  const ruled = applyRules(rules, { job, notification });
+  notification = ruled.notification;
+  if (ruled.dropped) {
+    log.info("Dropped by rule", { rule: ruled.matched.at(-1) });
+    return { status: "dropped", notification, formatter, input, results: [], rules: ruled.matched, trim, redacted: redacted?.counts ?? null, images };
+  }
+
+  // 3c. Quiet hours and digest mode hold everything but urgent notifications for later
+  const reason = holdReason(hold, notification.priority);
+  if (reason) {
+    await holdNotification(env, job, notification, reason);
+    return { status: "held", reason, notification, formatter, input, results: [], rules: ruled.matched, trim, redacted: redacted?.counts ?? null, images };
+  }
+
+  // 3d. Uploaded files are forwarded; otherwise, when the model (or fallback) only saw part of the payload, ntfy gets all of it as a file
+  const uploaded = attachFiles(notification, job.files);
+  notification = uploaded.notification;
+  const attachment = uploaded.attachment ?? (input?.truncated && route.attachPayload !== false
+    ? { filename: payloadFilename(job), content: job.payload }
+    : undefined);
+
+  // 3e. Events of one incident share an ntfy notification: firing events update it, the resolved one closes it
+  const thread = threadConfig ? await openThread(env, threadConfig, job, await correlate(job, known, threadConfig)) : null;
+  notification = threadNotification(notification, thread);
+  const sequence = thread?.action ? { id: thread.sequenceId, action: thread.action } : undefined;
+
+  // 3f. Urgent notifications get an Acknowledge button and are escalated until someone presses it
+  // (resolved events end an incident, they don't need anyone to act)
+  const escalated = thread?.state !== "resolved" && escalates(escalationConfig, notification);
+  if (escalated) notification = withAckAction(notification, escalationConfig, job.id);
+
+  // 4. Send to ntfy and any other delivery targets
+  const deliverElapsed = timer();
+  const results = await deliver(routeWithTopic(route, job.overrides), notification, env, { fallbackText: processedPayload, only: job.only, attachment, sequence });
+  seen.timings.deliver = deliverElapsed();
+  const delivered = results.filter(r => r.ok).length;
+  const status = delivered === results.length ? "sent" : delivered > 0 ? "partial" : "failed";
+  // An undelivered payload must not make the sender's retry a duplicate
+  if (delivered === 0 && results.length > 0 && !job.replay) await releaseGate(env, route, processedPayload);
+  await recordThread(env, threadConfig, job, thread, results);
+  const escalation = escalated && delivered > 0 ? await startEscalation(env, escalationConfig, job, notification) : null;
+
+  return { status, notification, formatter, input, results, rules: ruled.matched, trim, redacted: redacted?.counts ?? null, images, thread: threadReport(thread), escalation };
+}
+
+/**
+ * Run the override rules on a job without delivering anything or touching the
+ * dedupe gate. `notification` stands in for the formatter's output; without
+ * one the job is formatted as usual (parser or model).
+ * Resolves to { notification, formatter, result, dropped, rules: trace }.
+ */
+export async function dryRunJob(job, route, env, { notification } = {}) {
+  const { known, llm, trim: trimConfig, redact, rules } = prepareJob(job, route, env);
+  let formatter;
+
+  if (notification) {
+    notification = normalizeNotification(notification);
+    formatter = { type: "given" };
+  } else if (known) {
+    notification = known.notification;
+    formatter = { type: "parser", parser: known.parser };
+  } else {
+    const text = trimConfig ? trimPayload(job.payload, trimConfig, { data: job.data }).text : job.payload;
+    const redacted = redactText(text, redact);
+    ({ notification, formatter } = await formatNotification(redacted.text, redactedLlm(llm, redacted), { allowedUrls: extractLinks(job.payload) }));
+    notification = restoreNotification(notification, redacted, redact);
+  }
+
+  const ruled = applyRules(rules, { job, notification });
+  return { notification, formatter, result: ruled.notification, dropped: ruled.dropped, rules: ruled.trace };
+}
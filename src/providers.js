@@ -0,0 +1,111 @@
+/**
+ * LLM provider abstraction.
+ *
+ * A provider exposes `complete({ model, messages, temperature, timeout, json })`
+ * and resolves to the raw text content of the first choice; `json` asks for a
+ * JSON object where the API supports it. Supported types:
+ *   - "openrouter": OpenRouter, key from OPENROUTER_API_KEY (the default)
+ *   - "openai":     any OpenAI-compatible chat completions endpoint
+ *                   (Ollama, vLLM, LiteLLM, ...), `url` required, key optional
+ *   - "workers-ai": a Cloudflare Workers AI binding (AI by default)
+ */
+
+import { httpError } from "./retry.js";
+
+export const OPENROUTER_URL = "https://openrouter.ai/api/v1/chat/completions";
+
+function withTimeout(promise, timeout, label) {
+  if (!timeout) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Provider for OpenAI-compatible /chat/completions endpoints.
+ */
+export function openaiCompatible({ name = "openai", url, apiKey, headers = {} }) {
+  if (!url) throw new Error(`Provider "${name}" has no url`);
+
+  return {
+    name,
+    async complete({ model, messages, temperature, timeout, json }) {
+      const body = { model, messages };
+      if (json) body.response_format = { type: "json_object" };
+      if (temperature !== undefined) body.temperature = temperature;
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+          ...headers
+        },
+        body: JSON.stringify(body),
+        signal: timeout ? AbortSignal.timeout(timeout) : undefined
+      });
+      if (!response.ok) {
+        throw httpError(`API returned ${response.status}`, response);
+      }
+
+      const data = await response.json();
+      return data?.choices?.[0]?.message?.content;
+    }
+  };
+}
+
+/**
+ * Provider backed by a Workers AI binding (`[ai] binding = "AI"`).
+ */
+export function workersAi({ name = "workers-ai", binding }) {
+  if (!binding?.run) throw new Error(`Provider "${name}" has no Workers AI binding`);
+
+  return {
+    name,
+    async complete({ model, messages, temperature, timeout }) {
+      const options = { messages };
+      if (temperature !== undefined) options.temperature = temperature;
+
+      const result = await withTimeout(binding.run(model, options), timeout, model);
+      // Some models already return parsed JSON when asked for it
+      const content = result?.response;
+      return typeof content === "string" ? content : content && JSON.stringify(content);
+    }
+  };
+}
+
+/**
+ * Build a provider from config: a type name ("openrouter") or an object
+ * ({ type, url, apiKey, apiKeyEnv, binding, headers }).
+ */
+export function createProvider(config, env) {
+  const options = typeof config === "string" ? { type: config } : { ...config };
+  const type = options.type || "openrouter";
+  const apiKey = (options.apiKeyEnv ? env[options.apiKeyEnv] : options.apiKey)?.trim();
+
+  switch (type) {
+    case "openrouter": {
+      const key = apiKey || env.OPENROUTER_API_KEY?.trim();
+      if (!key) throw new Error("Missing OPENROUTER_API_KEY env");
+      return openaiCompatible({
+        name: "openrouter",
+        url: options.url || OPENROUTER_URL,
+        apiKey: key,
+        headers: {
+          "HTTP-Referer": "https://yourdomain.com",
+          "X-Title": "ntfy-worker"
+        }
+      });
+    }
+    case "openai":
+      return openaiCompatible({ name: options.name, url: options.url, apiKey, headers: options.headers });
+    case "workers-ai":
+      return workersAi({ name: options.name, binding: env[options.binding || "AI"] });
+    default:
+      throw new Error(`Unknown LLM provider "${type}"`);
+  }
+}
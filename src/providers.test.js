@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createProvider, OPENROUTER_URL } from './providers.js';
+
+const completion = content => Response.json({ choices: [{ message: { content } }] });
+
+describe('LLM Providers', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('openrouter', () => {
+    it('should call OpenRouter with the API key', async () => {
+      const fetchMock = vi.fn(async () => completion('{"message":"hi"}'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const provider = createProvider('openrouter', { OPENROUTER_API_KEY: ' sk-1 ' });
+      const content = await provider.complete({ model: 'm', messages: [], json: true });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(content).toBe('{"message":"hi"}');
+      expect(url).toBe(OPENROUTER_URL);
+      expect(init.headers.Authorization).toBe('Bearer sk-1');
+      expect(init.headers['X-Title']).toBe('ntfy-worker');
+      expect(JSON.parse(init.body)).toEqual({ model: 'm', messages: [], response_format: { type: 'json_object' } });
+    });
+
+    it('should throw on non-OK responses', async () => {
+      vi.stubGlobal('fetch', vi.fn(async () => new Response('busy', { status: 429 })));
+      const provider = createProvider('openrouter', { OPENROUTER_API_KEY: 'k' });
+      await expect(provider.complete({ model: 'm', messages: [] })).rejects.toThrow('API returned 429');
+    });
+  });
+
+  describe('openai-compatible', () => {
+    it('should call a local endpoint without auth when no key is set', async () => {
+      const fetchMock = vi.fn(async () => completion('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const provider = createProvider({ type: 'openai', url: 'http://localhost:11434/v1/chat/completions' }, {});
+      await provider.complete({ model: 'llama3.2', messages: [], temperature: 0.3, timeout: 2000 });
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(init.signal).toBeInstanceOf(AbortSignal);
+      expect(JSON.parse(init.body).temperature).toBe(0.3);
+      expect(JSON.parse(init.body)).not.toHaveProperty('response_format');
+    });
+
+    it('should read the key from apiKeyEnv', async () => {
+      const fetchMock = vi.fn(async () => completion('{}'));
+      vi.stubGlobal('fetch', fetchMock);
+
+      const provider = createProvider({ type: 'openai', url: 'http://vllm/v1/chat/completions', apiKeyEnv: 'VLLM_KEY' }, { VLLM_KEY: 'abc' });
+      await provider.complete({ model: 'm', messages: [] });
+      expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer abc');
+    });
+
+    it('should require a url', () => {
+      expect(() => createProvider({ type: 'openai' }, {})).toThrow('has no url');
+    });
+  });
+
+  describe('workers-ai', () => {
+    it('should run the model on the AI binding', async () => {
+      const AI = { run: vi.fn(async () => ({ response: '{"message":"hi"}' })) };
+      const provider = createProvider('workers-ai', { AI });
+
+      const content = await provider.complete({ model: '@cf/meta/llama-3.1-8b-instruct', messages: [{ role: 'user', content: 'x' }] });
+
+      expect(content).toBe('{"message":"hi"}');
+      expect(AI.run).toHaveBeenCalledWith('@cf/meta/llama-3.1-8b-instruct', { messages: [{ role: 'user', content: 'x' }] });
+    });
+
+    it('should stringify structured responses', async () => {
+      const AI = { run: vi.fn(async () => ({ response: { message: 'hi' } })) };
+      const content = await createProvider('workers-ai', { AI }).complete({ model: 'm', messages: [] });
+      expect(content).toBe('{"message":"hi"}');
+    });
+
+    it('should time out slow runs', async () => {
+      const AI = { run: vi.fn(() => new Promise(() => {})) };
+      const provider = createProvider({ type: 'workers-ai' }, { AI });
+      await expect(provider.complete({ model: 'm', messages: [], timeout: 10 })).rejects.toThrow('timed out');
+    });
+
+    it('should require the binding', () => {
+      expect(() => createProvider('workers-ai', {})).toThrow('no Workers AI binding');
+    });
+  });
+
+  it('should reject unknown provider types', () => {
+    expect(() => createProvider('magic', {})).toThrow('Unknown LLM provider');
+  });
+});
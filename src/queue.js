@@ -0,0 +1,142 @@
+/**
+ * Asynchronous processing through Cloudflare Queues, with a dead-letter store.
+ *
+ * In async mode the fetch handler enqueues the job on NOTIFY_QUEUE and answers
+ * 202 right away; `handleQueue` formats and publishes it. Jobs that still fail
+ * after the delivery retries are written to the DEAD_LETTERS KV namespace
+ * (key `dlq:<job id>`) where they can be listed and replayed via the admin API.
+ * Replayed jobs, and queue messages delivered again, are marked `replay` so the
+ * dedupe gate doesn't take them for repeats of the first attempt; an entry is
+ * removed once a replay reaches at least one target.
+ */
+
+import { loadRoute } from "./routing.js";
+import { processJob } from "./pipeline.js";
+import { withContext } from "./context.js";
+import { log } from "./log.js";
+
+const DEAD_LETTER_PREFIX = "dlq:";
+
+/**
+ * Whether a request should be processed asynchronously.
+ * Route setting wins over `?async=true`, which wins over ASYNC_MODE.
+ */
+export function wantsAsync(route, url, env) {
+  if (typeof route.async === "boolean") return route.async;
+  if (url?.searchParams.has("async")) return url.searchParams.get("async") === "true";
+  return env.ASYNC_MODE === "true";
+}
+
+export async function enqueueJob(env, job) {
+  if (!env.NOTIFY_QUEUE) {
+    throw new Error("Async mode needs the NOTIFY_QUEUE binding");
+  }
+  await env.NOTIFY_QUEUE.send(job);
+}
+
+/**
+ * Queue consumer: process each job, dead-lettering the ones that fail.
+ */
+export async function handleQueue(batch, env) {
+  for (const message of batch.messages) {
+    const job = message.attempts > 1 ? { ...message.body, replay: true } : message.body;
+    // Log lines carry the id of the request that enqueued the job
+    await withContext({ requestId: job.requestId ?? job.id, jobId: job.id, route: job.route }, async () => {
+      try {
+        const route = await loadRoute(job.route, env);
+        if (!route) throw new Error(`Unknown route "${job.route}"`);
+
+        const result = await processJob(job, route, env);
+        if (job.replay) await settleDeadLetter(env, job, result);
+        else await deadLetterFailures(env, job, result);
+      } catch (error) {
+        log.error("Queued job failed", { error });
+        await deadLetter(env, job, error);
+      }
+    });
+    message.ack();
+  }
+}
+
+export async function deadLetter(env, job, error) {
+  if (!env.DEAD_LETTERS) {
+    log.error("No DEAD_LETTERS binding, job is lost", { jobId: job.id });
+    return;
+  }
+
+  const failedAt = new Date().toISOString();
+  const message = error?.message || String(error);
+  const ttl = Number(env.DEAD_LETTER_TTL);
+
+  await env.DEAD_LETTERS.put(
+    `${DEAD_LETTER_PREFIX}${job.id}`,
+    JSON.stringify({ job, error: message, failedAt }),
+    {
+      metadata: { route: job.route, error: message.slice(0, 200), failedAt },
+      ...(ttl > 0 ? { expirationTtl: ttl } : {})
+    }
+  );
+}
+
+/**
+ * Dead-letter the targets a processed job could not reach, so a replay only
+ * delivers to those.
+ */
+export async function deadLetterFailures(env, job, result) {
+  const failed = result.results?.filter(r => !r.ok) || [];
+  if (failed.length === 0) return;
+
+  await deadLetter(env, { ...job, only: failed.map(r => r.target) }, new Error(
+    failed.map(r => `${r.target}: ${r.error}`).join("; ")
+  ));
+}
+
+// Whether a replay is done with: delivered somewhere, or dropped or held by the route's rules
+function handled(result) {
+  return result.status === "dropped" || result.status === "held" || Boolean(result.results?.some(r => r.ok));
+}
+
+// A replayed job's entry goes once the job is handled; targets still failing are dead-lettered again
+async function settleDeadLetter(env, job, result) {
+  if (handled(result)) await deleteDeadLetter(env, job.id);
+  await deadLetterFailures(env, job, result);
+}
+
+export async function listDeadLetters(env, { cursor, limit = 50 } = {}) {
+  const page = await env.DEAD_LETTERS.list({ prefix: DEAD_LETTER_PREFIX, cursor, limit });
+  return {
+    items: page.keys.map(({ name, metadata }) => ({ id: name.slice(DEAD_LETTER_PREFIX.length), ...metadata })),
+    cursor: page.list_complete ? null : page.cursor
+  };
+}
+
+export async function getDeadLetter(env, id) {
+  return env.DEAD_LETTERS.get(`${DEAD_LETTER_PREFIX}${id}`, "json");
+}
+
+export async function deleteDeadLetter(env, id) {
+  await env.DEAD_LETTERS.delete(`${DEAD_LETTER_PREFIX}${id}`);
+}
+
+/**
+ * Send a dead-lettered job through the pipeline again, past the dedupe gate:
+ * re-enqueued when a queue is bound, processed inline otherwise. The entry is
+ * kept until a target is reached, with the targets that still fail.
+ */
+export async function replayDeadLetter(env, id) {
+  const entry = await getDeadLetter(env, id);
+  if (!entry) return null;
+
+  const job = { ...entry.job, replay: true };
+  if (env.NOTIFY_QUEUE) {
+    await enqueueJob(env, job);
+    return { id, status: "queued" };
+  }
+
+  const route = await loadRoute(job.route, env);
+  if (!route) throw new Error(`Unknown route "${job.route}"`);
+
+  const result = await processJob(job, route, env);
+  await settleDeadLetter(env, job, result);
+  return { id, status: result.status, results: result.results };
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { handleQueue, wantsAsync, deadLetter, listDeadLetters, replayDeadLetter } from './queue.js';
+import { AlertGate } from './dedupe.js';
+import { memoryKV, memoryQueue, queueBatch, durableNamespace } from '../test/helpers.js';
+
+const job = (overrides = {}) => ({
+  id: 'job-1',
+  route: 'ci',
+  payload: 'build failed',
+  data: null,
+  headers: { 'content-type': 'text/plain' },
+  verbose: false,
+  receivedAt: '2026-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+const modelReply = Response.json({
+  choices: [{ message: { content: JSON.stringify({ title: 'Build failed', message: 'CI is red', priority: 'high', tags: 'x' }) } }]
+});
+
+describe('Queue Processing', () => {
+  let env;
+  let fetchMock;
+
+  beforeEach(() => {
+    env = {
+      OPENROUTER_API_KEY: 'k',
+      ROUTES: JSON.stringify({ ci: { topic: 'ci-builds' } }),
+      DEAD_LETTERS: memoryKV()
+    };
+    fetchMock = vi.fn(async (url) => url.includes('openrouter') ? modelReply.clone() : new Response('{}'));
+    vi.stubGlobal('fetch', fetchMock);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('wantsAsync', () => {
+    const url = q => new URL(`https://worker.test/t/ci${q}`);
+
+    it('should prefer route setting, then query, then env', () => {
+      expect(wantsAsync({ async: false }, url('?async=true'), { ASYNC_MODE: 'true' })).toBe(false);
+      expect(wantsAsync({}, url('?async=true'), {})).toBe(true);
+      expect(wantsAsync({}, url('?async=false'), { ASYNC_MODE: 'true' })).toBe(false);
+      expect(wantsAsync({}, url(''), { ASYNC_MODE: 'true' })).toBe(true);
+      expect(wantsAsync({}, url(''), {})).toBe(false);
+    });
+  });
+
+  describe('handleQueue', () => {
+    it('should format, publish and ack jobs', async () => {
+      const batch = queueBatch([job()]);
+      await handleQueue(batch, env);
+
+      const publish = fetchMock.mock.calls.find(([url]) => url === 'https://ntfy.sh/ci-builds');
+      expect(publish[1].headers.Title).toBe('Build failed');
+      expect(batch.messages[0].acked).toBe(true);
+      expect(env.DEAD_LETTERS.data.size).toBe(0);
+    });
+
+    it('should dead-letter jobs that fail after retries', async () => {
+      vi.useFakeTimers();
+      fetchMock.mockImplementation(async (url) =>
+        url.includes('openrouter') ? modelReply.clone() : new Response('down', { status: 503 }));
+
+      const batch = queueBatch([job()]);
+      const done = handleQueue(batch, env);
+      await vi.runAllTimersAsync();
+      await done;
+
+      const entry = await env.DEAD_LETTERS.get('dlq:job-1', 'json');
+      expect(entry.job.payload).toBe('build failed');
+      expect(entry.error).toBe('ntfy: ntfy failed: 503 - down');
+      expect(entry.job.only).toEqual(['ntfy']);
+      expect(batch.messages[0].acked).toBe(true);
+    });
+
+    it('should dead-letter jobs whose route no longer exists', async () => {
+      await handleQueue(queueBatch([job({ route: 'gone' })]), env);
+      expect((await env.DEAD_LETTERS.get('dlq:job-1', 'json')).error).toBe('Unknown route "gone"');
+    });
+  });
+
+  describe('dead-letter store', () => {
+    it('should list entries with metadata', async () => {
+      await deadLetter(env, job({ id: 'a' }), new Error('boom'));
+      await deadLetter(env, job({ id: 'b' }), new Error('bang'));
+
+      const { items, cursor } = await listDeadLetters(env);
+      expect(items.map(i => [i.id, i.route, i.error])).toEqual([['a', 'ci', 'boom'], ['b', 'ci', 'bang']]);
+      expect(cursor).toBeNull();
+    });
+
+    it('should apply DEAD_LETTER_TTL', async () => {
+      await deadLetter({ ...env, DEAD_LETTER_TTL: '86400' }, job(), new Error('x'));
+      expect(env.DEAD_LETTERS.data.get('dlq:job-1').options.expirationTtl).toBe(86400);
+    });
+
+    it('should re-enqueue on replay when a queue is bound', async () => {
+      const queue = memoryQueue();
+      await deadLetter(env, job(), new Error('x'));
+
+      const result = await replayDeadLetter({ ...env, NOTIFY_QUEUE: queue }, 'job-1');
+
+      expect(result).toEqual({ id: 'job-1', status: 'queued' });
+      expect(queue.sent[0]).toMatchObject({ id: 'job-1', replay: true });
+      // Kept until the consumer delivers it
+      expect(env.DEAD_LETTERS.data.size).toBe(1);
+      await handleQueue(queueBatch(queue.sent), env);
+      expect(env.DEAD_LETTERS.data.size).toBe(0);
+    });
+
+    it('should process inline on replay without a queue', async () => {
+      await deadLetter(env, job(), new Error('x'));
+      expect(await replayDeadLetter(env, 'job-1')).toMatchObject({ id: 'job-1', status: 'sent' });
+      expect(env.DEAD_LETTERS.data.size).toBe(0);
+    });
+
+    it('should replay past the dedupe gate and keep the entry until delivery works', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout'] });
+      env.ROUTES = JSON.stringify({ ci: { topic: 'ci-builds', dedupe: true } });
+      env.ALERT_GATE = durableNamespace(AlertGate);
+      let ntfyUp = false;
+      fetchMock.mockImplementation(async (url) => {
+        if (url.includes('openrouter')) return modelReply.clone();
+        return ntfyUp ? new Response('{}') : new Response('down', { status: 503 });
+      });
+      const run = async promise => {
+        const done = promise;
+        await vi.runAllTimersAsync();
+        return done;
+      };
+
+      await run(handleQueue(queueBatch([job()]), env));
+      expect((await run(replayDeadLetter(env, 'job-1'))).status).toBe('failed');
+      expect((await env.DEAD_LETTERS.get('dlq:job-1', 'json')).error).toBe('ntfy: ntfy failed: 503 - down');
+
+      ntfyUp = true;
+      expect(await run(replayDeadLetter(env, 'job-1'))).toMatchObject({ status: 'sent', results: [{ target: 'ntfy', ok: true }] });
+      expect(env.DEAD_LETTERS.data.size).toBe(0);
+    });
+
+    it('should mark queue messages delivered again as replays', async () => {
+      env.ROUTES = JSON.stringify({ ci: { topic: 'ci-builds', dedupe: true } });
+      env.ALERT_GATE = durableNamespace(AlertGate);
+      await handleQueue(queueBatch([job()]), env);
+
+      const batch = queueBatch([job()]);
+      batch.messages[0].attempts = 2;
+      await handleQueue(batch, env);
+
+      expect(fetchMock.mock.calls.filter(([url]) => url === 'https://ntfy.sh/ci-builds')).toHaveLength(2);
+    });
+
+    it('should return null for unknown entries', async () => {
+      expect(await replayDeadLetter(env, 'nope')).toBeNull();
+    });
+  });
+});
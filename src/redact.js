@@ -0,0 +1,151 @@
+/**
+ * Redaction of secrets and personal data before a payload is sent to a model.
+ *
+ * Secrets are always replaced with numbered placeholders (`[GITHUB_TOKEN_1]`)
+ * unless a route turns them off; personal data only when asked for. The same
+ * value gets the same placeholder, so the model can still tell them apart.
+ * Placeholders of the `restore` categories are put back into the model's
+ * title and message; secrets never are.
+ *
+ *   "redact": { "pii": ["email", "ip"], "restore": ["email"],
+ *               "custom": [{ "name": "ticket", "pattern": "TCK-\\d+" }] }
+ *
+ * `"pii": true` enables every PII detector and `"restore": true` restores all
+ * of them (and custom ones); `"secrets": false` sends secrets verbatim and
+ * `"redact": false` turns the stage off. REDACT_PII and REDACT_RESTORE
+ * (`true` or comma-separated names) apply to routes without their own setting.
+ */
+
+// Values that are already placeholders
+const NOT_PLACEHOLDER = String.raw`(?!\[[A-Z0-9_]+_\d+\])`;
+
+// Every pattern has two groups: text kept in front of the value, and the value
+export const SECRET_DETECTORS = {
+  private_key: /()(-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----)/g,
+  url_credentials: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)([^\s@/]+)(?=@)/gi,
+  aws_access_key: /()(\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[A-Z0-9]{16}\b)/g,
+  aws_secret_key: /((?:aws_secret_access_key|secretAccessKey)["']?[ \t]*[:=][ \t]*["']?)([A-Za-z0-9/+=]{40})/gi,
+  github_token: /()(\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b)/g,
+  slack_token: /()(\bxox[abprs]-[A-Za-z0-9-]{10,}\b)/g,
+  stripe_key: /()(\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b)/g,
+  jwt: /()(\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,})/g,
+  authorization: new RegExp(String.raw`(\bAuthorization["']?[ \t]*[:=][ \t]*["']?(?:Bearer|Basic|Token)[ \t]+)${NOT_PLACEHOLDER}([^\s"',]+)`, "gi"),
+  bearer: new RegExp(String.raw`(\bBearer[ \t]+)${NOT_PLACEHOLDER}([A-Za-z0-9._~+/=-]{16,})`, "g"),
+  // Quoted values may contain spaces
+  credential: new RegExp(String.raw`(\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)["']?[ \t]*[:=][ \t]*["']?)${NOT_PLACEHOLDER}((?<=["'])[^"'\n]{4,}(?=["'])|[^\s"',;&]{4,})`, "gi")
+};
+
+export const PII_DETECTORS = {
+  email: /()(\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b)/g,
+  ip: /()(\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b|\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,6}:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*\b)/gi,
+  phone: /()(\+\d[\d ()-]{7,}\d)/g
+};
+
+// Appended to the system prompt when something was redacted
+export const REDACTION_NOTE = `
+
+Values like [EMAIL_1] or [GITHUB_TOKEN_1] are placeholders for redacted data. Keep them exactly as written where they matter, never guess what they stand for.`;
+
+const PLACEHOLDER = /\[([A-Z0-9_]+)_(\d+)\]/g;
+
+function nameList(value, known, where) {
+  if (value === undefined || value === null || value === false) return [];
+  if (value === true || value === "true") return known;
+  const names = Array.isArray(value) ? value : String(value).split(",").map(n => n.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!known.includes(name)) throw new Error(`${where}: unknown name "${name}" (use ${known.join(", ")})`);
+  }
+  return names;
+}
+
+function compileCustom(rule, index) {
+  const name = String(rule?.name || "");
+  if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Custom redaction ${index} needs a lowercase name`);
+  }
+  if (Object.hasOwn(SECRET_DETECTORS, name) || Object.hasOwn(PII_DETECTORS, name)) {
+    throw new Error(`Custom redaction "${name}" shadows a built-in detector`);
+  }
+  try {
+    const flags = new Set(`${rule.flags || ""}g`);
+    return [name, new RegExp(`()(${rule.pattern})`, [...flags].join(""))];
+  } catch (e) {
+    throw new Error(`Custom redaction "${name}": ${e.message}`);
+  }
+}
+
+/**
+ * The redaction policy for a route, or null when nothing is redacted.
+ * Throws on unknown detectors, invalid custom patterns and restoring secrets.
+ */
+export function resolveRedactConfig(route = {}, env = {}) {
+  if (route.redact === false) return null;
+  const settings = typeof route.redact === "object" && route.redact ? route.redact : {};
+  const where = `Route "${route.name}" redact`;
+
+  const custom = (settings.custom || []).map(compileCustom);
+  const pii = nameList(settings.pii ?? env.REDACT_PII, Object.keys(PII_DETECTORS), `${where}.pii`);
+  const detectors = [
+    ...(settings.secrets === false ? [] : Object.entries(SECRET_DETECTORS)),
+    ...custom,
+    ...pii.map(name => [name, PII_DETECTORS[name]])
+  ];
+  if (detectors.length === 0) return null;
+
+  const restorable = [...pii, ...custom.map(([name]) => name)];
+  const restoreSetting = settings.restore ?? env.REDACT_RESTORE;
+  const restore = restoreSetting === true || restoreSetting === "true"
+    ? restorable
+    : nameList(restoreSetting, [...restorable, ...Object.keys(SECRET_DETECTORS)], `${where}.restore`);
+  const secret = restore.find(name => Object.hasOwn(SECRET_DETECTORS, name));
+  if (secret) throw new Error(`${where}.restore: secrets like "${secret}" are never restored`);
+
+  return { detectors, restore: new Set(restore) };
+}
+
+/**
+ * Replace everything the policy detects with placeholders.
+ * Returns { text, values: Map(placeholder → { name, value }), counts: { name: n } }.
+ */
+export function redactText(text, config) {
+  const values = new Map();
+  const counts = {};
+  if (!config) return { text, values, counts };
+
+  const byValue = new Map();
+  let result = text;
+  for (const [name, pattern] of config.detectors) {
+    pattern.lastIndex = 0;
+    result = result.replace(pattern, (match, prefix, value) => {
+      const key = `${name}\n${value}`;
+      if (!byValue.has(key)) {
+        counts[name] = (counts[name] || 0) + 1;
+        const placeholder = `[${name.toUpperCase()}_${counts[name]}]`;
+        byValue.set(key, placeholder);
+        values.set(placeholder, { name, value });
+      }
+      return `${prefix}${byValue.get(key)}`;
+    });
+  }
+  return { text: result, values, counts };
+}
+
+/**
+ * Put the restorable values back into a notification's title and message.
+ */
+export function restoreNotification(notification, redacted, config) {
+  if (!config || config.restore.size === 0 || redacted.values.size === 0) return notification;
+  const restore = text => text.replace(PLACEHOLDER, placeholder => {
+    const entry = redacted.values.get(placeholder);
+    return entry && config.restore.has(entry.name) ? entry.value : placeholder;
+  });
+  return { ...notification, title: restore(notification.title), message: restore(notification.message) };
+}
+
+/**
+ * The model settings for a redacted text: the prompt explains the placeholders.
+ */
+export function redactedLlm(llm, redacted) {
+  if (redacted.values.size === 0) return llm;
+  return { ...llm, systemPrompt: `${llm.systemPrompt}${REDACTION_NOTE}` };
+}
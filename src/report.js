@@ -0,0 +1,72 @@
+/**
+ * Structured JSON responses.
+ *
+ * By default a published notification is answered with "Sent to ntfy!". In
+ * JSON mode the caller gets the final notification, what produced it (parser,
+ * model or fallback), the retries spent per model and per target, and the ntfy
+ * message id. JSON mode is on when the route sets `"response": "json"`, the
+ * request has `?format=json` or an `Accept: application/json` header.
+ * `?debug=true` always answers in JSON and adds the trimming report, the
+ * redaction counts and the stage timings.
+ */
+
+// HTTP status for each job status
+export const STATUS_CODES = {
+  sent: 200,
+  duplicate: 200,
+  dropped: 200,
+  queued: 202,
+  held: 202,
+  partial: 207,
+  rate_limited: 429,
+  failed: 502
+};
+
+/**
+ * Whether to answer with a JSON report.
+ * `?debug=true` wins, then the route setting, then `?format=`, then the Accept header.
+ */
+export function wantsJson(route, url, request) {
+  if (url.searchParams.get("debug") === "true") return true;
+  if (route?.response === "json" || route?.response === "text") return route.response === "json";
+  if (url.searchParams.has("format")) return url.searchParams.get("format") === "json";
+  return (request.headers.get("accept") || "").includes("application/json");
+}
+
+/**
+ * The JSON report for a processed job.
+ */
+export function jobReport(job, result) {
+  const report = { id: job.id, route: job.route, status: result.status };
+  if (result.retryAfter !== undefined) report.retryAfter = result.retryAfter;
+  if (result.reason) report.reason = result.reason;
+  if (job.overrides) report.overrides = job.overrides;
+  if (job.files?.length > 0) report.files = job.files.map(({ base64, ...file }) => file);
+
+  if (result.notification) {
+    report.notification = result.notification;
+    report.formatter = result.formatter;
+    if (result.input) report.input = result.input;
+    report.messageId = result.results.find(r => r.messageId)?.messageId ?? null;
+    report.results = result.results;
+    if (result.rules?.length > 0) report.rules = result.rules;
+    if (result.images) report.images = result.images;
+    if (result.thread) report.thread = result.thread;
+    if (result.escalation) report.escalation = result.escalation;
+  }
+  if (job.debug) {
+    report.trim = result.trim ?? null;
+    report.redacted = result.redacted ?? null;
+    report.timings = result.timings ?? null;
+  }
+  return report;
+}
+
+/**
+ * An error answer, as `{ error }` JSON in JSON mode and plain text otherwise.
+ */
+export function errorResponse(json, status, message, headers = {}) {
+  return json
+    ? Response.json({ error: message }, { status, headers })
+    : new Response(message, { status, headers });
+}
@@ -0,0 +1,58 @@
+/**
+ * Retry utility function with exponential backoff.
+ *
+ * Only errors worth retrying are retried: network errors and timeouts (no
+ * `status`), 408, 429 and 5xx. Other 4xx answers fail at once. A `retryAfter`
+ * (seconds, from the Retry-After header) stretches the delay, or ends the
+ * retries when it is longer than a request should wait.
+ */
+
+import { log } from "./log.js";
+
+const MAX_RETRY_AFTER_MS = 10000;
+
+/**
+ * Seconds to wait from a Retry-After header (delay-seconds or HTTP date), or null.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return Number(value);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * An Error for a failed HTTP response, carrying its `status` and `retryAfter`.
+ */
+export function httpError(message, response) {
+  const error = new Error(message);
+  error.status = response.status;
+  const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+  if (retryAfter !== null) error.retryAfter = retryAfter;
+  return error;
+}
+
+export function isRetryable(error) {
+  const status = error?.status;
+  if (status === undefined) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+export async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const isLastAttempt = attempt === maxRetries - 1;
+      if (isLastAttempt || !isRetryable(error)) throw error;
+
+      let delay = baseDelay * Math.pow(2, attempt);
+      if (error.retryAfter !== undefined) {
+        if (error.retryAfter * 1000 > MAX_RETRY_AFTER_MS) throw error;
+        delay = Math.max(delay, error.retryAfter * 1000);
+      }
+      log.warn("Attempt failed, retrying", { attempt: attempt + 1, delayMs: delay, error });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Route resolution for inbound webhooks.
+ *
+ * `POST /t/<name>` is looked up in the routing table, `POST /` uses the
+ * `default` route. The table is read from the ROUTES_KV namespace first
+ * (key `route:<name>`, JSON value) and then from the ROUTES env var (a JSON
+ * object keyed by route name), so routes can be managed without a redeploy.
+ * `POST /batch` and `POST /t/<name>/batch` take arrays of payloads.
+ *
+ * A route looks like:
+ *   { "server": "https://ntfy.sh", "topic": "ci-alerts", "token": "tk_..." }
+ */
+
+import { log } from "./log.js";
+
+export const DEFAULT_NTFY_SERVER = "https://ntfy.sh";
+
+// Topic used before routing existed, kept so `POST /` keeps working unconfigured
+const LEGACY_TOPIC = "fupvaK-6nytti-hopmyc";
+
+const ROUTE_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * A positive number from a route setting or env var (env vars are strings),
+ * or undefined so the caller's default applies.
+ */
+export function toPositive(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+// A route name from an encoded path segment, null for malformed encodings and invalid names
+function decodeRouteName(segment) {
+  let name;
+  try {
+    name = decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+  return ROUTE_NAME.test(name) ? name : null;
+}
+
+/**
+ * Extract the route name from a request path.
+ * Returns null for paths that are not routable.
+ */
+export function parseRoutePath(pathname) {
+  if (pathname === "/" || pathname === "") return "default";
+
+  const match = pathname.match(/^\/t\/([^/]+)\/?$/);
+  return match ? decodeRouteName(match[1]) : null;
+}
+
+/**
+ * Extract the route name from a batch path (`/batch` or `/t/<name>/batch`).
+ * Returns null for anything else.
+ */
+export function parseBatchPath(pathname) {
+  if (/^\/batch\/?$/.test(pathname)) return "default";
+
+  const match = pathname.match(/^\/t\/([^/]+)\/batch\/?$/);
+  return match ? decodeRouteName(match[1]) : null;
+}
+
+function parseRoutesVar(raw) {
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try {
+    const table = JSON.parse(raw);
+    return table && typeof table === "object" ? table : {};
+  } catch (e) {
+    log.error("Invalid ROUTES env var", { error: e });
+    return {};
+  }
+}
+
+/**
+ * Fill in defaults and validate a raw route entry.
+ * Unknown fields are kept so other stages can read their own settings.
+ */
+export function normalizeRoute(name, raw) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`Route "${name}" is not an object`);
+  }
+  if (!raw.topic || typeof raw.topic !== "string") {
+    throw new Error(`Route "${name}" has no topic`);
+  }
+
+  return {
+    ...raw,
+    name,
+    server: (raw.server || DEFAULT_NTFY_SERVER).replace(/\/+$/, ""),
+    topic: raw.topic,
+    token: raw.token || null
+  };
+}
+
+/**
+ * Look up a route by name. Returns null when the route does not exist.
+ * Throws when the route exists but is misconfigured.
+ */
+export async function loadRoute(name, env) {
+  if (env.ROUTES_KV) {
+    const stored = await env.ROUTES_KV.get(`route:${name}`, "json");
+    if (stored) return normalizeRoute(name, stored);
+  }
+
+  const table = parseRoutesVar(env.ROUTES);
+  if (Object.hasOwn(table, name)) return normalizeRoute(name, table[name]);
+
+  if (name === "default") {
+    return normalizeRoute("default", {
+      server: env.NTFY_SERVER,
+      topic: env.NTFY_TOPIC || LEGACY_TOPIC,
+      token: env.NTFY_TOKEN,
+      // Optional shared secret, accepted as a bearer token or ?key=
+      auth: env.WEBHOOK_TOKEN
+        ? [{ type: "bearer", secretEnv: "WEBHOOK_TOKEN" }, { type: "query", secretEnv: "WEBHOOK_TOKEN" }]
+        : undefined
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Build the ntfy publish URL and auth headers for a route.
+ */
+export function ntfyTarget(route) {
+  const headers = {};
+  if (route.token) headers["Authorization"] = `Bearer ${route.token}`;
+  return {
+    url: `${route.server}/${encodeURIComponent(route.topic)}`,
+    headers
+  };
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseRoutePath, parseBatchPath, loadRoute, normalizeRoute, ntfyTarget } from './routing.js';
+
+describe('Routing', () => {
+  describe('parseRoutePath', () => {
+    it('should map the root path to the default route', () => {
+      expect(parseRoutePath('/')).toBe('default');
+    });
+
+    it('should extract the route name from /t/<name>', () => {
+      expect(parseRoutePath('/t/ci')).toBe('ci');
+      expect(parseRoutePath('/t/email-forward/')).toBe('email-forward');
+    });
+
+    it('should reject other paths and invalid names', () => {
+      expect(parseRoutePath('/foo')).toBeNull();
+      expect(parseRoutePath('/t/')).toBeNull();
+      expect(parseRoutePath('/t/a/b')).toBeNull();
+      expect(parseRoutePath('/t/bad%20name')).toBeNull();
+    });
+
+    it('should reject malformed percent-encoding', () => {
+      expect(parseRoutePath('/t/%E0')).toBeNull();
+      expect(parseRoutePath('/t/ci%')).toBeNull();
+    });
+  });
+
+  describe('parseBatchPath', () => {
+    it('should map /batch and /t/<name>/batch to routes', () => {
+      expect(parseBatchPath('/batch')).toBe('default');
+      expect(parseBatchPath('/t/ci/batch/')).toBe('ci');
+      expect(parseBatchPath('/t/batch')).toBeNull();
+      expect(parseBatchPath('/t/ci')).toBeNull();
+    });
+
+    it('should reject malformed percent-encoding', () => {
+      expect(parseBatchPath('/t/%E0/batch')).toBeNull();
+    });
+  });
+
+  describe('loadRoute', () => {
+    const routes = JSON.stringify({
+      ci: { server: 'https://ntfy.example.com/', topic: 'ci-builds', token: 'tk_ci' },
+      monitoring: { topic: 'alerts' }
+    });
+
+    it('should read routes from the ROUTES env var', async () => {
+      const route = await loadRoute('ci', { ROUTES: routes });
+      expect(route).toMatchObject({
+        name: 'ci',
+        server: 'https://ntfy.example.com',
+        topic: 'ci-builds',
+        token: 'tk_ci'
+      });
+    });
+
+    it('should default the server to ntfy.sh', async () => {
+      const route = await loadRoute('monitoring', { ROUTES: routes });
+      expect(route.server).toBe('https://ntfy.sh');
+      expect(route.token).toBeNull();
+    });
+
+    it('should prefer routes stored in KV', async () => {
+      const kv = { get: vi.fn().mockResolvedValue({ topic: 'from-kv' }) };
+      const route = await loadRoute('ci', { ROUTES: routes, ROUTES_KV: kv });
+
+      expect(kv.get).toHaveBeenCalledWith('route:ci', 'json');
+      expect(route.topic).toBe('from-kv');
+    });
+
+    it('should return null for unknown routes', async () => {
+      expect(await loadRoute('nope', { ROUTES: routes })).toBeNull();
+    });
+
+    it('should build the default route from env when not in the table', async () => {
+      const route = await loadRoute('default', { NTFY_TOPIC: 'mine', NTFY_TOKEN: 'tk' });
+      expect(route).toMatchObject({ server: 'https://ntfy.sh', topic: 'mine', token: 'tk' });
+    });
+
+    it('should ignore a malformed ROUTES var', async () => {
+      const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      expect(await loadRoute('ci', { ROUTES: '{nope' })).toBeNull();
+      spy.mockRestore();
+    });
+  });
+
+  describe('normalizeRoute', () => {
+    it('should throw when the topic is missing', () => {
+      expect(() => normalizeRoute('x', { server: 'https://ntfy.sh' })).toThrow('has no topic');
+    });
+  });
+
+  describe('ntfyTarget', () => {
+    it('should build the publish URL and bearer header', () => {
+      const target = ntfyTarget({ server: 'https://ntfy.sh', topic: 'a b', token: 'tk_1' });
+      expect(target.url).toBe('https://ntfy.sh/a%20b');
+      expect(target.headers).toEqual({ Authorization: 'Bearer tk_1' });
+    });
+
+    it('should omit auth when the route has no token', () => {
+      expect(ntfyTarget({ server: 'https://ntfy.sh', topic: 't' }).headers).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Override rules, applied to the formatted notification before delivery.
+ *
+ * The model (or parser) picks a priority from the payload alone; rules let the
+ * operator pin down what it can't know, e.g. that anything from prod is urgent
+ * and the nightly cron never is. Global rules come from the RULES env var
+ * (a JSON array), then the route's own `rules`, evaluated in order:
+ *
+ *   {
+ *     "name": "prod outages",
+ *     "match": { "json": { "alerts.*.labels.env": "prod" }, "priority": ["high", "urgent"] },
+ *     "priority": "urgent", "tags": ["rotating_light"], "titlePrefix": "[PROD] "
+ *   }
+ *
+ * Every condition in `match` has to hold (an empty `match` always does):
+ *   route, payload          the route name, the raw payload text
+ *   headers, json           request headers / JSON paths (`*` matches any key or index)
+ *   title, message,         the formatted notification as it stands after the
+ *   priority, tags          rules before this one
+ * A condition is a string or number (equal, case-insensitive), a regex as
+ * `{ "pattern": "...", "flags": "i" }`, or an array of those (any one).
+ *
+ * Actions: `priority` forces a level, `minPriority`/`maxPriority` raise or cap
+ * it, `setTags` replaces the tags and `tags` adds to them, `titlePrefix` is put
+ * in front of the title, `drop` discards the notification and `stop` skips the
+ * remaining rules.
+ */
+
+import { PRIORITIES, TAG, TAGS_MAX, TITLE_MAX, clamp, toHeaderSafe } from "./notification.js";
+
+const MATCH_KEYS = ["route", "payload", "headers", "json", "title", "message", "priority", "tags"];
+const ACTION_KEYS = ["priority", "minPriority", "maxPriority", "setTags", "tags", "titlePrefix", "drop", "stop"];
+
+function compileCondition(value, where) {
+  if (Array.isArray(value)) {
+    const tests = value.map(v => compileCondition(v, where));
+    return text => tests.some(test => test(text));
+  }
+  if (typeof value === "string" || typeof value === "number" || typeof value === "boolean") {
+    const expected = String(value).toLowerCase();
+    return text => text.toLowerCase() === expected;
+  }
+  if (value && typeof value === "object" && typeof value.pattern === "string") {
+    let regex;
+    try {
+      regex = new RegExp(value.pattern, value.flags || "");
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+    return text => regex.test(text);
+  }
+  throw new Error(`${where}: expected a string, { pattern } or an array`);
+}
+
+function compileMap(value, where, key = name => name) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${where}: expected an object`);
+  }
+  return Object.entries(value).map(([name, condition]) => [key(name), compileCondition(condition, `${where}.${name}`)]);
+}
+
+function priorityOption(value, where) {
+  if (value === undefined) return undefined;
+  if (!PRIORITIES.includes(value)) {
+    throw new Error(`${where}: unknown priority "${value}" (use ${PRIORITIES.join(", ")})`);
+  }
+  return PRIORITIES.indexOf(value);
+}
+
+function tagList(value, where) {
+  if (value === undefined) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const tags = [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+  const invalid = tags.find(tag => !TAG.test(tag));
+  if (invalid) throw new Error(`${where}: invalid tag "${invalid}" (letters, digits, _, + and - only)`);
+  if (tags.length > TAGS_MAX) throw new Error(`${where}: too many tags (max ${TAGS_MAX})`);
+  return tags;
+}
+
+function titlePrefixOption(value, where) {
+  if (value === undefined) return undefined;
+  const prefix = String(value);
+  if (toHeaderSafe(prefix) !== prefix.trim()) {
+    throw new Error(`${where}: must be one line of Latin-1 text without control characters`);
+  }
+  return prefix;
+}
+
+function compileRule(raw, index, source) {
+  const name = raw?.name || `${source}[${index}]`;
+  const where = `Rule "${name}"`;
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(`${where} is not an object`);
+
+  const match = raw.match ?? {};
+  const unknown = [
+    ...Object.keys(match).filter(key => !MATCH_KEYS.includes(key)),
+    ...Object.keys(raw).filter(key => key !== "name" && key !== "match" && !ACTION_KEYS.includes(key))
+  ];
+  if (unknown.length > 0) throw new Error(`${where}: unknown field "${unknown[0]}"`);
+
+  const conditions = [];
+  for (const key of ["route", "payload", "title", "message", "priority", "tags"]) {
+    if (match[key] !== undefined) conditions.push([key, compileCondition(match[key], `${where} match.${key}`)]);
+  }
+  if (match.headers !== undefined) {
+    for (const [header, test] of compileMap(match.headers, `${where} match.headers`, h => h.toLowerCase())) {
+      conditions.push([`headers.${header}`, test]);
+    }
+  }
+  if (match.json !== undefined) {
+    for (const [path, test] of compileMap(match.json, `${where} match.json`)) {
+      conditions.push([`json.${path}`, test]);
+    }
+  }
+
+  return {
+    name,
+    conditions,
+    priority: priorityOption(raw.priority, `${where} priority`),
+    minPriority: priorityOption(raw.minPriority, `${where} minPriority`),
+    maxPriority: priorityOption(raw.maxPriority, `${where} maxPriority`),
+    setTags: tagList(raw.setTags, `${where} setTags`),
+    tags: tagList(raw.tags, `${where} tags`),
+    titlePrefix: titlePrefixOption(raw.titlePrefix, `${where} titlePrefix`),
+    drop: raw.drop === true,
+    stop: raw.stop === true
+  };
+}
+
+function parseRulesVar(raw) {
+  if (!raw) return [];
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Invalid RULES env var: ${e.message}`);
+    }
+  }
+  if (!Array.isArray(raw)) throw new Error("RULES must be a JSON array");
+  return raw;
+}
+
+/**
+ * Compile the global and route rules. Throws on invalid rules.
+ */
+export function compileRules(route = {}, env = {}) {
+  if (route.rules !== undefined && !Array.isArray(route.rules)) {
+    throw new Error(`Route "${route.name}" rules must be an array`);
+  }
+  return [
+    ...parseRulesVar(env.RULES).map((rule, i) => compileRule(rule, i, "RULES")),
+    ...(route.rules || []).map((rule, i) => compileRule(rule, i, "rules"))
+  ];
+}
+
+// Every value at a dot path, "*" fanning out over keys and array items
+function valuesAt(data, path) {
+  let values = [data];
+  for (const segment of path.split(".")) {
+    values = values.flatMap(value => {
+      if (!value || typeof value !== "object") return [];
+      if (segment === "*") return Object.values(value);
+      return Object.hasOwn(value, segment) ? [value[segment]] : [];
+    });
+  }
+  return values.filter(value => value === null || typeof value !== "object");
+}
+
+// The strings a condition is tested against; it holds when any of them matches
+function subjects(key, { job, notification }) {
+  if (key.startsWith("headers.")) {
+    const value = job.headers?.[key.slice("headers.".length)];
+    return value === undefined ? [] : [value];
+  }
+  if (key.startsWith("json.")) return valuesAt(job.data, key.slice("json.".length)).map(String);
+  if (key === "route") return [job.route];
+  if (key === "payload") return [job.payload];
+  if (key === "tags") return notification.tags ? notification.tags.split(",") : [];
+  return [String(notification[key] ?? "")];
+}
+
+function applyActions(rule, notification) {
+  const result = { ...notification };
+  let level = PRIORITIES.indexOf(result.priority);
+  if (rule.priority !== undefined) level = rule.priority;
+  if (rule.minPriority !== undefined) level = Math.max(level, rule.minPriority);
+  if (rule.maxPriority !== undefined) level = Math.min(level, rule.maxPriority);
+  result.priority = PRIORITIES[level];
+
+  if (rule.setTags || rule.tags) {
+    const current = rule.setTags ?? (result.tags ? result.tags.split(",") : []);
+    result.tags = [...new Set([...current, ...(rule.tags || [])])].slice(0, TAGS_MAX).join(",");
+  }
+  if (rule.titlePrefix && !result.title.startsWith(rule.titlePrefix)) {
+    result.title = clamp(`${rule.titlePrefix}${result.title}`, TITLE_MAX);
+  }
+  return result;
+}
+
+/**
+ * Run compiled rules over a job's notification.
+ * Returns { notification, dropped, matched: [rule names], trace } where the
+ * trace has one entry per rule: { rule, matched, failed?, skipped? }.
+ */
+export function applyRules(rules, { job, notification }) {
+  const trace = [];
+  let current = notification;
+  let dropped = false;
+  let stopped = false;
+
+  for (const rule of rules) {
+    if (stopped) {
+      trace.push({ rule: rule.name, matched: false, skipped: true });
+      continue;
+    }
+
+    const failed = rule.conditions.find(([key, test]) =>
+      !subjects(key, { job, notification: current }).some(text => test(text)));
+    if (failed) {
+      trace.push({ rule: rule.name, matched: false, failed: failed[0] });
+      continue;
+    }
+
+    trace.push({ rule: rule.name, matched: true });
+    if (rule.drop) {
+      dropped = true;
+      stopped = true;
+      continue;
+    }
+    current = applyActions(rule, current);
+    stopped = rule.stop;
+  }
+
+  return {
+    notification: current,
+    dropped,
+    matched: trace.filter(t => t.matched).map(t => t.rule),
+    trace
+  };
+}
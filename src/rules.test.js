@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { compileRules, applyRules } from './rules.js';
+
+const job = (overrides = {}) => ({
+  id: 'job-1',
+  route: 'alerts',
+  payload: 'CPU at 97% on web-1',
+  data: null,
+  headers: { 'content-type': 'text/plain' },
+  ...overrides
+});
+
+const notification = { title: 'High CPU', message: 'CPU at 97% on web-1', priority: 'default', tags: 'warning' };
+
+const run = (rules, input = {}, env = {}) =>
+  applyRules(compileRules({ name: 'alerts', rules }, env), { job: job(input.job), notification: { ...notification, ...input.notification } });
+
+describe('Override Rules', () => {
+  describe('compileRules', () => {
+    it('should put global RULES before the route rules', () => {
+      const rules = compileRules({ rules: [{ name: 'route' }] }, { RULES: JSON.stringify([{ name: 'global' }, {}]) });
+      expect(rules.map(r => r.name)).toEqual(['global', 'RULES[1]', 'route']);
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => compileRules({ rules: [{ name: 'x', priority: 'critical' }] })).toThrow('Rule "x" priority: unknown priority "critical"');
+      expect(() => compileRules({ rules: [{ match: { payload: { pattern: '(' } } }] })).toThrow('Rule "rules[0]" match.payload');
+      expect(() => compileRules({ rules: [{ name: 'x', match: { body: 'y' } }] })).toThrow('Rule "x": unknown field "body"');
+      expect(() => compileRules({ rules: [{ name: 'x', prio: 'high' }] })).toThrow('unknown field "prio"');
+      expect(() => compileRules({}, { RULES: '{' })).toThrow('Invalid RULES env var');
+      expect(() => compileRules({ name: 'alerts', rules: {} })).toThrow('Route "alerts" rules must be an array');
+    });
+
+    it('should reject tags and title prefixes that are not header-safe', () => {
+      expect(() => compileRules({ rules: [{ name: 'x', tags: ['fire', 'bad tag'] }] })).toThrow('Rule "x" tags: invalid tag "bad tag"');
+      expect(() => compileRules({ rules: [{ name: 'x', setTags: 'a,b,c,d,e,f' }] })).toThrow('Rule "x" setTags: too many tags (max 5)');
+      expect(() => compileRules({ rules: [{ name: 'x', titlePrefix: '[PROD]\r\nX-Evil: 1 ' }] })).toThrow('Rule "x" titlePrefix');
+      expect(() => compileRules({ rules: [{ name: 'x', titlePrefix: '🔥 ' }] })).toThrow('Rule "x" titlePrefix');
+      expect(compileRules({ rules: [{ titlePrefix: '[Prüfung] ' }] })[0].titlePrefix).toBe('[Prüfung] ');
+    });
+  });
+
+  describe('matching', () => {
+    it('should apply rules with an empty match to everything', () => {
+      expect(run([{ priority: 'low' }]).notification.priority).toBe('low');
+    });
+
+    it('should match route, headers and payload', () => {
+      const rules = [{
+        name: 'github prod',
+        match: { route: ['ci', 'alerts'], headers: { 'X-GitHub-Event': 'workflow_run' }, payload: { pattern: 'web-\\d+' } },
+        priority: 'high'
+      }];
+
+      expect(run(rules).trace).toEqual([{ rule: 'github prod', matched: false, failed: 'headers.x-github-event' }]);
+      const matched = run(rules, { job: { headers: { 'x-github-event': 'Workflow_Run' } } });
+      expect(matched.matched).toEqual(['github prod']);
+      expect(matched.notification.priority).toBe('high');
+    });
+
+    it('should match JSON paths with wildcards', () => {
+      const data = { alerts: [{ labels: { env: 'staging' } }, { labels: { env: 'prod' } }], count: 2 };
+      const rules = [
+        { name: 'prod', match: { json: { 'alerts.*.labels.env': 'prod' } }, priority: 'urgent' },
+        { name: 'count', match: { json: { count: 3 } }, priority: 'min' },
+        { name: 'missing', match: { json: { 'alerts.*.labels.team': { pattern: '.*' } } }, priority: 'min' }
+      ];
+
+      const result = run(rules, { job: { data } });
+      expect(result.matched).toEqual(['prod']);
+      expect(result.notification.priority).toBe('urgent');
+    });
+
+    it('should see the notification as changed by earlier rules', () => {
+      const rules = [
+        { name: 'escalate', match: { title: { pattern: 'cpu', flags: 'i' } }, priority: 'high' },
+        { name: 'page', match: { priority: 'high', tags: 'warning' }, tags: ['rotating_light'] }
+      ];
+      expect(run(rules).notification).toMatchObject({ priority: 'high', tags: 'warning,rotating_light' });
+    });
+  });
+
+  describe('actions', () => {
+    it('should cap and raise priorities', () => {
+      expect(run([{ maxPriority: 'low' }], { notification: { priority: 'urgent' } }).notification.priority).toBe('low');
+      expect(run([{ maxPriority: 'low' }], { notification: { priority: 'min' } }).notification.priority).toBe('min');
+      expect(run([{ minPriority: 'high' }], { notification: { priority: 'low' } }).notification.priority).toBe('high');
+    });
+
+    it('should add and replace tags', () => {
+      expect(run([{ tags: 'fire, warning' }]).notification.tags).toBe('warning,fire');
+      expect(run([{ setTags: ['cron'], tags: ['zzz'] }]).notification.tags).toBe('cron,zzz');
+      expect(run([{ tags: 'a,b,c,d,e' }]).notification.tags).toBe('warning,a,b,c,d');
+    });
+
+    it('should prefix the title once and keep it within the limit', () => {
+      const rules = [{ titlePrefix: '[PROD] ' }, { titlePrefix: '[PROD] ' }];
+      expect(run(rules).notification.title).toBe('[PROD] High CPU');
+      expect(run(rules, { notification: { title: 'x'.repeat(60) } }).notification.title).toHaveLength(60);
+    });
+
+    it('should drop notifications and skip the remaining rules', () => {
+      const result = run([{ name: 'noise', match: { payload: { pattern: 'web-1' } }, drop: true }, { name: 'later' }]);
+
+      expect(result.dropped).toBe(true);
+      expect(result.matched).toEqual(['noise']);
+      expect(result.trace[1]).toEqual({ rule: 'later', matched: false, skipped: true });
+    });
+
+    it('should stop after a matching rule with stop', () => {
+      const result = run([{ name: 'first', priority: 'low', stop: true }, { name: 'second', priority: 'urgent' }]);
+      expect(result.notification.priority).toBe('low');
+      expect(result.matched).toEqual(['first']);
+    });
+
+    it('should leave the original notification untouched', () => {
+      const original = { ...notification };
+      applyRules(compileRules({ rules: [{ priority: 'urgent', tags: ['fire'] }] }), { job: job(), notification: original });
+      expect(original).toEqual(notification);
+    });
+  });
+});
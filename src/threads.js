@@ -0,0 +1,194 @@
+/**
+ * Notification threads: the "firing" and "resolved" events of one incident.
+ *
+ * Events of the same incident share a correlation key, taken from (first match wins):
+ *   X-Correlation-ID     the sender's key, with X-Correlation-State: firing (default) or resolved
+ *   a parser             Alertmanager/Grafana alert groups, Uptime Kuma monitors, Sentry issues
+ *   the payload          with `"fingerprint": true`, a hash of the payload without timestamps,
+ *                        ids, numbers and state words; payloads matching `resolvedPattern`
+ *                        (default "resolved" or "recovered") resolve
+ *
+ * A firing event opens a thread in the THREADS KV namespace under
+ * `thread:<route>:<hash of key>`, holding the ntfy sequence id of its
+ * notification and when the incident started. ntfy messages carry that id
+ * (X-Sequence-ID), so a repeated firing event updates the notification in
+ * place, and the resolved event closes the thread, says how long the incident
+ * lasted and, per route:
+ *   "thread": { "onResolve": "update", "ttl": 604800, "fingerprint": false }
+ *   update   the resolved notification replaces the firing one (default)
+ *   clear    the firing one is dismissed, the resolved one published as a new message
+ *   delete   the firing one is deleted and nothing is published to ntfy
+ * Other targets get the resolved notification as usual. Open threads are
+ * forgotten after `ttl` seconds (THREAD_TTL, default 7 days); `"thread": false`
+ * turns threading off for a route.
+ */
+
+import { fingerprint } from "./dedupe.js";
+import { normalizeForCache, MIN_KV_TTL } from "./cache.js";
+import { MESSAGE_MAX, clampBytes } from "./notification.js";
+import { log } from "./log.js";
+
+const THREAD_PREFIX = "thread:";
+const DEFAULT_TTL = 7 * 24 * 3600;
+const KEY_MAX = 256;
+const STATES = ["firing", "resolved"];
+const ON_RESOLVE = ["update", "clear", "delete"];
+const DEFAULT_RESOLVED = "\\b(resolved|recovered)\\b";
+// Words that differ between the firing and the resolved payload of one incident
+const STATE_WORDS = /\b(firing|resolved|recovered|problem|alerting|ok|down|up)\b/gi;
+
+/**
+ * The sender's correlation from the request headers, or null without
+ * X-Correlation-ID. Throws on an invalid key or state.
+ */
+export function senderCorrelation(headers) {
+  const key = headers.get("x-correlation-id")?.trim();
+  const state = (headers.get("x-correlation-state") || "firing").trim().toLowerCase();
+  if (!key) return null;
+  if (key.length > KEY_MAX) throw new Error(`X-Correlation-ID is too long (max ${KEY_MAX} characters)`);
+  if (!STATES.includes(state)) throw new Error(`Invalid X-Correlation-State "${state}" (use ${STATES.join(" or ")})`);
+  return { key: `sender:${key}`, state };
+}
+
+/**
+ * The thread settings for a route, or null when notifications are not threaded.
+ * Throws on invalid settings.
+ */
+export function resolveThreadConfig(route = {}, env = {}) {
+  if (!env.THREADS || route.thread === false) return null;
+
+  const settings = typeof route.thread === "object" && route.thread ? route.thread : {};
+  const onResolve = settings.onResolve ?? "update";
+  if (!ON_RESOLVE.includes(onResolve)) {
+    throw new Error(`Unknown thread.onResolve "${onResolve}" (use ${ON_RESOLVE.join(", ")})`);
+  }
+  let resolved;
+  try {
+    resolved = new RegExp(settings.resolvedPattern ?? DEFAULT_RESOLVED, "i");
+  } catch (error) {
+    throw new Error(`Invalid thread.resolvedPattern: ${error.message}`);
+  }
+  const ttl = Number(settings.ttl ?? env.THREAD_TTL);
+  return {
+    ttl: Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL,
+    onResolve,
+    fingerprint: settings.fingerprint === true,
+    resolved
+  };
+}
+
+/**
+ * The correlation of a job: the sender's, the parser's (`known.thread`) or,
+ * when the route asks for it, the payload's. Resolves to
+ * { key, state, source: "sender" | "parser" | "fingerprint", startedAt? } or null.
+ */
+export async function correlate(job, known, config) {
+  const sender = senderCorrelation(new Headers(job.headers));
+  if (sender) return { ...sender, source: "sender" };
+  if (known?.thread) return { ...known.thread, source: "parser" };
+  if (!config.fingerprint) return null;
+
+  const text = normalizeForCache(job.payload.replace(STATE_WORDS, ""), ["timestamps", "uuids", "hex", "numbers"]);
+  return {
+    key: `fingerprint:${await fingerprint(text)}`,
+    state: config.resolved.test(job.payload) ? "resolved" : "firing",
+    source: "fingerprint"
+  };
+}
+
+async function storeKey(route, key) {
+  return `${THREAD_PREFIX}${route}:${await fingerprint(key)}`;
+}
+
+/**
+ * Look up a job's thread before delivery. Resolves to
+ * { key, state, source, sequenceId, action, startedAt, duration, open }, where
+ * `action` is what the ntfy targets do with the sequence id (null for a resolved
+ * event without a thread), `duration` the incident's length in seconds (resolved
+ * events only) and `open` the stored thread, if any.
+ * KV errors are logged and leave the job unthreaded.
+ */
+export async function openThread(env, config, job, correlation) {
+  if (!config || !correlation) return null;
+  let open = null;
+  try {
+    open = await env.THREADS.get(await storeKey(job.route, correlation.key), "json");
+  } catch (error) {
+    log.error("Thread lookup failed", { key: correlation.key, error });
+    return null;
+  }
+
+  const startedAt = open?.startedAt ?? correlation.startedAt ?? null;
+  const thread = { key: correlation.key, state: correlation.state, source: correlation.source, startedAt, open };
+  if (correlation.state === "firing") {
+    return { ...thread, startedAt: startedAt ?? job.receivedAt, sequenceId: open?.sequenceId ?? job.id, action: "update", duration: null };
+  }
+  const elapsed = startedAt ? Date.parse(job.receivedAt) - Date.parse(startedAt) : NaN;
+  return {
+    ...thread,
+    sequenceId: open?.sequenceId ?? null,
+    action: open ? config.onResolve : null,
+    duration: Number.isFinite(elapsed) && elapsed >= 0 ? Math.round(elapsed / 1000) : null
+  };
+}
+
+/**
+ * How long an incident lasted, e.g. "45s", "12m", "2h 5m" or "3d 4h".
+ */
+export function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h${minutes % 60 ? ` ${minutes % 60}m` : ""}`;
+  const days = Math.floor(hours / 24);
+  return `${days}d${hours % 24 ? ` ${hours % 24}h` : ""}`;
+}
+
+/**
+ * The notification of a resolved event, with the incident's duration.
+ */
+export function threadNotification(notification, thread) {
+  if (thread?.state !== "resolved" || thread.duration === null) return notification;
+  return {
+    ...notification,
+    message: clampBytes(`${notification.message}\n\nResolved after ${formatDuration(thread.duration)}.`, MESSAGE_MAX)
+  };
+}
+
+/**
+ * Record the outcome of a threaded delivery: a firing event that reached ntfy
+ * opens (or refreshes) its thread, a resolved one closes it.
+ * Thread errors are logged, never thrown.
+ */
+export async function recordThread(env, config, job, thread, results) {
+  if (!thread) return;
+  const ntfy = results.filter(r => r.type === "ntfy");
+  if (!ntfy.some(r => r.ok)) return;
+
+  try {
+    const key = await storeKey(job.route, thread.key);
+    if (thread.state === "resolved") {
+      if (thread.open) await env.THREADS.delete(key);
+      return;
+    }
+    await env.THREADS.put(key, JSON.stringify({
+      key: thread.key,
+      sequenceId: thread.sequenceId,
+      startedAt: thread.startedAt,
+      updatedAt: job.receivedAt,
+      count: (thread.open?.count ?? 0) + 1
+    }), { expirationTtl: Math.max(Math.ceil(config.ttl), MIN_KV_TTL) });
+  } catch (error) {
+    log.error("Thread not recorded", { key: thread.key, error });
+  }
+}
+
+/**
+ * The thread as reported to the sender and in the history.
+ */
+export function threadReport(thread) {
+  if (!thread) return null;
+  const { open, ...report } = thread;
+  return { ...report, count: (open?.count ?? 0) + (thread.state === "firing" ? 1 : 0) };
+}
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { senderCorrelation, resolveThreadConfig, correlate, formatDuration } from './threads.js';
+import { parseKnownFormat } from './parsers.js';
+import { createJob, processJob } from './pipeline.js';
+import { memoryKV } from '../test/helpers.js';
+
+const alertGroup = (status, startsAt = '2026-01-01T09:00:00Z') => ({
+  status,
+  groupKey: '{}:{alertname="HighCPU"}',
+  commonLabels: { alertname: 'HighCPU', severity: 'critical' },
+  alerts: [
+    { status, labels: { alertname: 'HighCPU', instance: 'web-1' }, annotations: { summary: 'CPU above 95% on web-1' }, startsAt }
+  ]
+});
+
+describe('Notification Threads', () => {
+  describe('correlation', () => {
+    const config = resolveThreadConfig({ thread: { fingerprint: true } }, { THREADS: memoryKV() });
+    const job = (payload, headers = {}) => ({ payload, headers });
+
+    it('should read the sender correlation headers', () => {
+      expect(senderCorrelation(new Headers({ 'X-Correlation-ID': 'disk-db-1' }))).toEqual({ key: 'sender:disk-db-1', state: 'firing' });
+      expect(senderCorrelation(new Headers({ 'X-Correlation-ID': 'disk-db-1', 'X-Correlation-State': 'Resolved' })).state).toBe('resolved');
+      expect(senderCorrelation(new Headers())).toBeNull();
+      expect(() => senderCorrelation(new Headers({ 'X-Correlation-ID': 'x', 'X-Correlation-State': 'ok' })))
+        .toThrow('Invalid X-Correlation-State "ok" (use firing or resolved)');
+    });
+
+    it('should prefer the sender over the parser', async () => {
+      const data = alertGroup('firing');
+      const known = parseKnownFormat({ headers: new Headers(), data });
+
+      expect(await correlate(job('{}'), known, config)).toEqual({
+        key: 'alertmanager:{}:{alertname="HighCPU"}', state: 'firing', startedAt: '2026-01-01T09:00:00.000Z', source: 'parser'
+      });
+      expect(await correlate(job('{}', { 'x-correlation-id': 'cpu' }), known, config)).toEqual({ key: 'sender:cpu', state: 'firing', source: 'sender' });
+    });
+
+    it('should match firing and resolved payloads by their fingerprint', async () => {
+      const firing = await correlate(job('PROBLEM: disk on db-1 is at 91% (2026-01-01 09:00)'), null, config);
+      const resolved = await correlate(job('RESOLVED: disk on db-1 is at 62% (2026-01-01 10:12)'), null, config);
+      const other = await correlate(job('PROBLEM: disk on db-2 is at 91%'), null, config);
+
+      expect(firing).toMatchObject({ state: 'firing', source: 'fingerprint' });
+      expect(resolved).toMatchObject({ key: firing.key, state: 'resolved' });
+      expect(other.key).not.toBe(firing.key);
+      expect(await correlate(job('disk full'), null, resolveThreadConfig({}, { THREADS: memoryKV() }))).toBeNull();
+    });
+
+    it('should validate the route settings', () => {
+      expect(resolveThreadConfig({}, {})).toBeNull();
+      expect(resolveThreadConfig({ thread: false }, { THREADS: memoryKV() })).toBeNull();
+      expect(() => resolveThreadConfig({ thread: { onResolve: 'hide' } }, { THREADS: memoryKV() }))
+        .toThrow('Unknown thread.onResolve "hide" (use update, clear, delete)');
+    });
+
+    it.each([[42, '42s'], [720, '12m'], [7500, '2h 5m'], [7200, '2h'], [273600, '3d 4h']])('should format %is as %s', (seconds, text) => {
+      expect(formatDuration(seconds)).toBe(text);
+    });
+  });
+
+  describe('pipeline', () => {
+    let fetchMock;
+    let env;
+    const route = { name: 'alerts', server: 'https://ntfy.sh', topic: 'alerts' };
+
+    beforeEach(() => {
+      vi.useFakeTimers({ now: new Date('2026-01-01T09:00:30Z'), toFake: ['Date'] });
+      env = { OPENROUTER_API_KEY: 'k', THREADS: memoryKV() };
+      fetchMock = vi.fn(async () => Response.json({ id: 'msg-1' }));
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    const send = (data, r = route) => processJob(createJob({ routeName: 'alerts', payload: JSON.stringify(data), data }), r, env);
+    const calls = () => fetchMock.mock.calls.map(([url, init]) => ({ url, method: init.method, sequenceId: init.headers['X-Sequence-ID'], body: init.body }));
+
+    it('should update the firing notification when the incident resolves', async () => {
+      const firing = await send(alertGroup('firing'));
+      const sequenceId = firing.thread.sequenceId;
+      await send(alertGroup('firing'));
+      vi.setSystemTime(new Date('2026-01-01T10:05:00Z'));
+      const resolved = await send(alertGroup('resolved'));
+
+      expect(calls().map(c => c.sequenceId)).toEqual([sequenceId, sequenceId, sequenceId]);
+      expect(calls()[2].body).toBe('CPU above 95% on web-1\n\nResolved after 1h 5m.');
+      expect(firing.thread).toMatchObject({ state: 'firing', source: 'parser', action: 'update', startedAt: '2026-01-01T09:00:00.000Z', count: 1 });
+      expect(resolved.thread).toMatchObject({ state: 'resolved', action: 'update', duration: 3900, count: 2 });
+      expect(env.THREADS.data.size).toBe(0);
+    });
+
+    it.each([
+      ['clear', ['PUT https://ntfy.sh/alerts/SEQ/clear', 'POST https://ntfy.sh/alerts']],
+      ['delete', ['DELETE https://ntfy.sh/alerts/SEQ']]
+    ])('should %s the firing notification', async (onResolve, expected) => {
+      const r = { ...route, thread: { onResolve } };
+      const { thread } = await send(alertGroup('firing'), r);
+      fetchMock.mockClear();
+      fetchMock.mockImplementationOnce(async () => new Response('not found', { status: 404 }));
+
+      const result = await send(alertGroup('resolved'), r);
+
+      expect(calls().map(c => `${c.method} ${c.url}`)).toEqual(expected.map(e => e.replace('SEQ', thread.sequenceId)));
+      expect(calls().some(c => c.sequenceId)).toBe(false);
+      expect(result.status).toBe('sent');
+    });
+
+    it('should send resolved events without a thread as they are', async () => {
+      vi.setSystemTime(new Date('2026-01-01T09:30:00Z'));
+      const result = await send(alertGroup('resolved'));
+
+      expect(calls()[0].sequenceId).toBeUndefined();
+      expect(calls()[0].body).toContain('Resolved after 30m.');
+      expect(result.thread).toMatchObject({ state: 'resolved', action: null, sequenceId: null, duration: 1800 });
+    });
+
+    it('should only open threads that reached ntfy', async () => {
+      fetchMock.mockImplementation(async () => new Response('bad request', { status: 400 }));
+      const result = await send(alertGroup('firing'));
+
+      expect(result.status).toBe('failed');
+      expect(env.THREADS.data.size).toBe(0);
+    });
+  });
+});
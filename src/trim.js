@@ -0,0 +1,311 @@
+/**
+ * Trimming pipeline: shrink payloads before they reach the model.
+ *
+ * Trimming is built from named rule sets:
+ *   email         SPF/DKIM/DMARC/BIMI results, message ids, "View Full Email Headers" blocks
+ *   ids           long hex ids and hashes (32+ characters)
+ *   ci-logs       ANSI colors, line timestamps, group markers, progress lines, repeated lines
+ *   stack-traces  long stack traces cut down to their first and last frames
+ *   html          HTML converted to plain text
+ *   json          JSON payloads filtered by field path allow/deny lists
+ *
+ * A route picks its sets and adds its own regex rules:
+ *   "trim": {
+ *     "rules": ["email", "ids", "json"],
+ *     "json": { "allow": ["alerts.*.labels", "status"], "deny": ["alerts.*.labels.pod"] },
+ *     "custom": [{ "name": "footer", "pattern": "Unsubscribe[\\s\\S]*$", "flags": "i" }],
+ *     "stackFrames": 5,
+ *     "minRatio": 0.4,
+ *     "debug": true
+ *   }
+ * `"trim": ["email"]` is shorthand for `{ "rules": [...] }` and `"trim": false`
+ * turns trimming off. `"trim": "<name>"` uses a named profile from
+ * TRIM_PROFILES (a JSON object of such settings, or the trim-profiles stored
+ * through the admin API, see config.js). Without route settings TRIM_RULES (comma list) or
+ * `email,ids` apply. A request can pick other sets with `?trim=ci-logs,ids`,
+ * or skip trimming with `?trim=none` (or `?verbose=true`).
+ *
+ * If the text rules remove more than `1 - minRatio` of the payload the
+ * untrimmed text is used instead, as a guard against over-eager patterns.
+ */
+
+import { log } from "./log.js";
+
+const DEFAULT_RULE_SETS = ["email", "ids"];
+const DEFAULT_MIN_RATIO = 0.4;
+const DEFAULT_STACK_FRAMES = 5;
+
+// A rule removes text by pattern, or rewrites it with a function
+const pattern = (name, regex, replacement = "") => ({ name, apply: text => text.replace(regex, replacement) });
+const rewrite = (name, apply) => ({ name, apply });
+
+// Email authentication headers run until the next "Header:" line or blank line
+const emailHeader = label => new RegExp(`${label}:[\\s\\S]*?(?=\\n[A-Z][a-z]|\\n\\n|$)`, "gi");
+
+function collapseRepeatedLines(text) {
+  const lines = text.split("\n");
+  const out = [];
+  for (let i = 0; i < lines.length;) {
+    let j = i + 1;
+    while (j < lines.length && lines[j] === lines[i]) j++;
+    out.push(lines[i]);
+    if (j - i > 2 && lines[i].trim()) out.push(`(repeated ${j - i - 1} more times)`);
+    else for (let k = i + 1; k < j; k++) out.push(lines[k]);
+    i = j;
+  }
+  return out.join("\n");
+}
+
+// JS/Java "at ..." frames and Python 'File "...", line N' frames (with their source line)
+const FRAME_LINE = /^\s+(?:at\s|File ")/;
+
+function shortenStackTraces(text, { stackFrames }) {
+  const lines = text.split("\n");
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    if (!FRAME_LINE.test(lines[i])) {
+      out.push(lines[i++]);
+      continue;
+    }
+
+    // Collect consecutive frames; a Python frame keeps its deeper-indented source line
+    const frames = [];
+    while (i < lines.length && FRAME_LINE.test(lines[i])) {
+      const frame = [lines[i++]];
+      const indent = frame[0].search(/\S/);
+      while (i < lines.length && !FRAME_LINE.test(lines[i]) && lines[i].search(/\S/) > indent) {
+        frame.push(lines[i++]);
+      }
+      frames.push(frame);
+    }
+
+    // Keep the first frames and the last one, which is the innermost for Python
+    if (frames.length > stackFrames) {
+      const head = frames.slice(0, Math.max(stackFrames - 1, 1));
+      const omitted = frames.length - head.length - 1;
+      const indent = frames[0][0].match(/^\s*/)[0];
+      frames.splice(0, frames.length, ...head, [`${indent}... ${omitted} more frames`], frames.at(-1));
+    }
+    out.push(...frames.flat());
+  }
+  return out.join("\n");
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: "\u00a0" };
+
+/**
+ * Convert HTML to readable plain text. Text without tags is returned as is.
+ */
+export function htmlToText(text) {
+  if (!/<\/?[a-z][\s\S]*?>/i.test(text)) return text;
+
+  return text
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const inner = label.replace(/<[^>]+>/g, "").trim();
+      return inner && inner !== href ? `${inner} (${href})` : href;
+    })
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<(br|hr)\b[^>]*>/gi, "\n")
+    .replace(/<\/(p|div|tr|h[1-6]|table|ul|ol|blockquote)>/gi, "\n")
+    .replace(/<\/t[dh]>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+        return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/^ | $/gm, "");
+}
+
+const RULE_SETS = {
+  email: [
+    pattern("spf", emailHeader("SPF Result")),
+    pattern("dkim", emailHeader("DKIM Result")),
+    pattern("dmarc", emailHeader("DMARC (?:Result|Policy|Info)")),
+    pattern("bimi", emailHeader("BIMI Location")),
+    pattern("message-id", emailHeader("Message ID")),
+    pattern("full-headers", /View Full Email Headers[\s\S]*?(?=\n\n[A-Z]|$)/gi)
+  ],
+  ids: [
+    pattern("hex", /[a-f0-9]{32,}/gi)
+  ],
+  "ci-logs": [
+    pattern("ansi", /\x1b\[[0-9;]*[A-Za-z]/g),
+    pattern("timestamps", /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?[ \t]/gm),
+    pattern("group-markers", /^(?:##\[(?:group|endgroup)\]|::(?:group|endgroup)::).*\n?/gm),
+    pattern("progress", /^(?:Downloading|Downloaded|Progress|Receiving objects|Resolving deltas|remote: (?:Counting|Compressing|Enumerating)).*\n?/gim),
+    rewrite("repeated-lines", collapseRepeatedLines)
+  ],
+  "stack-traces": [
+    rewrite("frames", shortenStackTraces)
+  ],
+  html: [
+    rewrite("to-text", htmlToText)
+  ],
+  // Applied to the parsed JSON payload, see filterJson
+  json: []
+};
+
+export const RULE_SET_NAMES = Object.keys(RULE_SETS);
+
+/**
+ * Parse a comma-separated list of rule set names. Throws on unknown names.
+ */
+export function parseRuleSets(value) {
+  const names = (Array.isArray(value) ? value : String(value).split(","))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 1 && names[0] === "none") return [];
+
+  for (const name of names) {
+    if (!RULE_SETS[name]) {
+      throw new Error(`Unknown trim rule set "${name}" (available: ${RULE_SET_NAMES.join(", ")}, none)`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+function compileCustomRule(rule, index) {
+  if (!rule || typeof rule.pattern !== "string") {
+    throw new Error(`Custom trim rule ${index} has no pattern`);
+  }
+  const flags = [...new Set(`g${rule.flags || ""}`)].join("");
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, flags);
+  } catch (e) {
+    throw new Error(`Custom trim rule "${rule.name || index}": ${e.message}`);
+  }
+  return pattern(rule.name || String(index), regex, rule.replace ?? "");
+}
+
+function parsePaths(list) {
+  return (Array.isArray(list) ? list : []).map(path => String(path).split("."));
+}
+
+function profileSettings(name, env) {
+  let profiles = env.TRIM_PROFILES || {};
+  if (typeof profiles === "string") {
+    try {
+      profiles = JSON.parse(profiles);
+    } catch (e) {
+      throw new Error(`Invalid TRIM_PROFILES env var: ${e.message}`);
+    }
+  }
+  if (!profiles || !Object.hasOwn(profiles, name)) throw new Error(`Unknown trim profile "${name}"`);
+  return profiles[name];
+}
+
+/**
+ * Resolve the trimming config for a job, or null when trimming is off.
+ * Throws on unknown rule sets and profiles and invalid custom rules.
+ */
+export function resolveTrimConfig(route = {}, env = {}, job = {}) {
+  if (job.verbose || route.trim === false) return null;
+
+  const trim = typeof route.trim === "string" ? profileSettings(route.trim, env) : route.trim;
+  const settings = Array.isArray(trim) ? { rules: trim } : trim || {};
+  if (job.trim === "none") return null;
+
+  const ruleSets = parseRuleSets(job.trim || settings.rules || env.TRIM_RULES || DEFAULT_RULE_SETS);
+  const minRatio = Number(settings.minRatio ?? DEFAULT_MIN_RATIO);
+  const stackFrames = Number(settings.stackFrames ?? DEFAULT_STACK_FRAMES);
+
+  return {
+    ruleSets,
+    custom: (settings.custom || []).map(compileCustomRule),
+    json: { allow: parsePaths(settings.json?.allow), deny: parsePaths(settings.json?.deny) },
+    minRatio: Number.isFinite(minRatio) ? minRatio : DEFAULT_MIN_RATIO,
+    stackFrames: Number.isInteger(stackFrames) && stackFrames > 0 ? stackFrames : DEFAULT_STACK_FRAMES,
+    debug: Boolean(job.debug || settings.debug)
+  };
+}
+
+// Whether `path` matches `pattern` segment by segment ("*" matches any one key)
+function matchesPrefix(pattern, path) {
+  return path.every((segment, i) => i >= pattern.length || pattern[i] === "*" || pattern[i] === segment);
+}
+
+function allowOnly(value, allow, path = []) {
+  if (allow.some(p => p.length <= path.length && matchesPrefix(p, path))) return value;
+  if (value === null || typeof value !== "object") return undefined;
+  if (!allow.some(p => p.length > path.length && matchesPrefix(p, path))) return undefined;
+
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, allowOnly(child, allow, [...path, key])])
+    .filter(([, child]) => child !== undefined);
+  if (entries.length === 0) return undefined;
+  return Array.isArray(value) ? entries.map(([, child]) => child) : Object.fromEntries(entries);
+}
+
+function deny(value, denied, path = []) {
+  if (value === null || typeof value !== "object") return value;
+
+  const entries = Object.entries(value)
+    .filter(([key]) => !denied.some(p => p.length === path.length + 1 && matchesPrefix(p, [...path, key])))
+    .map(([key, child]) => [key, deny(child, denied, [...path, key])]);
+  return Array.isArray(value) ? entries.map(([, child]) => child) : Object.fromEntries(entries);
+}
+
+/**
+ * Apply the json rule set's allow list, then its deny list, to a parsed payload.
+ */
+export function filterJson(data, { allow = [], deny: denied = [] }) {
+  let result = data;
+  if (allow.length > 0) result = allowOnly(result, allow) ?? {};
+  if (denied.length > 0) result = deny(result, denied);
+  return result;
+}
+
+/**
+ * Run the trimming pipeline over a payload.
+ * Resolves to { text, report } where the report lists each rule that changed
+ * the text and how many characters it removed.
+ */
+export function trimPayload(text, config, { data = null } = {}) {
+  const fired = [];
+  const run = (name, apply, input) => {
+    let output;
+    try {
+      output = apply(input);
+    } catch (e) {
+      log.error("Trim rule failed", { rule: name, error: e });
+      return input;
+    }
+    if (output !== input) fired.push({ rule: name, removed: input.length - output.length });
+    return output;
+  };
+
+  // JSON filtering is explicit config, so it sets the baseline for the ratio guard
+  let baseline = text;
+  if (config.ruleSets.includes("json") && data !== null && typeof data === "object") {
+    baseline = run("json/paths", () => JSON.stringify(filterJson(data, config.json), null, 2), text);
+  }
+
+  let trimmed = baseline;
+  for (const set of config.ruleSets) {
+    for (const rule of RULE_SETS[set]) {
+      trimmed = run(`${set}/${rule.name}`, input => rule.apply(input, config), trimmed);
+    }
+  }
+  for (const rule of config.custom) {
+    trimmed = run(`custom/${rule.name}`, rule.apply, trimmed);
+  }
+  // Clean up excessive whitespace
+  trimmed = run("whitespace", input => input.replace(/\n{3,}/g, "\n\n").trim(), trimmed);
+
+  // If the text rules removed too much, fall back to the untrimmed text
+  const reverted = !trimmed || trimmed.length < baseline.length * config.minRatio;
+  const result = reverted ? baseline : trimmed;
+
+  const report = { before: text.length, after: result.length, rules: fired, reverted };
+  if (config.debug) log.info("Trim report", { report });
+  return { text: result, report };
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { trimPayload, resolveTrimConfig, parseRuleSets, filterJson } from './trim.js';
+
+const trim = (text, route = {}, job = {}, data = null) =>
+  trimPayload(text, resolveTrimConfig(route, {}, job), { data });
+
+describe('Trimming Pipeline', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('resolveTrimConfig', () => {
+    it('should default to the email and ids rule sets', () => {
+      expect(resolveTrimConfig().ruleSets).toEqual(['email', 'ids']);
+      expect(resolveTrimConfig({}, { TRIM_RULES: 'ci-logs' }).ruleSets).toEqual(['ci-logs']);
+    });
+
+    it('should let the request override the route rule sets', () => {
+      const route = { trim: ['html'] };
+      expect(resolveTrimConfig(route).ruleSets).toEqual(['html']);
+      expect(resolveTrimConfig(route, {}, { trim: 'ci-logs,stack-traces' }).ruleSets).toEqual(['ci-logs', 'stack-traces']);
+    });
+
+    it('should turn trimming off', () => {
+      expect(resolveTrimConfig({ trim: false })).toBeNull();
+      expect(resolveTrimConfig({}, {}, { verbose: true })).toBeNull();
+      expect(resolveTrimConfig({}, {}, { trim: 'none' })).toBeNull();
+    });
+
+    it('should use a named profile from TRIM_PROFILES', () => {
+      const env = { TRIM_PROFILES: JSON.stringify({ logs: ['ci-logs'], alerts: { rules: ['json'], json: { allow: ['status'] } } }) };
+      expect(resolveTrimConfig({ trim: 'logs' }, env).ruleSets).toEqual(['ci-logs']);
+      expect(resolveTrimConfig({ trim: 'alerts' }, env).json).toEqual({ allow: [['status']], deny: [] });
+      expect(() => resolveTrimConfig({ trim: 'emails' }, env)).toThrow('Unknown trim profile "emails"');
+    });
+
+    it('should reject unknown rule sets and bad custom patterns', () => {
+      expect(() => parseRuleSets('email,nope')).toThrow('Unknown trim rule set "nope"');
+      expect(() => resolveTrimConfig({ trim: { custom: [{ name: 'bad', pattern: '(' }] } })).toThrow('Custom trim rule "bad"');
+    });
+  });
+
+  describe('rule sets', () => {
+    it('should strip email authentication headers and long ids', () => {
+      const text = 'Payment received\nSPF Result: pass\n  details here\n\nRef 0123456789abcdef0123456789abcdef done\nThanks for your order, see you soon';
+      const { text: out, report } = trim(text);
+
+      expect(out).not.toContain('SPF');
+      expect(out).not.toContain('0123456789abcdef');
+      expect(report.rules.map(r => r.rule)).toEqual(['email/spf', 'ids/hex', 'whitespace']);
+      expect(report.rules[0].removed).toBeGreaterThan(0);
+    });
+
+    it('should clean up CI logs', () => {
+      const log = [
+        '2024-05-01T10:00:00.1234567Z ##[group]Run npm test',
+        '2024-05-01T10:00:01.0000000Z \x1b[31mFAIL\x1b[0m src/app.test.js',
+        'retrying', 'retrying', 'retrying', 'retrying',
+        '##[endgroup]',
+        'Error: expected 1 to be 2'
+      ].join('\n');
+      const { text } = trim(log, { trim: ['ci-logs'] });
+
+      expect(text).toBe('FAIL src/app.test.js\nretrying\n(repeated 3 more times)\nError: expected 1 to be 2');
+    });
+
+    it('should cut long stack traces to the first and last frames', () => {
+      const frames = Array.from({ length: 10 }, (_, i) => `    at fn${i} (app.js:${i}:1)`);
+      const { text } = trim(['TypeError: boom', ...frames].join('\n'), { trim: { rules: ['stack-traces'], stackFrames: 3 } });
+
+      expect(text.split('\n')).toEqual([
+        'TypeError: boom',
+        '    at fn0 (app.js:0:1)',
+        '    at fn1 (app.js:1:1)',
+        '    ... 7 more frames',
+        '    at fn9 (app.js:9:1)'
+      ]);
+    });
+
+    it('should keep Python source lines with their frames', () => {
+      const frame = i => `  File "app.py", line ${i}, in f${i}\n    call_${i}()`;
+      const text = ['Traceback (most recent call last):', ...[1, 2, 3].map(frame), 'ValueError: bad'].join('\n');
+      const { text: out } = trim(text, { trim: { rules: ['stack-traces'], stackFrames: 2, minRatio: 0 } });
+
+      expect(out).toBe([
+        'Traceback (most recent call last):',
+        frame(1),
+        '  ... 1 more frames',
+        frame(3),
+        'ValueError: bad'
+      ].join('\n'));
+    });
+
+    it('should convert HTML to text, keeping link targets', () => {
+      const html = '<html><head><style>p{}</style></head><body><h1>Order &amp; invoice</h1><p>Paid &#8364;5. <a href="https://shop.test/o/1">View order</a></p><ul><li>One</li><li>Two</li></ul></body></html>';
+      const { text } = trim(html, { trim: { rules: ['html'], minRatio: 0 } });
+
+      expect(text).toBe('Order & invoice\nPaid €5. View order (https://shop.test/o/1)\n\n- One\n- Two');
+    });
+
+    it('should apply user-defined regex rules', () => {
+      const text = 'Disk almost full on web-1, please have a look soon\n--\nUnsubscribe at https://x.test/u';
+      const route = { trim: { rules: [], custom: [{ name: 'footer', pattern: '\\n--\\n[\\s\\S]*$' }] } };
+      const { text: out, report } = trim(text, route);
+
+      expect(out).toBe('Disk almost full on web-1, please have a look soon');
+      expect(report.rules).toEqual([{ rule: 'custom/footer', removed: 35 }]);
+    });
+  });
+
+  describe('json rule set', () => {
+    const data = {
+      status: 'firing',
+      alerts: [{ labels: { alertname: 'HighCPU', pod: 'web-1' }, annotations: { runbook: 'x' } }],
+      headers: { host: 'x' }
+    };
+
+    it('should keep allowed paths and drop denied ones', () => {
+      expect(filterJson(data, { allow: [['status'], ['alerts', '*', 'labels']], deny: [['alerts', '*', 'labels', 'pod']] }))
+        .toEqual({ status: 'firing', alerts: [{ labels: { alertname: 'HighCPU' } }] });
+      expect(filterJson(data, { deny: [['headers']] })).not.toHaveProperty('headers');
+    });
+
+    it('should filter JSON payloads without tripping the ratio guard', () => {
+      const route = { trim: { rules: ['json'], json: { allow: ['status'] } } };
+      const { text, report } = trim(JSON.stringify(data, null, 2), route, {}, data);
+
+      expect(JSON.parse(text)).toEqual({ status: 'firing' });
+      expect(report.reverted).toBe(false);
+      expect(report.rules[0].rule).toBe('json/paths');
+    });
+  });
+
+  describe('safety threshold', () => {
+    it('should keep the original text when rules remove too much', () => {
+      const text = `short ${'a'.repeat(64)}`;
+      const { text: out, report } = trim(text);
+
+      expect(out).toBe(text);
+      expect(report.reverted).toBe(true);
+      expect(report.rules.map(r => r.rule)).toEqual(['ids/hex', 'whitespace']);
+    });
+
+    it('should log the report in debug mode', () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      trim('hello world', {}, { debug: true });
+      const line = JSON.parse(log.mock.calls[0][0]);
+      expect(line).toMatchObject({ level: 'info', message: 'Trim report', report: { before: 11 } });
+    });
+  });
+});
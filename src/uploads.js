@@ -0,0 +1,360 @@
+/**
+ * Request bodies beyond JSON and text: forms, file uploads and binary bodies.
+ *
+ *   multipart/form-data                  fields and files
+ *   application/x-www-form-urlencoded    fields (a single `payload` field holding
+ *                                        JSON is read as that JSON, as GitHub sends it);
+ *                                        anything but key=value pairs is plain text,
+ *                                        as `curl -d "..."` sends it
+ *   anything else that isn't UTF-8 text  one file, named by X-Filename, Filename
+ *                                        or Content-Disposition
+ *
+ * Fields become the JSON payload the formatter reads. Files are typed by their
+ * content where it is recognizable (PNG, JPEG, GIF, WebP, PDF, ZIP, gzip, text)
+ * rather than by what the sender claims; the formatter gets the contents of text
+ * files and a line naming every file. The first file is forwarded to ntfy as the
+ * notification's attachment: uploaded with ntfy's PUT API, or as a link when
+ * the ATTACHMENTS R2 bucket is bound (served under ATTACHMENTS_URL), which also
+ * keeps large files out of queue messages. Further files are listed in the
+ * message, as links when stored in R2.
+ *
+ * A route sets the limits, or turns uploads off with `"uploads": false`:
+ *   "uploads": { "maxBytes": 2097152, "maxFiles": 3, "types": ["image/*", "text/plain"], "vision": true }
+ * `maxBytes` (per file, UPLOAD_MAX_BYTES, default 5 MB), `maxTotalBytes` (all
+ * files together, UPLOAD_MAX_TOTAL_BYTES, default 5 MB or `maxBytes` if larger)
+ * and `maxFiles` (default 5) are answered with 413, other `types` with 415.
+ * Uploads are held in memory, base64-encoded, until they are stored, so the
+ * total is kept well below the worker's 128 MB.
+ * `vision` has images described by a vision-capable model before formatting:
+ * `true` uses the VISION_MODELS chain, or `{ "models": [...] }` its own.
+ */
+
+import { resolveLlmConfig, describeImage, parseModels } from "./llm.js";
+import { clampBytes, MESSAGE_MAX } from "./notification.js";
+import { toPositive } from "./routing.js";
+import { log } from "./log.js";
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const VISION_MAX_BYTES = 5 * 1024 * 1024;
+const FILENAME_MAX = 100;
+const SNIFF_BYTES = 8192;
+
+const SIGNATURES = [
+  ["image/png", [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ["image/jpeg", [0xff, 0xd8, 0xff]],
+  ["image/gif", [0x47, 0x49, 0x46, 0x38]],
+  ["application/pdf", [0x25, 0x50, 0x44, 0x46, 0x2d]],
+  ["application/zip", [0x50, 0x4b, 0x03, 0x04]],
+  ["application/gzip", [0x1f, 0x8b]]
+];
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+  "application/zip": "zip",
+  "application/gzip": "gz",
+  "application/json": "json",
+  "text/plain": "txt"
+};
+
+const VISION_TYPES = new Set(["image/png", "image/jpeg", "image/gif", "image/webp"]);
+
+function uploadError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function startsWith(bytes, signature, offset = 0) {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+const ascii = text => [...text].map(c => c.charCodeAt(0));
+
+const hasNul = bytes => bytes.subarray(0, SNIFF_BYTES).includes(0);
+
+/**
+ * Whether bytes are UTF-8 text (no NUL bytes, no invalid sequences).
+ */
+export function isText(bytes) {
+  if (hasNul(bytes)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function signatureType(bytes) {
+  const match = SIGNATURES.find(([, signature]) => startsWith(bytes, signature));
+  if (match) return match[0];
+  if (startsWith(bytes, ascii("RIFF")) && startsWith(bytes, ascii("WEBP"), 8)) return "image/webp";
+  return null;
+}
+
+/**
+ * The MIME type of a file from its first bytes, falling back to the declared type.
+ */
+export function sniffType(bytes, declared = "") {
+  const signature = signatureType(bytes);
+  if (signature) return signature;
+
+  const claimed = declared.split(";")[0].trim().toLowerCase();
+  if (isText(bytes)) return claimed && textual(claimed) ? claimed : "text/plain";
+  return claimed && !textual(claimed) ? claimed : "application/octet-stream";
+}
+
+// Declared types whose bodies are read as text, as before uploads existed
+function textual(type) {
+  return !type || type.startsWith("text/") || /[/+](json|xml)$/.test(type) || type === "application/x-ndjson";
+}
+
+function matchesType(type, patterns) {
+  return patterns.some(pattern => pattern.endsWith("/*") ? type.startsWith(pattern.slice(0, -1)) : type === pattern);
+}
+
+function safeFilename(name, type) {
+  const base = String(name || "").split(/[\\/]/).pop().replace(/[^\w.-]+/g, "_").replace(/^[._]+/, "").slice(-FILENAME_MAX);
+  return base || `upload.${EXTENSIONS[type] || "bin"}`;
+}
+
+function headerFilename(headers) {
+  const given = headers.get("x-filename") || headers.get("filename");
+  if (given) return given;
+  const disposition = headers.get("content-disposition") || "";
+  return disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)?.[1] ?? null;
+}
+
+export function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * The upload settings for a route, or null when it takes no files.
+ * Throws when the bucket has no public URL or vision has no models.
+ */
+export function resolveUploadConfig(route = {}, env = {}) {
+  if (route.uploads === false) return null;
+  const settings = typeof route.uploads === "object" && route.uploads ? route.uploads : {};
+  if (env.ATTACHMENTS && !env.ATTACHMENTS_URL) {
+    throw new Error("The ATTACHMENTS bucket needs ATTACHMENTS_URL, the address it is served under");
+  }
+
+  let vision = null;
+  if (settings.vision) {
+    const models = settings.vision.models ?? env.VISION_MODELS;
+    if (!parseModels(models)) throw new Error(`Route "${route.name}" uploads.vision needs models (or VISION_MODELS)`);
+    vision = { models };
+  }
+
+  const maxBytes = toPositive(settings.maxBytes ?? env.UPLOAD_MAX_BYTES) ?? DEFAULT_MAX_BYTES;
+  return {
+    maxBytes,
+    maxTotalBytes: toPositive(settings.maxTotalBytes ?? env.UPLOAD_MAX_TOTAL_BYTES) ?? Math.max(DEFAULT_MAX_TOTAL_BYTES, maxBytes),
+    maxFiles: toPositive(settings.maxFiles) ?? DEFAULT_MAX_FILES,
+    types: settings.types ?? null,
+    store: env.ATTACHMENTS ? { bucket: env.ATTACHMENTS, url: env.ATTACHMENTS_URL.replace(/\/+$/, "") } : null,
+    vision
+  };
+}
+
+function checkFile(config, file, count, total) {
+  if (!config) throw uploadError(415, "This route does not accept file uploads");
+  if (count > config.maxFiles) throw uploadError(413, `Too many files (max ${config.maxFiles})`);
+  if (file.size > config.maxBytes) throw uploadError(413, `File "${file.filename}" is too large (max ${config.maxBytes} bytes)`);
+  if (total > config.maxTotalBytes) throw uploadError(413, `Files are too large together (max ${config.maxTotalBytes} bytes)`);
+  if (config.types && !matchesType(file.type, config.types)) {
+    throw uploadError(415, `File "${file.filename}" has type ${file.type}, not one of ${config.types.join(", ")}`);
+  }
+}
+
+// Every &-separated part is an encoded key=value pair, not a sentence with an "&" in it
+const FORM_PAIR = /^[\w.[\]%+-]+=[^\s]*$/;
+
+function isFormEncoded(text) {
+  return text.split("&").every(pair => FORM_PAIR.test(pair));
+}
+
+function addField(fields, name, value) {
+  if (!Object.hasOwn(fields, name)) fields[name] = value;
+  else fields[name] = [].concat(fields[name], value);
+}
+
+// What the formatter reads: the fields, the text files and a line per file
+function compose(fields, files, texts) {
+  const names = Object.keys(fields);
+  let data = names.length > 0 ? fields : null;
+  if (names.length === 1 && names[0] === "payload" && typeof fields.payload === "string") {
+    try {
+      data = JSON.parse(fields.payload);
+    } catch {
+      data = fields;
+    }
+  }
+
+  const sections = [];
+  if (data !== null) sections.push(JSON.stringify(data, null, 2));
+  sections.push(...texts.map(({ filename, text }) => `--- ${filename} ---\n${text}`));
+  if (files.length > 0) {
+    sections.push(files.map(f => `Attached file: ${f.filename} (${f.type}, ${formatSize(f.size)})`).join("\n"));
+  }
+  return { payload: sections.join("\n\n"), data, files };
+}
+
+async function readFiles(parts, config) {
+  const files = [];
+  const texts = [];
+  let total = 0;
+  for (const { name, type, bytes } of parts) {
+    const sniffed = sniffType(bytes, type);
+    const file = { filename: safeFilename(name, sniffed), type: sniffed, size: bytes.length };
+    total += file.size;
+    checkFile(config, file, files.length + 1, total);
+    if (textual(sniffed)) {
+      texts.push({ filename: file.filename, text: new TextDecoder().decode(bytes) });
+    }
+    files.push({ ...file, base64: toBase64(bytes) });
+  }
+  return { files, texts };
+}
+
+/**
+ * Read a request body into { payload, data, files }. `files` are
+ * { filename, type, size, base64 }. Throws errors with a `status` for files
+ * the route does not take, and plain errors for unreadable bodies.
+ */
+export async function readBody(request, config) {
+  const contentType = (request.headers.get("content-type") || "").toLowerCase();
+
+  if (contentType.includes("json")) {
+    const data = await request.json();
+    return { payload: JSON.stringify(data, null, 2), data, files: [] }; // Pretty print JSON for the LLM to read easier
+  }
+
+  const declared = Number(request.headers.get("content-length"));
+  if (config && declared > config.maxTotalBytes + 65536) {
+    throw uploadError(413, `Body is too large (max ${config.maxTotalBytes} bytes of files)`);
+  }
+
+  if (contentType.startsWith("multipart/form-data") || contentType.startsWith("application/x-www-form-urlencoded")) {
+    let form;
+    if (contentType.startsWith("multipart/")) {
+      form = await request.formData();
+    } else {
+      const text = await request.text();
+      if (!isFormEncoded(text)) return { payload: text, data: null, files: [] };
+      form = new URLSearchParams(text);
+    }
+    const fields = {};
+    const parts = [];
+    for (const [name, value] of form) {
+      if (typeof value === "string") addField(fields, name, value);
+      // Browsers send an empty part for a file input left empty
+      else if (value.size > 0 || value.name) parts.push({ name: value.name, type: value.type, bytes: new Uint8Array(await value.arrayBuffer()) });
+    }
+    const { files, texts } = await readFiles(parts, config);
+    return compose(fields, files, texts);
+  }
+
+  // Text in a legacy encoding is still text; NUL bytes or a file signature are not
+  const bytes = new Uint8Array(await request.arrayBuffer());
+  if (textual(contentType.split(";")[0].trim()) && !hasNul(bytes) && !signatureType(bytes)) {
+    return { payload: new TextDecoder().decode(bytes), data: null, files: [] };
+  }
+  const { files, texts } = await readFiles([{ name: headerFilename(request.headers), type: contentType, bytes }], config);
+  return compose({}, files, texts);
+}
+
+/**
+ * Move a job's files into the ATTACHMENTS bucket, replacing their contents
+ * with `key` and `url`. Without the bucket files keep their contents.
+ */
+export async function storeFiles(config, job) {
+  if (!config?.store || job.files.length === 0) return;
+  for (const [index, file] of job.files.entries()) {
+    const key = `${job.id}/${index + 1}-${file.filename}`;
+    await config.store.bucket.put(key, fromBase64(file.base64), { httpMetadata: { contentType: file.type } });
+    file.key = key;
+    file.url = `${config.store.url}/${key.split("/").map(encodeURIComponent).join("/")}`;
+    delete file.base64;
+  }
+}
+
+async function fileBytes(env, file) {
+  if (file.base64) return file.base64;
+  const object = await env.ATTACHMENTS?.get(file.key);
+  return object ? toBase64(new Uint8Array(await object.arrayBuffer())) : null;
+}
+
+/**
+ * Describe a job's images with the vision models.
+ * Resolves to [{ filename, description, model }] for the images (description
+ * null when no model could describe it, or when the image is too large).
+ */
+export async function describeImages(env, files, vision) {
+  const images = files.filter(f => VISION_TYPES.has(f.type));
+  const described = [];
+  for (const image of images) {
+    if (image.size > VISION_MAX_BYTES) {
+      described.push({ filename: image.filename, description: null, model: null });
+      continue;
+    }
+    try {
+      const base64 = await fileBytes(env, image);
+      const { description, model } = base64 ? await describeImage({ type: image.type, base64 }, vision) : { description: null, model: null };
+      described.push({ filename: image.filename, description: description?.trim() || null, model });
+    } catch (error) {
+      log.warn("Image not described", { filename: image.filename, error });
+      described.push({ filename: image.filename, description: null, model: null });
+    }
+  }
+  return described;
+}
+
+/**
+ * The model settings for describing images on a route.
+ */
+export function resolveVisionConfig(env, route, config) {
+  if (!config?.vision) return null;
+  return resolveLlmConfig(env, { ...route, llm: { ...route.llm, models: config.vision.models } });
+}
+
+/**
+ * Add the job's files to a notification: the first as its attachment (a link
+ * or an upload for ntfy's PUT API), the rest listed in the message.
+ * Returns { notification, attachment }.
+ */
+export function attachFiles(notification, files = []) {
+  if (files.length === 0) return { notification, attachment: undefined };
+  const [first, ...rest] = files;
+  const result = { ...notification };
+  let attachment;
+  if (first.url) result.attach = first.url;
+  else attachment = { filename: first.filename, content: fromBase64(first.base64) };
+
+  if (rest.length > 0) {
+    const list = rest.map(f => f.url ? `${f.filename} (${f.url})` : f.filename).join(", ");
+    result.message = clampBytes(`${result.message}\n\nMore files: ${list}`, MESSAGE_MAX);
+  }
+  return { notification: result, attachment };
+}
@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sniffType, isText, readBody, resolveUploadConfig, storeFiles, attachFiles, describeImages, resolveVisionConfig, toBase64 } from './uploads.js';
+import { createJob, processJob } from './pipeline.js';
+import { memoryBucket } from '../test/helpers.js';
+
+// A PNG signature followed by bytes that are not text
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+
+const modelReply = content => Response.json({ choices: [{ message: { content } }] });
+
+describe('File Uploads', () => {
+  const config = resolveUploadConfig({}, {});
+  const post = (body, headers = {}) => new Request('https://worker.test/t/ci', { method: 'POST', body, headers });
+  const form = (...entries) => {
+    const data = new FormData();
+    for (const [name, ...value] of entries) data.append(name, ...value);
+    return data;
+  };
+
+  describe('sniffType', () => {
+    it('should trust the content over the declared type', () => {
+      expect(sniffType(PNG, 'text/plain')).toBe('image/png');
+      expect(sniffType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(sniffType(new TextEncoder().encode('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+      expect(sniffType(new TextEncoder().encode('%PDF-1.7'), 'application/octet-stream')).toBe('application/pdf');
+    });
+
+    it('should fall back to the declared type or text', () => {
+      expect(sniffType(new TextEncoder().encode('{"a":1}'), 'application/json; charset=utf-8')).toBe('application/json');
+      expect(sniffType(new TextEncoder().encode('plain words'), 'application/octet-stream')).toBe('text/plain');
+      expect(sniffType(new Uint8Array([1, 0, 2]), 'application/x-tar')).toBe('application/x-tar');
+      expect(sniffType(new Uint8Array([1, 0, 2]), 'text/plain')).toBe('application/octet-stream');
+    });
+
+    it('should only call UTF-8 without NUL bytes text', () => {
+      expect(isText(new TextEncoder().encode('déjà vu'))).toBe(true);
+      expect(isText(new Uint8Array([0x64, 0xe9, 0x6a]))).toBe(false);
+      expect(isText(new Uint8Array([0x61, 0]))).toBe(false);
+    });
+  });
+
+  describe('readBody', () => {
+    it('should keep reading JSON and text bodies as before', async () => {
+      expect(await readBody(post('{"a":1}', { 'Content-Type': 'application/json' }), config)).toEqual({
+        payload: '{\n  "a": 1\n}', data: { a: 1 }, files: []
+      });
+      // Latin-1 text is still text
+      const latin1 = await readBody(post(new Uint8Array([0x63, 0x61, 0x66, 0xe9]), { 'Content-Type': 'text/plain; charset=iso-8859-1' }), config);
+      expect(latin1.files).toEqual([]);
+    });
+
+    it('should read multipart fields, text files and binary files', async () => {
+      const body = form(
+        ['host', 'db-1'],
+        ['log', new Blob(['disk full\n'], { type: 'text/plain' }), 'error.log'],
+        ['screenshot', new Blob([PNG], { type: 'application/octet-stream' }), '../../graph.png']
+      );
+
+      const { payload, data, files } = await readBody(post(body), config);
+
+      expect(data).toEqual({ host: 'db-1' });
+      expect(files).toEqual([
+        { filename: 'error.log', type: 'text/plain', size: 10, base64: btoa('disk full\n') },
+        { filename: 'graph.png', type: 'image/png', size: 16, base64: toBase64(PNG) }
+      ]);
+      expect(payload).toBe([
+        '{\n  "host": "db-1"\n}',
+        '--- error.log ---\ndisk full\n',
+        'Attached file: error.log (text/plain, 10 B)\nAttached file: graph.png (image/png, 16 B)'
+      ].join('\n\n'));
+    });
+
+    it('should read a urlencoded payload field as the JSON it holds', async () => {
+      const body = new URLSearchParams({ payload: JSON.stringify({ action: 'opened', number: 7 }) });
+      expect((await readBody(post(body), config)).data).toEqual({ action: 'opened', number: 7 });
+
+      const fields = new URLSearchParams([['tag', 'a'], ['tag', 'b'], ['state', 'ok']]);
+      expect((await readBody(post(fields), config)).data).toEqual({ tag: ['a', 'b'], state: 'ok' });
+    });
+
+    it('should keep plain text sent as a form, as curl -d does', async () => {
+      const text = 'Backup of db-1 done & verified: 100% ok';
+      const body = await readBody(post(text, { 'Content-Type': 'application/x-www-form-urlencoded' }), config);
+      expect(body).toEqual({ payload: text, data: null, files: [] });
+    });
+
+    it('should turn binary bodies into a named file', async () => {
+      const { payload, files } = await readBody(post(PNG, { 'Content-Type': 'image/png', 'X-Filename': 'cpu.png' }), config);
+      expect(files).toMatchObject([{ filename: 'cpu.png', type: 'image/png', size: 16 }]);
+      expect(payload).toBe('Attached file: cpu.png (image/png, 16 B)');
+
+      const unnamed = await readBody(post(new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x2d, 0]), { 'Content-Disposition': 'attachment; filename="report.pdf"' }), config);
+      expect(unnamed.files[0]).toMatchObject({ filename: 'report.pdf', type: 'application/pdf' });
+    });
+
+    it.each([
+      [{ uploads: false }, {}, 415, 'This route does not accept file uploads'],
+      [{ uploads: { types: ['text/*'] } }, {}, 415, 'File "cpu.png" has type image/png, not one of text/*'],
+      [{}, { UPLOAD_MAX_BYTES: '8' }, 413, 'File "cpu.png" is too large (max 8 bytes)'],
+      [{ uploads: { maxTotalBytes: 8 } }, {}, 413, 'Files are too large together (max 8 bytes)']
+    ])('should refuse files the route does not take (%j)', async (route, env, status, message) => {
+      const request = post(PNG, { 'Content-Type': 'image/png', 'X-Filename': 'cpu.png' });
+      await expect(readBody(request, resolveUploadConfig(route, env))).rejects.toMatchObject({ status, message });
+    });
+
+    it('should limit the number of files and the declared body size', async () => {
+      const files = form(...Array.from({ length: 3 }, (_, i) => ['f', new Blob([`file ${i}`]), `${i}.txt`]));
+      await expect(readBody(post(files), resolveUploadConfig({ uploads: { maxFiles: 2 } }, {})))
+        .rejects.toMatchObject({ status: 413, message: 'Too many files (max 2)' });
+
+      const large = post(PNG, { 'Content-Type': 'image/png', 'Content-Length': String(6 * 1024 * 1024) });
+      await expect(readBody(large, config)).rejects.toMatchObject({ status: 413, message: 'Body is too large (max 5242880 bytes of files)' });
+    });
+
+    it('should limit the files of a request together', async () => {
+      const files = form(['a', new Blob(['x'.repeat(6)]), 'a.txt'], ['b', new Blob(['y'.repeat(6)]), 'b.txt']);
+      await expect(readBody(post(files), resolveUploadConfig({ uploads: { maxBytes: 8, maxTotalBytes: 10 } }, {})))
+        .rejects.toMatchObject({ status: 413, message: 'Files are too large together (max 10 bytes)' });
+      expect(resolveUploadConfig({}, {})).toMatchObject({ maxBytes: 5 * 1024 * 1024, maxTotalBytes: 5 * 1024 * 1024 });
+      expect(resolveUploadConfig({}, { UPLOAD_MAX_BYTES: String(15 * 1024 * 1024) }).maxTotalBytes).toBe(15 * 1024 * 1024);
+    });
+  });
+
+  describe('resolveUploadConfig', () => {
+    it('should need a public URL for the bucket and models for vision', () => {
+      expect(() => resolveUploadConfig({}, { ATTACHMENTS: memoryBucket() })).toThrow('needs ATTACHMENTS_URL');
+      expect(() => resolveUploadConfig({ name: 'ci', uploads: { vision: true } }, {})).toThrow('Route "ci" uploads.vision needs models');
+      expect(resolveUploadConfig({ uploads: { vision: true } }, { VISION_MODELS: 'vision/model' }).vision).toEqual({ models: 'vision/model' });
+    });
+  });
+
+  describe('forwarding', () => {
+    const files = [
+      { filename: 'graph.png', type: 'image/png', size: 16, base64: toBase64(PNG) },
+      { filename: 'error.log', type: 'text/plain', size: 10, base64: btoa('disk full\n') }
+    ];
+    const notification = { title: 'Disk full', message: 'db-1 is out of space', priority: 'high', tags: 'warning' };
+
+    it('should upload the first file and list the others', () => {
+      const { notification: result, attachment } = attachFiles(notification, files);
+      expect(attachment).toEqual({ filename: 'graph.png', content: PNG });
+      expect(result.message).toBe('db-1 is out of space\n\nMore files: error.log');
+      expect(attachFiles(notification, [])).toEqual({ notification, attachment: undefined });
+    });
+
+    it('should link files stored in the bucket', async () => {
+      const bucket = memoryBucket();
+      const job = { id: 'job-1', files: structuredClone(files) };
+      await storeFiles(resolveUploadConfig({}, { ATTACHMENTS: bucket, ATTACHMENTS_URL: 'https://files.example.com/' }), job);
+
+      expect(job.files[0]).toEqual({
+        filename: 'graph.png', type: 'image/png', size: 16, key: 'job-1/1-graph.png', url: 'https://files.example.com/job-1/1-graph.png'
+      });
+      expect(bucket.objects.get('job-1/1-graph.png')).toEqual({ bytes: PNG, httpMetadata: { contentType: 'image/png' } });
+
+      const { notification: result, attachment } = attachFiles(notification, job.files);
+      expect(attachment).toBeUndefined();
+      expect(result.attach).toBe('https://files.example.com/job-1/1-graph.png');
+      expect(result.message).toContain('More files: error.log (https://files.example.com/job-1/2-error.log)');
+    });
+  });
+
+  describe('pipeline', () => {
+    let fetchMock;
+    const env = { OPENROUTER_API_KEY: 'k', VISION_MODELS: 'vision/model' };
+    const route = { name: 'ops', server: 'https://ntfy.sh', topic: 'ops' };
+
+    beforeEach(() => {
+      fetchMock = vi.fn(async (url, init) => {
+        if (!url.includes('openrouter')) return Response.json({ id: 'msg-1' });
+        const { model } = JSON.parse(init.body);
+        return modelReply(model === 'vision/model'
+          ? 'A CPU graph of db-1 at 100% since 14:02.'
+          : JSON.stringify({ title: 'CPU pegged', message: 'db-1 at 100%', priority: 'high', tags: 'fire' }));
+      });
+      vi.stubGlobal('fetch', fetchMock);
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    const upload = async () => {
+      const { payload, data, files } = await readBody(post(form(['host', 'db-1'], ['graph', new Blob([PNG]), 'cpu.png'])), config);
+      return createJob({ routeName: 'ops', payload, data, files });
+    };
+    const modelCall = model => fetchMock.mock.calls.find(([url, init]) => url.includes('openrouter') && JSON.parse(init.body).model === model);
+
+    it('should send the uploaded file to ntfy with the notification', async () => {
+      const result = await processJob(await upload(), route, env);
+
+      const [url, init] = fetchMock.mock.calls.at(-1);
+      expect(url).toBe('https://ntfy.sh/ops');
+      expect(init.method).toBe('PUT');
+      expect(init.headers.Filename).toBe('cpu.png');
+      expect(init.body).toEqual(PNG);
+      expect(result.images).toBeNull();
+    });
+
+    it('should have the vision model describe images for the formatter', async () => {
+      const result = await processJob(await upload(), { ...route, uploads: { vision: true } }, env);
+
+      const visionBody = JSON.parse(modelCall('vision/model')[1].body);
+      expect(visionBody.messages[1].content[1]).toEqual({ type: 'image_url', image_url: { url: `data:image/png;base64,${toBase64(PNG)}` } });
+      expect(visionBody).not.toHaveProperty('response_format');
+      const formatBody = JSON.parse(modelCall('z-ai/glm-4.5-air:free')[1].body);
+      expect(formatBody.messages.at(-1).content).toContain('Image cpu.png: A CPU graph of db-1 at 100% since 14:02.');
+      expect(formatBody.response_format).toEqual({ type: 'json_object' });
+      expect(result.images).toEqual([{ filename: 'cpu.png', description: 'A CPU graph of db-1 at 100% since 14:02.', model: 'vision/model' }]);
+    });
+
+    it('should read images back from the bucket and go on without a description', async () => {
+      const bucket = memoryBucket();
+      const bucketEnv = { ...env, ATTACHMENTS: bucket, ATTACHMENTS_URL: 'https://files.example.com' };
+      const job = await upload();
+      await storeFiles(resolveUploadConfig(route, bucketEnv), job);
+      const vision = resolveVisionConfig(bucketEnv, route, resolveUploadConfig({ uploads: { vision: true } }, bucketEnv));
+
+      expect(await describeImages(bucketEnv, job.files, vision)).toMatchObject([{ filename: 'cpu.png', model: 'vision/model' }]);
+
+      bucket.objects.clear();
+      expect(await describeImages(bucketEnv, job.files, vision)).toEqual([{ filename: 'cpu.png', description: null, model: null }]);
+    });
+  });
+});
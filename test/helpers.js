@@ -0,0 +1,116 @@
+/**
+ * In-memory stand-ins for Workers bindings, shared by the test suites.
+ */
+
+export function memoryKV(initial = {}) {
+  const data = new Map(Object.entries(initial).map(([k, v]) => [k, { value: v, metadata: null }]));
+  return {
+    data,
+    async get(key, type) {
+      const entry = data.get(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      data.set(key, { value: String(value), metadata: options.metadata ?? null, options });
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const names = [...data.keys()].filter(k => k.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = names.slice(start, start + limit);
+      const done = start + limit >= names.length;
+      return {
+        keys: page.map(name => ({ name, metadata: data.get(name).metadata })),
+        list_complete: done,
+        cursor: done ? undefined : String(start + limit)
+      };
+    }
+  };
+}
+
+// Durable Object storage
+export function memoryStorage() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    data,
+    get: async key => structuredClone(data.get(key)),
+    put: async (key, value) => { data.set(key, structuredClone(value)); },
+    delete: async key => data.delete(key),
+    list: async ({ prefix }) => new Map([...data].filter(([k]) => k.startsWith(prefix))),
+    deleteAll: async () => data.clear(),
+    getAlarm: async () => alarm,
+    setAlarm: async at => { alarm = at; },
+    deleteAlarm: async () => { alarm = null; }
+  };
+}
+
+// A Durable Object namespace with one `ObjectClass` instance per name
+export function durableNamespace(ObjectClass, env = {}) {
+  const instances = new Map();
+  return {
+    instances,
+    idFromName: name => name,
+    get: id => {
+      if (!instances.has(id)) instances.set(id, new ObjectClass({ storage: memoryStorage() }, env));
+      const object = instances.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+export function memoryQueue() {
+  const sent = [];
+  return {
+    sent,
+    async send(body) {
+      sent.push(structuredClone(body));
+    }
+  };
+}
+
+export function queueBatch(bodies) {
+  const messages = bodies.map(body => ({
+    body,
+    attempts: 1,
+    acked: false,
+    ack() { this.acked = true; },
+    retry() { this.retried = true; }
+  }));
+  return { messages };
+}
+
+// A ForwardableEmailMessage for the email() handler, from raw RFC 822 text or bytes
+export function emailMessage(raw, { from = 'sender@example.com', to = 'ntfy@alerts.example.com' } = {}) {
+  const bytes = typeof raw === 'string' ? new TextEncoder().encode(raw) : new Uint8Array(raw);
+  return {
+    from,
+    to,
+    raw: new Response(bytes).body,
+    rawSize: bytes.length,
+    headers: new Headers(),
+    rejected: null,
+    setReject(reason) { this.rejected = reason; },
+    async forward() {},
+    async reply() {}
+  };
+}
+
+// An R2 bucket
+export function memoryBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    async put(key, value, options = {}) {
+      objects.set(key, { bytes: new Uint8Array(value), httpMetadata: options.httpMetadata ?? {} });
+    },
+    async get(key) {
+      const object = objects.get(key);
+      if (!object) return null;
+      return { httpMetadata: object.httpMetadata, arrayBuffer: async () => object.bytes.slice().buffer };
+    }
+  };
+}
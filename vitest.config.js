@@ -11,7 +11,8 @@ export default defineConfig({
         'node_modules/',
         'dist/',
         '*.config.js',
-        '**/*.test.js'
+        '**/*.test.js',
+        'test/'
       ]
     }
   }
@@ -1,199 +1,197 @@
-export default {
-  async fetch(r, e) {
-    // 1. Retry utility function with exponential backoff
-    async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          return await fn();
-        } catch (error) {
-          const isLastAttempt = attempt === maxRetries - 1;
-          if (isLastAttempt) throw error;
-
-          const delay = baseDelay * Math.pow(2, attempt);
-          console.log(`Attempt ${attempt + 1} failed, retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
-    }
+import { parseRoutePath, parseBatchPath, loadRoute } from "./src/routing.js";
+import { authenticate } from "./src/auth.js";
+import { createJob, prepareJob, processJob } from "./src/pipeline.js";
+import { wantsAsync, enqueueJob, handleQueue } from "./src/queue.js";
+import { handleAdmin } from "./src/admin.js";
+import { withStoredConfig } from "./src/config.js";
+import { wantsJson, jobReport, errorResponse, STATUS_CODES } from "./src/report.js";
+import { handleBatch } from "./src/batch.js";
+import { parseRuleSets } from "./src/trim.js";
+import { parseOverrides } from "./src/overrides.js";
+import { senderCorrelation } from "./src/threads.js";
+import { handleAck } from "./src/escalation.js";
+import { resolveUploadConfig, readBody, storeFiles } from "./src/uploads.js";
+import { handleEmail } from "./src/email.js";
+import { publishDigests } from "./src/digest.js";
+import { handleHealth } from "./src/circuit.js";
+import { handleMetrics } from "./src/metrics.js";
+import { withContext, requestIdFor } from "./src/context.js";
+import { log } from "./src/log.js";
+
+export { AlertGate } from "./src/dedupe.js";
+export { CircuitBreaker } from "./src/circuit.js";
+export { MetricsStore } from "./src/metrics.js";
+export { Escalator } from "./src/escalation.js";
+
+async function handleRequest(r, e) {
+  const url = new URL(r.url);
+
+  // 0. Admin API and dashboard, acknowledgements, health and metrics
+  if (url.pathname === "/admin" || url.pathname.startsWith("/admin/")) {
+    return handleAdmin(r, e);
+  }
+  if (url.pathname.startsWith("/ack/")) {
+    return handleAck(r, e);
+  }
+  if (url.pathname === "/health" && r.method === "GET") {
+    return handleHealth(e);
+  }
+  if (url.pathname === "/metrics" && r.method === "GET") {
+    return handleMetrics(r, e);
+  }
 
-    // 2. Check method
-    if (r.method !== "POST") {
-      return new Response("Only POST", { status: 405, headers: { Allow: "POST" } });
-    }
+  // 1. Check method
+  if (r.method !== "POST") {
+    return new Response("Only POST", { status: 405, headers: { Allow: "POST" } });
+  }
 
-    // 3. Validate AI Key
-    const openrouterKey = e.OPENROUTER_API_KEY?.trim();
-    if (!openrouterKey) {
-      return new Response("Missing OPENROUTER_API_KEY env", { status: 500 });
-    }
+  // 1a. Resolve route (before any AI work so unknown routes cost nothing),
+  // with the rules, models and trim profiles stored through the admin API
+  e = await withStoredConfig(e);
+  const batchRoute = parseBatchPath(url.pathname);
+  const routeName = batchRoute || parseRoutePath(url.pathname);
+  let route;
+  let auth;
+  try {
+    route = routeName && await loadRoute(routeName, e);
+    auth = route && await authenticate(r, route, e);
+  } catch (error) {
+    log.error("Route config error", { error });
+    return new Response(`Bad route config: ${error.message}`, { status: 500 });
+  }
+  if (!route) {
+    return new Response("Unknown route", { status: 404 });
+  }
+
+  const json = Boolean(batchRoute) || wantsJson(route, url, r);
+
+  // 1b. Inbound authentication
+  if (!auth.ok) {
+    return errorResponse(json, auth.status, auth.reason, auth.status === 401 ? { "WWW-Authenticate": "Bearer" } : {});
+  }
+
+  // 1c. Batches of payloads have their own handler
+  if (batchRoute) {
+    return handleBatch(r, { routeName, route, env: e, url });
+  }
+
+  // 2. Parse Body (JSON, text, forms, file uploads)
+  let uploads;
+  let body;
+  try {
+    uploads = resolveUploadConfig(route, e);
+  } catch (error) {
+    return errorResponse(json, 500, error.message);
+  }
+  try {
+    body = await readBody(r, uploads);
+  } catch (error) {
+    // Files the route does not take come with their own status
+    return errorResponse(json, error.status ?? 400, error.status ? error.message : "Bad body");
+  }
+  const { payload, data, files } = body;
+
+  if (!payload) return errorResponse(json, 400, "No data");
+
+  // 2a. Per-request trimming rule sets, overrides and correlation ids are the sender's choice, so a typo is a 400
+  let overrides;
+  try {
+    if (url.searchParams.has("trim")) parseRuleSets(url.searchParams.get("trim"));
+    overrides = parseOverrides({ headers: r.headers, params: url.searchParams }, route);
+    senderCorrelation(r.headers);
+  } catch (error) {
+    return errorResponse(json, 400, error.message);
+  }
 
-    // 4. Parse Body
-    let payload;
+  // 3. Resolve parser / AI provider up front so config errors reach the sender
+  const job = createJob({ request: r, routeName, payload, data, url, overrides, files });
+  let prepared;
+  try {
+    prepared = prepareJob(job, route, e);
+  } catch (error) {
+    return errorResponse(json, 500, error.message);
+  }
+
+  // 3a. Uploaded files go to the ATTACHMENTS bucket, if bound, before the job is queued
+  try {
+    await storeFiles(uploads, job);
+  } catch (error) {
+    log.error("Storing files failed", { jobId: job.id, error });
+    return errorResponse(json, 500, `Storage error: ${error.message}`);
+  }
+
+  // 3b. Async mode: enqueue and answer before any slow work
+  if (wantsAsync(route, url, e)) {
     try {
-      const contentType = r.headers.get("content-type") || "";
-      payload = contentType.includes("json")
-        ? JSON.stringify(await r.json(), null, 2) // Pretty print JSON for the LLM to read easier
-        : await r.text();
-    } catch {
-      return new Response("Bad body", { status: 400 });
+      await enqueueJob(e, job);
+    } catch (error) {
+      log.error("Enqueue failed", { jobId: job.id, error });
+      return errorResponse(json, 500, `Queue error: ${error.message}`);
     }
+    return Response.json({ id: job.id, status: "queued" }, { status: 202 });
+  }
 
-    if (!payload) return new Response("No data", { status: 400 });
-
-    // 4a. Smart payload trimming - Remove verbose technical details
-    function trimVerboseContent(text) {
-      try {
-        // Patterns to remove (common verbose sections across different sources)
-        const verbosePatterns = [
-          // Email authentication headers
-          /SPF Result:[\s\S]*?(?=\n[A-Z][a-z]|\n\n|$)/gi,
-          /DKIM Result:[\s\S]*?(?=\n[A-Z][a-z]|\n\n|$)/gi,
-          /DMARC (?:Result|Policy|Info):[\s\S]*?(?=\n[A-Z][a-z]|\n\n|$)/gi,
-          /BIMI Location:[\s\S]*?(?=\n[A-Z][a-z]|\n\n|$)/gi,
-          /Message ID:[\s\S]*?(?=\n[A-Z][a-z]|\n\n|$)/gi,
-
-          // Full email headers section (if exists as a block)
-          /View Full Email Headers[\s\S]*?(?=\n\n[A-Z]|$)/gi,
-
-          // Long technical IDs and hashes
-          /[a-f0-9]{32,}/gi,
-        ];
-
-        let trimmed = text;
-
-        // Remove verbose sections
-        for (const pattern of verbosePatterns) {
-          trimmed = trimmed.replace(pattern, '');
-        }
-
-        // Clean up excessive whitespace
-        trimmed = trimmed.replace(/\n{3,}/g, '\n\n').trim();
-
-        // If we removed too much (>60% of original), return original
-        if (trimmed.length < text.length * 0.4) {
-          return text;
-        }
-
-        return trimmed.length > 0 ? trimmed : text;
-      } catch (e) {
-        console.error('Trimming failed:', e);
-        return text;
-      }
-    }
+  // 4. Format and deliver
+  let result;
+  try {
+    result = await processJob(job, route, e, prepared);
+  } catch (error) {
+    log.error("Processing failed", { jobId: job.id, error });
+    return errorResponse(json, 500, `Processing error: ${error.message}`);
+  }
 
-    const url = new URL(r.url);
-    const skipTrimming = url.searchParams.get('verbose') === 'true';
-    const processedPayload = skipTrimming ? payload : trimVerboseContent(payload);
-
-    // 5. Process Message (LLM formatting for ntfy notification)
-    async function getNtfyNotification(text) {
-      const models = [
-        "z-ai/glm-4.5-air:free",
-        "arcee-ai/trinity-mini:free",
-      ];
-
-      // Fallback structure
-      const fallback = {
-        title: "Notification",
-        message: text.substring(0, 4096),
-        priority: "default",
-        tags: "bell"
-      };
-
-      for (const model of models) {
-        try {
-          const resp = await retryWithBackoff(async () => {
-            const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                "Authorization": `Bearer ${openrouterKey}`,
-                "HTTP-Referer": "https://yourdomain.com",
-                "X-Title": "ntfy-worker"
-              },
-              body: JSON.stringify({
-                model,
-                messages: [
-                  {
-                    role: "system",
-                    content: `You are a notification formatter for ntfy. Create concise, readable notifications from any input.
-
-Rules:
-1. **title**: Short event summary (max 60 chars). No emoji here.
-2. **message**: 1-3 sentences max. What happened? Skip technical jargon.
-3. **priority**: One of: "urgent" (critical errors/outages), "high" (warnings/failures), "default" (info), "low" (minor events), "min" (background).
-4. **tags**: One ntfy tag shortcode (e.g. "rotating_light" for errors, "white_check_mark" for success, "warning" for warnings, "information_source" for info, "bell" for general).
-
-Output ONLY this JSON:
-{
-  "title": "Event Name",
-  "message": "Brief explanation",
-  "priority": "default",
-  "tags": "bell"
-}`
-                  },
-                  { role: "user", content: text }
-                ],
-                response_format: { type: "json_object" }
-              })
-            });
-            if (!response.ok) {
-              throw new Error(`API returned ${response.status}`);
-            }
-            return response;
-          });
-
-          if (!resp.ok) continue;
-
-          const data = await resp.json();
-          let content = data?.choices?.[0]?.message?.content?.trim();
-
-          if (content) {
-            // cleanup markdown blocks if LLM adds them despite instructions
-            content = content.replace(/^```json/i, '').replace(/^```/, '').replace(/```$/, '');
-            return JSON.parse(content);
-          }
-        } catch (e) {
-          console.error(`Model ${model} failed:`, e);
-          continue;
-        }
-      }
-      return fallback;
-    }
+  // JSON mode and routes with delivery targets get a structured report
+  if (json || route.targets) {
+    const headers = result.retryAfter !== undefined ? { "Retry-After": String(result.retryAfter) } : {};
+    return Response.json(jobReport(job, result), { status: STATUS_CODES[result.status], headers });
+  }
 
-    const notification = await getNtfyNotification(processedPayload);
-
-    // 6. Send to ntfy
-    const NTFY_TOPIC = "fupvaK-6nytti-hopmyc";
-
-    const res = await retryWithBackoff(async () => {
-      const response = await fetch(`https://ntfy.sh/${NTFY_TOPIC}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "text/plain",
-          "Title": notification.title || "Notification",
-          "Priority": notification.priority || "default",
-          "Tags": notification.tags || "bell"
-        },
-        body: notification.message || processedPayload.substring(0, 4096)
-      });
-
-      if (!response.ok) {
-        const txt = await response.text();
-        console.log("ntfy Payload:", JSON.stringify(notification)); // Debugging help
-        throw new Error(`ntfy failed: ${response.status} - ${txt}`);
-      }
-
-      return response;
-    }).catch(error => {
-      console.error("ntfy publish failed after retries:", error);
-      return new Response(`ntfy error: ${error.message}`, { status: 500 });
-    });
-
-    if (res instanceof Response && res.status === 500) {
-      return res;
-    }
+  if (result.status === "rate_limited") {
+    return new Response("Rate limited", { status: 429, headers: { "Retry-After": String(result.retryAfter) } });
+  }
+  if (result.status === "duplicate") {
+    return new Response("Duplicate suppressed", { status: 200 });
+  }
+  if (result.status === "dropped") {
+    return new Response("Dropped by rule", { status: 200 });
+  }
+  if (result.status === "held") {
+    return new Response("Held for digest", { status: 202 });
+  }
 
-    return new Response("Sent to ntfy!", { status: 200 });
+  if (result.status === "failed") {
+    return new Response(`ntfy error: ${result.results[0].error}`, { status: 500 });
+  }
+
+  return new Response("Sent to ntfy!", { status: 200 });
+}
+
+// Everything a handler logs carries the invocation's correlation id
+function runtime(e, ctx) {
+  return { waitUntil: ctx?.waitUntil?.bind(ctx), logLevel: e.LOG_LEVEL };
+}
+
+export default {
+  async fetch(r, e, ctx) {
+    const requestId = requestIdFor(r);
+    const response = await withContext({ requestId }, () => handleRequest(r, e), runtime(e, ctx));
+    // Responses from fetch() can have immutable headers
+    const tagged = new Response(response.body, response);
+    tagged.headers.set("X-Request-Id", requestId);
+    return tagged;
+  },
+
+  async queue(batch, e, ctx) {
+    await withContext({}, async () => handleQueue(batch, await withStoredConfig(e)), runtime(e, ctx));
+  },
+
+  async email(message, e, ctx) {
+    await withContext({ requestId: crypto.randomUUID() }, async () => handleEmail(message, await withStoredConfig(e)), runtime(e, ctx));
+  },
+
+  async scheduled(controller, e, ctx) {
+    const context = { requestId: crypto.randomUUID(), cron: controller.cron };
+    const publish = async () => publishDigests(await withStoredConfig(e), { cron: controller.cron, now: new Date(controller.scheduledTime) });
+    await withContext(context, publish, runtime(e, ctx));
   }
 };